@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const Comment = require('../src/models/comment.model');
+require('dotenv').config();
+
+// Backfill Comment thread fields (ancestors, depth, reply counts) for existing
+// comments. New replies get them on save, counts are then kept up to date.
+async function buildThreads() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to:', mongoose.connection.db.databaseName);
+
+    const comments = await Comment.find({})
+      .select('parentComment status isDeleted')
+      .setOptions({ skipAutopopulate: true })
+      .lean();
+    const byId = new Map(comments.map(comment => [comment._id.toString(), {
+      comment,
+      active: comment.status === 'active' && !comment.isDeleted,
+      ancestors: null,
+      replyCount: 0,
+      descendantCount: 0
+    }]));
+
+    const ancestorsOf = (entry) => {
+      const chain = [];
+      let parent = byId.get(entry.comment.parentComment?.toString());
+      // Walk up to the top-level comment, guarding against broken or cyclic links
+      while (parent && !chain.includes(parent) && chain.length < byId.size) {
+        if (parent.ancestors) {
+          chain.push(parent, ...[...parent.ancestors].reverse());
+          break;
+        }
+        chain.push(parent);
+        parent = byId.get(parent.comment.parentComment?.toString());
+      }
+      return chain.reverse();
+    };
+
+    for (const entry of byId.values()) {
+      entry.ancestors = ancestorsOf(entry);
+    }
+
+    // Active comments count for each ancestor up to (and including) the first hidden one
+    for (const entry of byId.values()) {
+      if (!entry.active || entry.ancestors.length === 0) {
+        continue;
+      }
+      entry.ancestors[entry.ancestors.length - 1].replyCount += 1;
+      for (let i = entry.ancestors.length - 1; i >= 0; i--) {
+        entry.ancestors[i].descendantCount += 1;
+        if (!entry.ancestors[i].active) {
+          break;
+        }
+      }
+    }
+
+    let updated = 0;
+    let batch = [];
+    for (const entry of byId.values()) {
+      batch.push({
+        updateOne: {
+          filter: { _id: entry.comment._id },
+          update: {
+            $set: {
+              ancestors: entry.ancestors.map(ancestor => ancestor.comment._id),
+              depth: entry.ancestors.length,
+              replyCount: entry.replyCount,
+              descendantCount: entry.descendantCount
+            }
+          }
+        }
+      });
+
+      if (batch.length === 500) {
+        await Comment.bulkWrite(batch);
+        updated += batch.length;
+        batch = [];
+        console.log(`Updated ${updated} comments...`);
+      }
+    }
+
+    if (batch.length > 0) {
+      await Comment.bulkWrite(batch);
+      updated += batch.length;
+    }
+
+    await Comment.createIndexes();
+    console.log(`\n✅ Thread fields built for ${updated} comments`);
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+buildThreads();
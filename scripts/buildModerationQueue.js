@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Report = require('../src/models/report.model');
+const Post = require('../src/models/post.model');
+const Comment = require('../src/models/comment.model');
+const ModerationCase = require('../src/models/moderationCase.model');
+const moderationService = require('../src/services/moderation.service');
+require('dotenv').config();
+
+// Open moderation cases for content reported before the queue existed:
+// pending reports, and the reports embedded in live posts and comments.
+// New reports update the queue when they are filed.
+async function buildQueue() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to:', mongoose.connection.db.databaseName);
+    await ModerationCase.createIndexes();
+
+    const [reported, posts, comments] = await Promise.all([
+      Report.aggregate([
+        { $match: { status: 'pending' } },
+        { $group: { _id: { targetType: '$targetType', targetId: '$targetId' } } }
+      ]),
+      Post.find({ 'interactions.reports.users.0': { $exists: true }, isDeleted: { $ne: true } }).select('_id').lean(),
+      Comment.find({ 'reports.0': { $exists: true }, isDeleted: { $ne: true } })
+        .select('_id')
+        .setOptions({ skipAutopopulate: true })
+        .lean()
+    ]);
+
+    const targets = new Map();
+    reported.forEach(({ _id }) => targets.set(`${_id.targetType}:${_id.targetId}`, _id));
+    posts.forEach(post => targets.set(`post:${post._id}`, { targetType: 'post', targetId: post._id }));
+    comments.forEach(comment => targets.set(`comment:${comment._id}`, { targetType: 'comment', targetId: comment._id }));
+
+    let opened = 0;
+    for (const { targetType, targetId } of targets.values()) {
+      if (await moderationService.syncTarget(targetType, targetId)) {
+        opened++;
+      }
+    }
+
+    console.log(`\n✅ ${opened} open moderation cases for ${targets.size} reported targets`);
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+buildQueue();
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Post = require('../src/models/post.model');
+const User = require('../src/models/user.model');
+const { buildSearchIndex } = require('../src/utils/textAnalyzer');
+require('dotenv').config();
+
+// Backfill Post.searchIndex for existing posts (new and edited posts are indexed on save)
+async function buildIndex() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to:', mongoose.connection.db.databaseName);
+
+    const journalists = await User.find({}).select('name username').lean();
+    const namesById = new Map(
+      journalists.map(j => [j._id.toString(), [j.name, j.username].filter(Boolean).join(' ')])
+    );
+
+    const cursor = Post.find({})
+      .select('title content tags hashtags journalist')
+      .lean()
+      .cursor();
+
+    let indexed = 0;
+    let batch = [];
+
+    for await (const post of cursor) {
+      const journalistName = namesById.get(post.journalist?.toString()) || '';
+      batch.push({
+        updateOne: {
+          filter: { _id: post._id },
+          update: { $set: { searchIndex: buildSearchIndex(post, journalistName) } }
+        }
+      });
+
+      if (batch.length === 500) {
+        await Post.bulkWrite(batch);
+        indexed += batch.length;
+        batch = [];
+        console.log(`Indexed ${indexed} posts...`);
+      }
+    }
+
+    if (batch.length > 0) {
+      await Post.bulkWrite(batch);
+      indexed += batch.length;
+    }
+
+    await Post.createIndexes();
+    console.log(`\n✅ Search index built for ${indexed} posts`);
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+buildIndex();
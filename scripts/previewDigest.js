@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables before the email transport is created
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+const User = require('../src/models/user.model');
+const digestService = require('../src/services/digest.service');
+const emailService = require('../src/services/email.service');
+
+/**
+ * Build a user's digest now and send it through the configured transport,
+ * without recording the send. Point it at a local SMTP stand-in to see the
+ * rendered email, e.g. Mailpit (web UI on http://localhost:8025):
+ *
+ *   docker run -p 1025:1025 -p 8025:8025 axllent/mailpit
+ *   EMAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025 npm run digest:preview -- jules@thot.fr weekly
+ */
+async function previewDigest() {
+  const [identifier, frequency = 'weekly'] = process.argv.slice(2);
+  if (!identifier || !['daily', 'weekly'].includes(frequency)) {
+    console.log('Usage: node scripts/previewDigest.js <email|username> [daily|weekly]');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/thot');
+    console.log('Connected to:', mongoose.connection.db.databaseName);
+
+    const user = await User.findOne({ $or: [{ email: identifier.toLowerCase() }, { username: identifier }] })
+      .select('_id email name username following preferences.topics interactions.readHistory')
+      .lean();
+    if (!user) {
+      console.log(`No user found for ${identifier}`);
+      return;
+    }
+
+    const digest = await digestService.buildDigest(user, { frequency });
+    console.log(`\n${emailService.renderDigestEmail(digest).text}\n`);
+
+    if (digest.isEmpty) {
+      console.log('Nothing to send: the digest is empty');
+      return;
+    }
+
+    const sent = await emailService.sendDigestEmail(user.email, digest);
+    console.log(sent ? `✅ Digest sent to ${user.email}` : '❌ Digest not sent (see the error above)');
+  } catch (error) {
+    console.error('Error:', error);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+previewDigest();
@@ -0,0 +1,16 @@
+const config = {
+  thread: {
+    // Reply levels returned under a comment, deeper replies get a "continue thread" cursor
+    displayDepth: parseInt(process.env.COMMENT_THREAD_DEPTH, 10) || 3,
+    maxDisplayDepth: 10,
+
+    // Direct replies per page
+    pageSize: 10,
+    maxPageSize: 50,
+
+    // Nested replies returned with one page, the deepest levels are cut first
+    maxNodes: 200
+  }
+};
+
+module.exports = config;
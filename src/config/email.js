@@ -1,4 +1,7 @@
 const config = {
+  // 'smtp' in production, 'capture' keeps sent emails in memory (tests, local dev)
+  transport: process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'capture' : 'smtp'),
+
   smtp: {
     host: process.env.SMTP_HOST || 'smtp.gmail.com',
     port: parseInt(process.env.SMTP_PORT || '587'),
@@ -32,9 +35,28 @@ const config = {
     },
     journalistRejected: {
       subject: 'Votre demande de journaliste a été refusée'
+    },
+    digest: {
+      subject: {
+        daily: 'Votre résumé du jour sur THOT',
+        weekly: 'Votre résumé de la semaine sur THOT'
+      }
     }
   },
 
+  // Daily / weekly digest of followed journalists, topics and trending posts
+  digest: {
+    // Sent from this local hour on; weekly digests on `weeklyDay` (ISO, 1 = Monday)
+    hour: parseInt(process.env.DIGEST_HOUR || '8'),
+    weeklyDay: 1,
+    timezone: process.env.DIGEST_TIMEZONE || 'Europe/Paris',
+    maxFollowedPosts: 10,
+    maxTopicPosts: 5,
+    maxTrendingPosts: 5,
+    // Secret signing the one-click unsubscribe links (defaults to one derived from JWT_SECRET)
+    unsubscribeSecret: process.env.DIGEST_UNSUBSCRIBE_SECRET || ''
+  },
+
   queue: {
     attempts: 3,
     backoff: {
@@ -43,6 +65,9 @@ const config = {
     }
   },
 
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:3000',
+  apiUrl: process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3000}`,
+
   enabled: process.env.EMAIL_ENABLED !== 'false'
 };
 
@@ -0,0 +1,120 @@
+// Permissions of the moderation staff. `action:*` permissions map to the
+// Report `actionTaken` values a case can be resolved with.
+const MODERATOR_PERMISSIONS = [
+  'queue:view',
+  'case:claim',
+  'case:resolve',
+  'appeal:review',
+  'action:none',
+  'action:warning',
+  'action:content_removed',
+  'action:user_suspended'
+];
+
+const config = {
+  permissions: {
+    moderator: MODERATOR_PERMISSIONS,
+    // Admins can also hand cases to someone else and ban
+    admin: [...MODERATOR_PERMISSIONS, 'case:assign', 'action:user_banned', 'strike:revoke']
+  },
+
+  priority: {
+    // Weight of each reporter by reason, the case score is their sum
+    reasonWeights: {
+      hate_speech: 3,
+      violence: 3,
+      harassment: 3,
+      false_information: 2,
+      inappropriate_content: 2
+    },
+    defaultWeight: 1,
+    // Minimum score of each priority
+    high: 6,
+    normal: 2
+  },
+
+  // Time to resolve a case from its first report, by priority
+  slaHours: {
+    high: parseInt(process.env.MODERATION_SLA_HIGH_HOURS, 10) || 4,
+    normal: parseInt(process.env.MODERATION_SLA_NORMAL_HOURS, 10) || 24,
+    low: parseInt(process.env.MODERATION_SLA_LOW_HOURS, 10) || 72
+  },
+
+  // A claimed case goes back to the queue when not resolved in time
+  claimMinutes: 30,
+
+  // Suspension applied by the `user_suspended` action
+  suspensionDays: 7,
+
+  // Cases per bulk resolve
+  maxBulkSize: 50,
+
+  // Appeals of removed posts by their author
+  appeals: {
+    // Days after the removal during which it can be appealed
+    windowDays: 30,
+    // Appeals of one removal, a second one can follow an upheld appeal
+    maxPerRemoval: 2,
+    // Wait after an upheld appeal before appealing the same removal again
+    cooldownHours: 24,
+    // Appeals awaiting a decision per author
+    maxOpenPerAuthor: 5,
+    justificationMinLength: 20,
+    justificationMaxLength: 2000
+  },
+
+  // Strike ledger of authors whose content was removed or reported with effect
+  strikes: {
+    // Weight of a strike by the reason of the report
+    reasonWeights: {
+      hate_speech: 3,
+      violence: 3,
+      harassment: 2,
+      false_information: 2,
+      inappropriate_content: 1,
+      copyright: 1,
+      spam: 1
+    },
+    defaultWeight: 1,
+    // Removal by an admin without a report reason
+    removalWeight: 2,
+    expiryDays: parseInt(process.env.STRIKE_EXPIRY_DAYS, 10) || 90,
+    // Sanction applied when the active points reach a threshold, the highest one crossed wins.
+    // `ban_review` suspends the account until an admin bans or reinstates it.
+    thresholds: [
+      { points: 3, sanction: 'warning' },
+      { points: 6, sanction: 'suspension', days: 7 },
+      { points: 9, sanction: 'suspension', days: 30 },
+      { points: 12, sanction: 'ban_review' }
+    ]
+  },
+
+  // Checks of the reporters before an automatic removal: when enough signals
+  // point to coordinated reporting, the removal waits for a moderator
+  brigading: {
+    // Reporters whose account was younger than this when they reported
+    newAccountDays: 7,
+    newAccountShare: 0.5,
+    // Reporters following another reporter of the same content
+    clusterShare: 0.4,
+    // Largest share of the reports filed within burstMinutes
+    burstMinutes: 60,
+    burstShare: 0.6,
+    // Reporters who voted on the post's orientation, all on the same side
+    votedShare: 0.5,
+    sameSideShare: 0.8,
+    // With enough reviewed reports, a reporter weighs twice their upheld rate, between minReporterWeight and 1
+    minReviewedReports: 5,
+    minReporterWeight: 0.2,
+    lowAccuracyShare: 0.3,
+    // Signals that hold the removal
+    holdSignals: 2,
+    // Weighted reporters that hide a comment reported from the comment itself
+    commentHideWeight: 5
+  },
+
+  pageSize: 20,
+  maxPageSize: 100
+};
+
+module.exports = config;
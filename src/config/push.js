@@ -0,0 +1,51 @@
+const config = {
+  // 'providers' delivers through FCM / APNs / Web Push, 'fake' keeps pushes in memory (tests, local dev)
+  transport: process.env.PUSH_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'fake' : 'providers'),
+
+  // Firebase Cloud Messaging (Android, and iOS apps registered through Firebase)
+  fcm: {
+    projectId: process.env.FCM_PROJECT_ID || '',
+    // Service account JSON; GOOGLE_APPLICATION_CREDENTIALS is used when empty
+    serviceAccount: process.env.FCM_SERVICE_ACCOUNT || ''
+  },
+
+  // Apple Push Notification service, token-based (.p8 key)
+  apns: {
+    keyId: process.env.APNS_KEY_ID || '',
+    teamId: process.env.APNS_TEAM_ID || '',
+    // PEM content, "\n" escapes accepted
+    privateKey: (process.env.APNS_PRIVATE_KEY || '').replace(/\\n/g, '\n'),
+    bundleId: process.env.APNS_BUNDLE_ID || '',
+    production: process.env.APNS_PRODUCTION === 'true'
+  },
+
+  // Web Push with VAPID keys (base64url, `npx web-push generate-vapid-keys`)
+  webPush: {
+    publicKey: process.env.VAPID_PUBLIC_KEY || '',
+    privateKey: process.env.VAPID_PRIVATE_KEY || '',
+    subject: process.env.VAPID_SUBJECT || 'mailto:support@thot.com',
+    // Push services of the browsers: subscriptions to any other host are refused,
+    // as the server posts to them. A leading dot also matches subdomains.
+    allowedHosts: [
+      'fcm.googleapis.com',
+      'updates.push.services.mozilla.com',
+      'web.push.apple.com',
+      '.notify.windows.com'
+    ]
+  },
+
+  retry: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 1000
+    }
+  },
+
+  // Registered devices per user, the least recently seen are dropped
+  maxDevicesPerUser: 10,
+
+  enabled: process.env.PUSH_ENABLED !== 'false'
+};
+
+module.exports = config;
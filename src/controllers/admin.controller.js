@@ -1,11 +1,27 @@
 /* eslint-disable */
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
 const Post = require('../models/post.model');
 const Comment = require('../models/comment.model');
 const Report = require('../models/report.model');
 const Short = require('../models/short.model');
+const auditService = require('../services/audit.service');
+const revisionService = require('../services/revision.service');
+const commentService = require('../services/comment.service');
+const feedService = require('../services/feed.service');
+const appealService = require('../services/appeal.service');
+const strikeService = require('../services/strike.service');
+const { clearCache } = require('../middleware/cache.middleware');
 // Removed buildMediaUrl - returning relative URLs
 
+// Fields captured in audit log before/after snapshots
+const USER_AUDIT_FIELDS = [
+  'status', 'role', 'isVerified', 'suspensionReason', 'suspendedUntil', 'banReason',
+  'verificationNotes', 'rejectionReason', 'unverificationReason'
+];
+const CONTENT_AUDIT_FIELDS = ['title', 'content', 'text', 'status', 'journalist', 'author', 'post', 'createdAt'];
+const REPORT_AUDIT_FIELDS = ['status', 'actionTaken', 'resolution', 'reviewedBy', 'targetType', 'targetId', 'reason'];
+
 // Get all journalists with press card verification info
 exports.getJournalistsWithPressCards = async (req, res) => {
   try {
@@ -95,6 +111,8 @@ exports.toggleJournalistVerification = async (req, res) => {
       });
     }
 
+    const before = auditService.snapshot(journalist, USER_AUDIT_FIELDS);
+
     journalist.isVerified = verify;
     if (verify) {
       journalist.verificationDate = new Date();
@@ -107,6 +125,16 @@ exports.toggleJournalistVerification = async (req, res) => {
 
     await journalist.save();
 
+    await auditService.log(req, {
+      action: 'journalist_verification_toggled',
+      targetType: 'user',
+      targetId: journalist._id,
+      targetLabel: journalist.username,
+      before,
+      after: auditService.snapshot(journalist, USER_AUDIT_FIELDS),
+      reason: verify ? undefined : journalist.unverificationReason
+    });
+
     // Return formatted journalist data
     const journalistObj = journalist.toObject();
     // Keep URLs as relative paths
@@ -145,6 +173,13 @@ exports.reviewReport = async (req, res) => {
       });
     }
 
+    const before = auditService.snapshot(report, REPORT_AUDIT_FIELDS);
+
+    // Loaded before any removal so the reviewer keeps every version of the comment
+    const history = report.targetType === 'comment'
+      ? await commentService.getRevisionHistory(report.targetId)
+      : null;
+
     report.status = status;
     report.reviewedBy = req.userId;
     report.reviewedAt = new Date();
@@ -153,34 +188,73 @@ exports.reviewReport = async (req, res) => {
 
     await report.save();
 
+    await auditService.log(req, {
+      action: 'report_reviewed',
+      targetType: 'report',
+      targetId: report._id,
+      targetLabel: `${report.targetType}:${report.targetId}`,
+      before,
+      after: auditService.snapshot(report, REPORT_AUDIT_FIELDS),
+      reason: resolution,
+      metadata: { actionTaken }
+    });
+
+    // Counts against the author, looked up before the content is removed
+    await strikeService.recordReport(req, report);
+
     // Take action based on actionTaken
     if (actionTaken === 'content_removed') {
-      switch (report.targetType) {
-      case 'post':
-        await Post.findByIdAndDelete(report.targetId);
-        break;
-      case 'comment':
-        await Comment.findByIdAndDelete(report.targetId);
-        break;
-      case 'short':
-        await Short.findByIdAndDelete(report.targetId);
-        break;
+      const Model = { post: Post, comment: Comment, short: Short }[report.targetType];
+      if (Model) {
+        const content = await Model.findById(report.targetId);
+        if (content) {
+          // Posts are removed softly so that their author can appeal
+          if (report.targetType === 'post') {
+            await appealService.removePost(content._id, { reason: resolution || `Reported for ${report.reason}`, removedBy: req.userId });
+            clearCache('posts');
+          } else if (report.targetType === 'comment') {
+            await commentService.removeComment(content, resolution);
+          } else {
+            await Model.findByIdAndDelete(report.targetId);
+          }
+          await auditService.log(req, {
+            action: 'content_deleted',
+            targetType: report.targetType,
+            targetId: content._id,
+            targetLabel: content.title,
+            before: auditService.snapshot(content, CONTENT_AUDIT_FIELDS),
+            reason: resolution,
+            metadata: { reportId: report._id.toString() }
+          });
+        }
       }
     } else if (actionTaken === 'user_suspended' || actionTaken === 'user_banned') {
       const user = await User.findById(report.targetId);
       if (user) {
+        const userBefore = auditService.snapshot(user, USER_AUDIT_FIELDS);
         user.status = actionTaken === 'user_suspended' ? 'suspended' : 'inactive';
         user.suspensionReason = resolution;
         user.suspendedAt = new Date();
         user.suspendedBy = req.userId;
         await user.save();
+        await auditService.log(req, {
+          action: actionTaken === 'user_suspended' ? 'user_suspended' : 'user_banned',
+          targetType: 'user',
+          targetId: user._id,
+          targetLabel: user.username,
+          before: userBefore,
+          after: auditService.snapshot(user, USER_AUDIT_FIELDS),
+          reason: resolution,
+          metadata: { reportId: report._id.toString() }
+        });
       }
     }
 
     res.json({
       success: true,
       message: 'Signalement traité avec succès',
-      report
+      report,
+      history
     });
   } catch (error) {
     console.error('Review report error:', error);
@@ -222,7 +296,25 @@ exports.deleteContent = async (req, res) => {
       });
     }
 
-    await content.deleteOne();
+    // Posts are removed softly so that their author can appeal
+    if (type === 'post') {
+      await appealService.removePost(content._id, { reason: req.body?.reason || 'Removed by an administrator', removedBy: req.userId });
+      clearCache('posts');
+    } else if (type === 'comment') {
+      await commentService.removeComment(content, req.body?.reason);
+    } else {
+      await content.deleteOne();
+    }
+    await strikeService.recordRemoval(req, type, content, req.body?.reason);
+
+    await auditService.log(req, {
+      action: 'content_deleted',
+      targetType: type,
+      targetId: content._id,
+      targetLabel: content.title,
+      before: auditService.snapshot(content, CONTENT_AUDIT_FIELDS),
+      reason: req.body?.reason
+    });
 
     res.json({
       success: true,
@@ -254,7 +346,18 @@ exports.deletePost = async (req, res) => {
     // Log deletion for audit trail
     console.log(`Admin ${req.userId} deleted post ${id} by ${post.journalist?.username || post.journalist?.name} - Reason: ${reason}`);
 
-    await Post.findByIdAndDelete(id);
+    await appealService.removePost(post._id, { reason: reason || 'Removed by an administrator', removedBy: req.userId });
+    clearCache('posts');
+    await strikeService.recordRemoval(req, 'post', post, reason);
+
+    await auditService.log(req, {
+      action: 'content_deleted',
+      targetType: 'post',
+      targetId: post._id,
+      targetLabel: post.title,
+      before: auditService.snapshot(post, CONTENT_AUDIT_FIELDS),
+      reason
+    });
 
     res.json({
       success: true,
@@ -269,6 +372,114 @@ exports.deletePost = async (req, res) => {
   }
 };
 
+// Roll a published post back to an earlier revision
+exports.rollbackPostRevision = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version);
+    const { reason } = req.body;
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid version'
+      });
+    }
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required: it is shown to readers as the correction note'
+      });
+    }
+
+    const { post, revision, before } = await revisionService.rollback(id, version, req.user, reason.trim().slice(0, 500));
+
+    clearCache('posts');
+
+    await auditService.log(req, {
+      action: 'content_rolled_back',
+      targetType: 'post',
+      targetId: post._id,
+      targetLabel: post.title,
+      before,
+      after: revisionService.snapshot(post),
+      reason,
+      metadata: { rolledBackTo: version, newVersion: revision.version }
+    });
+
+    res.json({
+      success: true,
+      message: `Post rolled back to version ${version}`,
+      data: {
+        postId: post._id,
+        revision: revision.getSummary()
+      }
+    });
+  } catch (error) {
+    console.error('Rollback post error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to roll back post',
+      code: error.code
+    });
+  }
+};
+
+// Explain the "For You" ranking of a user (ranking debugging)
+exports.explainUserFeed = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (!await User.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 20));
+
+    const { items, nextCursor } = await feedService.getForYouFeed(req.params.id, {
+      cursor: req.query.cursor,
+      limit,
+      mode: req.query.mode,
+      explain: true
+    });
+
+    res.json({
+      success: true,
+      data: {
+        userId: req.params.id,
+        posts: items.map(item => ({
+          _id: item.post._id,
+          title: item.post.title,
+          domain: item.post.domain,
+          journalist: item.post.journalist ? {
+            _id: item.post.journalist._id,
+            name: item.post.journalist.name,
+            username: item.post.journalist.username
+          } : null,
+          createdAt: item.post.createdAt,
+          ranking: item.explanation
+        })),
+        nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('Explain user feed error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to explain feed',
+      code: error.code
+    });
+  }
+};
+
 // Delete specific comment
 exports.deleteComment = async (req, res) => {
   try {
@@ -286,7 +497,17 @@ exports.deleteComment = async (req, res) => {
     // Log deletion for audit trail
     console.log(`Admin ${req.userId} deleted comment ${id} by ${comment.author?.username} - Reason: ${reason}`);
 
-    await Comment.findByIdAndDelete(id);
+    await commentService.removeComment(comment, reason);
+    await strikeService.recordRemoval(req, 'comment', comment, reason);
+
+    await auditService.log(req, {
+      action: 'content_deleted',
+      targetType: 'comment',
+      targetId: comment._id,
+      targetLabel: comment.author?.username,
+      before: auditService.snapshot(comment, CONTENT_AUDIT_FIELDS),
+      reason
+    });
 
     res.json({
       success: true,
@@ -319,6 +540,16 @@ exports.deleteShort = async (req, res) => {
     console.log(`Admin ${req.userId} deleted short ${id} by ${short.author?.username} - Reason: ${reason}`);
 
     await Short.findByIdAndDelete(id);
+    await strikeService.recordRemoval(req, 'short', short, reason);
+
+    await auditService.log(req, {
+      action: 'content_deleted',
+      targetType: 'short',
+      targetId: short._id,
+      targetLabel: short.title,
+      before: auditService.snapshot(short, CONTENT_AUDIT_FIELDS),
+      reason
+    });
 
     res.json({
       success: true,
@@ -643,6 +874,8 @@ exports.approveJournalist = async (req, res) => {
       });
     }
 
+    const before = auditService.snapshot(journalist, USER_AUDIT_FIELDS);
+
     journalist.status = 'active';
     journalist.isVerified = true;
     journalist.verificationDate = new Date();
@@ -653,6 +886,16 @@ exports.approveJournalist = async (req, res) => {
     
     await journalist.save();
 
+    await auditService.log(req, {
+      action: 'journalist_approved',
+      targetType: 'user',
+      targetId: journalist._id,
+      targetLabel: journalist.username,
+      before,
+      after: auditService.snapshot(journalist, USER_AUDIT_FIELDS),
+      reason: notes
+    });
+
     // TODO: Send notification email to journalist
 
     res.json({
@@ -692,6 +935,8 @@ exports.rejectJournalist = async (req, res) => {
       });
     }
 
+    const before = auditService.snapshot(journalist, USER_AUDIT_FIELDS);
+
     journalist.status = 'rejected';
     journalist.isVerified = false;
     journalist.rejectionDate = new Date();
@@ -703,6 +948,17 @@ exports.rejectJournalist = async (req, res) => {
 
     await journalist.save();
 
+    await auditService.log(req, {
+      action: 'journalist_rejected',
+      targetType: 'user',
+      targetId: journalist._id,
+      targetLabel: journalist.username,
+      before,
+      after: auditService.snapshot(journalist, USER_AUDIT_FIELDS),
+      reason,
+      metadata: notes ? { notes } : {}
+    });
+
     // TODO: Send notification email to journalist with reason
 
     res.json({
@@ -743,6 +999,8 @@ exports.unverifyJournalist = async (req, res) => {
       });
     }
 
+    const before = auditService.snapshot(journalist, USER_AUDIT_FIELDS);
+
     journalist.isVerified = false;
     journalist.unverificationDate = new Date();
     journalist.unverifiedBy = req.userId;
@@ -754,6 +1012,17 @@ exports.unverifyJournalist = async (req, res) => {
 
     await journalist.save();
 
+    await auditService.log(req, {
+      action: 'journalist_unverified',
+      targetType: 'user',
+      targetId: journalist._id,
+      targetLabel: journalist.username,
+      before,
+      after: auditService.snapshot(journalist, USER_AUDIT_FIELDS),
+      reason,
+      metadata: suspensionDuration ? { suspensionDuration } : {}
+    });
+
     // TODO: Send notification email to journalist
 
     res.json({
@@ -942,6 +1211,17 @@ exports.suspendUser = async (req, res) => {
       { $set: updateData }
     );
 
+    await auditService.log(req, {
+      action: 'user_suspended',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.username,
+      before: auditService.snapshot(user, USER_AUDIT_FIELDS),
+      after: auditService.snapshot({ ...user.toObject(), ...updateData }, USER_AUDIT_FIELDS),
+      reason,
+      metadata: duration ? { durationDays: duration } : {}
+    });
+
     res.json({
       success: true,
       message: 'User suspended successfully',
@@ -1017,6 +1297,16 @@ exports.banUser = async (req, res) => {
       { $set: updateData }
     );
 
+    await auditService.log(req, {
+      action: 'user_banned',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.username,
+      before: auditService.snapshot(user, USER_AUDIT_FIELDS),
+      after: auditService.snapshot({ ...user.toObject(), ...updateData }, USER_AUDIT_FIELDS),
+      reason
+    });
+
     res.json({
       success: true,
       message: 'User banned successfully',
@@ -1090,6 +1380,16 @@ exports.unbanUser = async (req, res) => {
       { $set: updateData }
     );
 
+    await auditService.log(req, {
+      action: 'user_unbanned',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.username,
+      before: auditService.snapshot(user, USER_AUDIT_FIELDS),
+      after: auditService.snapshot({ ...user.toObject(), ...updateData }, USER_AUDIT_FIELDS),
+      reason: req.body?.reason
+    });
+
     res.json({
       success: true,
       message: 'User unbanned successfully',
@@ -1113,7 +1413,7 @@ exports.updateUserRole = async (req, res) => {
     const { role } = req.body;
     const userId = req.params.id;
 
-    if (!['user', 'admin', 'journalist'].includes(role)) {
+    if (!['user', 'moderator', 'admin', 'journalist'].includes(role)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid role'
@@ -1144,6 +1444,16 @@ exports.updateUserRole = async (req, res) => {
       { $set: { role: role } }
     );
 
+    await auditService.log(req, {
+      action: 'user_role_changed',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.username,
+      before: { role: oldRole },
+      after: { role },
+      reason: req.body.reason
+    });
+
     // Note: When changing a user to journalist role, they need to go through
     // the proper journalist registration process. This just changes their role.
 
@@ -1165,26 +1475,53 @@ exports.updateUserRole = async (req, res) => {
   }
 };
 
-// Obtenir les logs d'audit (simplifiés pour l'instant)
+// Obtenir les logs d'audit (filtres: actor, action, targetType, targetId, from, to; format=csv pour l'export)
 exports.getAuditLogs = async (req, res) => {
   try {
     const {
       page = 1,
-      limit = 50
+      limit = 50,
+      format,
+      actor,
+      action,
+      targetType,
+      targetId,
+      from,
+      to
     } = req.query;
 
-    // TODO: Implémenter un système de logs complet
-    // Pour l'instant, retourner une structure vide
-    
+    const filters = { actor, action, targetType, targetId, from, to };
+    const validationError = auditService.validateQuery(filters);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (format === 'csv') {
+      const csv = await auditService.exportCsv(filters);
+      const filename = `audit-logs-${new Date().toISOString().slice(0, 10)}.csv`;
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(csv);
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(200, Math.max(1, parseInt(limit) || 50));
+
+    const { logs, total } = await auditService.getLogs(filters, { page: pageNum, limit: limitNum });
+
     res.json({
       success: true,
       data: {
-        logs: [],
+        logs: logs.map(log => ({ ...log, id: log._id })),
         pagination: {
-          currentPage: parseInt(page),
-          totalPages: 0,
-          totalItems: 0,
-          itemsPerPage: parseInt(limit)
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalItems: total,
+          itemsPerPage: limitNum
         }
       }
     });
@@ -1603,6 +1940,7 @@ exports.getReportsByTarget = async (req, res) => {
       }
       case 'comment': {
         const comment = await Comment.findById(targetId)
+          .select('+revisions')
           .populate('author', 'name username email avatarUrl')
           .populate('post', 'title');
         if (comment) {
@@ -1611,7 +1949,11 @@ exports.getReportsByTarget = async (req, res) => {
             content: comment.content,
             author: comment.author,
             post: comment.post,
-            createdAt: comment.createdAt
+            createdAt: comment.createdAt,
+            isEdited: comment.isEdited || false,
+            editedAt: comment.editedAt || null,
+            // Previous versions, oldest first; each report keeps its own contentSnapshot
+            revisions: comment.revisions || []
           };
         }
         break;
@@ -45,7 +45,7 @@ const SUCCESS_MESSAGES = {
 /**
  * Valid user roles
  */
-const VALID_ROLES = ['user', 'admin', 'journalist'];
+const VALID_ROLES = ['user', 'moderator', 'admin', 'journalist'];
 
 /**
  * Report target types
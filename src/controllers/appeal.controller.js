@@ -0,0 +1,105 @@
+const appealService = require('../services/appeal.service');
+const { clearCache } = require('../middleware/cache.middleware');
+
+// Responds to a service error: coded errors are safe to show, others are logged
+const sendError = (res, error, fallbackMessage, context) => {
+  if (!error.code) {
+    console.error(`[APPEAL] ${fallbackMessage}:`, { ...context, error: error.message });
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.code ? error.message : fallbackMessage,
+    code: error.code
+  });
+};
+
+// Appeal the removal of one of your posts (postId, justification)
+exports.submitAppeal = async (req, res) => {
+  try {
+    const { postId, justification } = req.body || {};
+    const appeal = await appealService.submit(req.user, postId, justification);
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted',
+      data: appeal
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to submit appeal', { userId: req.user._id });
+  }
+};
+
+exports.getMyAppeals = async (req, res) => {
+  try {
+    const appeals = await appealService.listMine(req.user._id);
+
+    res.json({
+      success: true,
+      data: appeals
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get appeals', { userId: req.user._id });
+  }
+};
+
+// Appeals awaiting review (status, page, limit), without those of the reviewer's own removals
+exports.getQueue = async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const data = await appealService.listQueue(req.user, { status, page, limit });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get appeal queue', { userId: req.user._id });
+  }
+};
+
+// An appeal with its timeline, for its author or the staff
+exports.getAppeal = async (req, res) => {
+  try {
+    const appeal = await appealService.get(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: appeal
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get appeal', { appealId: req.params.id });
+  }
+};
+
+exports.claimAppeal = async (req, res) => {
+  try {
+    const appeal = await appealService.claim(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Appeal under review',
+      data: appeal
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to claim appeal', { appealId: req.params.id });
+  }
+};
+
+// Reinstate the post or uphold its removal (decision, note)
+exports.decideAppeal = async (req, res) => {
+  try {
+    const { decision, note } = req.body || {};
+    const appeal = await appealService.decide(req, req.params.id, { decision, note });
+    if (appeal.status === 'reinstated') {
+      clearCache('posts');
+    }
+
+    res.json({
+      success: true,
+      message: appeal.status === 'reinstated' ? 'Post reinstated' : 'Removal upheld',
+      data: appeal
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to decide appeal', { appealId: req.params.id });
+  }
+};
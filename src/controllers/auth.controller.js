@@ -1,6 +1,11 @@
 /* eslint-disable */
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
-const { generateToken, verifyToken } = require('../middleware/auth.middleware');
+const AuthService = require('../services/auth.service');
+const identityService = require('../services/identity.service');
+const searchService = require('../services/search.service');
+const sessionService = require('../services/session.service');
+const twoFactorService = require('../services/twoFactor.service');
 
 // Helper function to get base URL from request
 const getBaseUrl = (req) => {
@@ -154,7 +159,8 @@ exports.register = async (req, res) => {
         organization: organization || 'indépendant',
         pressCard,
         isVerified: !!pressCard, // Auto-verify if press card is provided
-        ...otherData
+        ...otherData,
+        emailVerified: false
       });
     } else {
       // Validate username for regular users
@@ -172,7 +178,8 @@ exports.register = async (req, res) => {
         password,
         username,
         name: name || username, // Use name if provided, otherwise use username
-        ...otherData
+        ...otherData,
+        emailVerified: false
       });
     }
 
@@ -188,8 +195,18 @@ exports.register = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Limited privileges until the email link is confirmed; a failed send must not fail the registration
+    try {
+      await AuthService.issueEmailVerification(user);
+    } catch (emailError) {
+      console.error('[AUTH] Failed to send verification email:', {
+        userId: user._id,
+        error: emailError.message
+      });
+    }
+
+    // Open a device session (access token + refresh token)
+    const { accessToken: token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
 
     console.log('[AUTH] Registration successful:', {
       userId: user._id,
@@ -205,6 +222,8 @@ exports.register = async (req, res) => {
       success: true,
       data: {
         token,
+        refreshToken,
+        expiresIn,
         user: formatUserProfile(req, profileData, isJournalist)
       }
     });
@@ -320,8 +339,27 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Second factor: no tokens until the challenge is completed (POST /auth/2fa/challenge)
+    if (twoFactorService.needsChallenge(user)) {
+      const challenge = twoFactorService.createChallenge(user);
+
+      console.log('[AUTH] Login requires two-factor step-up:', {
+        userId: user._id,
+        enrollmentRequired: challenge.enrollmentRequired,
+        timestamp: new Date().toISOString()
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          requiresTwoFactor: true,
+          ...challenge
+        }
+      });
+    }
+
+    // Open a device session (access token + refresh token)
+    const { accessToken: token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
 
     // Update last active
     await user.updateLastActive();
@@ -340,6 +378,8 @@ exports.login = async (req, res) => {
       success: true,
       data: {
         token,
+        refreshToken,
+        expiresIn,
         user: formatUserProfile(req, profileData, isJournalist)
       }
     });
@@ -364,52 +404,36 @@ exports.refreshToken = async (req, res) => {
   });
 
   try {
-    const { token: oldToken } = req.body;
-    const decoded = verifyToken(oldToken);
+    const { refreshToken } = req.body;
 
-    if (!decoded) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token'
-      });
-    }
-
-    // Try to find user in both collections
-    let _user = await User.findById(decoded.id);
-    let isJournalist = false;
-
-    if (!user) {
-      const user = await Journalist.findById(decoded.id);
-      isJournalist = true;
-    }
-
-    if (!user) {
-      throw new Error('User not found');
-    }
-
-    // Generate new token
-    const token = generateToken(user._id);
+    // Rotates the refresh token: the one sent here can never be used again
+    const result = await sessionService.rotate(refreshToken, req);
 
     console.log('[AUTH] Token refreshed successfully:', {
-      userId: user._id,
-      isJournalist,
+      userId: result.user._id,
+      sessionId: result.session._id,
       timestamp: new Date().toISOString()
     });
 
     res.json({
       success: true,
-      data: { token }
+      data: {
+        token: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn
+      }
     });
   } catch (error) {
     console.error('[AUTH] Token refresh error:', {
       error: error.message,
-      stack: error.stack,
+      code: error.code,
       timestamp: new Date().toISOString()
     });
 
-    res.status(401).json({
+    res.status(error.status || 401).json({
       success: false,
       message: 'Token refresh failed',
+      code: error.code || 'INVALID_REFRESH_TOKEN',
       error: error.message
     });
   }
@@ -660,8 +684,16 @@ exports.updateProfile = async (req, res) => {
       });
     }
 
+    const nameChanged = req.user.isModified('name') || req.user.isModified('username');
     await req.user.save();
 
+    // Journalist name and username are part of the post search index
+    if (nameChanged && req.isJournalist) {
+      searchService.reindexJournalistPosts(req.user._id).catch(error => {
+        console.error('[AUTH] Search reindex failed:', { userId: req.user._id, error: error.message });
+      });
+    }
+
     console.log('[AUTH] Profile updated successfully:', {
       userId: req.user._id,
       updates,
@@ -722,8 +754,14 @@ exports.changePassword = async (req, res) => {
     req.user.password = newPassword;
     await req.user.save();
 
+    // Sign out every other device; the current session stays valid
+    const revokedSessions = await sessionService.revokeAllSessions(req.user._id, 'password_changed', {
+      exceptSessionId: req.sessionId
+    });
+
     console.log('[AUTH] Password changed successfully:', {
       userId: req.user._id,
+      revokedSessions,
       timestamp: new Date().toISOString()
     });
 
@@ -747,6 +785,131 @@ exports.changePassword = async (req, res) => {
   }
 };
 
+exports.forgotPassword = async (req, res) => {
+  console.log('[AUTH] Password reset requested:', {
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const sent = await AuthService.issuePasswordReset(req.body.email);
+
+    console.log('[AUTH] Password reset request processed:', {
+      emailSent: sent,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[AUTH] Forgot password error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Same answer whether or not the account exists
+  res.json({
+    success: true,
+    message: 'If an account exists for this email, a reset link has been sent'
+  });
+};
+
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    const user = await AuthService.resetPassword(token, newPassword);
+
+    console.log('[AUTH] Password reset successful:', {
+      userId: user._id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please sign in again'
+    });
+  } catch (error) {
+    console.error('[AUTH] Reset password error:', {
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to reset password',
+      code: error.code || 'RESET_FAILED'
+    });
+  }
+};
+
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await AuthService.verifyEmail(req.body.token);
+
+    console.log('[AUTH] Email verified:', {
+      userId: user._id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        emailVerified: true,
+        emailVerifiedAt: user.emailVerifiedAt
+      }
+    });
+  } catch (error) {
+    console.error('[AUTH] Verify email error:', {
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.code ? error.message : 'Email verification failed',
+      code: error.code || 'VERIFICATION_FAILED'
+    });
+  }
+};
+
+exports.resendVerification = async (req, res) => {
+  try {
+    const { sent, expiresAt } = await AuthService.issueEmailVerification(req.user);
+
+    if (!sent) {
+      return res.status(503).json({
+        success: false,
+        message: 'Verification email could not be sent, please try again later',
+        code: 'EMAIL_NOT_SENT'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+      data: { expiresAt }
+    });
+  } catch (error) {
+    console.error('[AUTH] Resend verification error:', {
+      userId: req.user._id,
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to send verification email',
+      code: error.code || 'VERIFICATION_FAILED'
+    });
+  }
+};
 
 exports.logout = async (req, res) => {
   console.log('[AUTH] Logout attempt:', {
@@ -758,9 +921,18 @@ exports.logout = async (req, res) => {
     // Update last active timestamp before logout
     await req.user.updateLastActive();
 
+    // Revoke this device's session, or every session with { allDevices: true }
+    let revokedSessions = 0;
+    if (req.body?.allDevices === true) {
+      revokedSessions = await sessionService.revokeAllSessions(req.user._id, 'logout');
+    } else if (req.sessionId) {
+      revokedSessions = (await sessionService.revokeSession(req.sessionId, req.user._id, 'logout')) ? 1 : 0;
+    }
+
     res.json({
       success: true,
-      message: 'Logged out successfully'
+      message: 'Logged out successfully',
+      data: { revokedSessions }
     });
   } catch (error) {
     console.error('[AUTH] Logout error:', {
@@ -790,30 +962,174 @@ exports.googleSignIn = async (req, res) => {
       });
     }
 
-    // TODO: Implement Google OAuth verification
-    // This would require setting up Google OAuth credentials and verifying the token
-    // For now, return a not implemented response
-    
-    return res.status(501).json({
-      success: false,
-      message: 'Google Sign-In not implemented yet'
+    // Signature, issuer, expiry and audience (our OAuth client IDs) are checked here
+    const profile = await identityService.verifyIdToken('google', idToken);
+    const { user, isNewUser } = await identityService.signIn(profile);
+    const isJournalist = user.role === 'journalist';
+
+    if (user.status === 'banned') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is permanently banned',
+        code: 'ACCOUNT_BANNED'
+      });
+    }
+
+    if (user.status === 'suspended' && !(user.suspendedUntil && new Date() > new Date(user.suspendedUntil))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is suspended',
+        code: 'ACCOUNT_SUSPENDED',
+        details: {
+          suspensionReason: user.suspensionReason || 'No reason provided',
+          suspendedUntil: user.suspendedUntil
+        }
+      });
+    }
+
+    if (twoFactorService.needsChallenge(user)) {
+      return res.json({
+        success: true,
+        data: {
+          requiresTwoFactor: true,
+          isNewUser,
+          ...twoFactorService.createChallenge(user)
+        }
+      });
+    }
+
+    // Open a device session (access token + refresh token)
+    const { accessToken: token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+
+    await user.updateLastActive();
+
+    console.log('[AUTH] Google Sign-In successful:', {
+      userId: user._id,
+      isNewUser,
+      timestamp: new Date().toISOString()
     });
 
+    const profileData = user.getPublicProfile(user);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+        isNewUser,
+        user: formatUserProfile(req, profileData, isJournalist)
+      }
+    });
   } catch (error) {
     console.error('[AUTH] Google Sign-In error:', {
       error: error.message,
-      stack: error.stack,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.code ? error.message : 'Google Sign-In failed',
+      code: error.code || 'GOOGLE_SIGN_IN_FAILED'
+    });
+  }
+};
+
+exports.getIdentities = async (req, res) => {
+  try {
+    const identities = await identityService.listIdentities(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        hasPassword: req.user.hasPassword !== false,
+        identities: identities.map(identity => identity.getPublicData())
+      }
+    });
+  } catch (error) {
+    console.error('[AUTH] Get identities error:', {
+      userId: req.user._id,
+      error: error.message,
       timestamp: new Date().toISOString()
     });
 
     res.status(500).json({
       success: false,
-      message: 'Google Sign-In failed',
+      message: 'Failed to get linked accounts',
       error: error.message
     });
   }
 };
 
+exports.linkIdentity = async (req, res) => {
+  const { provider } = req.params;
+
+  try {
+    const profile = await identityService.verifyIdToken(provider, req.body.idToken);
+    const identity = await identityService.link(req.user, profile);
+
+    console.log('[AUTH] Identity linked:', {
+      userId: req.user._id,
+      provider,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Account linked successfully',
+      data: { identity: identity.getPublicData() }
+    });
+  } catch (error) {
+    console.error('[AUTH] Link identity error:', {
+      userId: req.user._id,
+      provider,
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to link account',
+      code: error.code || 'LINK_FAILED'
+    });
+  }
+};
+
+exports.unlinkIdentity = async (req, res) => {
+  const { provider } = req.params;
+
+  try {
+    await identityService.unlink(req.user, provider);
+
+    console.log('[AUTH] Identity unlinked:', {
+      userId: req.user._id,
+      provider,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Account unlinked successfully'
+    });
+  } catch (error) {
+    console.error('[AUTH] Unlink identity error:', {
+      userId: req.user._id,
+      provider,
+      error: error.message,
+      code: error.code,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to unlink account',
+      code: error.code || 'UNLINK_FAILED'
+    });
+  }
+};
+
 // Delete Account
 exports.deleteAccount = async (req, res) => {
   console.log('[AUTH] Delete account attempt:', {
@@ -830,6 +1146,7 @@ exports.deleteAccount = async (req, res) => {
     const Post = require('../models/post.model');
     const Comment = require('../models/comment.model');
     const Notification = require('../models/notification.model');
+    const Session = require('../models/session.model');
     
     // Delete all user's posts
     await Post.deleteMany({ author: userId });
@@ -851,6 +1168,11 @@ exports.deleteAccount = async (req, res) => {
       { $pull: { following: userId } }
     );
     
+    // Sign out every device before removing the sessions with the account
+    await sessionService.revokeAllSessions(userId, 'account_deleted');
+    await Session.deleteMany({ user: userId });
+    await identityService.deleteUserIdentities(userId);
+
     // Delete the user account
     await User.findByIdAndDelete(userId);
     
@@ -878,3 +1200,297 @@ exports.deleteAccount = async (req, res) => {
     });
   }
 };
+
+// List the signed-in devices of the current user
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => session.getPublicData(req.sessionId))
+      }
+    });
+  } catch (error) {
+    console.error('[AUTH] Get sessions error:', {
+      userId: req.user._id,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get sessions',
+      error: error.message
+    });
+  }
+};
+
+// Revoke one device session
+exports.revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const revoked = await sessionService.revokeSession(sessionId, req.user._id, 'user_revoked');
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    console.log('[AUTH] Session revoked:', {
+      userId: req.user._id,
+      sessionId,
+      isCurrent: sessionId === req.sessionId,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('[AUTH] Revoke session error:', {
+      userId: req.user._id,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+// Revoke every session except the current one
+exports.revokeOtherSessions = async (req, res) => {
+  try {
+    const revokedSessions = await sessionService.revokeAllSessions(req.user._id, 'user_revoked', {
+      exceptSessionId: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: 'Other sessions revoked',
+      data: { revokedSessions }
+    });
+  } catch (error) {
+    console.error('[AUTH] Revoke other sessions error:', {
+      userId: req.user._id,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: error.message
+    });
+  }
+};
+
+// Two-factor authentication
+
+// Errors thrown by the 2FA service carry their own status and code
+const sendTwoFactorError = (req, res, error, action) => {
+  console.error(`[AUTH] ${action} error:`, {
+    userId: req.user?._id,
+    error: error.message,
+    code: error.code,
+    timestamp: new Date().toISOString()
+  });
+
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.code ? error.message : `${action} failed`,
+    code: error.code || 'TWO_FACTOR_FAILED'
+  });
+};
+
+// Second login step: TOTP or backup code (or first TOTP code for a mandatory enrollment)
+exports.completeTwoFactorChallenge = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const { userId, enrollment } = twoFactorService.verifyChallenge(challengeToken);
+
+    const user = await User.findById(userId);
+    if (!user || user.status === 'banned') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired two-factor challenge',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    let backupCodes;
+    let backupCodesRemaining;
+    if (enrollment) {
+      backupCodes = await twoFactorService.confirmEnrollment(user, code);
+    } else {
+      ({ backupCodesRemaining } = await twoFactorService.verifyCode(user._id, code));
+    }
+
+    const { accessToken: token, refreshToken, expiresIn } = await sessionService.createSession(user, req);
+    await user.updateLastActive();
+
+    console.log('[AUTH] Two-factor challenge completed:', {
+      userId: user._id,
+      enrollment,
+      timestamp: new Date().toISOString()
+    });
+
+    const profileData = user.getPublicProfile(user);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+        expiresIn,
+        // Shown once, right after a mandatory enrollment
+        backupCodes,
+        backupCodesRemaining,
+        user: formatUserProfile(req, { ...profileData, twoFactorEnabled: true }, user.role === 'journalist')
+      }
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'Two-factor challenge');
+  }
+};
+
+// Secret for a mandatory enrollment, before the user has any session
+exports.startTwoFactorChallengeEnrollment = async (req, res) => {
+  try {
+    const { userId, enrollment } = twoFactorService.verifyChallenge(req.body.challengeToken);
+    if (!enrollment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired two-factor challenge',
+        code: 'INVALID_CHALLENGE'
+      });
+    }
+
+    const { secret, otpauthUrl } = await twoFactorService.beginEnrollment(user);
+
+    res.json({
+      success: true,
+      data: { secret, otpauthUrl }
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'Two-factor setup');
+  }
+};
+
+exports.getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'Get two-factor status');
+  }
+};
+
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    await twoFactorService.confirmPassword(req.user._id, req.body.password);
+    const { secret, otpauthUrl } = await twoFactorService.beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      data: { secret, otpauthUrl }
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'Two-factor setup');
+  }
+};
+
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const backupCodes = await twoFactorService.confirmEnrollment(req.user, req.body.code);
+
+    console.log('[AUTH] Two-factor authentication enabled:', {
+      userId: req.user._id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'Enable two-factor');
+  }
+};
+
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (twoFactorService.isRequired(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is mandatory for this account',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    await twoFactorService.confirmPassword(req.user._id, password);
+    await twoFactorService.verifyCode(req.user._id, code);
+    await twoFactorService.disable(req.user);
+
+    console.log('[AUTH] Two-factor authentication disabled:', {
+      userId: req.user._id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'Disable two-factor');
+  }
+};
+
+exports.regenerateBackupCodes = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    await twoFactorService.confirmPassword(req.user._id, password);
+    await twoFactorService.verifyCode(req.user._id, code);
+    const backupCodes = await twoFactorService.regenerateBackupCodes(req.user);
+
+    res.json({
+      success: true,
+      message: 'Backup codes regenerated',
+      data: { backupCodes }
+    });
+  } catch (error) {
+    sendTwoFactorError(req, res, error, 'Regenerate backup codes');
+  }
+};
@@ -0,0 +1,198 @@
+const collectionService = require('../services/collection.service');
+
+// Responds to a service error: coded errors are safe to show, others are logged
+const sendError = (res, error, fallbackMessage, context) => {
+  if (!error.code) {
+    console.error(`[COLLECTION] ${fallbackMessage}:`, { ...context, error: error.message });
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.code ? error.message : fallbackMessage,
+    code: error.code
+  });
+};
+
+// Collections of the current user
+exports.getCollections = async (req, res) => {
+  try {
+    const collections = await collectionService.list(req.user._id);
+
+    res.json({
+      success: true,
+      data: { collections }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get collections', { userId: req.user._id });
+  }
+};
+
+// Create a collection (name, description, isPublic)
+exports.createCollection = async (req, res) => {
+  try {
+    const collection = await collectionService.create(req.user._id, req.body || {});
+
+    res.status(201).json({
+      success: true,
+      message: 'Collection created',
+      data: collection
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create collection', { userId: req.user._id });
+  }
+};
+
+// A collection with its posts (owner, or anyone when public)
+exports.getCollection = async (req, res) => {
+  try {
+    const collection = await collectionService.get(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get collection', { collectionId: req.params.id });
+  }
+};
+
+// A public collection opened from its share link, signed in or not
+exports.getSharedCollection = async (req, res) => {
+  try {
+    const collection = await collectionService.getShared(req.params.token, req.user);
+
+    res.json({
+      success: true,
+      data: collection
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get collection', {});
+  }
+};
+
+// Rename, describe, or make a collection public (new share link) or private
+exports.updateCollection = async (req, res) => {
+  try {
+    const collection = await collectionService.update(req.user._id, req.params.id, req.body || {});
+
+    res.json({
+      success: true,
+      message: 'Collection updated',
+      data: collection
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update collection', { collectionId: req.params.id });
+  }
+};
+
+// Delete a collection, its posts stay bookmarked
+exports.deleteCollection = async (req, res) => {
+  try {
+    await collectionService.remove(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Collection deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete collection', { collectionId: req.params.id });
+  }
+};
+
+// Add a post to a collection (bookmarks it)
+exports.addItem = async (req, res) => {
+  try {
+    await collectionService.addItem(req.user._id, req.params.id, req.body?.postId, req.body?.note);
+
+    res.status(201).json({
+      success: true,
+      message: 'Post added to collection'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to add post to collection', { collectionId: req.params.id });
+  }
+};
+
+// Change the note of a post in a collection
+exports.updateItem = async (req, res) => {
+  try {
+    await collectionService.updateItem(req.user._id, req.params.id, req.params.postId, req.body?.note);
+
+    res.json({
+      success: true,
+      message: 'Note updated'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update note', { collectionId: req.params.id });
+  }
+};
+
+// Take a post out of a collection, it stays bookmarked
+exports.removeItem = async (req, res) => {
+  try {
+    await collectionService.removeItem(req.user._id, req.params.id, req.params.postId);
+
+    res.json({
+      success: true,
+      message: 'Post removed from collection'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to remove post from collection', { collectionId: req.params.id });
+  }
+};
+
+// Reorder the posts of a collection (postIds: every post, in the new order)
+exports.reorderItems = async (req, res) => {
+  try {
+    await collectionService.reorder(req.user._id, req.params.id, req.body?.postIds);
+
+    res.json({
+      success: true,
+      message: 'Collection reordered'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to reorder collection', { collectionId: req.params.id });
+  }
+};
+
+// Public collections followed by the current user
+exports.getFollowedCollections = async (req, res) => {
+  try {
+    const collections = await collectionService.listFollowed(req.user._id);
+
+    res.json({
+      success: true,
+      data: { collections }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get followed collections', { userId: req.user._id });
+  }
+};
+
+// Follow another user's public collection
+exports.followCollection = async (req, res) => {
+  try {
+    const followersCount = await collectionService.follow(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Collection followed',
+      data: { isFollowing: true, followersCount }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to follow collection', { collectionId: req.params.id });
+  }
+};
+
+exports.unfollowCollection = async (req, res) => {
+  try {
+    const followersCount = await collectionService.unfollow(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Collection unfollowed',
+      data: { isFollowing: false, followersCount }
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to unfollow collection', { collectionId: req.params.id });
+  }
+};
@@ -5,6 +5,13 @@ const NotificationService = require('../services/notification.service');
 const { clearCache } = require('../middleware/cache.middleware');
 const ResponseHelper = require('../utils/responseHelper');
 const socketService = require('../services/socket.service');
+const mentionService = require('../services/mention.service');
+const commentService = require('../services/comment.service');
+const blockService = require('../services/block.service');
+const moderationService = require('../services/moderation.service');
+const contentFilterService = require('../services/contentFilter.service');
+const brigadingService = require('../services/brigading.service');
+const commentsConfig = require('../config/comments');
 
 // Helper function to format comment data
 const formatCommentData = (req, commentData) => {
@@ -21,6 +28,19 @@ const formatCommentData = (req, commentData) => {
   return commentData;
 };
 
+const AUTHOR_POPULATE = {
+  path: 'author',
+  model: 'User',
+  select: '_id name fullName username avatarUrl profileImage verified isVerified journalistRole organization'
+};
+
+// A comment with its nested replies (see commentService.buildThreads)
+const formatThreadNode = (req, node, userId) => ({
+  ...formatCommentData(req, node.comment.getPublicData(userId)),
+  replies: node.replies.map(reply => formatThreadNode(req, reply, userId)),
+  continueThread: node.continueThread
+});
+
 exports.createComment = async (req, res) => {
   const isReply = !!req.body.parentComment || !!req.body.parentCommentId;
   const parentId = req.body.parentComment || req.body.parentCommentId || null;
@@ -37,14 +57,42 @@ exports.createComment = async (req, res) => {
       });
     }
 
+    const verdict = await contentFilterService.screen('comment', { content: req.body.content });
+    if (verdict.action === 'reject') {
+      await contentFilterService.recordHits(verdict, { targetType: 'comment', author: req.user._id });
+      return res.status(400).json({
+        success: false,
+        message: 'Ce commentaire enfreint les règles de la communauté',
+        code: 'CONTENT_REJECTED'
+      });
+    }
+
     const comment = new Comment({
       content: req.body.content,
       post: req.params.postId,
       author: req.user._id,
       parentComment: parentId
     });
+    comment.mentions = await mentionService.resolveMentions(comment.content, req.user._id);
+    if (verdict.hidden) {
+      comment.status = 'hidden';
+    }
 
     await comment.save();
+    await contentFilterService.recordHits(verdict, { targetType: 'comment', targetId: comment._id, author: req.user._id });
+
+    // Held by the content filter: not counted, notified or broadcast until an admin approves it
+    if (verdict.hidden) {
+      console.log(`[COMMENT] ${isReply ? 'Reply' : 'Comment'} held for moderation | id: ${comment._id}`);
+      return res.status(202).json({
+        success: true,
+        message: 'Commentaire en attente de modération',
+        code: 'PENDING_MODERATION',
+        data: {
+          comment: formatCommentData(req, comment.getPublicData(req.user._id))
+        }
+      });
+    }
 
     // Update post's comment count atomically
     const updateOps = {
@@ -85,8 +133,9 @@ exports.createComment = async (req, res) => {
     await NotificationService.notifyComment(post._id, comment._id, req.user._id, post.journalist);
 
     // If this is a reply to another comment, notify the parent comment author
+    let parentComment = null;
     if (parentId) {
-      const parentComment = await Comment.findById(parentId);
+      parentComment = await Comment.findById(parentId);
 
       if (parentComment) {
         // Verify reply relationship
@@ -109,6 +158,14 @@ exports.createComment = async (req, res) => {
       }
     }
 
+    // Mentioned users, except those already notified above
+    await mentionService.notifyMentions(Comment, comment, {
+      authorId: req.user._id,
+      postId: post._id,
+      commentId: comment._id,
+      excludeIds: [post.journalist, parentComment?.author?._id || parentComment?.author]
+    });
+
     console.log(`✅ [COMMENT] ${isReply ? 'Reply' : 'Comment'} created | id: ${comment._id}`);
 
     // Invalidate cache after creating a comment
@@ -165,30 +222,31 @@ exports.getComments = async (req, res) => {
   });
 
   try {
-    const { page = 1, limit = 20, parentComment = null, sortBy = 'recent' } = req.query;
+    const { page = 1, limit = 20, parentComment = null, sortBy, depth = 0 } = req.query;
     const skip = (page - 1) * limit;
-    const sort = sortBy === 'popular' ? { 'likes.length': -1, createdAt: -1 } : { createdAt: -1 };
+    // newest, oldest, top, replies, controversial - pinned comments always come first
+    const sort = commentService.normalizeSort(sortBy);
 
     // Get banned user IDs to exclude their comments
     const User = require('../models/user.model');
     const bannedUsers = await User.find({ status: 'banned' }).select('_id');
-    const bannedUserIds = bannedUsers.map(u => u._id);
+    // ...and the comments of accounts blocked by (or blocking) the viewer
+    const bannedUserIds = [...bannedUsers.map(u => u._id), ...await blockService.getBlockedIds(req.user?._id)];
 
-    const comments = await Comment.find({
+    const comments = await commentService.findSorted({
       post: req.params.postId,
       parentComment,
       status: 'active',
       isDeleted: { $ne: true },
       ...(bannedUserIds.length > 0 && { author: { $nin: bannedUserIds } })
-    })
-      .populate({
-        path: 'author',
-        model: 'User',
-        select: '_id name fullName username avatarUrl profileImage verified isVerified journalistRole organization'
-      })
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    }, { sort, skip, limit: parseInt(limit) }, AUTHOR_POPULATE);
+
+    // Optional nested replies, in the same format as GET /replies/:commentId
+    const threadDepth = Math.min(Math.max(parseInt(depth, 10) || 0, 0), commentsConfig.thread.maxDisplayDepth);
+    const threads = await commentService.buildThreads(comments, {
+      depth: threadDepth,
+      filter: bannedUserIds.length > 0 ? { author: { $nin: bannedUserIds } } : {}
+    }, AUTHOR_POPULATE);
 
     const total = await Comment.countDocuments({
       post: req.params.postId,
@@ -210,23 +268,10 @@ exports.getComments = async (req, res) => {
     res.json({
       success: true,
       data: {
-        comments: await Promise.all(comments.map(async comment => {
-          const data = formatCommentData(req, comment.getPublicData(userId));
-          console.log('[COMMENT] Comment data:', {
-            commentId: comment._id.toString(),
-            userId: userId ? userId.toString() : 'NOT_AUTHENTICATED',
-            likesCount: comment.likes?.length || 0,
-            isLiked: data.isLiked,
-            likes: comment.likes?.map(l => l.user.toString()) || []
-          });
-          // Get reply count
-          const replyCount = await Comment.countDocuments({
-            parentComment: comment._id,
-            status: 'active',
-            isDeleted: { $ne: true }
-          });
-          return { ...data, replyCount };
-        })),
+        sortBy: sort,
+        comments: threads.map(node => threadDepth > 0
+          ? formatThreadNode(req, node, userId)
+          : formatCommentData(req, node.comment.getPublicData(userId))),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / limit),
@@ -235,6 +280,14 @@ exports.getComments = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.code) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     console.error('[COMMENT] Get comments error:', {
       error: error.message,
       stack: error.stack,
@@ -252,38 +305,21 @@ exports.getComments = async (req, res) => {
 exports.getReplies = async (req, res) => {
   console.log('[COMMENT] Get replies request:', {
     commentId: req.params.commentId,
+    cursor: req.query.cursor || null,
     timestamp: new Date().toISOString()
   });
 
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
-
-    const replies = await Comment.find({
-      parentComment: req.params.commentId,
-      status: 'active',
-      isDeleted: { $ne: true }
-    })
-      .populate({
-        path: 'author',
-        model: 'User',
-        select: '_id name fullName username avatarUrl profileImage verified isVerified journalistRole organization'
-      })
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Comment.countDocuments({
-      parentComment: req.params.commentId,
-      status: 'active',
-      isDeleted: { $ne: true }
-    });
+    const { cursor, limit, depth } = req.query;
+    // Replies of accounts blocked by (or blocking) the viewer are hidden
+    const excludeAuthors = await blockService.getBlockedIds(req.user?._id);
+    const thread = await commentService.getThread(req.params.commentId, { cursor, limit, depth, excludeAuthors }, AUTHOR_POPULATE);
 
     const userId = req.user?._id;
     console.log('[COMMENT] Replies fetched successfully:', {
       commentId: req.params.commentId,
-      count: replies.length,
-      total,
+      count: thread.replies.length,
+      depth: thread.depth,
       userId: userId ? userId.toString() : 'NOT_AUTHENTICATED',
       timestamp: new Date().toISOString()
     });
@@ -291,25 +327,24 @@ exports.getReplies = async (req, res) => {
     res.json({
       success: true,
       data: {
-        replies: replies.map(reply => {
-          const data = formatCommentData(req, reply.getPublicData(userId));
-          console.log('[COMMENT] Reply data:', {
-            replyId: reply._id.toString(),
-            userId: userId ? userId.toString() : 'NOT_AUTHENTICATED',
-            likesCount: reply.likes?.length || 0,
-            isLiked: data.isLiked,
-            likes: reply.likes?.map(l => l.user.toString()) || []
-          });
-          return data;
-        }),
+        replies: thread.replies.map(node => formatThreadNode(req, node, userId)),
+        depth: thread.depth,
         pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(total / limit),
-          totalComments: total
+          nextCursor: thread.nextCursor,
+          hasMore: !!thread.nextCursor,
+          totalReplies: thread.comment.replyCount || 0
         }
       }
     });
   } catch (error) {
+    if (error.code) {
+      return res.status(error.status || 400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
     console.error('[COMMENT] Get replies error:', {
       error: error.message,
       stack: error.stack,
@@ -356,9 +391,57 @@ exports.updateComment = async (req, res) => {
       });
     }
 
-    comment.content = req.body.content;
-    comment.isEdited = true;
-    await comment.save();
+    const verdict = req.body.content !== comment.content
+      ? await contentFilterService.screen('comment', { content: req.body.content })
+      : { action: null, hidden: false, hits: [] };
+    if (verdict.action === 'reject') {
+      await contentFilterService.recordHits(verdict, { targetType: 'comment', author: req.user._id });
+      return res.status(400).json({
+        success: false,
+        message: 'Ce commentaire enfreint les règles de la communauté',
+        code: 'CONTENT_REJECTED'
+      });
+    }
+
+    // The replaced content is kept in the comment's revision history
+    const mentions = await mentionService.resolveMentions(req.body.content, req.user._id);
+    const edited = await comment.edit(req.body.content, mentions);
+    if (!edited) {
+      return res.status(409).json({
+        success: false,
+        message: 'Comment was modified in the meantime, reload it and try again',
+        code: 'EDIT_CONFLICT'
+      });
+    }
+
+    const previousStatus = comment.status;
+    let hidden = false;
+    if (verdict.hidden && comment.status === 'active') {
+      const { modifiedCount } = await Comment.updateOne(
+        { _id: comment._id, status: 'active' },
+        { $set: { status: 'hidden' } }
+      );
+      hidden = modifiedCount > 0;
+      if (hidden) {
+        comment.status = 'hidden';
+        await Comment.adjustThreadCounts(comment, -(1 + (comment.descendantCount || 0)), -1);
+      }
+    }
+    await contentFilterService.recordHits(verdict, {
+      targetType: 'comment',
+      targetId: comment._id,
+      author: req.user._id,
+      previousStatus
+    });
+
+    // Only users newly mentioned by the edit are notified, once the comment is visible
+    if (comment.status === 'active') {
+      await mentionService.notifyMentions(Comment, comment, {
+        authorId: req.user._id,
+        postId: comment.post,
+        commentId: comment._id
+      });
+    }
 
     // Populate author details for response - always use User model
     await comment.populate({
@@ -372,6 +455,15 @@ exports.updateComment = async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
+    if (hidden) {
+      return res.status(202).json({
+        success: true,
+        message: 'Commentaire en attente de modération',
+        code: 'PENDING_MODERATION',
+        data: formatCommentData(req, comment.getPublicData(req.user?._id))
+      });
+    }
+
     // Emit Socket.IO event for real-time comment update
     socketService.broadcastToRoom(`post:${comment.post}`, 'comment:updated', {
       comment: formatCommentData(req, comment.getPublicData(req.user?._id)),
@@ -431,41 +523,37 @@ exports.deleteComment = async (req, res) => {
       });
     }
 
+    const wasActive = comment.status === 'active' && !comment.isDeleted;
     comment.status = 'deleted';
     comment.isDeleted = true;
     comment.deletedAt = new Date();
     await comment.save();
 
-    // If this is a parent comment, also delete all its replies
+    // Replies are deleted with the comment, down to the end of the thread
     let deletedRepliesCount = 0;
-    if (!comment.parentComment) {
-      const replies = await Comment.find({
-        parentComment: comment._id,
+    const { modifiedCount } = await Comment.updateMany(
+      {
+        ancestors: comment._id,
         status: 'active',
         isDeleted: { $ne: true }
-      });
-
-      if (replies.length > 0) {
-        await Comment.updateMany(
-          {
-            parentComment: comment._id,
-            status: 'active',
-            isDeleted: { $ne: true }
-          },
-          {
-            $set: {
-              status: 'deleted',
-              isDeleted: true,
-              deletedAt: new Date()
-            }
-          }
-        );
-        deletedRepliesCount = replies.length;
-        console.log('[COMMENT] Also deleted replies:', {
-          commentId: comment._id,
-          repliesCount: deletedRepliesCount
-        });
+      },
+      {
+        $set: {
+          status: 'deleted',
+          isDeleted: true,
+          deletedAt: new Date()
+        }
       }
+    );
+    if (modifiedCount > 0) {
+      deletedRepliesCount = modifiedCount;
+      console.log('[COMMENT] Also deleted replies:', {
+        commentId: comment._id,
+        repliesCount: deletedRepliesCount
+      });
+    }
+    if (wasActive) {
+      await Comment.adjustThreadCounts(comment, -(1 + (comment.descendantCount || 0)), -1);
     }
 
     // Update post's comment count (including the comment + its replies)
@@ -678,6 +766,15 @@ exports.reportComment = async (req, res) => {
     }
 
     await comment.report(req.user._id, req.body.reason);
+    await moderationService.syncTarget('comment', comment._id);
+
+    // Hidden once enough trusted reporters agree, unless the reports look coordinated
+    if (comment.status === 'active') {
+      const { shouldHide } = await brigadingService.evaluateCommentHide(comment);
+      if (shouldHide) {
+        await comment.hide();
+      }
+    }
 
     console.log('[COMMENT] Comment reported successfully:', {
       commentId: comment._id,
@@ -798,3 +895,60 @@ exports.getCommentLikes = async (req, res) => {
     });
   }
 };
+
+// Pin / unpin and journalist's pick: only the journalist of the post
+const setHighlight = (action) => async (req, res) => {
+  console.log('[COMMENT] Highlight comment attempt:', {
+    commentId: req.params.commentId,
+    userId: req.user._id,
+    action,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const comment = action === 'pinned' || action === 'unpinned'
+      ? await commentService.setPinned(req.params.commentId, req.user, action === 'pinned')
+      : await commentService.setJournalistPick(req.params.commentId, req.user, action === 'picked');
+
+    const highlight = {
+      commentId: comment._id,
+      postId: comment.post,
+      isPinned: comment.isPinned || false,
+      isJournalistPick: comment.isJournalistPick || false,
+      action
+    };
+
+    // Emit Socket.IO event so open comment lists re-order and show the markers
+    socketService.broadcastToRoom(`post:${comment.post}`, 'comment:highlighted', highlight);
+
+    console.log('[COMMENT] Comment highlight updated:', {
+      ...highlight,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment updated',
+      data: formatCommentData(req, comment.getPublicData(req.user._id))
+    });
+  } catch (error) {
+    if (!error.code) {
+      console.error('[COMMENT] Highlight comment error:', {
+        error: error.message,
+        stack: error.stack,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to update comment',
+      code: error.code
+    });
+  }
+};
+
+exports.pinComment = setHighlight('pinned');
+exports.unpinComment = setHighlight('unpinned');
+exports.pickComment = setHighlight('picked');
+exports.unpickComment = setHighlight('unpicked');
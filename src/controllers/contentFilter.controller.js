@@ -0,0 +1,112 @@
+const contentFilterService = require('../services/contentFilter.service');
+
+// Responds to a service error: coded errors are safe to show, others are logged
+const sendError = (res, error, fallbackMessage, context) => {
+  if (!error.code) {
+    console.error(`[CONTENT_FILTER] ${fallbackMessage}:`, { ...context, error: error.message });
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.code ? error.message : fallbackMessage,
+    code: error.code
+  });
+};
+
+// Rules by name (isActive, kind)
+exports.getRules = async (req, res) => {
+  try {
+    const rules = await contentFilterService.listRules(req.query);
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get filter rules', { userId: req.user._id });
+  }
+};
+
+exports.createRule = async (req, res) => {
+  try {
+    const rule = await contentFilterService.createRule(req, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Filter rule created',
+      data: rule
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create filter rule', { userId: req.user._id });
+  }
+};
+
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await contentFilterService.updateRule(req, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Filter rule updated',
+      data: rule
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update filter rule', { ruleId: req.params.id });
+  }
+};
+
+exports.deleteRule = async (req, res) => {
+  try {
+    await contentFilterService.deleteRule(req, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Filter rule deleted'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to delete filter rule', { ruleId: req.params.id });
+  }
+};
+
+// Dry run of sample text against the active rules, or against an unsaved `rule`
+exports.testRules = async (req, res) => {
+  try {
+    const { text, targetType, rule } = req.body;
+    const result = await contentFilterService.dryRun({ text, targetType, rule });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to test filter rules', { userId: req.user._id });
+  }
+};
+
+// Hits for review (status, contentAction, targetType, ruleId, page, limit)
+exports.getHits = async (req, res) => {
+  try {
+    const data = await contentFilterService.listHits(req.query);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get filter hits', { userId: req.user._id });
+  }
+};
+
+// Approve (shows held content again) or remove the content of a hit
+exports.reviewHit = async (req, res) => {
+  try {
+    const hit = await contentFilterService.reviewHit(req, req.params.id, req.body.decision);
+
+    res.json({
+      success: true,
+      message: hit.status === 'approved' ? 'Content approved' : 'Content removed',
+      data: hit
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to review filter hit', { hitId: req.params.id });
+  }
+};
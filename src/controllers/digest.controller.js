@@ -0,0 +1,91 @@
+const digestService = require('../services/digest.service');
+
+// Pages for unsubscribe links opened in a browser
+const renderUnsubscribePage = (message, content = '') => `<!DOCTYPE html>
+<html lang="fr">
+<head><meta charset="utf-8"><title>THOT</title></head>
+<body><p>${message}</p>${content}</body>
+</html>`;
+
+// Posts back to the link itself, token included
+const UNSUBSCRIBE_FORM = `<form method="post">
+<input type="hidden" name="confirm" value="1">
+<button type="submit">Se désabonner</button>
+</form>`;
+
+// Get the digest frequency of the current user
+exports.getPreferences = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      frequency: req.user.preferences?.emailDigest?.frequency || 'off'
+    }
+  });
+};
+
+// Change the digest frequency (off, daily, weekly)
+exports.updatePreferences = async (req, res) => {
+  try {
+    const preferences = await digestService.updateFrequency(req.user._id, req.body.frequency);
+
+    res.json({
+      success: true,
+      message: 'Digest preferences updated',
+      data: preferences
+    });
+  } catch (error) {
+    if (!error.code) {
+      console.error('[DIGEST] Update preferences error:', { userId: req.user._id, error: error.message });
+    }
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to update digest preferences',
+      code: error.code
+    });
+  }
+};
+
+// Unsubscribe link from a digest email opened in a browser: only asks for a
+// confirmation, as mail scanners fetch links before the user sees them
+exports.confirmUnsubscribe = (req, res) => {
+  try {
+    digestService.verifyUnsubscribeToken(req.query.token);
+  } catch (error) {
+    return res.status(error.status || 400).send(renderUnsubscribePage('Ce lien de désabonnement n\'est pas valide.'));
+  }
+
+  res.send(renderUnsubscribePage('Ne plus recevoir le résumé par email de THOT ?', UNSUBSCRIBE_FORM));
+};
+
+// Unsubscribe: POST from the confirmation page, or from mail clients
+// supporting one-click unsubscribe (RFC 8058)
+exports.unsubscribe = async (req, res) => {
+  const token = req.query.token || req.body?.token;
+  const fromPage = req.body?.confirm === '1';
+
+  try {
+    await digestService.unsubscribe(token);
+
+    if (fromPage) {
+      return res.send(renderUnsubscribePage('Vous ne recevrez plus le résumé par email de THOT.'));
+    }
+    res.json({
+      success: true,
+      message: 'Unsubscribed from digests'
+    });
+  } catch (error) {
+    if (!error.code) {
+      console.error('[DIGEST] Unsubscribe error:', { error: error.message });
+    }
+    const status = error.status || 500;
+
+    if (fromPage) {
+      return res.status(status).send(renderUnsubscribePage('Ce lien de désabonnement n\'est pas valide.'));
+    }
+    res.status(status).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to unsubscribe',
+      code: error.code
+    });
+  }
+};
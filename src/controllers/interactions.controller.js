@@ -1,7 +1,7 @@
 const Post = require('../models/post.model');
-const User = require('../models/user.model');
 const NotificationService = require('../services/notification.service');
 const socketService = require('../services/socket.service');
+const bookmarkService = require('../services/bookmark.service');
 const { clearCache } = require('../middleware/cache.middleware');
 const ResponseHelper = require('../utils/responseHelper');
 
@@ -176,62 +176,21 @@ exports.toggleBookmark = async (req, res) => {
       (u) => u.user?.toString() === userId.toString()
     );
 
-    let updatedPost;
-
+    // Conditional updates: a concurrent toggle cannot count the same bookmark twice.
+    // Removing a bookmark also takes the post out of the user's collections.
     if (hasBookmarked) {
-      // Remove bookmark atomically
-      updatedPost = await Post.findByIdAndUpdate(
-        postId,
-        {
-          $pull: { 'interactions.bookmarks.users': { user: userId } },
-          $inc: { 'interactions.bookmarks.count': -1 }
-        },
-        { new: true }
-      );
-
-      // Remove from user's bookmarks (and savedPosts for backward compatibility)
-      await User.findByIdAndUpdate(userId, {
-        $pull: {
-          'interactions.bookmarks': postId,
-          'interactions.savedPosts': postId
-        }
-      });
-
-      console.log('[BOOKMARK] Removed bookmark:', {
-        postId,
-        userId,
-        newCount: updatedPost.interactions.bookmarks.count
-      });
+      await bookmarkService.removeBookmark(userId, postId);
     } else {
-      // Add bookmark atomically
-      updatedPost = await Post.findByIdAndUpdate(
-        postId,
-        {
-          $addToSet: {
-            'interactions.bookmarks.users': {
-              user: userId,
-              createdAt: new Date()
-            }
-          },
-          $inc: { 'interactions.bookmarks.count': 1 }
-        },
-        { new: true }
-      );
+      await bookmarkService.addBookmark(userId, postId);
+    }
 
-      // Add to user's bookmarks (and savedPosts for backward compatibility)
-      await User.findByIdAndUpdate(userId, {
-        $addToSet: {
-          'interactions.bookmarks': postId,
-          'interactions.savedPosts': postId
-        }
-      });
+    const updatedPost = await Post.findById(postId);
 
-      console.log('[BOOKMARK] Added bookmark:', {
-        postId,
-        userId,
-        newCount: updatedPost.interactions.bookmarks.count
-      });
-    }
+    console.log(`[BOOKMARK] ${hasBookmarked ? 'Removed' : 'Added'} bookmark:`, {
+      postId,
+      userId,
+      newCount: updatedPost.interactions.bookmarks.count
+    });
 
     // Invalidate cache for posts to prevent "ghost bookmarks"
     try {
@@ -0,0 +1,174 @@
+const moderationService = require('../services/moderation.service');
+const strikeService = require('../services/strike.service');
+
+// Responds to a service error: coded errors are safe to show, others are logged
+const sendError = (res, error, fallbackMessage, context) => {
+  if (!error.code) {
+    console.error(`[MODERATION] ${fallbackMessage}:`, { ...context, error: error.message });
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.code ? error.message : fallbackMessage,
+    code: error.code
+  });
+};
+
+// Prioritized queue (status, targetType, assigned=me|unassigned, overdue=true, held=true, page, limit)
+exports.getQueue = async (req, res) => {
+  try {
+    const { status, targetType, assigned, overdue, held, page, limit } = req.query;
+    const data = await moderationService.getQueue({
+      status,
+      targetType,
+      assigned,
+      overdue: overdue === 'true',
+      held: held === 'true',
+      page,
+      limit
+    }, req.user);
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get moderation queue', { userId: req.user._id });
+  }
+};
+
+// A case with its reports, content snapshots, reporter and author history
+exports.getCase = async (req, res) => {
+  try {
+    const moderationCase = await moderationService.getCase(req.params.id);
+
+    res.json({
+      success: true,
+      data: moderationCase
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get moderation case', { caseId: req.params.id });
+  }
+};
+
+exports.claimCase = async (req, res) => {
+  try {
+    const moderationCase = await moderationService.claim(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Case claimed',
+      data: moderationCase
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to claim case', { caseId: req.params.id });
+  }
+};
+
+exports.releaseCase = async (req, res) => {
+  try {
+    await moderationService.release(req.user, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Case released'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to release case', { caseId: req.params.id });
+  }
+};
+
+// Assign a case to a moderator or admin (admins only)
+exports.assignCase = async (req, res) => {
+  try {
+    const moderationCase = await moderationService.assign(req, req.params.id, req.body?.assigneeId);
+
+    res.json({
+      success: true,
+      message: 'Case assigned',
+      data: moderationCase
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to assign case', { caseId: req.params.id });
+  }
+};
+
+// Resolve one or more cases with the same action (caseIds, actionTaken, resolution)
+exports.resolveCases = async (req, res) => {
+  try {
+    const { caseIds, actionTaken, resolution } = req.body || {};
+    const result = await moderationService.resolve(req, caseIds, { actionTaken, resolution });
+
+    res.json({
+      success: result.failed.length === 0,
+      message: `${result.resolved.length} case(s) resolved, ${result.failed.length} failed`,
+      data: result
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to resolve cases', { userId: req.user._id });
+  }
+};
+
+// Resolve a single case
+exports.resolveCase = async (req, res) => {
+  try {
+    const { actionTaken, resolution } = req.body || {};
+    const { failed } = await moderationService.resolve(req, [req.params.id], { actionTaken, resolution });
+    if (failed.length > 0) {
+      return res.status(failed[0].status).json({
+        success: false,
+        message: failed[0].message,
+        code: failed[0].code
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Case resolved'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to resolve case', { caseId: req.params.id });
+  }
+};
+
+// A user's strike ledger with their active points
+exports.getUserStrikes = async (req, res) => {
+  try {
+    const ledger = await strikeService.getLedger(req.params.id);
+
+    res.json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get strikes', { userId: req.params.id });
+  }
+};
+
+// Users suspended by strikes, awaiting a ban decision
+exports.getEscalations = async (req, res) => {
+  try {
+    const escalations = await strikeService.listEscalations();
+
+    res.json({
+      success: true,
+      data: escalations
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get escalations', { userId: req.user._id });
+  }
+};
+
+// Revoke a strike (admins only, reason required)
+exports.revokeStrike = async (req, res) => {
+  try {
+    const strike = await strikeService.revoke(req, req.params.id, req.body?.reason);
+
+    res.json({
+      success: true,
+      message: 'Strike revoked',
+      data: strike
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to revoke strike', { strikeId: req.params.id });
+  }
+};
@@ -2,6 +2,7 @@
 const Notification = require('../models/notification.model');
 const User = require('../models/user.model');
 const ResponseHelper = require('../utils/responseHelper');
+const pushService = require('../services/push.service');
 // Removed buildMediaUrl - returning relative URLs
 
 // Helper function to format notification
@@ -18,6 +19,14 @@ const formatNotification = (req, notification) => {
     }
     // Otherwise keep existing relative URL
   }
+
+  // Aggregated notifications: "Alice et 12 autres ont aimé votre publication"
+  notificationObj.actorCount = notificationObj.actorCount || 1;
+  notificationObj.othersCount = notificationObj.actorCount - 1;
+  notificationObj.actors = (notificationObj.actors || [])
+    .filter(actor => actor.user && typeof actor.user === 'object')
+    .map(actor => ({ ...actor.user, at: actor.at }));
+  notificationObj.summary = Notification.getSummary(notificationObj);
   
   return notificationObj;
 };
@@ -41,8 +50,10 @@ exports.getNotifications = async (req, res) => {
       }
     }
 
+    // Grouped types come back as one item per group, latest activity first
     const notifications = await Notification.find(query)
       .populate('sender', 'username avatarUrl profileImage name role')
+      .populate('actors.user', 'username avatarUrl name role')
       .populate({
         path: 'postId',
         select: 'title type coverImage'
@@ -170,7 +181,9 @@ exports.getPreferences = async (req, res) => {
       mentions: true,
       posts: true,
       polls: true,
-      sound: true
+      sound: true,
+      push: true,
+      quietHours: { enabled: false, start: '22:00', end: '07:00', timezone: 'Europe/Paris' }
     };
 
     const preferences = user.preferences?.notifications || defaultPreferences;
@@ -188,7 +201,7 @@ exports.updatePreferences = async (req, res) => {
     const updates = req.body;
     
     // Valider les clés autorisées
-    const allowedKeys = ['enabled', 'likes', 'comments', 'follows', 'mentions', 'posts', 'polls', 'sound'];
+    const allowedKeys = ['enabled', 'likes', 'comments', 'follows', 'mentions', 'posts', 'polls', 'sound', 'push', 'quietHours'];
     const updateKeys = Object.keys(updates);
     
     const isValidUpdate = updateKeys.every(key => allowedKeys.includes(key));
@@ -196,10 +209,32 @@ exports.updatePreferences = async (req, res) => {
       return ResponseHelper.validationError(res, ['Invalid preference keys']);
     }
 
+    // Plage silencieuse : mise à jour partielle { enabled, start, end, timezone }
+    const quietHours = updates.quietHours;
+    if (quietHours !== undefined) {
+      const quietKeys = ['enabled', 'start', 'end', 'timezone'];
+      if (!quietHours || typeof quietHours !== 'object' || !Object.keys(quietHours).every(key => quietKeys.includes(key))) {
+        return ResponseHelper.validationError(res, ['Invalid quiet hours keys']);
+      }
+      if (quietHours.timezone !== undefined) {
+        try {
+          new Intl.DateTimeFormat('en-GB', { timeZone: quietHours.timezone });
+        } catch {
+          return ResponseHelper.validationError(res, ['Invalid quiet hours timezone']);
+        }
+      }
+    }
+
     // Construire l'objet de mise à jour
     const updateObject = {};
     updateKeys.forEach(key => {
-      updateObject[`preferences.notifications.${key}`] = updates[key];
+      if (key === 'quietHours') {
+        Object.keys(quietHours).forEach(quietKey => {
+          updateObject[`preferences.notifications.quietHours.${quietKey}`] = quietHours[quietKey];
+        });
+      } else {
+        updateObject[`preferences.notifications.${key}`] = updates[key];
+      }
     });
 
     const user = await User.findByIdAndUpdate(
@@ -216,7 +251,50 @@ exports.updatePreferences = async (req, res) => {
       preferences: user.preferences.notifications 
     }, 'Preferences updated successfully');
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return ResponseHelper.validationError(res, Object.values(error.errors).map(err => err.message));
+    }
     console.error('Error updating notification preferences:', error);
     ResponseHelper.serverError(res, error, 'Failed to update notification preferences');
   }
 };
+
+
+// Enregistrer un appareil pour les notifications push (ou rafraîchir son token)
+exports.registerDevice = async (req, res) => {
+  try {
+    const device = await pushService.registerDevice(req.userId, req.body);
+    ResponseHelper.success(res, { device: device.getPublicData() }, 'Device registered', 201);
+  } catch (error) {
+    if (error.code) {
+      return ResponseHelper.error(res, error.message, error.status || 400, error.code);
+    }
+    console.error('Error registering device:', error);
+    ResponseHelper.serverError(res, error, 'Failed to register device');
+  }
+};
+
+// Lister les appareils enregistrés
+exports.getDevices = async (req, res) => {
+  try {
+    const devices = await pushService.listDevices(req.userId);
+    ResponseHelper.success(res, { devices: devices.map(device => device.getPublicData()) });
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    ResponseHelper.serverError(res, error, 'Failed to fetch devices');
+  }
+};
+
+// Désenregistrer un appareil (déconnexion, push désactivé sur l'appareil)
+exports.unregisterDevice = async (req, res) => {
+  try {
+    const removed = await pushService.unregisterDevice(req.userId, req.params.deviceId);
+    if (!removed) {
+      return ResponseHelper.notFound(res, 'Device');
+    }
+    ResponseHelper.success(res, null, 'Device unregistered');
+  } catch (error) {
+    console.error('Error unregistering device:', error);
+    ResponseHelper.serverError(res, error, 'Failed to unregister device');
+  }
+};
@@ -4,9 +4,36 @@ const Post = require('../models/post.model');
 const User = require('../models/user.model');
 const { buildMediaUrl } = require('../utils/urlHelper');
 const { formatUser } = require('../formatters/user.formatter');
+const { formatCorrection, formatPosts } = require('../formatters/post.formatter');
 const NotificationService = require('../services/notification.service');
 const { clearCache } = require('../middleware/cache.middleware');
 const ResponseHelper = require('../utils/responseHelper');
+const searchService = require('../services/search.service');
+const revisionService = require('../services/revision.service');
+const postSchedulerService = require('../services/postScheduler.service');
+const feedService = require('../services/feed.service');
+const mentionService = require('../services/mention.service');
+const blockService = require('../services/block.service');
+const contentFilterService = require('../services/contentFilter.service');
+
+function sendScheduleError(res, error) {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
+}
+
+// Drafts are screened by the content filter once they are published or scheduled
+const SCREENED_STATUSES = ['published', 'scheduled'];
+
+function sendContentRejected(res) {
+  return res.status(400).json({
+    success: false,
+    message: 'Cette publication enfreint les règles de la communauté',
+    code: 'CONTENT_REJECTED'
+  });
+}
 
 function getPoliticalViewColor(view) {
   switch (view) {
@@ -64,7 +91,7 @@ exports.createPost = async (req, res) => {
     }
 
     // Extract opposition data if provided
-    const { opposingPostId, oppositionReason, opposingPosts, ...postData } = req.body;
+    const { opposingPostId, oppositionReason, opposingPosts, publishAt, unpublishAt, ...postData } = req.body;
 
     const post = new Post({
       ...postData,
@@ -76,7 +103,41 @@ exports.createPost = async (req, res) => {
       }
     });
 
+    try {
+      postSchedulerService.applySchedule(post, { publishAt, unpublishAt });
+    } catch (error) {
+      if (error.status) {
+        return sendScheduleError(res, error);
+      }
+      throw error;
+    }
+
+    let verdict = null;
+    let previousStatus;
+    if (SCREENED_STATUSES.includes(post.status)) {
+      verdict = await contentFilterService.screen('post', { title: post.title, content: post.content });
+      if (verdict.action === 'reject') {
+        await contentFilterService.recordHits(verdict, { targetType: 'post', author: req.user._id });
+        return sendContentRejected(res);
+      }
+      // Held posts get their status back once an admin approves them
+      if (verdict.hidden) {
+        previousStatus = post.status;
+        post.status = 'hidden';
+      }
+    }
+
+    post.mentions = await mentionService.resolveMentions(post.content, req.user._id);
+
     const savedPost = await post.save();
+    if (verdict) {
+      await contentFilterService.recordHits(verdict, {
+        targetType: 'post',
+        targetId: savedPost._id,
+        author: req.user._id,
+        previousStatus
+      });
+    }
 
     console.log('[POST] Post created:', {
       postId: savedPost._id,
@@ -86,9 +147,9 @@ exports.createPost = async (req, res) => {
       opposingPosts: opposingPosts
     });
 
-    // Notify followers about new post
+    // Notify followers about new post (scheduled posts are announced when they go live)
     const journalist = await User.findById(req.user._id);
-    if (journalist && journalist.followers && journalist.followers.length > 0) {
+    if (!['scheduled', 'hidden'].includes(savedPost.status) && journalist && journalist.followers && journalist.followers.length > 0) {
       // Notify all followers about the new post
       await NotificationService.notifyFollowersOfNewPost(
         savedPost._id,
@@ -96,6 +157,14 @@ exports.createPost = async (req, res) => {
       );
     }
 
+    // Mentions are notified once the post is public
+    if (savedPost.status === 'published') {
+      await mentionService.notifyMentions(Post, savedPost, {
+        authorId: req.user._id,
+        postId: savedPost._id
+      });
+    }
+
     // Handle oppositions - support both single and multiple
     const opposingPostsArray = opposingPosts && Array.isArray(opposingPosts) && opposingPosts.length > 0
       ? opposingPosts
@@ -346,8 +415,10 @@ exports.getPosts = async (req, res) => {
       ];
     }
 
-    // Determine sort criteria
-    let sortCriteria = { createdAt: -1 }; // Default to recent
+    // Determine sort criteria. Posts are dated by publication (scheduled posts are
+    // created before they go live); older posts without publishedAt sort after, by creation
+    const RECENT_SORT = { publishedAt: -1, createdAt: -1 };
+    let sortCriteria = RECENT_SORT; // Default to recent
     if (sortBy === 'popular') {
       sortCriteria = { 'stats.views': -1, 'interactions.likes.count': -1 };
     } else if (sortBy === 'trending') {
@@ -358,10 +429,10 @@ exports.getPosts = async (req, res) => {
     // Handle 'sort' parameter as alias for 'sortBy' (for mobile compatibility)
     const sortParam = req.query.sort || sortBy;
     if (sortParam === 'recent') {
-      sortCriteria = { createdAt: -1 };
+      sortCriteria = RECENT_SORT;
     } else if (sortParam === 'foryou') {
       // For "For You" algorithm, we can use engagement or just show recent posts
-      sortCriteria = { createdAt: -1 };
+      sortCriteria = RECENT_SORT;
     } else if (sortParam === 'trending') {
       sortCriteria = { 'stats.engagement': -1, createdAt: -1 };
     }
@@ -375,10 +446,13 @@ exports.getPosts = async (req, res) => {
     // First, get all banned user IDs
     const bannedUsers = await User.find({ status: 'banned' }).select('_id');
     const bannedUserIds = bannedUsers.map(u => u._id);
-    
-    // Exclude posts from banned users
-    if (bannedUserIds.length > 0) {
-      query.journalist = { $nin: bannedUserIds };
+    // Plus the journalists muted or blocked by the viewer
+    const hiddenAuthorIds = await blockService.getHiddenAuthorIds(req.user?._id);
+    const excludedJournalistIds = [...bannedUserIds, ...hiddenAuthorIds];
+
+    // $and keeps any journalist filter set above (following, authorId)
+    if (excludedJournalistIds.length > 0) {
+      query.$and = [...(query.$and || []), { journalist: { $nin: excludedJournalistIds } }];
     }
 
     let posts = await Post.find(query)
@@ -468,7 +542,9 @@ exports.getPosts = async (req, res) => {
       posts = filteredPosts
         .sort((a, b) => {
           // Apply the same sort criteria
-          if (sortCriteria.createdAt) {
+          if (sortCriteria.publishedAt) {
+            return new Date(b.publishedAt || b.createdAt) - new Date(a.publishedAt || a.createdAt);
+          } else if (sortCriteria.createdAt) {
             return sortCriteria.createdAt * (new Date(b.createdAt) - new Date(a.createdAt));
           } else if (sortCriteria['stats.engagement']) {
             return sortCriteria['stats.engagement'] * ((b.stats?.engagement || 0) - (a.stats?.engagement || 0));
@@ -680,11 +756,7 @@ exports.searchPosts = async (req, res) => {
 
     const queryFilter = {
       isDeleted: { $ne: true },
-      status: 'published',
-      $or: [
-        { title: { $regex: searchTerm, $options: 'i' } },
-        { content: { $regex: searchTerm, $options: 'i' } }
-      ]
+      status: 'published'
     };
 
     if (type) {
@@ -703,10 +775,11 @@ exports.searchPosts = async (req, res) => {
       queryFilter.domain = domain;
     }
 
+    // Political filter is applied in the query (before pagination) so totals stay correct
     const politicalFilter = politicalOrientation || politicalView;
-    let politicalViewFilter = null;
     if (politicalFilter && politicalFilter !== 'all') {
-      politicalViewFilter = politicalFilter;
+      const escapedView = politicalFilter.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      queryFilter['politicalOrientation.dominantView'] = { $regex: `^${escapedView}$`, $options: 'i' };
     }
 
     const bannedUsers = await User.find({ status: 'banned' }).select('_id');
@@ -716,26 +789,31 @@ exports.searchPosts = async (req, res) => {
       queryFilter.journalist = { $nin: bannedUserIds };
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
 
-    let posts = await Post.find(queryFilter)
-      .populate({
+    const { results, total } = await searchService.search(searchTerm, {
+      filter: queryFilter,
+      page: pageNum,
+      limit: limitNum
+    });
+
+    let posts = results.map(result => result.post);
+    await Post.populate(posts, [
+      {
         path: 'journalist',
         select: '_id name username avatarUrl specialties isVerified organization journalistRole status followers bio',
         model: User
-      })
-      .populate({
+      },
+      {
         path: 'opposingPosts.post',
         select: 'title journalist',
         populate: {
           path: 'journalist',
           select: '_id name avatarUrl isVerified username followers'
         }
-      })
-      .sort({ 'stats.views': -1, createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .lean();
+      }
+    ]);
 
     // Transform journalist AFTER query
     posts = posts.map(post => {
@@ -764,16 +842,7 @@ exports.searchPosts = async (req, res) => {
       return post;
     });
 
-    if (politicalViewFilter) {
-      posts = posts.filter(post => {
-        const dominantView = post.politicalOrientation?.dominantView;
-        return dominantView && dominantView.toLowerCase() === politicalViewFilter.toLowerCase();
-      });
-    }
-
-    const total = await Post.countDocuments(queryFilter);
-
-    const formattedPosts = posts.map(post => {
+    const formattedPosts = posts.map((post, index) => {
       const postObj = {
         id: post._id.toString(),
         title: post.title,
@@ -820,10 +889,11 @@ exports.searchPosts = async (req, res) => {
         ) || false;
       }
 
+      postObj.highlights = results[index].highlights;
+
       if (includeRelevance === 'true') {
-        const titleMatch = post.title.toLowerCase().includes(searchTerm.toLowerCase());
-        const contentMatch = post.content?.toLowerCase().includes(searchTerm.toLowerCase());
-        postObj.relevanceScore = (titleMatch ? 2 : 0) + (contentMatch ? 1 : 0);
+        postObj.relevanceScore = Math.round(results[index].score * 1000) / 1000;
+        postObj.textScore = Math.round(results[index].textScore * 1000) / 1000;
       }
 
       return postObj;
@@ -841,8 +911,8 @@ exports.searchPosts = async (req, res) => {
       data: {
         posts: formattedPosts,
         total,
-        page: parseInt(page),
-        pages: Math.ceil(total / parseInt(limit))
+        page: pageNum,
+        pages: Math.ceil(total / limitNum)
       }
     });
   } catch (error) {
@@ -860,6 +930,51 @@ exports.searchPosts = async (req, res) => {
   }
 };
 
+exports.getForYouFeed = async (req, res) => {
+  try {
+    const { cursor, limit = 20, mode = 'forYou' } = req.query;
+    const limitNum = Math.min(50, Math.max(1, parseInt(limit) || 20));
+    // Score breakdown is reserved to admins (ranking debugging)
+    const explain = req.query.explain === 'true' && req.isAdmin;
+
+    const { items, nextCursor } = await feedService.getForYouFeed(req.user._id, {
+      cursor,
+      limit: limitNum,
+      mode,
+      explain
+    });
+
+    const posts = formatPosts(items.map(item => item.post), req, req.user);
+    if (explain) {
+      posts.forEach((post, index) => {
+        post.ranking = items[index].explanation;
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        posts,
+        mode,
+        nextCursor,
+        hasMore: !!nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('[POST] For You feed error:', {
+      userId: req.user?._id,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to load feed',
+      code: error.code
+    });
+  }
+};
+
 exports.getPost = async (req, res) => {
   console.log('[POST] Get post request:', {
     postId: req.params.id,
@@ -906,6 +1021,15 @@ exports.getPost = async (req, res) => {
       });
     }
 
+    // Scheduled posts stay under embargo for everyone but their author
+    const isAuthor = req.user && post.journalist && post.journalist._id.toString() === req.user._id.toString();
+    if (post.status === 'scheduled' && !isAuthor && !req.isAdmin) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
     // Check if the author is banned
     if (post.journalist && post.journalist.status === 'banned') {
       console.log('[POST] Get post failed: Author is banned:', {
@@ -1049,6 +1173,10 @@ exports.getPost = async (req, res) => {
       console.log('[POST] opposedByPosts AFTER:', JSON.stringify(postObj.opposedByPosts));
     }
 
+    // "Corrected on" marker for posts edited after publication
+    postObj.correction = formatCorrection(postObj.correction);
+    postObj.isCorrected = !!postObj.correction;
+
     res.json({
       success: true,
       data: postObj
@@ -1110,7 +1238,9 @@ exports.updatePost = async (req, res) => {
       });
     }
 
-    const updates = Object.keys(req.body);
+    // correctionNote describes the edit, it is not a post field
+    const { correctionNote, publishAt, unpublishAt, ...fields } = req.body;
+    const updates = Object.keys(fields);
     const allowedUpdates = [
       'title',
       'content',
@@ -1140,11 +1270,85 @@ exports.updatePost = async (req, res) => {
       });
     }
 
+    // Hidden posts wait for a moderator: their author cannot publish them again, nor
+    // change the text under review, which would be republished on approval
+    const textEdited = ['title', 'content'].some(field => fields[field] !== undefined && fields[field] !== post[field]);
+    if (post.status === 'hidden' && (fields.status !== undefined || textEdited)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This post is hidden pending moderation',
+        code: 'POST_HIDDEN'
+      });
+    }
+
+    if (correctionNote !== undefined && (typeof correctionNote !== 'string' || correctionNote.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Correction note must be a string of at most 500 characters'
+      });
+    }
+
+    // Published posts keep their edit history
+    const wasPublished = post.status === 'published';
+    const wasScreened = SCREENED_STATUSES.includes(post.status);
+    const before = revisionService.snapshot(post);
+
     updates.forEach((update) => {
-      post[update] = req.body[update];
+      post[update] = fields[update];
     });
 
+    try {
+      postSchedulerService.applySchedule(post, { publishAt, unpublishAt });
+    } catch (error) {
+      if (error.status) {
+        return sendScheduleError(res, error);
+      }
+      throw error;
+    }
+
+    let verdict = null;
+    let previousStatus;
+    const textChanged = post.isModified('title') || post.isModified('content');
+    if (SCREENED_STATUSES.includes(post.status) && (textChanged || !wasScreened)) {
+      verdict = await contentFilterService.screen('post', { title: post.title, content: post.content });
+      if (verdict.action === 'reject') {
+        await contentFilterService.recordHits(verdict, { targetType: 'post', author: req.user._id });
+        return sendContentRejected(res);
+      }
+      if (verdict.hidden) {
+        previousStatus = post.status;
+        post.status = 'hidden';
+      }
+    }
+
+    if (post.isModified('content')) {
+      post.mentions = await mentionService.resolveMentions(post.content, req.user._id);
+    }
+
     await post.save();
+    if (verdict) {
+      await contentFilterService.recordHits(verdict, {
+        targetType: 'post',
+        targetId: post._id,
+        author: req.user._id,
+        previousStatus
+      });
+    }
+
+    // Newly mentioned users, or all of them when the post has just been published
+    if (post.status === 'published') {
+      await mentionService.notifyMentions(Post, post, {
+        authorId: req.user._id,
+        postId: post._id
+      });
+    }
+
+    if (wasPublished) {
+      await revisionService.recordEdit(post, before, {
+        editor: req.user,
+        note: correctionNote?.trim()
+      });
+    }
 
     console.log('[POST] Post updated successfully:', {
       postId: post._id,
@@ -1175,6 +1379,114 @@ exports.updatePost = async (req, res) => {
   }
 };
 
+// Edit history of a published post
+exports.getPostRevisions = async (req, res) => {
+  try {
+    const post = await findPostForRevisions(req, res);
+    if (!post) {
+      return;
+    }
+
+    const revisions = await revisionService.listRevisions(post._id);
+
+    res.json({
+      success: true,
+      data: {
+        postId: post._id,
+        correction: formatCorrection(post.correction),
+        revisions: revisions.map(revision => revision.getSummary())
+      }
+    });
+  } catch (error) {
+    console.error('[POST] Get revisions error:', {
+      postId: req.params.id,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get revisions',
+      error: error.message
+    });
+  }
+};
+
+// One version of a post: full snapshot and diff from the previous version
+exports.getPostRevision = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid version'
+      });
+    }
+
+    const post = await findPostForRevisions(req, res);
+    if (!post) {
+      return;
+    }
+
+    const revision = await revisionService.getRevision(post._id, version);
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...revision.getSummary(),
+        postId: post._id,
+        snapshot: revision.snapshot,
+        changes: revision.changes
+      }
+    });
+  } catch (error) {
+    console.error('[POST] Get revision error:', {
+      postId: req.params.id,
+      version: req.params.version,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get revision',
+      error: error.message
+    });
+  }
+};
+
+// History is public for published posts, otherwise limited to the author and admins
+async function findPostForRevisions(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid post ID format'
+    });
+    return null;
+  }
+
+  const post = await Post.findById(req.params.id)
+    .where({ isDeleted: { $ne: true } })
+    .select('journalist status correction');
+
+  const isOwner = post && req.user && post.journalist.toString() === req.user._id.toString();
+  if (!post || (post.status !== 'published' && !isOwner && !req.isAdmin)) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  return post;
+}
+
 exports.deletePost = async (req, res) => {
   console.log('[POST] Delete post attempt:', {
     postId: req.params.id,
@@ -1,9 +1,13 @@
+const mongoose = require('mongoose');
 const Report = require('../models/report.model');
 const ProblemReport = require('../models/problemReport.model');
 const Post = require('../models/post.model');
 const Comment = require('../models/comment.model');
 const Short = require('../models/short.model');
 const User = require('../models/user.model');
+const moderationService = require('../services/moderation.service');
+const appealService = require('../services/appeal.service');
+const brigadingService = require('../services/brigading.service');
 
 exports.createReport = async (req, res) => {
   try {
@@ -49,14 +53,18 @@ exports.createReport = async (req, res) => {
       targetId,
       targetModel: targetType.charAt(0).toUpperCase() + targetType.slice(1),
       reason,
-      description
+      description,
+      contentSnapshot: Report.snapshotContent(targetType, target)
     });
 
     await report.save();
+    await moderationService.syncTarget(targetType, target._id);
 
-    const autoRemovalCheck = await Report.checkAutoRemovalThreshold(targetType, targetId);
+    // Coordinated reports hold the removal for a moderator instead
+    const { shouldRemove, held, check } = await brigadingService.evaluateAutoRemoval(targetType, target._id);
+    const autoRemovalCheck = check && { ...check, shouldRemove, held };
 
-    if (autoRemovalCheck.shouldRemove) {
+    if (shouldRemove) {
       await performAutoRemoval(targetType, targetId, autoRemovalCheck.reason);
 
       await Report.updateMany(
@@ -101,6 +109,8 @@ async function performAutoRemoval(targetType, targetId, reason) {
         suspendedAt: new Date(),
         suspensionReason: reason
       });
+    } else if (targetType === 'post') {
+      await appealService.removePost(targetId, { reason });
     } else {
       await model.findByIdAndUpdate(targetId, {
         isDeleted: true,
@@ -175,46 +185,55 @@ exports.getMyReports = async (req, res) => {
   }
 };
 
+// Legacy single-report review: resolves the moderation case of the reported
+// target, with the permission checks, audit entries and strikes of the queue
 exports.reviewReport = async (req, res) => {
   try {
     const { reportId } = req.params;
-    const { status, actionTaken } = req.body;
+    const { status, resolution } = req.body;
+    const actionTaken = req.body.actionTaken || (status === 'dismissed' ? 'none' : undefined);
 
-    if (!req.isAdmin) {
-      return res.status(403).json({
+    const report = mongoose.Types.ObjectId.isValid(reportId) ? await Report.findById(reportId) : null;
+    if (!report) {
+      return res.status(404).json({
         success: false,
-        message: 'Admin access required'
+        message: 'Report not found'
       });
     }
 
-    const report = await Report.findByIdAndUpdate(
-      reportId,
-      {
-        status,
-        actionTaken,
-        reviewedBy: req.user.id,
-        reviewedAt: new Date()
-      },
-      { new: true }
-    );
+    const moderationCase = report.status === 'pending'
+      ? await moderationService.syncTarget(report.targetType, report.targetId)
+      : null;
+    if (!moderationCase) {
+      return res.status(409).json({
+        success: false,
+        message: 'This report is already reviewed',
+        code: 'REPORT_REVIEWED'
+      });
+    }
 
-    if (!report) {
-      return res.status(404).json({
+    const { failed } = await moderationService.resolve(req, [moderationCase._id.toString()], { actionTaken, resolution });
+    if (failed.length > 0) {
+      return res.status(failed[0].status).json({
         success: false,
-        message: 'Report not found'
+        message: failed[0].message,
+        code: failed[0].code
       });
     }
 
     res.json({
       success: true,
       message: 'Report reviewed successfully',
-      report
+      report: await Report.findById(report._id)
     });
   } catch (error) {
-    console.error('Error reviewing report:', error);
-    res.status(500).json({
+    if (!error.code) {
+      console.error('Error reviewing report:', error);
+    }
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Error reviewing report'
+      message: error.code ? error.message : 'Error reviewing report',
+      code: error.code
     });
   }
 };
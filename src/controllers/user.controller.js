@@ -4,6 +4,11 @@ const Post = require('../models/post.model');
 const Short = require('../models/short.model');
 const { buildMediaUrl } = require('../utils/urlHelper');
 const NotificationService = require('../services/notification.service');
+const perspectiveService = require('../services/perspective.service');
+const mentionService = require('../services/mention.service');
+const blockService = require('../services/block.service');
+const followService = require('../services/follow.service');
+const { clearCache } = require('../middleware/cache.middleware');
 
 // Get user's saved posts
 exports.getSavedPosts = async (req, res) => {
@@ -207,6 +212,53 @@ exports.getReadHistory = async (req, res) => {
   }
 };
 
+// Get the political mix of what the user reads, likes and bookmarks
+exports.getPerspectiveExposure = async (req, res) => {
+  try {
+    const { days, period } = req.query;
+
+    const report = await perspectiveService.getExposureReport(req.user._id, { days, period });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to fetch perspective exposure',
+      code: error.code
+    });
+  }
+};
+
+// Autocomplete users for @mentions
+exports.getMentionSuggestions = async (req, res) => {
+  try {
+    const limit = Math.min(20, Math.max(1, parseInt(req.query.limit) || 10));
+
+    const users = await mentionService.suggest(req.query.q, req.user, limit);
+
+    res.json({
+      success: true,
+      data: users.map(user => ({
+        id: user._id,
+        username: user.username,
+        name: user.name || user.username,
+        avatarUrl: user.avatarUrl ? buildMediaUrl(req, user.avatarUrl) : null,
+        isVerified: user.isVerified || false,
+        role: user.role
+      }))
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'Failed to fetch mention suggestions',
+      error: error.message
+    });
+  }
+};
+
 // Get user's followed journalists
 exports.getFollowedJournalists = async (req, res) => {
   try {
@@ -306,6 +358,14 @@ exports.getPublicContent = async (req, res) => {
       });
     }
 
+    if (!followService.canView(user, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account is private',
+        code: 'PRIVATE_ACCOUNT'
+      });
+    }
+
     let publicContent = {};
 
     if (type === 'all' || type === 'posts') {
@@ -440,161 +500,190 @@ exports.togglePublicContent = async (req, res) => {
   }
 };
 
-// Follow a journalist
+// Follow a journalist (or any account); private accounts get a follow request
 exports.followJournalist = async (req, res) => {
   try {
-    // Check if trying to follow self
-    if (req.user._id.toString() === req.params.journalistId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot follow yourself'
-      });
-    }
+    const result = await followService.follow(req.user._id, req.params.journalistId);
+    const requested = result.status === 'requested';
 
-    const user = await User.findById(req.user._id);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Find the journalist to follow
-    const journalist = await User.findById(req.params.journalistId);
-    if (!journalist) {
-      return res.status(404).json({
-        success: false,
-        message: 'Journalist not found'
-      });
-    }
-
-    // Check if already following
-    if (user.following.includes(req.params.journalistId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Already following this journalist'
-      });
-    }
+    res.json({
+      success: true,
+      message: requested ? 'Demande d\'abonnement envoyée' : 'Vous suivez maintenant ce journaliste',
+      data: {
+        isFollowing: !requested,
+        isRequested: requested,
+        followersCount: result.followersCount
+      }
+    });
+  } catch (error) {
+    console.error('Follow journalist error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to follow journalist',
+      code: error.code
+    });
+  }
+};
 
-    // Add to following list
-    user.following.push(req.params.journalistId);
-    await user.save();
+// Unfollow a journalist, or withdraw a pending follow request
+exports.unfollowJournalist = async (req, res) => {
+  try {
+    const result = await followService.unfollow(req.user._id, req.params.journalistId);
 
-    // Add to journalist's followers list
-    if (!journalist.followers.includes(req.user._id)) {
-      journalist.followers.push(req.user._id);
-      await journalist.save();
-    }
+    res.json({
+      success: true,
+      message: result.status === 'cancelled' ? 'Demande d\'abonnement annulée' : 'Vous ne suivez plus ce journaliste',
+      data: {
+        isFollowing: false,
+        isRequested: false,
+        followersCount: result.followersCount
+      }
+    });
+  } catch (error) {
+    console.error('Unfollow journalist error:', error);
+    res.status(error.status || 400).json({
+      success: false,
+      message: error.code ? error.message : 'Failed to unfollow journalist',
+      code: error.code
+    });
+  }
+};
 
-    // Update stats
-    await User.updateOne(
-      { _id: req.user._id },
-      { $set: { 'stats.following': user.following.length } }
-    );
-    await User.updateOne(
-      { _id: req.params.journalistId },
-      { $set: { 'stats.followers': journalist.followers.length } }
-    );
+// Pending requests to follow the current user's private account
+exports.getFollowRequests = async (req, res) => {
+  try {
+    const requests = await followService.listRequests(req.user._id);
 
-    // Send follow notification (non-blocking)
-    NotificationService.notifyFollow(req.user._id, req.params.journalistId).catch(err => {
-      console.error('[FOLLOW] Notification error:', err);
+    res.json({
+      success: true,
+      data: {
+        requests: requests.map(request => ({
+          id: request._id.toString(),
+          requester: request.requester,
+          createdAt: request.createdAt
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('[FOLLOW] Get follow requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get follow requests'
     });
+  }
+};
+
+// Approve / decline a follow request
+const respondToFollowRequest = approved => async (req, res) => {
+  try {
+    const request = await followService.respond(req.user._id, req.params.requestId, approved);
 
     res.json({
       success: true,
-      message: 'Vous suivez maintenant ce journaliste',
+      message: approved ? 'Demande d\'abonnement acceptée' : 'Demande d\'abonnement refusée',
       data: {
-        isFollowing: true,
-        followersCount: journalist.followers.length
+        id: request._id.toString(),
+        status: request.status
       }
     });
   } catch (error) {
-    console.error('Follow journalist error:', error);
-    res.status(400).json({
+    console.error('[FOLLOW] Respond to follow request error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Failed to follow journalist',
-      error: error.message
+      message: error.code ? error.message : 'Failed to answer follow request',
+      code: error.code
     });
   }
 };
 
-// Unfollow a journalist
-exports.unfollowJournalist = async (req, res) => {
+exports.approveFollowRequest = respondToFollowRequest(true);
+exports.declineFollowRequest = respondToFollowRequest(false);
+
+// Make the current user's account private or public
+exports.updatePrivacy = async (req, res) => {
   try {
-    // Check if trying to unfollow self
-    if (req.user._id.toString() === req.params.journalistId) {
+    if (typeof req.body.isPrivate !== 'boolean') {
       return res.status(400).json({
         success: false,
-        message: 'Cannot unfollow yourself'
+        message: 'isPrivate must be a boolean'
       });
     }
 
-    const user = await User.findById(req.user._id);
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
+    const result = await followService.setPrivacy(req.user._id, req.body.isPrivate);
 
-    // Find the journalist to unfollow
-    const journalist = await User.findById(req.params.journalistId);
-    if (!journalist) {
-      return res.status(404).json({
-        success: false,
-        message: 'Journalist not found'
-      });
-    }
+    res.json({
+      success: true,
+      message: result.isPrivate ? 'Compte privé' : 'Compte public',
+      data: result
+    });
+  } catch (error) {
+    console.error('[FOLLOW] Update privacy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update privacy'
+    });
+  }
+};
 
-    // Check if not following
-    if (!user.following.includes(req.params.journalistId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Not following this journalist'
-      });
+// Block / mute an account, or lift it
+const updateRelation = (relation, active) => async (req, res) => {
+  try {
+    if (active) {
+      await blockService.add(req.user._id, req.params.id, relation);
+    } else {
+      await blockService.remove(req.user._id, req.params.id, relation);
     }
+    // Cached post lists are per viewer and may include the account
+    clearCache('posts');
 
-    // Remove from following list
-    user.following = user.following.filter(id => id.toString() !== req.params.journalistId);
-    await user.save();
+    res.json({
+      success: true,
+      message: {
+        block: active ? 'Utilisateur bloqué' : 'Utilisateur débloqué',
+        mute: active ? 'Utilisateur masqué' : 'Utilisateur démasqué'
+      }[relation],
+      data: { userId: req.params.id, [relation === 'block' ? 'isBlocked' : 'isMuted']: active }
+    });
+  } catch (error) {
+    console.error(`[BLOCK] Update ${relation} error:`, error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.code ? error.message : `Failed to update ${relation}`,
+      code: error.code
+    });
+  }
+};
 
-    // Remove from journalist's followers list
-    journalist.followers = journalist.followers.filter(id => id.toString() !== req.user._id.toString());
-    await journalist.save();
+exports.blockUser = updateRelation('block', true);
+exports.unblockUser = updateRelation('block', false);
+exports.muteUser = updateRelation('mute', true);
+exports.unmuteUser = updateRelation('mute', false);
 
-    // Update stats
-    await User.updateOne(
-      { _id: req.user._id },
-      { $set: { 'stats.following': user.following.length } }
-    );
-    await User.updateOne(
-      { _id: req.params.journalistId },
-      { $set: { 'stats.followers': journalist.followers.length } }
-    );
+// List blocked / muted accounts
+const listRelation = relation => async (req, res) => {
+  try {
+    const users = await blockService.list(req.user._id, relation);
 
     res.json({
       success: true,
-      message: 'Vous ne suivez plus ce journaliste',
-      data: {
-        isFollowing: false,
-        followersCount: journalist.followers.length
-      }
+      data: { users }
     });
   } catch (error) {
-    console.error('Unfollow journalist error:', error);
-    res.status(400).json({
+    console.error(`[BLOCK] List ${relation} error:`, error);
+    res.status(500).json({
       success: false,
-      message: 'Failed to unfollow journalist',
-      error: error.message
+      message: `Failed to get ${relation === 'block' ? 'blocked' : 'muted'} users`
     });
   }
 };
 
+exports.getBlockedUsers = listRelation('block');
+exports.getMutedUsers = listRelation('mute');
+
 // Get follow status for a journalist
 exports.getFollowStatus = async (req, res) => {
   try {
-    const journalist = await Journalist.findById(req.params.journalistId);
+    const journalist = await User.findById(req.params.journalistId).select('followers');
 
     if (!journalist) {
       return res.status(404).json({
@@ -607,6 +696,8 @@ exports.getFollowStatus = async (req, res) => {
       id => id.toString() === req.user._id.toString()
     );
 
+    const isRequested = !isFollowing && await followService.hasPendingRequest(req.user._id, journalist._id);
+
     const followingSince = isFollowing ?
       new Date().toISOString() : null; // In a real implementation, store the actual follow date
 
@@ -614,6 +705,7 @@ exports.getFollowStatus = async (req, res) => {
       success: true,
       data: {
         isFollowing,
+        isRequested,
         followingSince,
         notifications: true // Default to true, can be customized later
       }
@@ -891,6 +983,14 @@ exports.getFollowers = async (req, res) => {
       });
     }
 
+    if (!followService.canView(user, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Ce compte est privé',
+        code: 'PRIVATE_ACCOUNT'
+      });
+    }
+
     console.log('[FOLLOWERS] ✅ User found:', {
       userId: user._id,
       username: user.username,
@@ -986,6 +1086,14 @@ exports.getFollowing = async (req, res) => {
       });
     }
 
+    if (!followService.canView(user, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Ce compte est privé',
+        code: 'PRIVATE_ACCOUNT'
+      });
+    }
+
     console.log('[FOLLOWING] ✅ User found:', {
       userId: user._id,
       username: user.username,
@@ -1053,6 +1161,8 @@ module.exports = {
   getSavedPosts: exports.getSavedPosts,
   getSavedShorts: exports.getSavedShorts,
   getReadHistory: exports.getReadHistory,
+  getPerspectiveExposure: exports.getPerspectiveExposure,
+  getMentionSuggestions: exports.getMentionSuggestions,
   getFollowedJournalists: exports.getFollowedJournalists,
   updatePreferences: exports.updatePreferences,
   getPublicContent: exports.getPublicContent,
@@ -1060,6 +1170,16 @@ module.exports = {
   followJournalist: exports.followJournalist,
   unfollowJournalist: exports.unfollowJournalist,
   getFollowStatus: exports.getFollowStatus,
+  getFollowRequests: exports.getFollowRequests,
+  approveFollowRequest: exports.approveFollowRequest,
+  declineFollowRequest: exports.declineFollowRequest,
+  updatePrivacy: exports.updatePrivacy,
+  blockUser: exports.blockUser,
+  unblockUser: exports.unblockUser,
+  muteUser: exports.muteUser,
+  unmuteUser: exports.unmuteUser,
+  getBlockedUsers: exports.getBlockedUsers,
+  getMutedUsers: exports.getMutedUsers,
   getStats: exports.getStats,
   updateProfile: exports.updateProfile,
   getProfile: exports.getProfile,
@@ -1,5 +1,23 @@
 const { formatUser } = require('./user.formatter');
 
+/**
+ * Mention entities, so clients can link each `@username` token to its profile
+ */
+const formatMentions = (mentions) => {
+  if (!Array.isArray(mentions)) {
+    return [];
+  }
+
+  return mentions
+    .filter(mention => mention && mention.user)
+    .map(mention => ({
+      userId: (mention.user._id || mention.user).toString(),
+      username: mention.username,
+      offset: mention.offset,
+      length: mention.length
+    }));
+};
+
 /**
  * Format comment with proper structure for mobile
  */
@@ -32,10 +50,17 @@ const formatComment = (comment, req, currentUser = null) => {
     isLiked,
     status: commentObj.status,
     isEdited: commentObj.isEdited || false,
+    editedAt: commentObj.editedAt || null,
+    // Journalist highlights
+    isPinned: commentObj.isPinned || false,
+    pinnedAt: commentObj.pinnedAt || null,
+    isJournalistPick: commentObj.isJournalistPick || false,
+    mentions: formatMentions(commentObj.mentions),
     createdAt: commentObj.createdAt,
     updatedAt: commentObj.updatedAt,
     parentComment: commentObj.parentComment || null,
-    replyCount: commentObj.replies?.length || 0
+    depth: commentObj.depth || 0,
+    replyCount: commentObj.replyCount ?? commentObj.replies?.length ?? 0
   };
 };
 
@@ -52,5 +77,6 @@ const formatComments = (comments, req, currentUser = null) => {
 
 module.exports = {
   formatComment,
-  formatComments
+  formatComments,
+  formatMentions
 };
\ No newline at end of file
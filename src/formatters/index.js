@@ -1,7 +1,7 @@
 // Central export for all formatters
 const { formatPost, formatPosts, formatInteractions, formatPoliticalOrientation } = require('./post.formatter');
 const { formatUser, formatUsers, formatPublicUser } = require('./user.formatter');
-const { formatComment, formatComments } = require('./comment.formatter');
+const { formatComment, formatComments, formatMentions } = require('./comment.formatter');
 
 module.exports = {
   // Post formatters
@@ -18,5 +18,6 @@ module.exports = {
 
   // Comment formatters
   formatComment,
-  formatComments
+  formatComments,
+  formatMentions
 };
\ No newline at end of file
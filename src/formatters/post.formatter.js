@@ -1,5 +1,6 @@
 const { buildMediaUrl } = require('../utils/urlHelper');
 const { formatUser } = require('./user.formatter');
+const { formatMentions } = require('./comment.formatter');
 
 /**
  * Format post interactions to include counts and user-specific flags
@@ -91,6 +92,21 @@ const formatMetadata = (metadata, type) => {
   return metadata[type];
 };
 
+/**
+ * Public "corrected on" marker of a post edited after publication
+ */
+const formatCorrection = (correction) => {
+  if (!correction || !correction.correctedAt) {
+    return null;
+  }
+
+  return {
+    correctedAt: correction.correctedAt,
+    note: correction.note || null,
+    version: correction.version || null
+  };
+};
+
 /**
  * Format a single post with all necessary transformations
  */
@@ -121,6 +137,13 @@ const formatPost = (post, req, currentUser = null) => {
     currentUserId
   );
 
+  // Edited after publication: readers can open the revision history
+  postObj.correction = formatCorrection(postObj.correction);
+  postObj.isCorrected = !!postObj.correction;
+
+  postObj.mentions = formatMentions(postObj.mentions);
+  delete postObj.notifiedMentions;
+
   // Format metadata based on type
   if (postObj.metadata) {
     postObj.metadata = formatMetadata(postObj.metadata, postObj.type);
@@ -175,5 +198,6 @@ module.exports = {
   formatPosts,
   formatInteractions,
   formatPoliticalOrientation,
-  formatMetadata
+  formatMetadata,
+  formatCorrection
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 /* eslint-disable */
 const jwt = require('jsonwebtoken');
 const AuthService = require('../services/auth.service');
+const sessionService = require('../services/session.service');
 
 exports.auth = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -28,6 +29,15 @@ exports.auth = async (req, res, next) => {
     const { user } = userResult;
     const isJournalist = user.role === 'journalist';
 
+    // Tokens issued with a session (sid) die with it: logout, password change, revoked device
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid, user._id))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
     // Check if user is banned
     if (user.status === 'banned') {
       return res.status(403).json({
@@ -71,8 +81,10 @@ exports.auth = async (req, res, next) => {
     // Add user and roles to request object
     req.user = user;
     req.userId = user._id.toString();
+    req.sessionId = decoded.sid || null;
     req.isJournalist = isJournalist;
     req.isAdmin = !isJournalist && user.role === 'admin';
+    req.isModerator = user.role === 'moderator';
     
     // Also add isAdmin to user object for backward compatibility
     req.user.isAdmin = req.isAdmin;
@@ -107,6 +119,33 @@ exports.requireAdmin = (req, res, next) => {
       message: 'Access denied. Admin privileges required.'
     });
   }
+  // 2FA is mandatory for admins; accounts from before the rule must enroll (POST /api/auth/2fa/setup) first
+  if (!req.user.twoFactorEnabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for admin accounts',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
+  next();
+};
+
+// Moderation staff: moderators and admins, scoped further by moderation permissions
+exports.requireModerator = (req, res, next) => {
+  if (!req.isAdmin && !req.isModerator) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Moderator privileges required.'
+    });
+  }
+  // Same 2FA rule as admins
+  if (!req.user.twoFactorEnabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for moderator accounts',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
   next();
 };
 
@@ -130,6 +169,18 @@ exports.requireVerifiedJournalist = (req, res, next) => {
   next();
 };
 
+// Accounts created before email verification existed have no flag and are treated as verified
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.emailVerified === false) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to perform this action',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
 exports.requireActiveStatus = (req, res, next) => {
   // Check for banned accounts
   if (req.user.status === 'banned') {
@@ -212,6 +263,11 @@ exports.optionalAuth = async (req, res, next) => {
     const { user } = userResult;
     const isJournalist = user.role === 'journalist';
 
+    if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid, user._id))) {
+      console.log('[OPTIONAL AUTH] Session revoked, continuing without auth');
+      return next();
+    }
+
     // Check if user is suspended
     if (user.status === 'suspended') {
       if (user.suspendedUntil && new Date() > new Date(user.suspendedUntil)) {
@@ -229,8 +285,10 @@ exports.optionalAuth = async (req, res, next) => {
     // Add user and roles to request object
     req.user = user;
     req.userId = user._id.toString();
+    req.sessionId = decoded.sid || null;
     req.isJournalist = isJournalist;
     req.isAdmin = !isJournalist && user.role === 'admin';
+    req.isModerator = user.role === 'moderator';
     req.user.isAdmin = req.isAdmin;
     
     console.log('[OPTIONAL AUTH] User authenticated:', {
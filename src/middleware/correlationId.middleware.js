@@ -1,11 +1,11 @@
-const { v4: uuidv4 } = require('uuid');
+const { randomUUID } = require('crypto');
 
 /**
  * Generate a correlation ID for request tracking
  * @returns {string} UUID v4 correlation ID
  */
 const generateCorrelationId = () => {
-  return uuidv4();
+  return randomUUID();
 };
 
 /**
@@ -103,6 +103,13 @@ const limiters = {
     message: 'Too many password reset attempts, please try again later.'
   }),
 
+  // Verification email resend limiter (keyed by user, on top of the per-account cooldown)
+  emailVerification: createLimiter({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // 5 verification emails per hour
+    message: 'Too many verification emails requested, please try again later.'
+  }),
+
   // General API limiter
   api: createLimiter({
     windowMs: 15 * 60 * 1000, // 15 minutes
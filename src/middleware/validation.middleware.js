@@ -46,7 +46,7 @@ const validators = {
     .withMessage('Invalid email format')
     .normalizeEmail(),
 
-  password: () => body('password')
+  password: (field = 'password') => body(field)
     .isLength({ min: 8 })
     .withMessage('Password must be at least 8 characters')
     .matches(/[A-Z]/)
@@ -226,6 +226,22 @@ const validationRules = {
     handleValidationErrors
   ],
 
+  forgotPassword: [
+    validators.email(),
+    handleValidationErrors
+  ],
+
+  resetPassword: [
+    body('token').isString().notEmpty().withMessage('Reset token is required'),
+    validators.password('newPassword'),
+    handleValidationErrors
+  ],
+
+  verifyEmail: [
+    body('token').isString().notEmpty().withMessage('Verification token is required'),
+    handleValidationErrors
+  ],
+
   changePassword: [
     body('currentPassword').notEmpty().withMessage('Current password is required'),
     validators.password().customSanitizer(() => 'newPassword'),
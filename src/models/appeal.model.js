@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const APPEAL_STATUSES = ['pending', 'in_review', 'reinstated', 'upheld'];
+
+// The removal being appealed, copied from the post when the appeal is filed
+const removalSchema = new mongoose.Schema({
+  reason: String,
+  // Unset for automatic removals
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removedAt: Date
+}, { _id: false });
+
+const timelineEntrySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: APPEAL_STATUSES,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String
+}, { _id: false });
+
+/**
+ * Appeal Model
+ *
+ * An author's request to reinstate a removed post. It is reviewed by a staff
+ * member other than the one who removed the post, who reinstates the post or
+ * upholds the removal. Every status change is kept in `timeline`.
+ */
+const appealSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  removal: removalSchema,
+  justification: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000
+  },
+  status: {
+    type: String,
+    enum: APPEAL_STATUSES,
+    default: 'pending'
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decisionNote: {
+    type: String,
+    maxlength: 1000
+  },
+  decidedAt: Date,
+  timeline: [timelineEntrySchema]
+}, {
+  timestamps: true
+});
+
+appealSchema.index({ post: 1, 'removal.removedAt': 1, createdAt: -1 });
+appealSchema.index({ author: 1, createdAt: -1 });
+appealSchema.index({ status: 1, createdAt: 1 });
+
+const Appeal = mongoose.model('Appeal', appealSchema);
+Appeal.APPEAL_STATUSES = APPEAL_STATUSES;
+
+module.exports = Appeal;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Privileged actions recorded in the audit trail
+const AUDIT_ACTIONS = [
+  'journalist_approved',
+  'journalist_rejected',
+  'journalist_unverified',
+  'journalist_verification_toggled',
+  'user_suspended',
+  'user_banned',
+  'user_unbanned',
+  'user_role_changed',
+  'user_warned',
+  'content_deleted',
+  'content_rolled_back',
+  'report_reviewed',
+  'moderation_case_assigned',
+  'moderation_case_resolved',
+  'appeal_decided',
+  'strike_revoked',
+  'filter_rule_created',
+  'filter_rule_updated',
+  'filter_rule_deleted',
+  'filter_hit_reviewed'
+];
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copy of the actor identity at the time of the action (survives account deletion)
+  actorSnapshot: {
+    username: String,
+    email: String,
+    role: String
+  },
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'post', 'comment', 'short', 'report', 'filter_rule'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Human-readable label of the target (username, post title...)
+  targetLabel: String,
+  changes: {
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  },
+  reason: String,
+  ip: String,
+  userAgent: String,
+  correlationId: String,
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// Audit entries are append-only
+const rejectMutation = function () {
+  throw new Error('Audit log entries are immutable');
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) {
+    rejectMutation();
+  }
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+AuditLog.AUDIT_ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditLog;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const collectionItemSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Bookmark Collection Model
+ *
+ * Named folder of bookmarked posts, in the owner's order (`items` array
+ * order) with a note per item. Every post of a collection is also in the
+ * owner's bookmarks (see collection.service.js). A public collection has a
+ * share token and can be followed as a reading list.
+ */
+const bookmarkCollectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  items: [collectionItemSchema],
+  isPublic: {
+    type: Boolean,
+    default: false
+  },
+  // Set while public, a new one is issued each time the collection is shared again
+  shareToken: String,
+  followers: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    select: false
+  },
+  followersCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+bookmarkCollectionSchema.index({ owner: 1, name: 1 }, { unique: true, collation: { locale: 'fr', strength: 2 } });
+bookmarkCollectionSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+bookmarkCollectionSchema.index({ followers: 1 });
+bookmarkCollectionSchema.index({ owner: 1, 'items.post': 1 });
+
+module.exports = mongoose.model('BookmarkCollection', bookmarkCollectionSchema);
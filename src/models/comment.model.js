@@ -1,5 +1,31 @@
 const mongoose = require('mongoose');
 
+// @username mentions, resolved on save (see mention.service.js)
+const mentionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: String,
+  // Position of the `@username` token in the content
+  offset: Number,
+  length: Number
+}, { _id: false });
+
+// A previous version of the content, replaced by an edit
+const commentRevisionSchema = new mongoose.Schema({
+  content: String,
+  mentions: [mentionSchema],
+  // When this version was written (comment creation or previous edit)
+  createdAt: Date,
+  // When the edit replaced it
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const commentSchema = new mongoose.Schema({
   content: {
     type: String,
@@ -24,6 +50,25 @@ const commentSchema = new mongoose.Schema({
     ref: 'Comment',
     default: null
   },
+  // Thread position, set from the parent on creation: every ancestor from the
+  // top-level comment down to the parent, so a subtree is one indexed query
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  }],
+  depth: {
+    type: Number,
+    default: 0
+  },
+  // Active direct replies and active comments in the whole subtree
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  descendantCount: {
+    type: Number,
+    default: 0
+  },
   likes: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -43,6 +88,8 @@ const commentSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Content as it was when reported, edits do not change it
+    contentSnapshot: String,
     createdAt: {
       type: Date,
       default: Date.now
@@ -62,19 +109,38 @@ const commentSchema = new mongoose.Schema({
   isEdited: {
     type: Boolean,
     default: false
+  },
+  editedAt: Date,
+  // Append-only history of previous versions, for moderators
+  revisions: {
+    type: [commentRevisionSchema],
+    select: false
+  },
+  // Highlights by the journalist of the post (see comment.service.js)
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: Date,
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isJournalistPick: {
+    type: Boolean,
+    default: false
+  },
+  pickedAt: Date,
+  mentions: [mentionSchema],
+  // Mentioned users already notified for this comment
+  notifiedMentions: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    select: false
   }
 }, {
   timestamps: true
 });
 
-// Virtual for reply count
-commentSchema.virtual('replyCount', {
-  ref: 'Comment',
-  localField: '_id',
-  foreignField: 'parentComment',
-  count: true
-});
-
 // Ensure virtuals are included in toJSON and toObject
 commentSchema.set('toJSON', { virtuals: true });
 commentSchema.set('toObject', { virtuals: true });
@@ -82,7 +148,42 @@ commentSchema.set('toObject', { virtuals: true });
 // Add indexes
 commentSchema.index({ post: 1, createdAt: -1 });
 commentSchema.index({ author: 1 });
-commentSchema.index({ parentComment: 1 });
+commentSchema.index({ parentComment: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ ancestors: 1, depth: 1, createdAt: 1 });
+commentSchema.index({ post: 1, isPinned: 1 });
+
+// Thread position of new replies, from their parent
+commentSchema.pre('validate', async function(next) {
+  if (!this.isNew || !this.parentComment) {
+    return next();
+  }
+
+  const parent = await this.constructor.findById(this.parentComment)
+    .select('post ancestors depth')
+    .setOptions({ skipAutopopulate: true });
+  if (!parent) {
+    this.invalidate('parentComment', 'Parent comment not found');
+  } else if (parent.post.toString() !== this.post?.toString()) {
+    this.invalidate('parentComment', 'Parent comment belongs to another post');
+  } else {
+    this.ancestors = [...parent.ancestors, parent._id];
+    this.depth = parent.depth + 1;
+  }
+  next();
+});
+
+commentSchema.pre('save', function(next) {
+  this.$locals.created = this.isNew;
+  next();
+});
+
+// Comments held by the content filter are counted once approved
+commentSchema.post('save', async function(doc) {
+  if (doc.$locals.created && doc.status === 'active') {
+    doc.$locals.created = false;
+    await doc.constructor.adjustThreadCounts(doc, 1);
+  }
+});
 
 // Auto-populate author on all find queries
 // This prevents mobile crashes when author is not populated
@@ -107,22 +208,97 @@ commentSchema.statics.findByAuthor = function(authorId) {
     .populate('post', 'title');
 };
 
+/**
+ * Add or remove comments from the reply counts of a comment's thread
+ * @param {Object} comment - Comment whose subtree changes (ancestors, parentComment)
+ * @param {number} delta - Comments added (or removed, negative), the comment's own subtree included
+ * @param {number} [directDelta] - Change of the parent's direct replies (default: delta sign)
+ */
+commentSchema.statics.adjustThreadCounts = async function(comment, delta, directDelta = Math.sign(delta)) {
+  const ancestors = comment.ancestors || [];
+  if (!comment.parentComment || ancestors.length === 0 || delta === 0) {
+    return;
+  }
+
+  await this.bulkWrite([
+    {
+      updateOne: {
+        filter: { _id: comment.parentComment },
+        update: { $inc: { replyCount: directDelta } }
+      }
+    },
+    {
+      updateMany: {
+        filter: { _id: { $in: ancestors } },
+        update: { $inc: { descendantCount: delta } }
+      }
+    }
+  ], { ordered: false });
+};
+
 // Instance methods
 
 commentSchema.methods.report = async function(userId, reason) {
   if (!this.reports.some(report => report.user.toString() === userId.toString())) {
-    this.reports.push({ user: userId, reason });
-
-    // Auto-hide comment if it reaches report threshold
-    if (this.reports.length >= 5) {
-      this.status = 'hidden';
-    }
-
+    this.reports.push({ user: userId, reason, contentSnapshot: this.content });
     await this.save();
   }
   return this;
 };
 
+/**
+ * Hide an active comment and take it out of its thread counts
+ * @returns {Promise<boolean>} Whether the comment was hidden by this call
+ */
+commentSchema.methods.hide = async function() {
+  const { modifiedCount } = await this.constructor.updateOne(
+    { _id: this._id, status: 'active' },
+    { $set: { status: 'hidden' } }
+  );
+  if (modifiedCount === 0) {
+    return false;
+  }
+
+  this.status = 'hidden';
+  await this.constructor.adjustThreadCounts(this, -(1 + (this.descendantCount || 0)), -1);
+  return true;
+};
+
+/**
+ * Replace the content, keeping the previous version in `revisions`
+ * @param {string} content
+ * @param {Array} mentions - Resolved mentions of the new content
+ * @returns {Promise<boolean>} false when the content was edited concurrently
+ */
+commentSchema.methods.edit = async function(content, mentions) {
+  if (content === this.content) {
+    return true;
+  }
+
+  const editedAt = new Date();
+  // Matching the current content makes concurrent edits fail instead of losing a version
+  const result = await this.constructor.updateOne(
+    { _id: this._id, content: this.content },
+    {
+      $push: {
+        revisions: {
+          content: this.content,
+          mentions: this.mentions,
+          createdAt: this.editedAt || this.createdAt,
+          replacedAt: editedAt
+        }
+      },
+      $set: { content, mentions, isEdited: true, editedAt }
+    }
+  );
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  this.set({ content, mentions, isEdited: true, editedAt });
+  return true;
+};
+
 commentSchema.methods.getPublicData = function(userId) {
   const authorId = this.author?._id || this.author;
   const isLiked = userId ? this.likes.some(like => like.user.toString() === userId.toString()) : false;
@@ -134,10 +310,22 @@ commentSchema.methods.getPublicData = function(userId) {
     content: this.content,
     likesCount: likesCount,
     isLiked,
-    replyCount: 0,
+    replyCount: this.replyCount || 0,
+    descendantCount: this.descendantCount || 0,
+    depth: this.depth || 0,
     parentCommentId: this.parentComment ? this.parentComment.toString() : null,
     status: this.status,
     isEdited: this.isEdited || false,
+    editedAt: this.editedAt || null,
+    isPinned: this.isPinned || false,
+    pinnedAt: this.pinnedAt || null,
+    isJournalistPick: this.isJournalistPick || false,
+    mentions: (this.mentions || []).map(mention => ({
+      userId: mention.user.toString(),
+      username: mention.username,
+      offset: mention.offset,
+      length: mention.length
+    })),
     createdAt: this.createdAt,
     updatedAt: this.updatedAt,
     author: this.author?._id ? {
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Device Model
+ *
+ * Push notification registry: one document per app installation or browser
+ * subscription. `token` is the FCM registration token, the APNs device token,
+ * or the Web Push subscription endpoint. A token belongs to the last user who
+ * registered it, so switching accounts on a device moves it.
+ */
+const deviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web'],
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: ['fcm', 'apns', 'webpush'],
+    required: true
+  },
+  token: {
+    type: String,
+    required: true
+  },
+  // Web Push subscription keys, needed to encrypt the payload
+  keys: {
+    type: {
+      p256dh: String,
+      auth: String
+    },
+    select: false
+  },
+  appVersion: String,
+  locale: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDeliveredAt: Date,
+  // Consecutive failed deliveries (reset on success)
+  failureCount: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+deviceSchema.index({ token: 1 }, { unique: true });
+deviceSchema.index({ user: 1, lastSeenAt: -1 });
+
+deviceSchema.methods.getPublicData = function () {
+  return {
+    id: this._id.toString(),
+    platform: this.platform,
+    provider: this.provider,
+    appVersion: this.appVersion || null,
+    locale: this.locale || null,
+    lastSeenAt: this.lastSeenAt,
+    lastDeliveredAt: this.lastDeliveredAt || null,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Device', deviceSchema);
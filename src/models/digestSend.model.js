@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Digest Send Model
+ *
+ * One document per user and digest period (e.g. daily 2026-03-02, weekly
+ * 2026-W10). The unique index is what prevents duplicate digests: an instance
+ * claims a period by inserting its document before sending.
+ */
+const digestSendSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly'],
+    required: true
+  },
+  periodKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed', 'empty'],
+    default: 'sending'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // Posts included, so the next digest does not repeat them
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  error: String,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+digestSendSchema.index({ user: 1, frequency: 1, periodKey: 1 }, { unique: true });
+digestSendSchema.index({ status: 1, createdAt: -1 });
+// Send history is only needed for a few months
+digestSendSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('DigestSend', digestSendSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Filter Hit Model
+ *
+ * A rule of the content filter matched by a post or comment when it was
+ * written. Hits of rules that hold or flag the content stay `open` until an
+ * admin approves the content or removes it; the others are recorded `closed`
+ * (rejected content was never saved and has no target).
+ */
+const filterHitSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FilterRule',
+    required: true
+  },
+  // Copy of the rule when it matched (rules can be edited or deleted)
+  ruleSnapshot: {
+    name: String,
+    kind: String,
+    action: String
+  },
+  targetType: {
+    type: String,
+    enum: ['post', 'comment'],
+    required: true
+  },
+  // Unset when the content was rejected
+  targetId: mongoose.Schema.Types.ObjectId,
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  field: {
+    type: String,
+    enum: ['title', 'content'],
+    required: true
+  },
+  // Matched text, as normalized by the filter
+  matches: [String],
+  excerpt: {
+    type: String,
+    maxlength: 300
+  },
+  // Action applied to the content: the strictest of the rules it matched
+  contentAction: {
+    type: String,
+    enum: ['flag', 'hide', 'hold', 'reject'],
+    required: true
+  },
+  // Status the content would have without the filter, restored on approval:
+  // published or scheduled for posts, the comment's status for edited comments,
+  // unset for new comments
+  previousStatus: String,
+  status: {
+    type: String,
+    enum: ['open', 'approved', 'removed', 'closed'],
+    default: 'open'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+filterHitSchema.index({ status: 1, createdAt: -1 });
+filterHitSchema.index({ rule: 1, createdAt: -1 });
+filterHitSchema.index({ targetType: 1, targetId: 1 });
+
+module.exports = mongoose.model('FilterHit', filterHitSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const RULE_KINDS = ['terms', 'regex', 'domains'];
+// From the mildest to the strictest: the strictest matching rule decides
+const RULE_ACTIONS = ['flag', 'hide', 'hold', 'reject'];
+
+/**
+ * Filter Rule Model
+ *
+ * Admin-managed rule of the content filter (see contentFilter.service.js),
+ * checked when a post or comment is written:
+ * - terms: words or phrases, `*` at the end of a term matches any ending
+ * - regex: a pattern tested on the text with and without accents and leetspeak
+ * - domains: links to these domains or their subdomains
+ */
+const filterRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  kind: {
+    type: String,
+    enum: RULE_KINDS,
+    required: true
+  },
+  // Terms of a `terms` rule, domains of a `domains` rule
+  terms: [{
+    type: String,
+    trim: true,
+    maxlength: 200
+  }],
+  // Pattern of a `regex` rule, matched case-insensitively
+  pattern: {
+    type: String,
+    maxlength: 500
+  },
+  action: {
+    type: String,
+    enum: RULE_ACTIONS,
+    required: true
+  },
+  targets: {
+    type: [{ type: String, enum: ['post', 'comment'] }],
+    default: () => ['post', 'comment']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  hitCount: {
+    type: Number,
+    default: 0
+  },
+  lastHitAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+filterRuleSchema.index({ name: 1 }, { unique: true, collation: { locale: 'fr', strength: 2 } });
+filterRuleSchema.index({ isActive: 1 });
+
+const FilterRule = mongoose.model('FilterRule', filterRuleSchema);
+FilterRule.RULE_KINDS = RULE_KINDS;
+FilterRule.RULE_ACTIONS = RULE_ACTIONS;
+
+module.exports = FilterRule;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Follow Request Model
+ *
+ * Following a private account creates a pending request that its owner
+ * approves or declines (see follow.service.js). One document per requester
+ * and account: asking again after a decline reopens it.
+ */
+const followRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'declined'],
+    default: 'pending'
+  },
+  respondedAt: Date
+}, {
+  timestamps: true
+});
+
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+followRequestSchema.index({ target: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('FollowRequest', followRequestSchema);
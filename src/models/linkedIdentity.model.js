@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const IDENTITY_PROVIDERS = ['google'];
+
+/**
+ * Linked Identity Model
+ *
+ * External sign-in identity (Google today, Apple/others later) attached to a User.
+ * An identity is keyed by the provider's stable subject ID, never by email:
+ * the email on the provider side can change.
+ */
+const linkedIdentitySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    enum: IDENTITY_PROVIDERS,
+    required: true
+  },
+  providerUserId: {
+    type: String,
+    required: true
+  },
+  // Profile as last reported by the provider
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  name: String,
+  picture: String,
+  linkedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: Date
+});
+
+linkedIdentitySchema.index({ provider: 1, providerUserId: 1 }, { unique: true });
+// One identity per provider and user
+linkedIdentitySchema.index({ user: 1, provider: 1 }, { unique: true });
+
+linkedIdentitySchema.methods.getPublicData = function () {
+  return {
+    id: this._id.toString(),
+    provider: this.provider,
+    email: this.email || null,
+    name: this.name || null,
+    linkedAt: this.linkedAt,
+    lastUsedAt: this.lastUsedAt || null
+  };
+};
+
+const LinkedIdentity = mongoose.model('LinkedIdentity', linkedIdentitySchema);
+LinkedIdentity.IDENTITY_PROVIDERS = IDENTITY_PROVIDERS;
+
+module.exports = LinkedIdentity;
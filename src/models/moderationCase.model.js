@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const reasonCountSchema = new mongoose.Schema({
+  reason: String,
+  count: Number
+}, { _id: false });
+
+/**
+ * Moderation Case Model
+ *
+ * One entry of the moderation queue: every report about a target, from the
+ * Report collection and from the reports embedded in Post / Comment, merged
+ * into one case per target (see moderation.service.js). Reports filed after a
+ * case is resolved open a new case.
+ */
+// Automatic removal held because the reports look coordinated (see brigading.service.js)
+const autoRemovalHoldSchema = new mongoose.Schema({
+  heldAt: Date,
+  signals: [String],
+  details: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const moderationCaseSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: ['post', 'comment', 'short', 'user'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Author of the reported content, or the reported user
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved'],
+    default: 'open'
+  },
+  priority: {
+    type: String,
+    enum: ['high', 'normal', 'low'],
+    default: 'low'
+  },
+  priorityScore: {
+    type: Number,
+    default: 0
+  },
+  // Reporters of the case, each counted once across sources
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  reasons: [reasonCountSchema],
+  // Reports of the case by source
+  sources: {
+    reports: { type: Number, default: 0 },
+    embedded: { type: Number, default: 0 }
+  },
+  // Reports filed after this date belong to the case (end of the previous case)
+  reportsSince: {
+    type: Date,
+    default: () => new Date(0)
+  },
+  firstReportedAt: Date,
+  lastReportedAt: Date,
+  // SLA deadline, from the first report and the current priority
+  dueAt: Date,
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  claimedAt: Date,
+  // Set for claims only: an assignment by an admin does not expire
+  claimExpiresAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resolvedAt: Date,
+  actionTaken: {
+    type: String,
+    enum: ['none', 'warning', 'content_removed', 'user_suspended', 'user_banned']
+  },
+  resolution: {
+    type: String,
+    maxlength: 1000
+  },
+  autoRemovalHold: autoRemovalHoldSchema
+}, {
+  timestamps: true
+});
+
+// One open case per target
+moderationCaseSchema.index(
+  { targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+moderationCaseSchema.index({ status: 1, priorityScore: -1, dueAt: 1 });
+moderationCaseSchema.index({ assignedTo: 1, status: 1 });
+moderationCaseSchema.index({ author: 1, status: 1, resolvedAt: -1 });
+moderationCaseSchema.index({ targetType: 1, targetId: 1, resolvedAt: -1 });
+
+module.exports = mongoose.model('ModerationCase', moderationCaseSchema);
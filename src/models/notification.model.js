@@ -1,5 +1,41 @@
 const mongoose = require('mongoose');
 
+// Notification types merged into one aggregate per entity ("Alice et 12 autres ont aimé...")
+// key -> entity the group is about
+const GROUPED_TYPES = {
+  post_like: data => `post:${data.postId || data.entityId}`,
+  comment_like: data => `comment:${data.commentId || data.entityId}`,
+  // Comments on the recipient's post and replies to their comments, grouped per post
+  comment_reply: data => `post:${data.postId || data.entityId}`,
+  new_follower: () => 'followers'
+};
+// A group keeps absorbing new actors while its last activity is this recent
+const GROUP_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Latest actors kept on the group for display
+const MAX_GROUP_ACTORS = 5;
+// Sent by the platform (SYSTEM_SENDER_ID): the message reads on its own, without a sender name
+const SYSTEM_TYPES = [
+  'post_removed',
+  'appeal_received',
+  'appeal_in_review',
+  'appeal_reinstated',
+  'appeal_upheld',
+  'account_warning',
+  'account_suspended'
+];
+const SYSTEM_SENDER_ID = '000000000000000000000000';
+
+const groupActorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const notificationSchema = new mongoose.Schema({
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,7 +54,16 @@ const notificationSchema = new mongoose.Schema({
       'comment_like',
       'comment_reply',
       'new_follower',
+      'follow_request',
+      'follow_request_approved',
+      'follow_request_declined',
       'post_removed',
+      'appeal_received',
+      'appeal_in_review',
+      'appeal_reinstated',
+      'appeal_upheld',
+      'account_warning',
+      'account_suspended',
       'article_published',
       'mention',
       'new_post_from_followed'
@@ -54,6 +99,23 @@ const notificationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Aggregation (grouped types only): `sender` is the latest actor,
+  // createdAt the latest activity
+  groupKey: String,
+  // Set while the group absorbs new actors, so that only one is open per key
+  groupOpen: Boolean,
+  actorCount: {
+    type: Number,
+    default: 1
+  },
+  // Latest actors first
+  actors: [groupActorSchema],
+  // Every distinct actor, to count each one once
+  actorIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    select: false
+  },
+  firstActivityAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -63,6 +125,8 @@ const notificationSchema = new mongoose.Schema({
 // Index pour améliorer les performances
 notificationSchema.index({ recipient: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ createdAt: -1 });
+notificationSchema.index({ recipient: 1, groupKey: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, groupKey: 1 }, { unique: true, partialFilterExpression: { groupOpen: true } });
 
 // Méthode pour marquer comme lu
 notificationSchema.methods.markAsRead = async function() {
@@ -85,26 +149,29 @@ notificationSchema.statics.createNotification = async function(data) {
     return null;
   }
 
-  // Vérifier le spam - pour like/unlike et follow/unfollow
-  const spamTypes = ['post_like', 'new_follower'];
-  if (spamTypes.includes(type)) {
-    // Vérifier les notifications récentes similaires
-    const recentTimeLimit = new Date(Date.now() - 5 * 60 * 1000); // 5 minutes
-    const recentSimilar = await this.findOne({
-      recipient,
-      sender,
-      type,
-      entityId,
-      createdAt: { $gte: recentTimeLimit }
-    });
+  // Ni l'un ni l'autre ne s'est bloqué, et l'expéditeur n'est pas masqué par le destinataire
+  const silenced = await mongoose.model('User').exists({
+    $or: [
+      { _id: recipient, $or: [{ blockedUsers: sender }, { mutedUsers: sender }] },
+      { _id: sender, blockedUsers: recipient }
+    ]
+  });
+  if (silenced) {
+    return null;
+  }
 
-    if (recentSimilar) {
-      // Mise à jour de la notification existante au lieu d'en créer une nouvelle
-      recentSimilar.createdAt = new Date();
-      recentSimilar.isRead = false;
-      return recentSimilar.save();
+  // Types groupés : fusion dans l'agrégat en cours plutôt qu'une nouvelle ligne
+  if (GROUPED_TYPES[type]) {
+    const grouped = await this.mergeIntoGroup(data);
+    if (grouped) {
+      return grouped;
     }
+  }
 
+  // Vérifier le spam - pour like/unlike et follow/unfollow
+  // (les répétitions d'un même auteur sont absorbées par le groupe ci-dessus)
+  const spamTypes = ['post_like', 'new_follower'];
+  if (spamTypes.includes(type)) {
     // Vérifier le spam pattern (plus de 3 actions similaires en 1 minute)
     const spamTimeLimit = new Date(Date.now() - 60 * 1000); // 1 minute
     const spamCount = await this.countDocuments({
@@ -140,17 +207,55 @@ notificationSchema.statics.createNotification = async function(data) {
     title = 'Nouvel abonné';
     message = 'a commencé à vous suivre';
     break;
+  case 'follow_request':
+    title = 'Demande d\'abonnement';
+    message = 'souhaite s\'abonner à votre compte';
+    break;
+  case 'follow_request_approved':
+    title = 'Demande acceptée';
+    message = 'a accepté votre demande d\'abonnement';
+    break;
+  case 'follow_request_declined':
+    title = 'Demande refusée';
+    message = 'a refusé votre demande d\'abonnement';
+    break;
   case 'post_removed':
     title = 'Publication supprimée';
     message = 'Votre publication a été supprimée suite à des signalements';
     break;
+  case 'appeal_received':
+    title = 'Contestation reçue';
+    message = 'Votre contestation a bien été reçue et sera examinée par un autre modérateur';
+    break;
+  case 'appeal_in_review':
+    title = 'Contestation en cours d\'examen';
+    message = 'Votre contestation est en cours d\'examen';
+    break;
+  case 'appeal_reinstated':
+    title = 'Publication rétablie';
+    message = 'Votre contestation a été acceptée, votre publication est de nouveau visible';
+    break;
+  case 'appeal_upheld':
+    title = 'Contestation rejetée';
+    message = 'Votre contestation a été examinée, la suppression de votre publication est maintenue';
+    break;
+  case 'account_warning':
+    title = 'Avertissement';
+    message = 'Plusieurs de vos contenus ont été sanctionnés, de nouvelles infractions entraîneront la suspension de votre compte';
+    break;
+  case 'account_suspended':
+    title = 'Compte suspendu';
+    message = 'Votre compte a été suspendu suite à des infractions répétées';
+    break;
   case 'article_published':
     title = 'Nouvel article';
     message = 'a publié un nouvel article';
     break;
   case 'mention':
     title = 'Nouvelle mention';
-    message = 'vous a mentionné dans un commentaire';
+    message = entityType === 'post'
+      ? 'vous a mentionné dans une publication'
+      : 'vous a mentionné dans un commentaire';
     break;
   case 'new_post_from_followed':
     title = 'Nouvelle publication';
@@ -161,6 +266,7 @@ notificationSchema.statics.createNotification = async function(data) {
     message = 'Nouvelle notification';
   }
 
+  const now = new Date();
   const notification = new this({
     recipient,
     sender,
@@ -170,13 +276,105 @@ notificationSchema.statics.createNotification = async function(data) {
     postId,
     commentId,
     title,
-    message
+    message,
+    ...(GROUPED_TYPES[type] ? {
+      groupKey: GROUPED_TYPES[type](data),
+      actorCount: 1,
+      actors: [{ user: sender, at: now }],
+      actorIds: [sender],
+      firstActivityAt: now,
+      groupOpen: true
+    } : {}),
+    createdAt: now
   });
 
-  return notification.save();
+  try {
+    return await notification.save();
+  } catch (error) {
+    // Two actors opening the same group at once: the other one created it
+    if (error.code === 11000 && notification.groupOpen) {
+      const grouped = await this.mergeIntoGroup(data);
+      if (grouped) {
+        return grouped;
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Add an actor to the recipient's open group for this type and entity
+ * @returns {Promise<Object|null>} The updated group (`$locals.grouped` = true,
+ *   `$locals.repeatedActor` when the actor was already counted), or null when
+ *   no group is open and a new one must be created
+ */
+notificationSchema.statics.mergeIntoGroup = async function(data) {
+  const { type, sender, recipient, entityId, entityType, postId, commentId } = data;
+  const now = new Date();
+  const groupKey = GROUPED_TYPES[type](data);
+  const windowStart = new Date(now.getTime() - GROUP_WINDOW_MS);
+  const openGroup = { recipient, groupKey, createdAt: { $gte: windowStart } };
+
+  // New actor: counted, moved to the top and marked unread again
+  const group = await this.findOneAndUpdate(
+    { ...openGroup, actorIds: { $ne: sender } },
+    {
+      $set: { sender, entityId, entityType, postId, commentId, createdAt: now, isRead: false },
+      $inc: { actorCount: 1 },
+      $addToSet: { actorIds: sender },
+      $push: { actors: { $each: [{ user: sender, at: now }], $position: 0, $slice: MAX_GROUP_ACTORS } }
+    },
+    { sort: { createdAt: -1 }, new: true }
+  );
+  if (group) {
+    group.$locals.grouped = true;
+    return group;
+  }
+
+  // Same actor again (e.g. like, unlike, like): nothing new to tell
+  const existing = await this.findOne({ ...openGroup, actorIds: sender }).sort({ createdAt: -1 });
+  if (existing) {
+    existing.$locals.grouped = true;
+    existing.$locals.repeatedActor = true;
+    return existing;
+  }
+
+  // The previous group is past the window: close it to let a new one open
+  await this.updateMany(
+    { recipient, groupKey, groupOpen: true, createdAt: { $lt: windowStart } },
+    { $unset: { groupOpen: 1 } }
+  );
+  return null;
+};
+
+/**
+ * Display text of a notification, aggregated when several users acted
+ * @param {Object} notification - With populated sender
+ * @returns {string} e.g. "Alice et 12 autres ont aimé votre publication"
+ */
+notificationSchema.statics.getSummary = function(notification) {
+  if (SYSTEM_TYPES.includes(notification.type)) {
+    return notification.message;
+  }
+  const name = notification.sender?.name || notification.sender?.username || 'Quelqu\'un';
+  const others = (notification.actorCount || 1) - 1;
+  if (others <= 0) {
+    return `${name} ${notification.message}`;
+  }
+
+  const groupMessages = {
+    post_like: 'ont aimé votre publication',
+    comment_like: 'ont aimé votre commentaire',
+    comment_reply: 'ont participé à la discussion',
+    new_follower: 'ont commencé à vous suivre'
+  };
+  const action = groupMessages[notification.type] || notification.message;
+
+  return `${name} et ${others} ${others === 1 ? 'autre' : 'autres'} ${action}`;
 };
 
 // Méthode pour obtenir les notifications non lues
+// Un groupe compte pour une seule notification, quel que soit son nombre d'auteurs
 notificationSchema.statics.getUnreadCount = async function(userId) {
   return this.countDocuments({ recipient: userId, isRead: false });
 };
@@ -200,4 +398,7 @@ notificationSchema.statics.cleanOldNotifications = async function() {
   });
 };
 
-module.exports = mongoose.model('Notification', notificationSchema);
+const Notification = mongoose.model('Notification', notificationSchema);
+Notification.SYSTEM_SENDER_ID = SYSTEM_SENDER_ID;
+
+module.exports = Notification;
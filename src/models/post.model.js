@@ -17,6 +17,7 @@
  */
 
 const mongoose = require('mongoose');
+const { buildSearchIndex } = require('../utils/textAnalyzer');
 
 const postStatsSchema = new mongoose.Schema({
   views: { type: Number, default: 0 },
@@ -208,6 +209,38 @@ const opinionMetadataSchema = new mongoose.Schema({
   ]
 });
 
+// Per-field analyzed terms. Field arrays keep repetitions (term frequency),
+// `terms` is the deduplicated union used for candidate lookup
+const searchIndexSchema = new mongoose.Schema({
+  title: [String],
+  hashtags: [String],
+  tags: [String],
+  journalist: [String],
+  content: [String],
+  terms: [String],
+  indexedAt: Date
+}, { _id: false });
+
+// @username mentions in the content, resolved on save (see mention.service.js)
+const mentionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: String,
+  // Position of the `@username` token in the content
+  offset: Number,
+  length: Number
+}, { _id: false });
+
+// Public "corrected on" marker, set when a published post is edited (see revision.service.js)
+const correctionSchema = new mongoose.Schema({
+  correctedAt: Date,
+  note: String,
+  version: Number
+}, { _id: false });
+
 const postSchema = new mongoose.Schema(
   {
     title: {
@@ -277,9 +310,13 @@ const postSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['draft', 'published', 'archived', 'hidden', 'deleted'],
+      enum: ['draft', 'scheduled', 'published', 'archived', 'hidden', 'deleted'],
       default: 'draft'
     },
+    // Scheduled publication and embargo end (see postScheduler.service.js)
+    publishAt: Date,
+    unpublishAt: Date,
+    publishedAt: Date,
     politicalOrientation: {
       type: politicalOrientationSchema,
       required: true
@@ -302,6 +339,11 @@ const postSchema = new mongoose.Schema(
     },
     deletedAt: Date,
     deletionReason: String,
+    // Staff member who removed the post, unset for automatic removals
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     interactions: {
       likes: {
         users: [
@@ -354,7 +396,7 @@ const postSchema = new mongoose.Schema(
       },
       // bookmarks: Users who bookmarked this post (source of truth)
       // Synchronized with User.interactions.savedPosts (denormalization)
-      // Managed atomically by toggleBookmark in interactions.controller.js
+      // Managed atomically by bookmark.service.js (toggleBookmark, collections)
       bookmarks: {
         users: [
           {
@@ -401,6 +443,22 @@ const postSchema = new mongoose.Schema(
         description: { type: String, default: '' }
       }
     ],
+    correction: {
+      type: correctionSchema,
+      default: undefined
+    },
+    mentions: [mentionSchema],
+    // Mentioned users already notified for this post
+    notifiedMentions: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      select: false
+    },
+    // Analyzed terms (accent-folded, stemmed) used by search.service.js
+    // Rebuilt on save; never returned to clients
+    searchIndex: {
+      type: searchIndexSchema,
+      select: false
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -470,6 +528,12 @@ postSchema.pre('save', function (next) {
     };
   }
 
+  // Posts going live now are dated now (the scheduler dates the ones it publishes);
+  // posts published before publishedAt existed fall back to createdAt
+  if (this.status === 'published' && !this.publishedAt && (this.isNew || this.isModified('status'))) {
+    this.publishedAt = new Date();
+  }
+
   // Calculate and update dominantView if political orientation exists
   if (this.politicalOrientation && this.politicalOrientation.userVotes) {
     const dominant = calculateDominantView(this.politicalOrientation.userVotes);
@@ -481,6 +545,28 @@ postSchema.pre('save', function (next) {
   next();
 });
 
+// Keep the search index in sync with the searchable fields
+postSchema.pre('save', async function () {
+  const searchableChanged = this.isNew ||
+    ['title', 'content', 'tags', 'hashtags', 'journalist'].some(path => this.isModified(path));
+
+  if (!searchableChanged) {
+    return;
+  }
+
+  let journalistName = '';
+  if (this.journalist) {
+    const journalistId = this.journalist._id || this.journalist;
+    const journalist = await mongoose.model('User')
+      .findById(journalistId)
+      .select('name username')
+      .lean();
+    journalistName = [journalist?.name, journalist?.username].filter(Boolean).join(' ');
+  }
+
+  this.searchIndex = buildSearchIndex(this, journalistName);
+});
+
 // Static methods
 postSchema.statics.findByType = function (type) {
   return this.find({ type });
@@ -550,9 +636,13 @@ postSchema.index({ type: 1, status: 1, createdAt: -1 });
 postSchema.index({ domain: 1, status: 1, createdAt: -1 });
 postSchema.index({ type: 1, domain: 1, status: 1, createdAt: -1 }); // Compound index for complex queries
 postSchema.index({ status: 1, createdAt: -1 });
+postSchema.index({ status: 1, publishedAt: -1, createdAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 }, { partialFilterExpression: { publishAt: { $exists: true } } });
+postSchema.index({ status: 1, unpublishAt: 1 }, { partialFilterExpression: { unpublishAt: { $exists: true } } });
 postSchema.index({ 'interactions.likes.users.user': 1 });
 postSchema.index({ 'interactions.bookmarks.users.user': 1 });
 postSchema.index({ 'politicalOrientation.voters.userId': 1 });
+postSchema.index({ 'searchIndex.terms': 1, status: 1 }); // Multikey index for search candidates
 
 // Compound index for ensuring unique votes on political orientation
 postSchema.index(
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Editorial fields whose history is kept once a post is published
+const REVISION_FIELDS = ['title', 'content', 'imageUrl', 'videoUrl'];
+
+const revisionSnapshotSchema = new mongoose.Schema({
+  title: String,
+  content: String,
+  imageUrl: String,
+  videoUrl: String
+}, { _id: false });
+
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: REVISION_FIELDS,
+    required: true
+  },
+  // Word-level diff from the previous version (see utils/textDiff)
+  diff: [{
+    _id: false,
+    op: { type: String, enum: ['equal', 'delete', 'insert'] },
+    text: String
+  }]
+}, { _id: false });
+
+/**
+ * Post Revision Model
+ *
+ * One document per version of a published post. Version 1 is the post as it
+ * was first published (recorded lazily on the first edit); each later edit or
+ * rollback adds a version holding the full snapshot and the diff from the
+ * previous one.
+ */
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  kind: {
+    type: String,
+    enum: ['original', 'edit', 'rollback'],
+    default: 'edit'
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editorRole: String,
+  snapshot: {
+    type: revisionSnapshotSchema,
+    required: true
+  },
+  changes: [fieldChangeSchema],
+  correctionNote: {
+    type: String,
+    trim: true,
+    maxLength: 500
+  },
+  // Version restored by a rollback
+  rolledBackTo: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+postRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+postRevisionSchema.methods.getSummary = function () {
+  return {
+    version: this.version,
+    kind: this.kind,
+    editor: this.editor,
+    editorRole: this.editorRole,
+    changedFields: (this.changes || []).map(change => change.field),
+    correctionNote: this.correctionNote || null,
+    rolledBackTo: this.rolledBackTo || null,
+    createdAt: this.createdAt
+  };
+};
+
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+PostRevision.REVISION_FIELDS = REVISION_FIELDS;
+
+module.exports = PostRevision;
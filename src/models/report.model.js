@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 
+// Reported content as it was when reported, later edits do not change it
+const contentSnapshotSchema = new mongoose.Schema({
+  content: String,
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  editedAt: Date,
+  capturedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const reportSchema = new mongoose.Schema({
   reportedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -39,6 +53,7 @@ const reportSchema = new mongoose.Schema({
     type: String,
     maxlength: 500
   },
+  contentSnapshot: contentSnapshotSchema,
   status: {
     type: String,
     enum: ['pending', 'reviewed', 'resolved', 'dismissed'],
@@ -62,6 +77,24 @@ reportSchema.index({ targetType: 1, targetId: 1 });
 reportSchema.index({ status: 1 });
 reportSchema.index({ createdAt: 1 });
 
+/**
+ * Snapshot of the reported content, for targets that can be edited after the report
+ * @param {string} targetType
+ * @param {Object} target - Reported document
+ * @returns {Object|undefined}
+ */
+reportSchema.statics.snapshotContent = function(targetType, target) {
+  if (targetType !== 'comment') {
+    return undefined;
+  }
+  return {
+    content: target.content,
+    author: target.author?._id || target.author,
+    editedAt: target.editedAt,
+    capturedAt: new Date()
+  };
+};
+
 reportSchema.statics.getReportStats = async function(targetType, targetId) {
   const totalReports = await this.countDocuments({ targetType, targetId });
   const uniqueReporters = await this.distinct('reportedBy', { targetType, targetId });
@@ -77,7 +110,15 @@ reportSchema.statics.getReportStats = async function(targetType, targetId) {
   };
 };
 
-reportSchema.statics.checkAutoRemovalThreshold = async function(targetType, targetId) {
+/**
+ * Whether reports about a target call for its automatic removal
+ * @param {string} targetType
+ * @param {string} targetId
+ * @param {Object} options
+ * @param {Map<string, number>} options.reporterWeights - Weight of a reporter by ID, 1 when missing (see brigading.service.js)
+ * @returns {Promise<Object|null>}
+ */
+reportSchema.statics.checkAutoRemovalThreshold = async function(targetType, targetId, { reporterWeights = new Map() } = {}) {
   const target = await mongoose.model(
     targetType.charAt(0).toUpperCase() + targetType.slice(1)
   ).findById(targetId);
@@ -95,6 +136,20 @@ reportSchema.statics.checkAutoRemovalThreshold = async function(targetType, targ
 
   const stats = await this.getReportStats(targetType, targetId);
 
+  // One weighted vote per reporter
+  const reports = await this.find({ targetType, targetId }).select('reportedBy reason').lean();
+  const votes = new Map(reports.map(report => [report.reportedBy.toString(), report.reason]));
+  const severeReasons = ['hate_speech', 'violence', 'harassment'];
+  let effectiveReporters = 0;
+  let severeWeight = 0;
+  votes.forEach((reason, reporterId) => {
+    const weight = reporterWeights.get(reporterId) ?? 1;
+    effectiveReporters += weight;
+    if (severeReasons.includes(reason)) {
+      severeWeight += weight;
+    }
+  });
+
   let totalUsers = 0;
   if (targetType === 'post' || targetType === 'comment') {
     totalUsers = await mongoose.model('User').countDocuments({ isActive: true });
@@ -102,37 +157,35 @@ reportSchema.statics.checkAutoRemovalThreshold = async function(targetType, targ
     totalUsers = await mongoose.model('User').countDocuments({ isActive: true });
   }
 
-  const reportPercentage = (stats.uniqueReporters / totalUsers) * 100;
+  const reportPercentage = (effectiveReporters / totalUsers) * 100;
 
+  // minSevereReports: a handful of accounts cannot remove content by picking a severe reason
   const thresholds = {
-    post: { percentage: 5, minReports: 10 },
-    comment: { percentage: 3, minReports: 5 },
-    short: { percentage: 5, minReports: 10 },
-    user: { percentage: 10, minReports: 20 }
+    post: { percentage: 5, minReports: 10, minSevereReports: 5 },
+    comment: { percentage: 3, minReports: 5, minSevereReports: 3 },
+    short: { percentage: 5, minReports: 10, minSevereReports: 5 },
+    user: { percentage: 10, minReports: 20, minSevereReports: 10 }
   };
 
   const threshold = thresholds[targetType];
   const shouldRemove = reportPercentage >= threshold.percentage &&
-                      stats.uniqueReporters >= threshold.minReports;
-
-  const severeReasons = ['hate_speech', 'violence', 'harassment'];
-  const severeReportsCount = stats.reportsByReason
-    .filter(r => severeReasons.includes(r._id))
-    .reduce((sum, r) => sum + r.count, 0);
+                      effectiveReporters >= threshold.minReports;
 
-  const severeReportsPercentage = (severeReportsCount / stats.totalReports) * 100;
-  const hasSevereReports = severeReportsPercentage >= 60;
+  const severeReportsPercentage = effectiveReporters > 0 ? (severeWeight / effectiveReporters) * 100 : 0;
+  const hasSevereReports = severeReportsPercentage >= 60 && effectiveReporters >= threshold.minSevereReports;
 
   return {
     shouldRemove: shouldRemove || hasSevereReports,
     stats: {
       reportPercentage,
       uniqueReporters: stats.uniqueReporters,
+      effectiveReporters,
       totalReports: stats.totalReports,
       reportsByReason: stats.reportsByReason,
       severeReportsPercentage,
       threshold: threshold.percentage,
-      minReports: threshold.minReports
+      minReports: threshold.minReports,
+      minSevereReports: threshold.minSevereReports
     },
     reason: shouldRemove ?
       `Content exceeded report threshold: ${reportPercentage.toFixed(2)}% of users reported` :
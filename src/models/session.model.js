@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model
+ *
+ * One document per signed-in device. The refresh token itself is never stored,
+ * only its SHA-256 hash. Rotated hashes are kept in `previousTokenHashes` so a
+ * replayed (stolen) refresh token can be detected and the session revoked.
+ * Access tokens carry the session id (`sid`) and are rejected once the session is revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    default: []
+  },
+  device: {
+    name: String,
+    platform: String,
+    userAgent: String
+  },
+  ip: String,
+  lastIp: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_changed', 'account_deleted', 'reuse_detected', 'admin']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+// Expired sessions are purged by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.getPublicData = function (currentSessionId) {
+  return {
+    id: this._id.toString(),
+    device: {
+      name: this.device?.name || null,
+      platform: this.device?.platform || null,
+      userAgent: this.device?.userAgent || null
+    },
+    ip: this.lastIp || this.ip,
+    createdAt: this.createdAt,
+    lastUsedAt: this.lastUsedAt,
+    expiresAt: this.expiresAt,
+    isCurrent: !!currentSessionId && this._id.toString() === currentSessionId.toString()
+  };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const STRIKE_SOURCES = ['report', 'moderation_case', 'removal'];
+const SANCTIONS = ['warning', 'suspension', 'ban_review'];
+
+// Sanction applied because this strike crossed a threshold
+const sanctionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SANCTIONS,
+    required: true
+  },
+  points: Number,
+  until: Date,
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * Strike Model
+ *
+ * One entry of a user's strike ledger: a report upheld against their content
+ * or account, or a removal by an admin. A strike weighs by the severity of its
+ * reason and counts until `expiresAt` unless revoked (e.g. after a successful
+ * appeal). The same content or report gives at most one strike (`key`).
+ */
+const strikeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // `<targetType>:<targetId>` for content, `<source>:<sourceId>` for reports about the account
+  key: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: STRIKE_SOURCES,
+    required: true
+  },
+  // Report or moderation case upheld, unset for removals
+  sourceId: mongoose.Schema.Types.ObjectId,
+  targetType: {
+    type: String,
+    enum: ['post', 'comment', 'short', 'user'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String,
+  sanction: sanctionSchema
+}, {
+  timestamps: true
+});
+
+strikeSchema.index({ user: 1, key: 1 }, { unique: true });
+strikeSchema.index({ user: 1, expiresAt: -1 });
+strikeSchema.index({ targetType: 1, targetId: 1 });
+strikeSchema.index({ 'sanction.type': 1, createdAt: -1 });
+
+const Strike = mongoose.model('Strike', strikeSchema);
+Strike.STRIKE_SOURCES = STRIKE_SOURCES;
+Strike.SANCTIONS = SANCTIONS;
+
+module.exports = Strike;
@@ -68,6 +68,34 @@ const experienceSchema = new mongoose.Schema({
   }
 });
 
+const emailVerificationSchema = new mongoose.Schema({
+  tokenHash: String,
+  expiresAt: Date,
+  lastSentAt: Date
+}, { _id: false });
+
+const passwordResetSchema = new mongoose.Schema({
+  tokenHash: String,
+  expiresAt: Date,
+  requestedAt: Date
+}, { _id: false });
+
+const backupCodeSchema = new mongoose.Schema({
+  hash: String,
+  usedAt: Date
+}, { _id: false });
+
+// TOTP secrets are stored encrypted (see twoFactor.service)
+const twoFactorSchema = new mongoose.Schema({
+  secret: String,
+  pendingSecret: String,
+  pendingCreatedAt: Date,
+  backupCodes: [backupCodeSchema],
+  // Last accepted TOTP step, a code can't be replayed
+  lastUsedStep: Number,
+  enabledAt: Date
+}, { _id: false });
+
 const userSchema = new mongoose.Schema(
   {
     username: {
@@ -108,7 +136,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin', 'journalist'],
+      enum: ['user', 'moderator', 'admin', 'journalist'],
       default: 'user'
     },
     avatarUrl: {
@@ -263,11 +291,49 @@ const userSchema = new mongoose.Schema(
         sound: {
           type: Boolean,
           default: true
+        },
+        // Notifications push sur les appareils enregistrés
+        push: {
+          type: Boolean,
+          default: true
+        },
+        // Pas de push pendant cette plage horaire (heure locale), les notifications restent dans l'app
+        quietHours: {
+          enabled: {
+            type: Boolean,
+            default: false
+          },
+          start: {
+            type: String,
+            default: '22:00',
+            match: /^([01]\d|2[0-3]):[0-5]\d$/
+          },
+          end: {
+            type: String,
+            default: '07:00',
+            match: /^([01]\d|2[0-3]):[0-5]\d$/
+          },
+          timezone: {
+            type: String,
+            default: 'Europe/Paris'
+          }
         }
       },
       darkMode: {
         type: Boolean,
         default: true
+      },
+      // Résumé par email des journalistes suivis, sujets et tendances
+      emailDigest: {
+        frequency: {
+          type: String,
+          enum: ['off', 'daily', 'weekly'],
+          // Digests are opt-in
+          default: 'off'
+        },
+        unsubscribedAt: Date,
+        // Dernière période traitée (ex. '2026-03-02', '2026-W10')
+        lastPeriodKey: String
       }
     },
     politicalViews: {
@@ -319,6 +385,16 @@ const userSchema = new mongoose.Schema(
         ref: 'User'
       }
     ],
+    // Blocked accounts: no follows, mentions, notifications or comments either way (see block.service.js)
+    blockedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      select: false
+    },
+    // Muted accounts: their posts and notifications are hidden from this user only
+    mutedUsers: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      select: false
+    },
     status: {
       type: String,
       enum: ['active', 'inactive', 'suspended', 'banned'],
@@ -348,6 +424,31 @@ const userSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Email verification
+    // Only set explicitly (false at registration): accounts created before
+    // verification existed have no value and are treated as verified
+    emailVerified: Boolean,
+    emailVerifiedAt: Date,
+    emailVerification: {
+      type: emailVerificationSchema,
+      select: false
+    },
+    // Password reset (single-use token, only its SHA-256 hash is stored)
+    passwordReset: {
+      type: passwordResetSchema,
+      select: false
+    },
+    passwordChangedAt: Date,
+    // false for accounts created through an external provider (Google) until a password is set
+    hasPassword: Boolean,
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false
+    },
+    twoFactor: {
+      type: twoFactorSchema,
+      select: false
+    },
     // User privacy and content management
     isPrivate: {
       type: Boolean,
@@ -361,7 +462,7 @@ const userSchema = new mongoose.Schema(
       // bookmarks: Bookmarked posts by this user
       // Synchronized with Post.interactions.bookmarks (denormalization for performance)
       // Source of truth: Post.interactions.bookmarks
-      // Managed atomically by toggleBookmark in interactions.controller.js
+      // Managed atomically by bookmark.service.js (toggleBookmark, collections)
       bookmarks: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Post'
@@ -455,6 +556,9 @@ userSchema.methods.getPublicProfile = function (user = null) {
     location: this.location,
     role: this.role,
     isVerified: this.isVerified,
+    // Accounts created before email verification existed have no flag and count as verified
+    emailVerified: this.emailVerified !== false,
+    twoFactorEnabled: this.twoFactorEnabled || false,
     preferences: {
       topics: this.preferences?.topics || []
     },
@@ -498,28 +602,16 @@ userSchema.methods.savePost = async function (postId) {
   return this;
 };
 
-// Follow user or journalist
+// Follow user or journalist; private accounts get a follow request (see follow.service.js)
 userSchema.methods.followUser = async function (targetUserId) {
-  const User = require('./user.model');
-  const NotificationService = require('../services/notification.service');
-  const targetUser = await User.findById(targetUserId);
-
-  if (!targetUser) {
-    throw new Error('User not found');
-  }
+  const followService = require('../services/follow.service');
+  const result = await followService.follow(this._id, targetUserId);
 
-  const isAlreadyFollowing = this.following.some(
-    (id) => id.toString() === targetUserId.toString()
-  );
-
-  if (!isAlreadyFollowing) {
+  if (result.status === 'following' &&
+    !this.following.some((id) => id.toString() === targetUserId.toString())) {
     this.following.push(targetUserId);
-    targetUser.followers.push(this._id);
-    await Promise.all([this.save(), targetUser.save()]);
-    await NotificationService.notifyFollow(this._id, targetUserId);
   }
-
-  return targetUser.followers.length;
+  return result.followersCount;
 };
 
 // Unfollow user or journalist
@@ -550,10 +642,13 @@ userSchema.methods.unfollowUser = async function (targetUserId) {
 
 // Add to read history
 userSchema.methods.addToReadHistory = async function (postId) {
-  if (!this.readHistory) {
-    this.readHistory = [];
+  if (!this.interactions) {
+    this.interactions = {};
   }
-  this.readHistory.push({
+  if (!this.interactions.readHistory) {
+    this.interactions.readHistory = [];
+  }
+  this.interactions.readHistory.push({
     post: postId,
     readAt: Date.now()
   });
@@ -567,4 +662,10 @@ userSchema.methods.updateLastActive = function () {
   return this.save();
 };
 
+// Token lookups for email verification / password reset links
+userSchema.index({ 'emailVerification.tokenHash': 1 }, { sparse: true });
+userSchema.index({ 'passwordReset.tokenHash': 1 }, { sparse: true });
+// Reverse lookup: accounts that blocked a user
+userSchema.index({ blockedUsers: 1 });
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,5 +1,6 @@
 const router = require('express').Router();
 const adminController = require('../controllers/admin.controller');
+const contentFilterController = require('../controllers/contentFilter.controller');
 const { auth, requireAdmin } = require('../middleware/auth.middleware');
 
 // All routes require authentication and admin role
@@ -25,6 +26,7 @@ router.put('/journalists/:id/toggle-verification', adminController.toggleJournal
 // Post management
 router.get('/posts', adminController.getPosts);
 router.delete('/posts/:id', adminController.deletePost);
+router.post('/posts/:id/revisions/:version/rollback', adminController.rollbackPostRevision);
 
 // Reports management
 router.get('/reports', adminController.getReports);
@@ -40,6 +42,7 @@ router.put('/users/:id/suspend', adminController.suspendUser);
 router.put('/users/:id/ban', adminController.banUser);
 router.put('/users/:id/unban', adminController.unbanUser);
 router.put('/users/:id/role', adminController.updateUserRole);
+router.get('/users/:id/feed-explain', adminController.explainUserFeed);
 
 // Content moderation (specific endpoints for mobile app)
 // Note: POST delete is already defined above, remove duplicate
@@ -50,6 +53,15 @@ router.delete('/shorts/:id', adminController.deleteShort);
 // Audit logs
 router.get('/logs', adminController.getAuditLogs);
 
+// Content filter rules and the content they matched
+router.get('/content-filter/rules', contentFilterController.getRules);
+router.post('/content-filter/rules', contentFilterController.createRule);
+router.put('/content-filter/rules/:id', contentFilterController.updateRule);
+router.delete('/content-filter/rules/:id', contentFilterController.deleteRule);
+router.post('/content-filter/test', contentFilterController.testRules);
+router.get('/content-filter/hits', contentFilterController.getHits);
+router.post('/content-filter/hits/:id/review', contentFilterController.reviewHit);
+
 // Press cards management
 // NOTE: Duplicate routes removed - these are already defined above
 
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const appealController = require('../controllers/appeal.controller');
+const { auth, requireModerator } = require('../middleware/auth.middleware');
+
+router.use(auth);
+
+// Authors of removed posts
+router.post('/', appealController.submitAppeal);
+router.get('/mine', appealController.getMyAppeals);
+
+// Review, by someone other than the author and the one who removed the post
+router.get('/queue', requireModerator, appealController.getQueue);
+
+router.get('/:id', appealController.getAppeal);
+router.post('/:id/claim', requireModerator, appealController.claimAppeal);
+router.post('/:id/decide', requireModerator, appealController.decideAppeal);
+
+module.exports = router;
@@ -10,6 +10,11 @@ router.post('/register', limiters.register, validationRules.register, authContro
 router.post('/login', limiters.auth, validationRules.login, authController.login);
 router.post('/refresh-token', limiters.api, authController.refreshToken);
 router.post('/google', limiters.auth, authController.googleSignIn);
+router.post('/forgot-password', limiters.passwordReset, validationRules.forgotPassword, authController.forgotPassword);
+router.post('/reset-password', limiters.passwordReset, validationRules.resetPassword, authController.resetPassword);
+router.post('/verify-email', limiters.auth, validationRules.verifyEmail, authController.verifyEmail);
+router.post('/2fa/challenge', limiters.auth, authController.completeTwoFactorChallenge);
+router.post('/2fa/challenge/setup', limiters.auth, authController.startTwoFactorChallengeEnrollment);
 
 // Protected routes
 router.use(auth);
@@ -22,5 +27,23 @@ router.patch('/profile', limiters.write, authController.updateProfile);
 router.put('/profile', limiters.write, authController.updateProfile); // Support both PATCH and PUT
 router.post('/change-password', limiters.passwordReset, validationRules.changePassword, authController.changePassword);
 router.delete('/delete-account', authController.deleteAccount);
+router.post('/resend-verification', limiters.emailVerification, authController.resendVerification);
+
+// Device sessions
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions', authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', authController.revokeSession);
+
+// Linked sign-in providers (Google, ...)
+router.get('/identities', authController.getIdentities);
+router.post('/identities/:provider', limiters.auth, authController.linkIdentity);
+router.delete('/identities/:provider', authController.unlinkIdentity);
+
+// Two-factor authentication (TOTP + backup codes)
+router.get('/2fa', authController.getTwoFactorStatus);
+router.post('/2fa/setup', limiters.auth, authController.setupTwoFactor);
+router.post('/2fa/enable', limiters.auth, authController.enableTwoFactor);
+router.post('/2fa/disable', limiters.auth, authController.disableTwoFactor);
+router.post('/2fa/backup-codes', limiters.auth, authController.regenerateBackupCodes);
 
 module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const collectionController = require('../controllers/collection.controller');
+const { auth, optionalAuth, requireActiveStatus } = require('../middleware/auth.middleware');
+
+// Share links open without signing in
+router.get('/shared/:token', optionalAuth, collectionController.getSharedCollection);
+
+router.use(auth);
+router.use(requireActiveStatus);
+
+router.get('/', collectionController.getCollections);
+router.post('/', collectionController.createCollection);
+router.get('/following', collectionController.getFollowedCollections);
+
+router.get('/:id', collectionController.getCollection);
+router.patch('/:id', collectionController.updateCollection);
+router.delete('/:id', collectionController.deleteCollection);
+
+router.post('/:id/items', collectionController.addItem);
+router.put('/:id/items/order', collectionController.reorderItems);
+router.patch('/:id/items/:postId', collectionController.updateItem);
+router.delete('/:id/items/:postId', collectionController.removeItem);
+
+router.post('/:id/follow', collectionController.followCollection);
+router.delete('/:id/follow', collectionController.unfollowCollection);
+
+module.exports = router;
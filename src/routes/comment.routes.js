@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { auth, optionalAuth, requireActiveStatus, updateLastActive } = require('../middleware/auth.middleware');
+const { auth, optionalAuth, requireActiveStatus, requireVerifiedEmail, updateLastActive } = require('../middleware/auth.middleware');
 const commentController = require('../controllers/comment.controller');
 const { validationRules } = require('../middleware/validation.middleware');
 const { limiters } = require('../middleware/rateLimiter.middleware');
@@ -17,7 +17,7 @@ router.use(requireActiveStatus);
 router.use(updateLastActive);
 
 // Create comment on a post
-router.post('/post/:postId', limiters.comment, validationRules.createComment, commentController.createComment);
+router.post('/post/:postId', limiters.comment, requireVerifiedEmail, validationRules.createComment, commentController.createComment);
 
 // Update comment
 router.put('/:commentId', limiters.write, commentController.updateComment);
@@ -32,7 +32,15 @@ router.post('/:commentId/like', limiters.interaction, commentController.likeComm
 router.post('/:commentId/unlike', limiters.interaction, commentController.unlikeComment);
 
 // Report comment
-router.post('/:commentId/report', limiters.report, validationRules.createReport, commentController.reportComment);
+router.post('/:commentId/report', limiters.report, requireVerifiedEmail, validationRules.createReport, commentController.reportComment);
+
+// Pin / unpin a comment (journalist of the post)
+router.post('/:commentId/pin', limiters.write, commentController.pinComment);
+router.delete('/:commentId/pin', limiters.write, commentController.unpinComment);
+
+// Mark / unmark a comment as journalist's pick (journalist of the post)
+router.post('/:commentId/pick', limiters.write, commentController.pickComment);
+router.delete('/:commentId/pick', limiters.write, commentController.unpickComment);
 
 // Get comment likes
 router.get('/:commentId/likes', commentController.getCommentLikes);
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const digestController = require('../controllers/digest.controller');
+const { auth, requireActiveStatus } = require('../middleware/auth.middleware');
+
+// Unsubscribe links work without signing in (token signed per user).
+// GET only shows a confirmation, the unsubscription itself is a POST.
+router.get('/unsubscribe', digestController.confirmUnsubscribe);
+router.post('/unsubscribe', digestController.unsubscribe);
+
+router.use(auth);
+router.use(requireActiveStatus);
+
+router.get('/preferences', digestController.getPreferences);
+router.put('/preferences', digestController.updatePreferences);
+
+module.exports = router;
@@ -2,7 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
-const { auth, requireJournalist } = require('../middleware/auth.middleware');
+const { auth, requireJournalist, requireVerifiedEmail } = require('../middleware/auth.middleware');
 const Post = require('../models/post.model');
 const User = require('../models/user.model');
 const { buildMediaUrl } = require('../utils/urlHelper');
@@ -1196,7 +1196,7 @@ router.post('/:id/verify', auth, async (req, res) => {
 });
 
 // Follow journalist
-router.post('/:id/follow', auth, async (req, res) => {
+router.post('/:id/follow', auth, requireVerifiedEmail, async (req, res) => {
   try {
     const journalistId = req.params.id;
     const userId = req.user._id;
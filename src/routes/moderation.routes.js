@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const moderationController = require('../controllers/moderation.controller');
+const { auth, requireModerator } = require('../middleware/auth.middleware');
+
+// Moderators and admins; finer permissions are checked per action (config/moderation.js)
+router.use(auth);
+router.use(requireModerator);
+
+router.get('/queue', moderationController.getQueue);
+
+// Bulk resolve, before /cases/:id
+router.post('/cases/resolve', moderationController.resolveCases);
+
+router.get('/cases/:id', moderationController.getCase);
+router.post('/cases/:id/claim', moderationController.claimCase);
+router.post('/cases/:id/release', moderationController.releaseCase);
+router.put('/cases/:id/assign', moderationController.assignCase);
+router.post('/cases/:id/resolve', moderationController.resolveCase);
+
+// Strike ledger and sanctions
+router.get('/users/:id/strikes', moderationController.getUserStrikes);
+router.get('/escalations', moderationController.getEscalations);
+router.post('/strikes/:id/revoke', moderationController.revokeStrike);
+
+module.exports = router;
@@ -12,6 +12,12 @@ router.use(updateLastActive);
 router.get('/', notificationController.getNotifications);
 router.get('/unread-count', notificationController.getUnreadCount);
 
+// Appareils pour les notifications push (aussi pour les comptes suspendus,
+// qui doivent pouvoir désenregistrer un appareil à la déconnexion)
+router.post('/devices', notificationController.registerDevice);
+router.get('/devices', notificationController.getDevices);
+router.delete('/devices/:deviceId', notificationController.unregisterDevice);
+
 // Les autres routes nécessitent un compte actif
 router.use(requireActiveStatus);
 
@@ -7,6 +7,7 @@ const {
   optionalAuth,
   requireJournalist,
   requireActiveStatus,
+  requireVerifiedEmail,
   updateLastActive
 } = require('../middleware/auth.middleware');
 const { validationRules } = require('../middleware/validation.middleware');
@@ -17,7 +18,10 @@ const { applyLikeRateLimiters } = require('../middleware/rateLimiter.middleware'
 router.get('/', optionalAuth, cacheMiddleware('posts', keyGenerators.posts), postController.getPosts);
 router.get('/search', optionalAuth, postController.searchPosts);
 router.get('/check-duplicate', optionalAuth, postController.checkDuplicate);
+router.get('/for-you', auth, requireActiveStatus, postController.getForYouFeed);
 router.get('/:id', optionalAuth, cacheMiddleware('posts'), postController.getPost);
+router.get('/:id/revisions', optionalAuth, postController.getPostRevisions);
+router.get('/:id/revisions/:version', optionalAuth, postController.getPostRevision);
 
 // Protected routes
 router.use(auth);
@@ -28,6 +32,7 @@ router.use(updateLastActive);
 router.post(
   '/',
   requireJournalist,
+  requireVerifiedEmail,
   validationRules.createPost,
   postController.createPost
 );
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const reportController = require('../controllers/report.controller');
-const { auth, requireActiveStatus, updateLastActive } = require('../middleware/auth.middleware');
+const { auth, requireActiveStatus, requireVerifiedEmail, requireModerator, updateLastActive } = require('../middleware/auth.middleware');
 const { validationRules } = require('../middleware/validation.middleware');
 const { limiters } = require('../middleware/rateLimiter.middleware');
 
@@ -10,7 +10,7 @@ router.use(auth);
 router.use(requireActiveStatus);
 router.use(updateLastActive);
 
-router.post('/', limiters.report, validationRules.createReport, reportController.createReport);
+router.post('/', limiters.report, requireVerifiedEmail, validationRules.createReport, reportController.createReport);
 
 router.get('/', reportController.getReports);
 
@@ -18,7 +18,7 @@ router.get('/my', reportController.getMyReports);
 
 router.get('/stats/:targetType/:targetId', reportController.getReportStats);
 
-router.put('/:reportId/review', reportController.reviewReport);
+router.put('/:reportId/review', requireModerator, reportController.reviewReport);
 
 // New endpoint for app problem reports
 router.post('/problem', limiters.report, validationRules.createProblemReport, reportController.createProblemReport);
@@ -3,6 +3,7 @@ const router = express.Router();
 const { auth } = require('../middleware/auth.middleware');
 const Post = require('../models/post.model');
 const User = require('../models/user.model');
+const blockService = require('../services/block.service');
 
 /**
  * @route   GET /api/subscriptions/posts
@@ -40,14 +41,16 @@ router.get('/posts', auth, async (req, res) => {
       });
     }
 
-    // Get posts from followed journalists
+    // Get posts from followed journalists, except the muted ones
     const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    const posts = await Post.find({
-      journalist: { $in: user.following },
+    const hiddenAuthorIds = await blockService.getHiddenAuthorIds(userId);
+    const query = {
+      journalist: { $in: user.following, $nin: hiddenAuthorIds },
       status: 'published',
       isDeleted: { $ne: true }
-    })
+    };
+
+    const posts = await Post.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit))
@@ -55,11 +58,7 @@ router.get('/posts', auth, async (req, res) => {
       .lean();
 
     // Get total count for pagination
-    const totalPosts = await Post.countDocuments({
-      journalist: { $in: user.following },
-      status: 'published',
-      isDeleted: { $ne: true }
-    });
+    const totalPosts = await Post.countDocuments(query);
 
     const totalPages = Math.ceil(totalPosts / parseInt(limit));
 
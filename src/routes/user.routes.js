@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { auth, requireActiveStatus, updateLastActive } = require('../middleware/auth.middleware');
+const { auth, requireActiveStatus, requireVerifiedEmail, updateLastActive } = require('../middleware/auth.middleware');
 const { followRateLimiter, strictActionRateLimiter } = require('../middleware/rateLimiter.middleware');
 const userController = require('../controllers/user.controller');
 
@@ -18,6 +18,12 @@ router.get('/saved-shorts', userController.getSavedShorts);
 // Get user's read history
 router.get('/read-history', userController.getReadHistory);
 
+// Get political mix of consumed content over time
+router.get('/perspective-exposure', userController.getPerspectiveExposure);
+
+// Autocomplete users for @mentions
+router.get('/mention-suggestions', userController.getMentionSuggestions);
+
 // Get user's followed journalists
 router.get('/followed-journalists', userController.getFollowedJournalists);
 
@@ -31,11 +37,27 @@ router.get('/public-content/:userId', userController.getPublicContent);
 router.post('/toggle-public-content', userController.togglePublicContent);
 
 // Follow a journalist
-router.post('/follow/:journalistId', followRateLimiter, strictActionRateLimiter, userController.followJournalist);
+router.post('/follow/:journalistId', followRateLimiter, strictActionRateLimiter, requireVerifiedEmail, userController.followJournalist);
 
 // Unfollow a journalist
 router.post('/unfollow/:journalistId', followRateLimiter, strictActionRateLimiter, userController.unfollowJournalist);
 
+// Private account: privacy switch and follow requests
+router.put('/privacy', userController.updatePrivacy);
+router.get('/follow-requests', userController.getFollowRequests);
+router.post('/follow-requests/:requestId/approve', userController.approveFollowRequest);
+router.post('/follow-requests/:requestId/decline', userController.declineFollowRequest);
+
+// Blocked accounts
+router.get('/blocked', userController.getBlockedUsers);
+router.post('/:id/block', strictActionRateLimiter, userController.blockUser);
+router.delete('/:id/block', userController.unblockUser);
+
+// Muted accounts
+router.get('/muted', userController.getMutedUsers);
+router.post('/:id/mute', strictActionRateLimiter, userController.muteUser);
+router.delete('/:id/mute', userController.unmuteUser);
+
 // Get follow status for a journalist
 router.get('/follow-status/:journalistId', userController.getFollowStatus);
 
@@ -184,6 +184,15 @@ const initializeDatabase = async () => {
       // Start report monitoring service
       const reportMonitorService = require('./services/reportMonitor.service');
       reportMonitorService.start();
+      // Publish scheduled posts and lift embargoes
+      const postSchedulerService = require('./services/postScheduler.service');
+      postSchedulerService.start();
+      // Send daily / weekly email digests
+      const digestService = require('./services/digest.service');
+      digestService.start();
+      // Lift suspensions once suspendedUntil has passed
+      const strikeService = require('./services/strike.service');
+      strikeService.start();
       break;
     } catch (err) {
       retries++;
@@ -213,7 +222,11 @@ app.use('/api/shorts', require('./routes/short.routes')); // Add shorts routes
 app.use('/api/questions', require('./routes/question.routes')); // Add questions routes
 app.use('/api/trending', require('./routes/trending.routes')); // Add trending routes
 app.use('/api/reports', require('./routes/report.routes')); // Add report routes
+app.use('/api/moderation', require('./routes/moderation.routes'));
+app.use('/api/appeals', require('./routes/appeal.routes'));
 app.use('/api/notifications', require('./routes/notification.routes')); // Add notification routes
+app.use('/api/digest', require('./routes/digest.routes'));
+app.use('/api/collections', require('./routes/collection.routes'));
 app.use('/api/subscriptions', require('./routes/subscription.routes')); // Add subscription routes
 
 // Health check endpoints
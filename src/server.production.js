@@ -164,6 +164,33 @@ const connectDatabaseAsync = async () => {
         console.error('⚠️  Report monitor service not started:', err.message);
       }
 
+      // Start post scheduler
+      try {
+        const postSchedulerService = require('./services/postScheduler.service');
+        postSchedulerService.start();
+        console.log('✅ Post scheduler service started');
+      } catch (err) {
+        console.error('⚠️  Post scheduler service not started:', err.message);
+      }
+
+      // Start email digests
+      try {
+        const digestService = require('./services/digest.service');
+        digestService.start();
+        console.log('✅ Digest service started');
+      } catch (err) {
+        console.error('⚠️  Digest service not started:', err.message);
+      }
+
+      // Start strike service (lifts expired suspensions)
+      try {
+        const strikeService = require('./services/strike.service');
+        strikeService.start();
+        console.log('✅ Strike service started');
+      } catch (err) {
+        console.error('⚠️  Strike service not started:', err.message);
+      }
+
       break; // Connexion réussie, sortir de la boucle
     } catch (err) {
       console.error(`❌ MongoDB connection attempt ${dbConnectionAttempts} failed:`, err.message);
@@ -201,7 +228,11 @@ const loadRoutes = () => {
     app.use('/api/questions', require('./routes/question.routes'));
     app.use('/api/trending', require('./routes/trending.routes'));
     app.use('/api/reports', require('./routes/report.routes'));
+    app.use('/api/moderation', require('./routes/moderation.routes'));
+    app.use('/api/appeals', require('./routes/appeal.routes'));
     app.use('/api/notifications', require('./routes/notification.routes'));
+    app.use('/api/digest', require('./routes/digest.routes'));
+    app.use('/api/collections', require('./routes/collection.routes'));
     app.use('/api/subscriptions', require('./routes/subscription.routes'));
     console.log('✅ All routes loaded successfully');
   } catch (err) {
@@ -0,0 +1,368 @@
+const mongoose = require('mongoose');
+const Appeal = require('../models/appeal.model');
+const Post = require('../models/post.model');
+const User = require('../models/user.model');
+const NotificationService = require('./notification.service');
+const auditService = require('./audit.service');
+const strikeService = require('./strike.service');
+const moderationConfig = require('../config/moderation');
+
+const OPEN_STATUSES = ['pending', 'in_review'];
+const DECISIONS = {
+  reinstate: 'reinstated',
+  uphold: 'upheld'
+};
+const USER_FIELDS = '_id name username avatarUrl';
+const POST_FIELDS = '_id title imageUrl type isDeleted deletedAt deletionReason journalist';
+
+function appealError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Appeal Service - Post removals and their appeals
+ *
+ * Posts are removed softly (automatic removal, admin deletion, moderation
+ * queue) so that their author can appeal with a justification. The appeal is
+ * reviewed by a moderator or admin other than the one who removed the post:
+ * reinstating clears the removal, upholding keeps it. The author is notified
+ * at each step. Each removal can be appealed a limited number of times, within
+ * a window after the removal and not right after an upheld appeal.
+ */
+class AppealService {
+  /**
+   * Soft-remove a post and tell its author, who can then appeal
+   * @param {string} postId
+   * @param {{ reason: string, removedBy?: string }} removal - removedBy unset for automatic removals
+   * @returns {Promise<Object|null>} The removed post, null when missing or already removed
+   */
+  async removePost(postId, { reason, removedBy }) {
+    const post = await Post.findOneAndUpdate(
+      { _id: postId, isDeleted: { $ne: true } },
+      {
+        $set: {
+          isDeleted: true,
+          deletedAt: new Date(),
+          deletionReason: reason,
+          ...(removedBy ? { deletedBy: removedBy } : {})
+        },
+        ...(removedBy ? {} : { $unset: { deletedBy: 1 } })
+      },
+      { new: true }
+    ).select('_id title journalist deletedAt');
+    if (!post) {
+      return null;
+    }
+
+    if (post.journalist) {
+      await User.updateOne({ _id: post.journalist }, { $pull: { posts: post._id } });
+      await NotificationService.notifyPostRemoved(post._id, post.journalist);
+    }
+
+    console.log('[APPEAL] Post removed:', { postId: post._id, removedBy: removedBy || 'system', reason });
+    return post;
+  }
+
+  /**
+   * File an appeal against the removal of one of the user's posts
+   * @param {Object} user - Author of the post
+   * @param {string} postId
+   * @param {string} justification
+   * @returns {Promise<Object>} Created appeal
+   * @throws {Error} status 400 VALIDATION_ERROR | NOT_REMOVED | APPEAL_WINDOW_CLOSED | APPEAL_LIMIT,
+   *   status 404 POST_NOT_FOUND, status 409 APPEAL_PENDING, status 429 APPEAL_COOLDOWN | TOO_MANY_APPEALS
+   */
+  async submit(user, postId, justification) {
+    const { appeals: limits } = moderationConfig;
+    const text = typeof justification === 'string' ? justification.trim() : '';
+    if (text.length < limits.justificationMinLength || text.length > limits.justificationMaxLength) {
+      throw appealError(
+        'VALIDATION_ERROR',
+        `The justification must be between ${limits.justificationMinLength} and ${limits.justificationMaxLength} characters`
+      );
+    }
+
+    const post = mongoose.Types.ObjectId.isValid(postId)
+      ? await Post.findById(postId).select('journalist status isDeleted deletedAt deletionReason deletedBy updatedAt')
+      : null;
+    if (!post || post.journalist?.toString() !== user._id.toString()) {
+      throw appealError('POST_NOT_FOUND', 'Post not found', 404);
+    }
+    // Only removals made through removePost carry a reason; authors' own deletions are not appealable
+    if (!post.isDeleted || post.status === 'deleted' || !post.deletionReason) {
+      throw appealError('NOT_REMOVED', 'This post has not been removed');
+    }
+
+    const now = new Date();
+    // Posts removed before deletedAt was recorded are matched on its absence
+    const removedAt = post.deletedAt || null;
+    if (now - (removedAt || post.updatedAt) > limits.windowDays * 24 * 60 * 60 * 1000) {
+      throw appealError('APPEAL_WINDOW_CLOSED', `Removals can only be appealed within ${limits.windowDays} days`);
+    }
+
+    const [openCount, previous] = await Promise.all([
+      Appeal.countDocuments({ author: user._id, status: { $in: OPEN_STATUSES } }),
+      Appeal.find({ post: post._id, 'removal.removedAt': removedAt })
+        .sort({ createdAt: -1 })
+        .select('status decidedAt')
+        .lean()
+    ]);
+    if (previous.some(appeal => OPEN_STATUSES.includes(appeal.status))) {
+      throw appealError('APPEAL_PENDING', 'An appeal of this removal is already under review', 409);
+    }
+    if (previous.length >= limits.maxPerRemoval) {
+      throw appealError('APPEAL_LIMIT', 'This removal cannot be appealed again');
+    }
+    const lastDecision = previous[0]?.decidedAt;
+    if (lastDecision && now - lastDecision < limits.cooldownHours * 60 * 60 * 1000) {
+      throw appealError('APPEAL_COOLDOWN', `Wait ${limits.cooldownHours} hours after a decision before appealing again`, 429);
+    }
+    if (openCount >= limits.maxOpenPerAuthor) {
+      throw appealError('TOO_MANY_APPEALS', `You can have at most ${limits.maxOpenPerAuthor} appeals under review`, 429);
+    }
+
+    const appeal = await Appeal.create({
+      post: post._id,
+      author: user._id,
+      removal: {
+        reason: post.deletionReason,
+        removedBy: post.deletedBy,
+        removedAt
+      },
+      justification: text,
+      timeline: [{ status: 'pending', at: now, by: user._id }]
+    });
+    await NotificationService.notifyAppealUpdate(appeal, 'appeal_received');
+
+    console.log('[APPEAL] Appeal submitted:', { appealId: appeal._id, postId: post._id, authorId: user._id });
+    return appeal;
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<Array>} The user's appeals, latest first
+   */
+  async listMine(userId) {
+    return Appeal.find({ author: userId })
+      .sort({ createdAt: -1 })
+      .select('-removal.removedBy -reviewer -timeline.by')
+      .populate('post', POST_FIELDS)
+      .lean();
+  }
+
+  /**
+   * Appeals to review, oldest first, without those the reviewer may not decide
+   * @param {Object} reviewer - Staff member
+   * @param {{ status?: string, page?: number, limit?: number }} options - status pending (default) | in_review | reinstated | upheld
+   * @returns {Promise<{ appeals: Array, pagination: Object }>}
+   */
+  async listQueue(reviewer, { status, page = 1, limit = moderationConfig.pageSize }) {
+    const filter = {
+      status: Appeal.APPEAL_STATUSES.includes(status) ? status : 'pending',
+      author: { $ne: reviewer._id },
+      'removal.removedBy': { $ne: reviewer._id }
+    };
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || moderationConfig.pageSize, 1), moderationConfig.maxPageSize);
+
+    const [appeals, total] = await Promise.all([
+      Appeal.find(filter)
+        .sort({ createdAt: filter.status === 'pending' ? 1 : -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('post', POST_FIELDS)
+        .populate('author', USER_FIELDS)
+        .populate('reviewer', USER_FIELDS)
+        .lean(),
+      Appeal.countDocuments(filter)
+    ]);
+
+    return {
+      appeals,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * An appeal with its timeline, for its author or the staff; the author does
+   * not see who removed the post or reviews the appeal
+   * @param {string} appealId
+   * @param {Object} viewer
+   * @returns {Promise<Object>}
+   * @throws {Error} status 404 APPEAL_NOT_FOUND
+   */
+  async get(appealId, viewer) {
+    const appeal = mongoose.Types.ObjectId.isValid(appealId)
+      ? await Appeal.findById(appealId)
+        .populate('post', POST_FIELDS)
+        .populate('author', USER_FIELDS)
+        .populate('reviewer', USER_FIELDS)
+        .populate('removal.removedBy', USER_FIELDS)
+        .lean()
+      : null;
+    const isStaff = this.canReview(viewer);
+    if (!appeal || (!isStaff && appeal.author._id.toString() !== viewer._id.toString())) {
+      throw appealError('APPEAL_NOT_FOUND', 'Appeal not found', 404);
+    }
+
+    if (isStaff) {
+      return appeal;
+    }
+    const { reviewer: _reviewer, ...visible } = appeal;
+    return {
+      ...visible,
+      removal: { reason: appeal.removal?.reason, removedAt: appeal.removal?.removedAt },
+      timeline: appeal.timeline.map(({ by: _by, ...entry }) => entry)
+    };
+  }
+
+  /**
+   * Take a pending appeal for review
+   * @param {Object} reviewer - Staff member
+   * @param {string} appealId
+   * @returns {Promise<Object>} Updated appeal
+   * @throws {Error} status 403 MODERATION_FORBIDDEN | REVIEWER_CONFLICT, status 404 APPEAL_NOT_FOUND,
+   *   status 409 APPEAL_CLOSED
+   */
+  async claim(reviewer, appealId) {
+    this.checkReviewer(reviewer);
+    const now = new Date();
+
+    const appeal = await Appeal.findOneAndUpdate(
+      { ...this.reviewableBy(reviewer, appealId), status: 'pending' },
+      {
+        $set: { status: 'in_review', reviewer: reviewer._id },
+        $push: { timeline: { status: 'in_review', at: now, by: reviewer._id } }
+      },
+      { new: true }
+    );
+    if (!appeal) {
+      throw await this.unavailableError(appealId, reviewer);
+    }
+
+    await NotificationService.notifyAppealUpdate(appeal, 'appeal_in_review');
+    return appeal;
+  }
+
+  /**
+   * Reinstate the post or uphold its removal
+   * @param {Object} req - Express request of the reviewer
+   * @param {string} appealId
+   * @param {{ decision: string, note?: string }} decision - decision reinstate | uphold
+   * @returns {Promise<Object>} Decided appeal
+   * @throws {Error} status 400 INVALID_DECISION | VALIDATION_ERROR, status 403 MODERATION_FORBIDDEN | REVIEWER_CONFLICT,
+   *   status 404 APPEAL_NOT_FOUND, status 409 APPEAL_CLOSED
+   */
+  async decide(req, appealId, { decision, note } = {}) {
+    const reviewer = req.user;
+    this.checkReviewer(reviewer);
+    const status = DECISIONS[decision];
+    if (!status) {
+      throw appealError('INVALID_DECISION', 'decision must be reinstate or uphold');
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 1000)) {
+      throw appealError('VALIDATION_ERROR', 'The note must be text of at most 1000 characters');
+    }
+
+    const now = new Date();
+    // Decided once: pending, or in review by this reviewer
+    const appeal = await Appeal.findOneAndUpdate(
+      {
+        ...this.reviewableBy(reviewer, appealId),
+        $or: [{ status: 'pending' }, { status: 'in_review', reviewer: reviewer._id }]
+      },
+      {
+        $set: { status, reviewer: reviewer._id, decisionNote: note?.trim(), decidedAt: now },
+        $push: { timeline: { status, at: now, by: reviewer._id, note: note?.trim() } }
+      },
+      { new: true }
+    );
+    if (!appeal) {
+      throw await this.unavailableError(appealId, reviewer);
+    }
+
+    if (status === 'reinstated') {
+      await this.reinstatePost(appeal);
+    }
+    await auditService.log(req, {
+      action: 'appeal_decided',
+      targetType: 'post',
+      targetId: appeal.post,
+      reason: note,
+      metadata: { appealId: appeal._id.toString(), decision: status }
+    });
+    await NotificationService.notifyAppealUpdate(appeal, status === 'reinstated' ? 'appeal_reinstated' : 'appeal_upheld');
+
+    console.log('[APPEAL] Appeal decided:', { appealId: appeal._id, postId: appeal.post, decision: status, reviewerId: reviewer._id });
+    return appeal;
+  }
+
+  /**
+   * Clear the appealed removal and revoke the strike it gave; a later removal of the post is left alone
+   */
+  async reinstatePost(appeal) {
+    const { modifiedCount } = await Post.updateOne(
+      { _id: appeal.post, isDeleted: true, deletedAt: appeal.removal?.removedAt || null },
+      {
+        $set: { isDeleted: false },
+        $unset: { deletedAt: 1, deletionReason: 1, deletedBy: 1 }
+      }
+    );
+    if (modifiedCount > 0) {
+      await User.updateOne({ _id: appeal.author }, { $addToSet: { posts: appeal.post } });
+    }
+    await strikeService.revokeForContent('post', appeal.post, appeal.reviewer, 'Reinstated on appeal');
+  }
+
+  /**
+   * @param {Object} user
+   * @returns {boolean} Whether the user may review appeals
+   */
+  canReview(user) {
+    return (moderationConfig.permissions[user?.role] || []).includes('appeal:review');
+  }
+
+  checkReviewer(user) {
+    if (!this.canReview(user)) {
+      throw appealError('MODERATION_FORBIDDEN', 'You cannot review appeals', 403);
+    }
+  }
+
+  /**
+   * Filter of an appeal the reviewer may decide: neither the author nor the one who removed the post
+   */
+  reviewableBy(reviewer, appealId) {
+    return {
+      _id: mongoose.Types.ObjectId.isValid(appealId) ? appealId : null,
+      author: { $ne: reviewer._id },
+      'removal.removedBy': { $ne: reviewer._id }
+    };
+  }
+
+  /**
+   * Why an appeal could not be claimed or decided
+   */
+  async unavailableError(appealId, reviewer) {
+    const appeal = mongoose.Types.ObjectId.isValid(appealId)
+      ? await Appeal.findById(appealId).select('status author removal.removedBy').lean()
+      : null;
+    if (!appeal) {
+      return appealError('APPEAL_NOT_FOUND', 'Appeal not found', 404);
+    }
+    const reviewerId = reviewer._id.toString();
+    if (appeal.author.toString() === reviewerId || appeal.removal?.removedBy?.toString() === reviewerId) {
+      return appealError('REVIEWER_CONFLICT', 'Appeals are reviewed by someone other than the author and the original decider', 403);
+    }
+    return appealError('APPEAL_CLOSED', 'This appeal is already decided or reviewed by someone else', 409);
+  }
+}
+
+module.exports = new AppealService();
@@ -0,0 +1,277 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/auditLog.model');
+const { getCorrelationId } = require('../middleware/correlationId.middleware');
+
+// Maximum number of rows in a CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+  'date',
+  'actorId',
+  'actorUsername',
+  'actorEmail',
+  'action',
+  'targetType',
+  'targetId',
+  'targetLabel',
+  'reason',
+  'before',
+  'after',
+  'ip',
+  'correlationId'
+];
+
+/**
+ * Audit Service - Persistent trail of privileged (admin) actions
+ */
+class AuditService {
+  /**
+   * Record a privileged action
+   * Never throws: a failing audit write is logged but does not undo the action
+   * @param {Object} req - Express request (actor, IP, correlation ID)
+   * @param {Object} entry
+   * @param {string} entry.action - One of AuditLog.AUDIT_ACTIONS
+   * @param {string} entry.targetType - user | post | comment | short | report | filter_rule
+   * @param {string} entry.targetId
+   * @param {string} entry.targetLabel - Human-readable target name
+   * @param {Object} entry.before - State before the action (null for creations)
+   * @param {Object} entry.after - State after the action (null for deletions)
+   * @param {string} entry.reason
+   * @param {Object} entry.metadata - Any extra context
+   * @returns {Promise<Object|null>} Created entry
+   */
+  async log(req, { action, targetType, targetId, targetLabel, before = null, after = null, reason, metadata = {} }) {
+    try {
+      const changes = this.diff(before, after);
+
+      return await AuditLog.create({
+        actor: req.userId || req.user?._id,
+        actorSnapshot: {
+          username: req.user?.username,
+          email: req.user?.email,
+          role: req.user?.role
+        },
+        action,
+        targetType,
+        targetId,
+        targetLabel,
+        changes,
+        reason,
+        ip: req.ip || req.connection?.remoteAddress,
+        userAgent: req.get ? req.get('User-Agent') : undefined,
+        correlationId: getCorrelationId(req),
+        metadata
+      });
+    } catch (error) {
+      console.error('[AUDIT] Failed to record audit entry:', {
+        action,
+        targetType,
+        targetId: targetId?.toString(),
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Keep only the fields that changed between two states
+   * Creations/deletions (one side null) keep the full other side
+   * @param {Object|null} before
+   * @param {Object|null} after
+   * @returns {{ before: Object|null, after: Object|null }}
+   */
+  diff(before, after) {
+    if (!before || !after) {
+      return { before: before || null, after: after || null };
+    }
+
+    const changedBefore = {};
+    const changedAfter = {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach(key => {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changedBefore[key] = before[key] === undefined ? null : before[key];
+        changedAfter[key] = after[key] === undefined ? null : after[key];
+      }
+    });
+
+    return { before: changedBefore, after: changedAfter };
+  }
+
+  /**
+   * Copy the given fields of a document (ObjectIds and dates as strings)
+   * @param {Object} doc - Mongoose document or plain object
+   * @param {string[]} fields
+   * @returns {Object|null}
+   */
+  snapshot(doc, fields) {
+    if (!doc) {
+      return null;
+    }
+
+    const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+    const result = {};
+
+    fields.forEach(field => {
+      const value = field.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), source);
+      result[field] = this.normalizeValue(value);
+    });
+
+    return result;
+  }
+
+  normalizeValue(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+      return value.toString();
+    }
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+      return value.map(v => this.normalizeValue(v));
+    }
+    if (typeof value === 'object' && value._id) {
+      return value._id.toString();
+    }
+    return value;
+  }
+
+  /**
+   * Build the Mongo filter for the log listing
+   * @param {Object} params - actor, action, targetType, targetId, from, to
+   * @returns {Object}
+   */
+  buildQuery({ actor, action, targetType, targetId, from, to } = {}) {
+    const query = {};
+
+    if (actor) {
+      query.actor = actor;
+    }
+    if (action) {
+      const actions = action.split(',').map(a => a.trim()).filter(Boolean);
+      query.action = actions.length === 1 ? actions[0] : { $in: actions };
+    }
+    if (targetType) {
+      query.targetType = targetType;
+    }
+    if (targetId) {
+      query.targetId = targetId;
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) {
+        query.createdAt.$gte = new Date(from);
+      }
+      if (to) {
+        query.createdAt.$lte = new Date(to);
+      }
+    }
+
+    return query;
+  }
+
+  /**
+   * Validate listing filters
+   * @param {Object} params
+   * @returns {string|null} Error message, or null when valid
+   */
+  validateQuery({ actor, action, targetId, from, to } = {}) {
+    if (actor && !mongoose.Types.ObjectId.isValid(actor)) {
+      return 'Invalid actor ID';
+    }
+    if (targetId && !mongoose.Types.ObjectId.isValid(targetId)) {
+      return 'Invalid target ID';
+    }
+    if (action) {
+      const unknown = action.split(',').map(a => a.trim()).filter(a => a && !AuditLog.AUDIT_ACTIONS.includes(a));
+      if (unknown.length > 0) {
+        return `Unknown action: ${unknown.join(', ')}`;
+      }
+    }
+    if ((from && isNaN(new Date(from).getTime())) || (to && isNaN(new Date(to).getTime()))) {
+      return 'Invalid date range';
+    }
+    return null;
+  }
+
+  /**
+   * Paginated listing
+   * @param {Object} params - Filters + page/limit
+   * @returns {Promise<{ logs: Array, total: number }>}
+   */
+  async getLogs(params, { page = 1, limit = 50 } = {}) {
+    const query = this.buildQuery(params);
+    const skip = (page - 1) * limit;
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'username name email role')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return { logs, total };
+  }
+
+  /**
+   * CSV export of the filtered logs (most recent first, capped at MAX_EXPORT_ROWS)
+   * @param {Object} params - Filters
+   * @returns {Promise<string>}
+   */
+  async exportCsv(params) {
+    const logs = await AuditLog.find(this.buildQuery(params))
+      .sort({ createdAt: -1 })
+      .limit(MAX_EXPORT_ROWS)
+      .lean();
+
+    return this.toCsv(logs);
+  }
+
+  /**
+   * @param {Array} logs - Lean AuditLog entries
+   * @returns {string}
+   */
+  toCsv(logs) {
+    const rows = logs.map(log => [
+      log.createdAt ? new Date(log.createdAt).toISOString() : '',
+      log.actor?._id?.toString() || log.actor?.toString() || '',
+      log.actorSnapshot?.username || '',
+      log.actorSnapshot?.email || '',
+      log.action,
+      log.targetType,
+      log.targetId?.toString() || '',
+      log.targetLabel || '',
+      log.reason || '',
+      log.changes?.before ? JSON.stringify(log.changes.before) : '',
+      log.changes?.after ? JSON.stringify(log.changes.after) : '',
+      log.ip || '',
+      log.correlationId || ''
+    ].map(escapeCsvValue).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+}
+
+/**
+ * Quote a CSV cell; cells starting with a formula character are prefixed
+ * with a quote so spreadsheets don't evaluate them
+ */
+function escapeCsvValue(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+module.exports = new AuditService();
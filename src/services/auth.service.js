@@ -1,6 +1,20 @@
+const crypto = require('crypto');
 const User = require('../models/user.model');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const emailConfig = require('../config/email');
+const emailService = require('./email.service');
+const sessionService = require('./session.service');
+
+// Minimum delay between two verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+function tokenError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
 
 class AuthService {
   /**
@@ -187,6 +201,148 @@ class AuthService {
     }
   }
 
+  /**
+   * Generate a single-use token for an email link
+   * Only the SHA-256 hash is stored, the raw token only ever travels by email
+   * @returns {{ token: string, tokenHash: string }}
+   */
+  static generateEmailToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: this.hashEmailToken(token) };
+  }
+
+  static hashEmailToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Send (or resend) the email verification link
+   * A new link invalidates the previous one
+   * @param {Object} user - User document
+   * @returns {Promise<{ sent: boolean, expiresAt: Date }>}
+   * @throws {Error} status 409 EMAIL_ALREADY_VERIFIED | status 429 VERIFICATION_COOLDOWN
+   */
+  static async issueEmailVerification(user) {
+    if (user.emailVerified !== false) {
+      throw tokenError('EMAIL_ALREADY_VERIFIED', 'Email is already verified', 409);
+    }
+
+    const current = await User.findById(user._id).select('+emailVerification').lean();
+    const lastSentAt = current?.emailVerification?.lastSentAt;
+    if (lastSentAt && Date.now() - new Date(lastSentAt).getTime() < VERIFICATION_RESEND_COOLDOWN_MS) {
+      const error = tokenError('VERIFICATION_COOLDOWN', 'A verification email was sent recently, please wait before requesting another one', 429);
+      error.retryAfter = Math.ceil((VERIFICATION_RESEND_COOLDOWN_MS - (Date.now() - new Date(lastSentAt).getTime())) / 1000);
+      throw error;
+    }
+
+    const { token, tokenHash } = this.generateEmailToken();
+    const expiresAt = new Date(Date.now() + emailConfig.templates.verification.expiresIn);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { emailVerification: { tokenHash, expiresAt, lastSentAt: new Date() } } }
+    );
+
+    const sent = await emailService.sendVerificationEmail(user.email, token);
+    return { sent, expiresAt };
+  }
+
+  /**
+   * Consume an email verification token
+   * @param {string} token - Raw token from the link
+   * @returns {Promise<Object>} Verified user
+   * @throws {Error} status 400 INVALID_TOKEN
+   */
+  static async verifyEmail(token) {
+    if (!token || typeof token !== 'string') {
+      throw tokenError('INVALID_TOKEN', 'Verification token is required');
+    }
+
+    // Matching and clearing in one update makes the token single-use, even under concurrent requests
+    const user = await User.findOneAndUpdate(
+      {
+        'emailVerification.tokenHash': this.hashEmailToken(token),
+        'emailVerification.expiresAt': { $gt: new Date() }
+      },
+      {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerification: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      throw tokenError('INVALID_TOKEN', 'Invalid or expired verification link');
+    }
+
+    return user;
+  }
+
+  /**
+   * Send a password reset link
+   * Unknown emails are silently ignored so the endpoint can't be used to enumerate accounts
+   * @param {string} email
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  static async issuePasswordReset(email) {
+    if (!email || typeof email !== 'string') {
+      return false;
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user || user.status === 'banned') {
+      return false;
+    }
+
+    const { token, tokenHash } = this.generateEmailToken();
+    const expiresAt = new Date(Date.now() + emailConfig.templates.resetPassword.expiresIn);
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { passwordReset: { tokenHash, expiresAt, requestedAt: new Date() } } }
+    );
+
+    return emailService.sendPasswordResetEmail(user.email, token);
+  }
+
+  /**
+   * Consume a password reset token and set the new password
+   * Every session of the account is revoked
+   * @param {string} token - Raw token from the link
+   * @param {string} newPassword
+   * @returns {Promise<Object>} Updated user
+   * @throws {Error} status 400 INVALID_TOKEN
+   */
+  static async resetPassword(token, newPassword) {
+    if (!token || typeof token !== 'string') {
+      throw tokenError('INVALID_TOKEN', 'Reset token is required');
+    }
+
+    // Hashing first keeps the token consumption and the password change in a single update
+    const hashedPassword = await this.hashPassword(newPassword);
+    const now = new Date();
+
+    const user = await User.findOneAndUpdate(
+      {
+        'passwordReset.tokenHash': this.hashEmailToken(token),
+        'passwordReset.expiresAt': { $gt: now }
+      },
+      {
+        $set: { password: hashedPassword, passwordChangedAt: now, hasPassword: true },
+        $unset: { passwordReset: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      throw tokenError('INVALID_TOKEN', 'Invalid or expired reset link');
+    }
+
+    await sessionService.revokeAllSessions(user._id, 'password_changed');
+
+    return user;
+  }
+
   /**
    * Delete user account
    */
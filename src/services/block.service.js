@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const FollowRequest = require('../models/followRequest.model');
+
+// List field of each relation on the User model
+const RELATION_FIELDS = {
+  block: 'blockedUsers',
+  mute: 'mutedUsers'
+};
+const LIST_FIELDS = '_id name username avatarUrl isVerified role';
+
+function blockError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Block Service - Blocked and muted accounts
+ *
+ * Blocking works both ways: the two accounts stop following each other and
+ * can no longer follow, mention or notify each other, and their comments are
+ * hidden from each other. Muting is one-sided and silent: the muted account's
+ * posts and notifications are hidden from the user who muted it.
+ */
+class BlockService {
+  /**
+   * Add an account to the user's blocked or muted list
+   * @param {string} userId
+   * @param {string} targetId
+   * @param {string} relation - 'block' | 'mute'
+   * @throws {Error} status 400 INVALID_USER, status 404 USER_NOT_FOUND
+   */
+  async add(userId, targetId, relation) {
+    if (!mongoose.Types.ObjectId.isValid(targetId) || userId.toString() === targetId.toString()) {
+      throw blockError('INVALID_USER', `You cannot ${relation} this account`);
+    }
+    if (!await User.exists({ _id: targetId })) {
+      throw blockError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    await User.updateOne({ _id: userId }, { $addToSet: { [RELATION_FIELDS[relation]]: targetId } });
+
+    if (relation === 'block') {
+      await Promise.all([
+        User.updateOne({ _id: userId }, { $pull: { following: targetId, followers: targetId } }),
+        User.updateOne({ _id: targetId }, { $pull: { following: userId, followers: userId } }),
+        FollowRequest.deleteMany({
+          $or: [
+            { requester: userId, target: targetId },
+            { requester: targetId, target: userId }
+          ]
+        })
+      ]);
+    }
+
+    console.log('[BLOCK] Relation added:', { userId, targetId, relation });
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} targetId
+   * @param {string} relation - 'block' | 'mute'
+   */
+  async remove(userId, targetId, relation) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw blockError('INVALID_USER', 'Invalid user id');
+    }
+    await User.updateOne({ _id: userId }, { $pull: { [RELATION_FIELDS[relation]]: targetId } });
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} relation - 'block' | 'mute'
+   * @returns {Promise<Array>} Blocked or muted accounts
+   */
+  async list(userId, relation) {
+    const field = RELATION_FIELDS[relation];
+    const user = await User.findById(userId)
+      .select(`+${field}`)
+      .populate(field, LIST_FIELDS)
+      .lean();
+    return (user?.[field] || []).filter(Boolean);
+  }
+
+  /**
+   * Whether either account blocked the other
+   * @param {string} userId
+   * @param {string} otherId
+   * @returns {Promise<boolean>}
+   */
+  async isBlockedBetween(userId, otherId) {
+    if (!userId || !otherId) {
+      return false;
+    }
+    const blocked = await User.exists({
+      $or: [
+        { _id: userId, blockedUsers: otherId },
+        { _id: otherId, blockedUsers: userId }
+      ]
+    });
+    return !!blocked;
+  }
+
+  /**
+   * Accounts whose comments are hidden from the user: blocked by or blocking them
+   * @param {string} userId
+   * @returns {Promise<ObjectId[]>}
+   */
+  async getBlockedIds(userId) {
+    if (!userId) {
+      return [];
+    }
+    const [user, blockers] = await Promise.all([
+      User.findById(userId).select('+blockedUsers').lean(),
+      User.find({ blockedUsers: userId }).select('_id').lean()
+    ]);
+    return [...(user?.blockedUsers || []), ...blockers.map(blocker => blocker._id)];
+  }
+
+  /**
+   * Authors whose posts are hidden from the user's feeds: muted and blocked either way
+   * @param {string} userId
+   * @returns {Promise<ObjectId[]>}
+   */
+  async getHiddenAuthorIds(userId) {
+    if (!userId) {
+      return [];
+    }
+    const [user, blockedIds] = await Promise.all([
+      User.findById(userId).select('+mutedUsers').lean(),
+      this.getBlockedIds(userId)
+    ]);
+    return [...(user?.mutedUsers || []), ...blockedIds];
+  }
+}
+
+module.exports = new BlockService();
@@ -0,0 +1,80 @@
+const Post = require('../models/post.model');
+const User = require('../models/user.model');
+const BookmarkCollection = require('../models/bookmarkCollection.model');
+
+/**
+ * Bookmark Service - Post bookmarks
+ *
+ * Post.interactions.bookmarks (users + count) is the source of truth, mirrored
+ * in the user's `interactions.bookmarks` (and the deprecated `savedPosts`).
+ * Both writes are conditional, so concurrent requests never count a bookmark
+ * twice. Removing a bookmark also removes the post from the user's collections.
+ */
+class BookmarkService {
+  /**
+   * @param {string} userId
+   * @param {string} postId
+   * @returns {Promise<boolean>} false when the post was already bookmarked
+   */
+  async addBookmark(userId, postId) {
+    const result = await Post.updateOne(
+      { _id: postId, 'interactions.bookmarks.users.user': { $ne: userId } },
+      {
+        $push: { 'interactions.bookmarks.users': { user: userId, createdAt: new Date() } },
+        $inc: { 'interactions.bookmarks.count': 1 }
+      }
+    );
+
+    await User.updateOne({ _id: userId }, {
+      $addToSet: {
+        'interactions.bookmarks': postId,
+        'interactions.savedPosts': postId
+      }
+    });
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} postId
+   * @returns {Promise<boolean>} false when the post was not bookmarked
+   */
+  async removeBookmark(userId, postId) {
+    const result = await Post.updateOne(
+      { _id: postId, 'interactions.bookmarks.users.user': userId },
+      {
+        $pull: { 'interactions.bookmarks.users': { user: userId } },
+        $inc: { 'interactions.bookmarks.count': -1 }
+      }
+    );
+
+    await Promise.all([
+      User.updateOne({ _id: userId }, {
+        $pull: {
+          'interactions.bookmarks': postId,
+          'interactions.savedPosts': postId
+        }
+      }),
+      BookmarkCollection.updateMany(
+        { owner: userId, 'items.post': postId },
+        { $pull: { items: { post: postId } } }
+      )
+    ]);
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * @param {Object} post - Post with interactions.bookmarks.users
+   * @param {string} userId
+   * @returns {boolean}
+   */
+  isBookmarked(post, userId) {
+    return (post.interactions?.bookmarks?.users || []).some(
+      entry => entry.user?.toString() === userId.toString()
+    );
+  }
+}
+
+module.exports = new BookmarkService();
@@ -0,0 +1,250 @@
+const Report = require('../models/report.model');
+const Post = require('../models/post.model');
+const User = require('../models/user.model');
+const moderationService = require('./moderation.service');
+const moderationConfig = require('../config/moderation');
+
+// Side of each political orientation vote
+const POLITICAL_SIDES = {
+  extremelyConservative: 'conservative',
+  conservative: 'conservative',
+  neutral: 'neutral',
+  progressive: 'progressive',
+  extremelyProgressive: 'progressive'
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const share = (count, total) => (total > 0 ? count / total : 0);
+
+/**
+ * Brigading Service - Coordinated reporting checks before automatic removal
+ *
+ * Reporters whose reports are habitually dismissed weigh less towards the
+ * automatic removal threshold. When the threshold is still met, the reports
+ * are checked for signs of a coordinated group: young accounts, reporters
+ * following each other, a burst of reports, reporters who all voted the
+ * post's political orientation on the same side, and reporters with a poor
+ * track record. Past `holdSignals` signals, the content stays up and its
+ * moderation case is held for a moderator to decide.
+ */
+class BrigadingService {
+  /**
+   * Decide whether reported content is removed automatically
+   * @param {string} targetType - post | comment | short | user
+   * @param {string} targetId
+   * @param {Date} now
+   * @returns {Promise<{ shouldRemove: boolean, held: boolean, check: Object|null, detection?: Object }>}
+   */
+  async evaluateAutoRemoval(targetType, targetId, now = new Date()) {
+    const reports = await Report.find({ targetType, targetId })
+      .select('reportedBy reason createdAt')
+      .lean();
+    const weights = await this.getReporterWeights(reports.map(report => report.reportedBy));
+
+    const check = await Report.checkAutoRemovalThreshold(targetType, targetId, { reporterWeights: weights });
+    if (!check?.shouldRemove) {
+      return { shouldRemove: false, held: false, check };
+    }
+    if (await moderationService.isAutoRemovalHeld(targetType, targetId)) {
+      return { shouldRemove: false, held: true, check };
+    }
+
+    const detection = await this.detect(targetType, targetId, reports, weights, now);
+    if (detection.suspicious) {
+      await moderationService.holdAutoRemoval(targetType, targetId, detection);
+      console.log('[BRIGADING] Automatic removal held for review:', {
+        targetType,
+        targetId,
+        signals: detection.signals
+      });
+      return { shouldRemove: false, held: true, check, detection };
+    }
+
+    return { shouldRemove: true, held: false, check, detection };
+  }
+
+  /**
+   * Decide whether a comment reported from the comment itself (its embedded
+   * reports) is hidden; the same weighting and checks as automatic removals
+   * @param {Object} comment - Comment document with its reports
+   * @param {Date} now
+   * @returns {Promise<{ shouldHide: boolean, held: boolean, detection?: Object }>}
+   */
+  async evaluateCommentHide(comment, now = new Date()) {
+    const reports = (comment.reports || [])
+      .filter(report => report.user)
+      .map(report => ({ reportedBy: report.user, reason: report.reason, createdAt: report.createdAt }));
+    const weights = await this.getReporterWeights(reports.map(report => report.reportedBy));
+
+    const weight = [...weights.values()].reduce((sum, reporterWeight) => sum + reporterWeight, 0);
+    if (weight < moderationConfig.brigading.commentHideWeight) {
+      return { shouldHide: false, held: false };
+    }
+    if (await moderationService.isAutoRemovalHeld('comment', comment._id)) {
+      return { shouldHide: false, held: true };
+    }
+
+    const detection = await this.detect('comment', comment._id, reports, weights, now);
+    if (detection.suspicious) {
+      await moderationService.holdAutoRemoval('comment', comment._id, detection);
+      console.log('[BRIGADING] Comment hiding held for review:', {
+        commentId: comment._id,
+        signals: detection.signals
+      });
+      return { shouldHide: false, held: true, detection };
+    }
+
+    return { shouldHide: true, held: false, detection };
+  }
+
+  /**
+   * Weight of each reporter from their reviewed reports
+   * @param {Array} reporterIds
+   * @returns {Promise<Map<string, number>>}
+   */
+  async getReporterWeights(reporterIds) {
+    const ids = [...new Set(reporterIds.map(id => id.toString()))];
+    const history = await moderationService.getReporterHistory(ids);
+    return new Map(ids.map(id => [id, this.getReporterWeight(history.get(id))]));
+  }
+
+  /**
+   * @param {{ upheld: number, dismissed: number }} [counts]
+   * @returns {number} 1 until enough reports were reviewed, then twice the upheld rate within [minReporterWeight, 1]
+   */
+  getReporterWeight(counts) {
+    const { minReviewedReports, minReporterWeight } = moderationConfig.brigading;
+    const reviewed = (counts?.upheld || 0) + (counts?.dismissed || 0);
+    if (reviewed < minReviewedReports) {
+      return 1;
+    }
+    return Math.min(1, Math.max(minReporterWeight, (2 * counts.upheld) / reviewed));
+  }
+
+  /**
+   * Measure every signal of coordinated reporting
+   * @param {string} targetType
+   * @param {string} targetId
+   * @param {Array} reports - Report documents (reportedBy, createdAt)
+   * @param {Map<string, number>} weights - From getReporterWeights
+   * @param {Date} now
+   * @returns {Promise<{ suspicious: boolean, signals: Array<string>, details: Object }>}
+   */
+  async detect(targetType, targetId, reports, weights, now = new Date()) {
+    const reporterIds = [...new Set(reports.map(report => report.reportedBy.toString()))];
+    const [reporters, post] = await Promise.all([
+      User.find({ _id: { $in: reporterIds } }).select('createdAt following').lean(),
+      targetType === 'post'
+        ? Post.findById(targetId).select('politicalOrientation.journalistChoice politicalOrientation.voters').lean()
+        : null
+    ]);
+
+    const details = {
+      reporters: reporterIds.length,
+      newAccountShare: this.getNewAccountShare(reports, reporters, now),
+      clusterShare: this.getClusterShare(reporters),
+      burstShare: this.getBurstShare(reports),
+      lowAccuracyShare: share([...weights.values()].filter(weight => weight < 1).length, reporterIds.length),
+      ...this.getPoliticalAlignment(reporterIds, post)
+    };
+    const signals = this.getSignals(details);
+
+    return {
+      suspicious: signals.length >= moderationConfig.brigading.holdSignals,
+      signals,
+      details
+    };
+  }
+
+  /**
+   * @param {Object} details - From detect
+   * @returns {Array<string>} Names of the signals past their threshold
+   */
+  getSignals(details) {
+    const config = moderationConfig.brigading;
+    const signals = [];
+    if (details.newAccountShare >= config.newAccountShare) {
+      signals.push('new_accounts');
+    }
+    if (details.clusterShare >= config.clusterShare) {
+      signals.push('reporter_cluster');
+    }
+    if (details.burstShare >= config.burstShare) {
+      signals.push('timing_burst');
+    }
+    if (details.votedShare >= config.votedShare && details.sameSideShare >= config.sameSideShare && details.side !== 'neutral') {
+      signals.push('political_alignment');
+    }
+    if (details.lowAccuracyShare >= config.lowAccuracyShare) {
+      signals.push('low_accuracy');
+    }
+    return signals;
+  }
+
+  /**
+   * Share of the reports filed by an account younger than newAccountDays at the time
+   */
+  getNewAccountShare(reports, reporters, now = new Date()) {
+    const createdAt = new Map(reporters.map(reporter => [reporter._id.toString(), reporter.createdAt]));
+    const young = reports.filter(report => {
+      const accountCreatedAt = createdAt.get(report.reportedBy.toString());
+      const reportedAt = report.createdAt || now;
+      return accountCreatedAt && reportedAt - accountCreatedAt < moderationConfig.brigading.newAccountDays * DAY_MS;
+    });
+    return share(young.length, reports.length);
+  }
+
+  /**
+   * Share of the reporters who follow another reporter of the same content
+   */
+  getClusterShare(reporters) {
+    const ids = new Set(reporters.map(reporter => reporter._id.toString()));
+    const connected = reporters.filter(reporter =>
+      (reporter.following || []).some(id => id.toString() !== reporter._id.toString() && ids.has(id.toString()))
+    );
+    return share(connected.length, reporters.length);
+  }
+
+  /**
+   * Largest share of the reports filed within burstMinutes of each other
+   */
+  getBurstShare(reports) {
+    const windowMs = moderationConfig.brigading.burstMinutes * 60 * 1000;
+    const times = reports.map(report => new Date(report.createdAt).getTime()).sort((a, b) => a - b);
+    let largest = 0;
+    let start = 0;
+    times.forEach((time, end) => {
+      while (time - times[start] > windowMs) {
+        start++;
+      }
+      largest = Math.max(largest, end - start + 1);
+    });
+    return share(largest, times.length);
+  }
+
+  /**
+   * How many reporters voted on the post's political orientation, and how many of them on the main side
+   * @returns {{ votedShare: number, sameSideShare: number, side: string|null, journalistSide: string|null }}
+   */
+  getPoliticalAlignment(reporterIds, post) {
+    const orientation = post?.politicalOrientation;
+    const reporters = new Set(reporterIds.map(id => id.toString()));
+    const votes = (orientation?.voters || []).filter(vote => vote.userId && reporters.has(vote.userId.toString()));
+
+    const bySide = {};
+    votes.forEach(vote => {
+      const side = POLITICAL_SIDES[vote.view];
+      bySide[side] = (bySide[side] || 0) + 1;
+    });
+    const [side, count] = Object.entries(bySide).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+    return {
+      votedShare: share(votes.length, reporters.size),
+      sameSideShare: share(count, votes.length),
+      side,
+      journalistSide: POLITICAL_SIDES[orientation?.journalistChoice] || null
+    };
+  }
+}
+
+module.exports = new BrigadingService();
@@ -0,0 +1,451 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const BookmarkCollection = require('../models/bookmarkCollection.model');
+const Post = require('../models/post.model');
+const bookmarkService = require('./bookmark.service');
+const blockService = require('./block.service');
+const emailConfig = require('../config/email');
+
+const MAX_COLLECTIONS = 100;
+const MAX_ITEMS = 1000;
+const OWNER_FIELDS = '_id name username avatarUrl isVerified';
+const POST_FIELDS = '_id title imageUrl thumbnailUrl type domain status isDeleted journalist publishedAt createdAt';
+
+function collectionError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Collection Service - Bookmark folders and reading lists
+ *
+ * A collection is a named, ordered folder of the owner's bookmarks with a
+ * note per item. Adding a post to a collection bookmarks it and removing the
+ * bookmark removes it from every collection (see bookmark.service.js), so the
+ * Post bookmark counters stay the single count. Taking a post out of a
+ * collection keeps the bookmark. A public collection gets a share link and can
+ * be followed by other users as a reading list; making it private again
+ * revokes the link and drops its followers.
+ */
+class CollectionService {
+  /**
+   * @param {string} ownerId
+   * @returns {Promise<Array>} The owner's collections, most recently updated first
+   */
+  async list(ownerId) {
+    const collections = await BookmarkCollection.find({ owner: ownerId })
+      .sort({ updatedAt: -1 })
+      .lean();
+    return collections.map(collection => this.format(collection, ownerId));
+  }
+
+  /**
+   * @param {string} ownerId
+   * @param {{ name: string, description?: string, isPublic?: boolean }} data
+   * @returns {Promise<Object>} Formatted collection
+   * @throws {Error} status 400 COLLECTION_LIMIT | VALIDATION_ERROR, status 409 DUPLICATE_NAME
+   */
+  async create(ownerId, { name, description, isPublic = false }) {
+    if (await BookmarkCollection.countDocuments({ owner: ownerId }) >= MAX_COLLECTIONS) {
+      throw collectionError('COLLECTION_LIMIT', `A user can have at most ${MAX_COLLECTIONS} collections`);
+    }
+
+    const collection = await this.persist(new BookmarkCollection({
+      owner: ownerId,
+      name,
+      description,
+      isPublic: !!isPublic,
+      shareToken: isPublic ? this.generateShareToken() : undefined
+    }));
+
+    console.log('[COLLECTION] Created:', { collectionId: collection._id, ownerId });
+    return this.format(collection.toObject(), ownerId);
+  }
+
+  /**
+   * Rename, describe or change the visibility of a collection
+   * @param {string} ownerId
+   * @param {string} collectionId
+   * @param {{ name?: string, description?: string, isPublic?: boolean }} updates
+   * @returns {Promise<Object>} Formatted collection
+   * @throws {Error} status 404 COLLECTION_NOT_FOUND, status 409 DUPLICATE_NAME
+   */
+  async update(ownerId, collectionId, { name, description, isPublic }) {
+    const collection = await this.findOwned(ownerId, collectionId);
+
+    if (name !== undefined) {
+      collection.name = name;
+    }
+    if (description !== undefined) {
+      collection.description = description;
+    }
+    if (isPublic !== undefined && !!isPublic !== collection.isPublic) {
+      collection.isPublic = !!isPublic;
+      if (collection.isPublic) {
+        collection.shareToken = this.generateShareToken();
+      } else {
+        collection.shareToken = undefined;
+        collection.followers = [];
+        collection.followersCount = 0;
+      }
+    }
+
+    await this.persist(collection);
+    return this.format(collection.toObject(), ownerId);
+  }
+
+  /**
+   * Delete a collection; its posts stay bookmarked
+   * @param {string} ownerId
+   * @param {string} collectionId
+   * @throws {Error} status 404 COLLECTION_NOT_FOUND
+   */
+  async remove(ownerId, collectionId) {
+    const collection = await this.findOwned(ownerId, collectionId);
+    await collection.deleteOne();
+    console.log('[COLLECTION] Deleted:', { collectionId, ownerId });
+  }
+
+  /**
+   * A collection with its posts, for its owner or anyone when public
+   * @param {string} collectionId
+   * @param {Object} viewer - Current user (may be null)
+   * @returns {Promise<Object>} Formatted collection with items
+   * @throws {Error} status 404 COLLECTION_NOT_FOUND
+   */
+  async get(collectionId, viewer) {
+    if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+      throw collectionError('COLLECTION_NOT_FOUND', 'Collection not found', 404);
+    }
+    return this.load({ _id: collectionId }, viewer);
+  }
+
+  /**
+   * A public collection opened from its share link
+   * @param {string} token
+   * @param {Object} viewer - Current user (may be null)
+   * @returns {Promise<Object>} Formatted collection with items
+   * @throws {Error} status 404 COLLECTION_NOT_FOUND
+   */
+  async getShared(token, viewer) {
+    if (typeof token !== 'string' || !token) {
+      throw collectionError('COLLECTION_NOT_FOUND', 'Collection not found', 404);
+    }
+    return this.load({ shareToken: token, isPublic: true }, viewer);
+  }
+
+  /**
+   * Add a post to a collection, bookmarking it if needed
+   * @param {string} ownerId
+   * @param {string} collectionId
+   * @param {string} postId
+   * @param {string} [note]
+   * @throws {Error} status 400 ITEM_LIMIT | VALIDATION_ERROR, status 404 COLLECTION_NOT_FOUND | POST_NOT_FOUND,
+   *   status 409 ALREADY_IN_COLLECTION
+   */
+  async addItem(ownerId, collectionId, postId, note) {
+    this.validateNote(note);
+    const collection = await this.findOwned(ownerId, collectionId, '_id');
+    if (!mongoose.Types.ObjectId.isValid(postId) ||
+      !await Post.exists({ _id: postId, isDeleted: { $ne: true } })) {
+      throw collectionError('POST_NOT_FOUND', 'Post not found', 404);
+    }
+
+    const result = await BookmarkCollection.updateOne(
+      { _id: collection._id, 'items.post': { $ne: postId }, [`items.${MAX_ITEMS - 1}`]: { $exists: false } },
+      { $push: { items: { post: postId, note: note?.trim() || undefined, addedAt: new Date() } } }
+    );
+    if (result.modifiedCount === 0) {
+      const alreadyIn = await BookmarkCollection.exists({ _id: collection._id, 'items.post': postId });
+      throw alreadyIn
+        ? collectionError('ALREADY_IN_COLLECTION', 'Post already in this collection', 409)
+        : collectionError('ITEM_LIMIT', `A collection can hold at most ${MAX_ITEMS} posts`);
+    }
+
+    await bookmarkService.addBookmark(ownerId, postId);
+  }
+
+  /**
+   * Change the note of a post in a collection
+   * @param {string} ownerId
+   * @param {string} collectionId
+   * @param {string} postId
+   * @param {string} note - Empty to clear it
+   * @throws {Error} status 400 VALIDATION_ERROR, status 404 COLLECTION_NOT_FOUND | ITEM_NOT_FOUND
+   */
+  async updateItem(ownerId, collectionId, postId, note) {
+    this.validateNote(note);
+    const collection = await this.findOwned(ownerId, collectionId, '_id');
+    const update = note?.trim()
+      ? { $set: { 'items.$.note': note.trim() } }
+      : { $unset: { 'items.$.note': 1 } };
+
+    const result = await BookmarkCollection.updateOne(
+      { _id: collection._id, 'items.post': this.toObjectId(postId) },
+      update
+    );
+    if (result.matchedCount === 0) {
+      throw collectionError('ITEM_NOT_FOUND', 'Post not in this collection', 404);
+    }
+  }
+
+  /**
+   * Take a post out of a collection; it stays bookmarked
+   * @param {string} ownerId
+   * @param {string} collectionId
+   * @param {string} postId
+   * @throws {Error} status 404 COLLECTION_NOT_FOUND | ITEM_NOT_FOUND
+   */
+  async removeItem(ownerId, collectionId, postId) {
+    const collection = await this.findOwned(ownerId, collectionId, '_id');
+
+    const result = await BookmarkCollection.updateOne(
+      { _id: collection._id, 'items.post': this.toObjectId(postId) },
+      { $pull: { items: { post: postId } } }
+    );
+    if (result.modifiedCount === 0) {
+      throw collectionError('ITEM_NOT_FOUND', 'Post not in this collection', 404);
+    }
+  }
+
+  /**
+   * Set the order of the posts of a collection
+   * @param {string} ownerId
+   * @param {string} collectionId
+   * @param {string[]} postIds - Every post of the collection, in the new order
+   * @throws {Error} status 400 INVALID_ORDER, status 404 COLLECTION_NOT_FOUND, status 409 COLLECTION_CHANGED
+   */
+  async reorder(ownerId, collectionId, postIds) {
+    const collection = await this.findOwned(ownerId, collectionId);
+    const items = new Map(collection.items.map(item => [item.post.toString(), item]));
+
+    if (!Array.isArray(postIds) ||
+      postIds.length !== items.size ||
+      new Set(postIds.map(String)).size !== items.size ||
+      !postIds.every(id => items.has(String(id)))) {
+      throw collectionError('INVALID_ORDER', 'The order must list every post of the collection once');
+    }
+
+    // Only applied while the collection still holds exactly these posts,
+    // so an item added or removed meanwhile is not lost
+    const result = await BookmarkCollection.updateOne(
+      { _id: collection._id, items: { $size: items.size }, 'items.post': { $all: [...items.values()].map(item => item.post) } },
+      { $set: { items: postIds.map(id => items.get(String(id)).toObject()) } }
+    );
+    if (result.matchedCount === 0) {
+      throw collectionError('COLLECTION_CHANGED', 'The collection changed, reload it and try again', 409);
+    }
+  }
+
+  /**
+   * Follow another user's public collection
+   * @param {string} userId
+   * @param {string} collectionId
+   * @returns {Promise<number>} Followers of the collection
+   * @throws {Error} status 400 INVALID_COLLECTION, status 404 COLLECTION_NOT_FOUND
+   */
+  async follow(userId, collectionId) {
+    const collection = await this.findPublic(collectionId);
+    if (collection.owner.toString() === userId.toString()) {
+      throw collectionError('INVALID_COLLECTION', 'Cannot follow your own collection');
+    }
+    if (await blockService.isBlockedBetween(userId, collection.owner)) {
+      throw collectionError('COLLECTION_NOT_FOUND', 'Collection not found', 404);
+    }
+
+    const updated = await BookmarkCollection.findOneAndUpdate(
+      { _id: collection._id, isPublic: true, followers: { $ne: userId } },
+      { $push: { followers: userId }, $inc: { followersCount: 1 } },
+      { new: true }
+    ).select('followersCount');
+
+    return (updated || collection).followersCount;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} collectionId
+   * @returns {Promise<number>} Followers of the collection
+   * @throws {Error} status 404 COLLECTION_NOT_FOUND
+   */
+  async unfollow(userId, collectionId) {
+    if (!mongoose.Types.ObjectId.isValid(collectionId)) {
+      throw collectionError('COLLECTION_NOT_FOUND', 'Collection not found', 404);
+    }
+
+    const updated = await BookmarkCollection.findOneAndUpdate(
+      { _id: collectionId, followers: userId },
+      { $pull: { followers: userId }, $inc: { followersCount: -1 } },
+      { new: true }
+    ).select('followersCount');
+    if (updated) {
+      return updated.followersCount;
+    }
+
+    const collection = await BookmarkCollection.findById(collectionId).select('followersCount');
+    if (!collection) {
+      throw collectionError('COLLECTION_NOT_FOUND', 'Collection not found', 404);
+    }
+    return collection.followersCount;
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<Array>} Public collections the user follows, most recently updated first
+   */
+  async listFollowed(userId) {
+    const hiddenOwners = await blockService.getBlockedIds(userId);
+    const collections = await BookmarkCollection.find({
+      followers: userId,
+      isPublic: true,
+      owner: { $nin: hiddenOwners }
+    })
+      .sort({ updatedAt: -1 })
+      .populate('owner', OWNER_FIELDS)
+      .lean();
+
+    return collections
+      .filter(collection => collection.owner)
+      .map(collection => ({
+        ...this.format(collection, userId),
+        isFollowing: true
+      }));
+  }
+
+  /**
+   * Loads a collection with its posts when the viewer may see it
+   */
+  async load(filter, viewer) {
+    const collection = await BookmarkCollection.findOne(filter)
+      .select('+followers')
+      .populate('owner', OWNER_FIELDS)
+      .populate({
+        path: 'items.post',
+        select: POST_FIELDS,
+        populate: { path: 'journalist', select: OWNER_FIELDS }
+      })
+      .lean();
+    const viewerId = viewer?._id?.toString();
+    const isOwner = !!collection?.owner && collection.owner._id.toString() === viewerId;
+
+    // A collection whose owner account is gone is not shown either
+    if (!collection?.owner || (!isOwner && !collection.isPublic) ||
+      (!isOwner && viewerId && await blockService.isBlockedBetween(viewerId, collection.owner._id))) {
+      throw collectionError('COLLECTION_NOT_FOUND', 'Collection not found', 404);
+    }
+
+    // Deleted posts, and unpublished ones for anyone but the owner, are left out
+    const items = collection.items
+      .filter(item => item.post && !item.post.isDeleted && (isOwner || item.post.status === 'published'))
+      .map(item => ({ post: item.post, note: item.note, addedAt: item.addedAt }));
+
+    return {
+      ...this.format(collection, viewerId),
+      isFollowing: !!viewerId && (collection.followers || []).some(id => id.toString() === viewerId),
+      items
+    };
+  }
+
+  /**
+   * @returns {Promise<Object>} The owner's collection document
+   * @throws {Error} status 404 COLLECTION_NOT_FOUND
+   */
+  async findOwned(ownerId, collectionId, fields) {
+    const collection = mongoose.Types.ObjectId.isValid(collectionId)
+      ? await BookmarkCollection.findOne({ _id: collectionId, owner: ownerId }).select(fields)
+      : null;
+    if (!collection) {
+      throw collectionError('COLLECTION_NOT_FOUND', 'Collection not found', 404);
+    }
+    return collection;
+  }
+
+  /**
+   * @throws {Error} status 404 COLLECTION_NOT_FOUND
+   */
+  async findPublic(collectionId) {
+    const collection = mongoose.Types.ObjectId.isValid(collectionId)
+      ? await BookmarkCollection.findOne({ _id: collectionId, isPublic: true }).select('owner followersCount')
+      : null;
+    if (!collection) {
+      throw collectionError('COLLECTION_NOT_FOUND', 'Collection not found', 404);
+    }
+    return collection;
+  }
+
+  /**
+   * Saves a collection, turning validation and duplicate name errors into coded errors
+   */
+  async persist(collection) {
+    try {
+      return await collection.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw collectionError('DUPLICATE_NAME', 'You already have a collection with this name', 409);
+      }
+      if (error.name === 'ValidationError') {
+        throw collectionError('VALIDATION_ERROR', Object.values(error.errors).map(e => e.message).join(', '));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * API shape of a collection; the share link is only given to the owner
+   * @param {Object} collection - Lean collection, owner populated or not
+   * @param {string} viewerId
+   * @returns {Object}
+   */
+  format(collection, viewerId) {
+    const ownerId = (collection.owner?._id || collection.owner).toString();
+    const isOwner = !!viewerId && ownerId === viewerId.toString();
+
+    return {
+      _id: collection._id,
+      name: collection.name,
+      description: collection.description || '',
+      owner: collection.owner,
+      isPublic: collection.isPublic,
+      shareUrl: isOwner && collection.isPublic && collection.shareToken
+        ? this.getShareUrl(collection.shareToken)
+        : null,
+      itemsCount: (collection.items || []).length,
+      followersCount: collection.followersCount || 0,
+      isOwner,
+      createdAt: collection.createdAt,
+      updatedAt: collection.updatedAt
+    };
+  }
+
+  /**
+   * @param {string} token
+   * @returns {string} Frontend link opening a shared collection
+   */
+  getShareUrl(token) {
+    return `${emailConfig.frontendUrl}/collections/shared/${token}`;
+  }
+
+  /**
+   * @throws {Error} status 400 VALIDATION_ERROR when the note is not a string of at most 500 characters
+   */
+  validateNote(note) {
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.trim().length > 500)) {
+      throw collectionError('VALIDATION_ERROR', 'The note must be text of at most 500 characters');
+    }
+  }
+
+  generateShareToken() {
+    return crypto.randomBytes(16).toString('base64url');
+  }
+
+  toObjectId(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw collectionError('ITEM_NOT_FOUND', 'Post not in this collection', 404);
+    }
+    return new mongoose.Types.ObjectId(id);
+  }
+}
+
+module.exports = new CollectionService();
@@ -0,0 +1,383 @@
+const mongoose = require('mongoose');
+const Comment = require('../models/comment.model');
+const Post = require('../models/post.model');
+const commentsConfig = require('../config/comments');
+
+// Pinned comments per post, shown above every sort mode
+const MAX_PINNED_COMMENTS = 3;
+
+// Sort modes, legacy names ('recent', 'popular') kept for older clients
+const SORT_ALIASES = {
+  recent: 'newest',
+  popular: 'top'
+};
+const SORT_STAGES = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  top: { likesCount: -1, createdAt: -1 },
+  replies: { repliesCount: -1, createdAt: -1 },
+  controversial: { controversyScore: -1, createdAt: -1 }
+};
+
+function commentError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function clamp(value, fallback, min, max) {
+  const number = parseInt(value, 10);
+  return Math.min(Math.max(Number.isNaN(number) ? fallback : number, min), max);
+}
+
+/**
+ * Comment Service - Comment ordering, threads, pinning and journalist's picks
+ *
+ * The journalist of a post can pin a few top-level comments, which are listed
+ * first whatever the sort mode, and mark any comment as a "journalist's pick".
+ *
+ * Replies form threads of any depth. Each comment stores its ancestors, so the
+ * replies below a set of comments, down to the display depth, are one query.
+ * Replies are in chronological order; a comment with more replies than returned
+ * carries a "continue thread" cursor for GET /api/comments/replies/:commentId.
+ */
+class CommentService {
+  /**
+   * @param {string} sort - Requested sort mode (default newest)
+   * @returns {string} Normalized sort mode
+   * @throws {Error} status 400 INVALID_SORT
+   */
+  normalizeSort(sort) {
+    const mode = SORT_ALIASES[sort] || sort || 'newest';
+    if (!SORT_STAGES[mode]) {
+      throw commentError('INVALID_SORT', `sortBy must be one of: ${Object.keys(SORT_STAGES).join(', ')}`);
+    }
+    return mode;
+  }
+
+  /**
+   * Ids of a page of comments, pinned ones first then by sort mode
+   * @param {Object} filter - Comment filter (post, parentComment, status...)
+   * @param {Object} options
+   * @param {string} options.sort - Normalized sort mode
+   * @param {number} options.skip
+   * @param {number} options.limit
+   * @returns {Promise<ObjectId[]>}
+   */
+  async getSortedIds(filter, { sort, skip, limit }) {
+    const pipeline = [
+      { $match: filter },
+      { $addFields: { likesCount: { $size: { $ifNull: ['$likes', []] } } } }
+    ];
+
+    // Active direct replies, kept up to date by Comment.adjustThreadCounts
+    if (sort === 'replies' || sort === 'controversial') {
+      pipeline.push({ $addFields: { repliesCount: { $ifNull: ['$replyCount', 0] } } });
+    }
+
+    // Controversy: a lot of activity, split evenly between approval (likes) and
+    // pushback (replies). 10 likes and 10 replies beat 50 likes and no reply.
+    if (sort === 'controversial') {
+      pipeline.push({
+        $addFields: {
+          controversyScore: {
+            $cond: [
+              { $or: [{ $eq: ['$likesCount', 0] }, { $eq: ['$repliesCount', 0] }] },
+              0,
+              {
+                $multiply: [
+                  { $add: ['$likesCount', '$repliesCount'] },
+                  { $divide: [{ $min: ['$likesCount', '$repliesCount'] }, { $max: ['$likesCount', '$repliesCount'] }] }
+                ]
+              }
+            ]
+          }
+        }
+      });
+    }
+
+    pipeline.push(
+      { $sort: { isPinned: -1, pinnedAt: -1, ...SORT_STAGES[sort], _id: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      { $project: { _id: 1 } }
+    );
+
+    const results = await Comment.aggregate(pipeline);
+    return results.map(result => result._id);
+  }
+
+  /**
+   * A page of comments, in display order
+   * @param {Object} filter - Comment filter
+   * @param {Object} options - { sort, skip, limit }
+   * @param {Object} populate - Author population options
+   * @returns {Promise<Array>} Comment documents
+   */
+  async findSorted(filter, options, populate) {
+    const matchFilter = { ...filter };
+    if (typeof matchFilter.post === 'string') {
+      matchFilter.post = new mongoose.Types.ObjectId(matchFilter.post);
+    }
+    if (typeof matchFilter.parentComment === 'string') {
+      matchFilter.parentComment = new mongoose.Types.ObjectId(matchFilter.parentComment);
+    }
+
+    const ids = await this.getSortedIds(matchFilter, options);
+    const comments = await Comment.find({ _id: { $in: ids } }).populate(populate);
+    const byId = new Map(comments.map(comment => [comment._id.toString(), comment]));
+
+    return ids.map(id => byId.get(id.toString())).filter(Boolean);
+  }
+
+  /**
+   * Replies below each comment, down to `depth` levels
+   * @param {Array} parents - Comment documents
+   * @param {Object} options
+   * @param {number} options.depth - Reply levels to include (0 for none)
+   * @param {Object} options.filter - Extra reply filter (e.g. banned authors)
+   * @param {Object} populate - Author population options
+   * @returns {Promise<Array>} Nodes { comment, replies: [nodes], continueThread }
+   */
+  async buildThreads(parents, { depth, filter = {} }, populate) {
+    const nodes = parents.map(comment => ({ comment, replies: [] }));
+    const maxDepth = Math.max(...parents.map(comment => (comment.depth || 0) + depth), 0);
+
+    let replies = [];
+    if (parents.length > 0 && depth > 0) {
+      replies = await Comment.find({
+        ...filter,
+        ancestors: { $in: parents.map(comment => comment._id) },
+        depth: { $lte: maxDepth },
+        status: 'active',
+        isDeleted: { $ne: true }
+      })
+        .sort({ depth: 1, createdAt: 1, _id: 1 })
+        .limit(commentsConfig.thread.maxNodes)
+        .populate(populate);
+    }
+
+    // Sorted by depth, so parents are always placed before their replies
+    const byId = new Map(nodes.map(node => [node.comment._id.toString(), { node, limit: (node.comment.depth || 0) + depth }]));
+    for (const reply of replies) {
+      const parent = byId.get(reply.parentComment?.toString());
+      if (!parent || reply.depth > parent.limit) {
+        continue;
+      }
+      const node = { comment: reply, replies: [] };
+      parent.node.replies.push(node);
+      byId.set(reply._id.toString(), { node, limit: parent.limit });
+    }
+
+    for (const { node } of byId.values()) {
+      const returned = node.replies.length;
+      const last = node.replies[returned - 1]?.comment;
+      node.continueThread = (node.comment.replyCount || 0) > returned
+        ? { commentId: node.comment._id.toString(), cursor: last ? this.encodeCursor(last) : null }
+        : null;
+    }
+
+    return nodes;
+  }
+
+  /**
+   * A page of direct replies to a comment, each with its nested replies
+   * @param {string} commentId
+   * @param {Object} options
+   * @param {string} options.cursor - From the previous page or a "continue thread" link
+   * @param {number} options.limit - Direct replies per page
+   * @param {number} options.depth - Reply levels to include (default from config)
+   * @param {Array} options.excludeAuthors - Authors whose replies are hidden (e.g. blocked)
+   * @param {Object} populate - Author population options
+   * @returns {Promise<{ comment: Object, replies: Array, nextCursor: string|null, depth: number }>}
+   * @throws {Error} status 404 COMMENT_NOT_FOUND, status 400 INVALID_CURSOR
+   */
+  async getThread(commentId, { cursor, limit, depth, excludeAuthors = [] } = {}, populate) {
+    const { thread } = commentsConfig;
+    const pageSize = clamp(limit, thread.pageSize, 1, thread.maxPageSize);
+    const displayDepth = clamp(depth, thread.displayDepth, 1, thread.maxDisplayDepth);
+
+    const comment = await Comment.findOne({ _id: commentId, isDeleted: { $ne: true } })
+      .setOptions({ skipAutopopulate: true });
+    if (!comment) {
+      throw commentError('COMMENT_NOT_FOUND', 'Comment not found', 404);
+    }
+
+    const authorFilter = excludeAuthors.length > 0 ? { author: { $nin: excludeAuthors } } : {};
+    const filter = { ...authorFilter, parentComment: comment._id, status: 'active', isDeleted: { $ne: true } };
+    if (cursor) {
+      const after = this.decodeCursor(cursor);
+      filter.$or = [
+        { createdAt: { $gt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $gt: after.id } }
+      ];
+    }
+
+    const page = await Comment.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(pageSize + 1)
+      .populate(populate);
+    const hasMore = page.length > pageSize;
+    const replies = page.slice(0, pageSize);
+
+    const nodes = await this.buildThreads(replies, { depth: displayDepth - 1, filter: authorFilter }, populate);
+
+    return {
+      comment,
+      replies: nodes,
+      nextCursor: hasMore ? this.encodeCursor(replies[replies.length - 1]) : null,
+      depth: displayDepth
+    };
+  }
+
+  /**
+   * @param {Object} comment - Last comment of a page
+   * @returns {string}
+   */
+  encodeCursor(comment) {
+    return Buffer.from(JSON.stringify({ t: comment.createdAt.getTime(), id: comment._id.toString() })).toString('base64url');
+  }
+
+  /**
+   * @param {string} cursor
+   * @returns {{ createdAt: Date, id: ObjectId }}
+   * @throws {Error} status 400 INVALID_CURSOR
+   */
+  decodeCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) {
+        throw new Error('Malformed cursor');
+      }
+      return { createdAt: new Date(t), id: new mongoose.Types.ObjectId(id) };
+    } catch {
+      throw commentError('INVALID_CURSOR', 'Invalid cursor');
+    }
+  }
+
+  /**
+   * Load a comment and check the user is the journalist of its post
+   * @returns {Promise<Object>} Comment
+   * @throws {Error} status 404 COMMENT_NOT_FOUND, status 403 NOT_POST_JOURNALIST
+   */
+  async getOwnPostComment(commentId, user) {
+    const comment = await Comment.findOne({ _id: commentId, isDeleted: { $ne: true } });
+    if (!comment) {
+      throw commentError('COMMENT_NOT_FOUND', 'Comment not found', 404);
+    }
+
+    const post = await Post.findById(comment.post).select('journalist');
+    if (!post || post.journalist?.toString() !== user._id.toString()) {
+      throw commentError('NOT_POST_JOURNALIST', 'Only the journalist of the post can highlight its comments', 403);
+    }
+    return comment;
+  }
+
+  /**
+   * Pin or unpin a top-level comment of the journalist's post
+   * @param {string} commentId
+   * @param {Object} user - Current user
+   * @param {boolean} pinned
+   * @returns {Promise<Object>} Updated comment
+   * @throws {Error} status 400 CANNOT_PIN_REPLY | COMMENT_NOT_ACTIVE, status 409 PIN_LIMIT_REACHED
+   */
+  async setPinned(commentId, user, pinned) {
+    const comment = await this.getOwnPostComment(commentId, user);
+
+    if (!pinned) {
+      comment.isPinned = false;
+      comment.pinnedAt = undefined;
+      comment.pinnedBy = undefined;
+      return comment.save();
+    }
+
+    if (comment.parentComment) {
+      throw commentError('CANNOT_PIN_REPLY', 'Only top-level comments can be pinned');
+    }
+    if (comment.status !== 'active') {
+      throw commentError('COMMENT_NOT_ACTIVE', 'Hidden comments cannot be pinned');
+    }
+    if (comment.isPinned) {
+      return comment;
+    }
+
+    const pinnedAt = new Date();
+    await Comment.updateOne(
+      { _id: comment._id },
+      { $set: { isPinned: true, pinnedAt, pinnedBy: user._id } }
+    );
+
+    // Checked after the write so that concurrent pins cannot exceed the limit
+    const pinnedCount = await Comment.countDocuments({ post: comment.post, isPinned: true, isDeleted: { $ne: true } });
+    if (pinnedCount > MAX_PINNED_COMMENTS) {
+      await Comment.updateOne(
+        { _id: comment._id },
+        { $set: { isPinned: false }, $unset: { pinnedAt: 1, pinnedBy: 1 } }
+      );
+      throw commentError('PIN_LIMIT_REACHED', `At most ${MAX_PINNED_COMMENTS} comments can be pinned`, 409);
+    }
+
+    return Comment.findById(comment._id);
+  }
+
+  /**
+   * Mark or unmark a comment as a journalist's pick
+   * @param {string} commentId
+   * @param {Object} user - Current user
+   * @param {boolean} picked
+   * @returns {Promise<Object>} Updated comment
+   * @throws {Error} status 400 COMMENT_NOT_ACTIVE
+   */
+  async setJournalistPick(commentId, user, picked) {
+    const comment = await this.getOwnPostComment(commentId, user);
+
+    if (picked && comment.status !== 'active') {
+      throw commentError('COMMENT_NOT_ACTIVE', 'Hidden comments cannot be picked');
+    }
+
+    comment.isJournalistPick = picked;
+    comment.pickedAt = picked ? new Date() : undefined;
+    return comment.save();
+  }
+
+  /**
+   * Remove a comment as a moderation action: it is deleted softly, so its
+   * replies keep their thread, and leaves the counts of its ancestors
+   * @param {Object} comment - Comment document (status, isDeleted, ancestors, descendantCount)
+   * @param {string} [reason]
+   */
+  async removeComment(comment, reason) {
+    const wasActive = comment.status === 'active' && !comment.isDeleted;
+    await Comment.updateOne(
+      { _id: comment._id },
+      { $set: { isDeleted: true, deletedAt: new Date(), deletionReason: reason, status: 'deleted' } }
+    );
+    if (wasActive) {
+      await Comment.adjustThreadCounts(comment, -(1 + (comment.descendantCount || 0)), -1);
+    }
+  }
+
+  /**
+   * Every version of a comment, for moderators
+   * @param {string} commentId
+   * @returns {Promise<Object|null>} { current, revisions } oldest revision first, null if not found
+   */
+  async getRevisionHistory(commentId) {
+    const comment = await Comment.findById(commentId).select('+revisions content mentions editedAt isEdited createdAt');
+    if (!comment) {
+      return null;
+    }
+
+    return {
+      current: {
+        content: comment.content,
+        mentions: comment.mentions,
+        createdAt: comment.editedAt || comment.createdAt
+      },
+      revisions: (comment.revisions || []).map(revision => revision.toObject())
+    };
+  }
+}
+
+module.exports = new CommentService();
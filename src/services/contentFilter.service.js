@@ -0,0 +1,602 @@
+const mongoose = require('mongoose');
+const FilterRule = require('../models/filterRule.model');
+const FilterHit = require('../models/filterHit.model');
+const Post = require('../models/post.model');
+const Comment = require('../models/comment.model');
+const auditService = require('./audit.service');
+const appealService = require('./appeal.service');
+const strikeService = require('./strike.service');
+const moderationConfig = require('../config/moderation');
+const { foldAccents } = require('../utils/textAnalyzer');
+
+const { RULE_KINDS, RULE_ACTIONS } = FilterRule;
+// Actions that keep the content out of sight until an admin approves it
+const HIDING_ACTIONS = ['hide', 'hold'];
+// Actions whose hits wait for a review
+const REVIEWED_ACTIONS = ['hold', 'flag'];
+const DECISIONS = {
+  approve: 'approved',
+  remove: 'removed'
+};
+const LEETSPEAK = {
+  0: 'o',
+  1: 'i',
+  3: 'e',
+  4: 'a',
+  5: 's',
+  7: 't',
+  8: 'b',
+  '@': 'a',
+  $: 's',
+  '€': 'e',
+  '!': 'i',
+  '|': 'i'
+};
+// Active rules are reloaded after this delay, or at once after a change on this instance
+const RULES_CACHE_MS = 60 * 1000;
+const MAX_MATCHES = 10;
+const EXCERPT_LENGTH = 200;
+const FIELDS = { post: ['title', 'content'], comment: ['content'] };
+
+function filterError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Fold accents and leetspeak, join spaced-out letters and squeeze repeated
+ * letters, so that "C.0.N.N.A.R.D" or "cônnaaard" read like "conard"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return foldAccents(text)
+    .replace(/[0134578@$€!|]/g, char => LEETSPEAK[char])
+    .replace(/\b[a-z](?:[.\-_* ][a-z]\b){2,}/g, letters => letters.replace(/[.\-_* ]/g, ''))
+    .replace(/([a-z])\1+/g, '$1');
+}
+
+/**
+ * Hosts linked in a text, without `www.`, including "example[.]com" style obfuscation
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function extractDomains(text) {
+  const unmasked = String(text || '').toLowerCase().replace(/\s*[[(]\s*(?:\.|dot)\s*[\])]\s*/g, '.');
+  const hosts = [...unmasked.matchAll(/(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})/g)]
+    .map(match => match[1].replace(/^www\./, ''));
+  return [...new Set(hosts)];
+}
+
+/**
+ * Content Filter Service - Screening of posts and comments at write time
+ *
+ * Admins manage rules (term lists, regexes, domain blocklists), each with an
+ * action: `reject` refuses the content, `hold` keeps it hidden until an admin
+ * approves it, `hide` hides it right away, `flag` lets it through for review.
+ * The strictest action among the matching rules applies, and every match is
+ * recorded as a FilterHit for the admin review list.
+ */
+class ContentFilterService {
+  constructor() {
+    this.cache = null;
+  }
+
+  /**
+   * Check content against the active rules, without recording anything
+   * @param {string} targetType - post | comment
+   * @param {{ title?: string, content?: string }} fields
+   * @param {Array} [rules] - Compiled rules, the active ones by default
+   * @returns {Promise<{ action: string|null, hidden: boolean, hits: Array }>}
+   */
+  async screen(targetType, fields, rules) {
+    const compiled = rules || await this.getActiveRules();
+    const hits = [];
+
+    FIELDS[targetType].forEach(field => {
+      const text = fields[field];
+      if (typeof text !== 'string' || !text.trim()) {
+        return;
+      }
+      const variants = { raw: foldAccents(text), normalized: normalizeText(text), domains: extractDomains(text) };
+
+      compiled
+        .filter(rule => rule.targets.includes(targetType))
+        .forEach(rule => {
+          const matches = this.matchRule(rule, variants);
+          if (matches.length > 0) {
+            hits.push({ rule, field, matches: matches.slice(0, MAX_MATCHES), excerpt: text.slice(0, EXCERPT_LENGTH) });
+          }
+        });
+    });
+
+    const action = hits.reduce(
+      (strictest, hit) => (RULE_ACTIONS.indexOf(hit.rule.action) > RULE_ACTIONS.indexOf(strictest) ? hit.rule.action : strictest),
+      null
+    );
+    return { action, hidden: HIDING_ACTIONS.includes(action), hits };
+  }
+
+  /**
+   * @param {Object} rule - Compiled rule
+   * @param {{ raw: string, normalized: string, domains: Array<string> }} variants - Forms of the text
+   * @returns {Array<string>} Matched text
+   */
+  matchRule(rule, variants) {
+    if (rule.kind === 'domains') {
+      return variants.domains.filter(host => rule.domains.some(domain => host === domain || host.endsWith(`.${domain}`)));
+    }
+
+    const texts = rule.kind === 'regex' ? [variants.raw, variants.normalized] : [variants.normalized];
+    const found = new Set();
+    texts.forEach(text => {
+      for (const match of text.matchAll(rule.regex)) {
+        const matched = match[1] ?? match[0];
+        if (matched) {
+          found.add(matched);
+        }
+      }
+    });
+    return [...found];
+  }
+
+  /**
+   * Record the hits of screened content
+   * @param {Object} verdict - From screen
+   * @param {Object} target
+   * @param {string} target.targetType - post | comment
+   * @param {string} [target.targetId] - Unset for rejected content
+   * @param {string} target.author
+   * @param {string} [target.previousStatus] - Status before the filter hid the content (see FilterHit)
+   * @returns {Promise<Array>} Created hits
+   */
+  async recordHits(verdict, { targetType, targetId, author, previousStatus }) {
+    if (verdict.hits.length === 0) {
+      return [];
+    }
+
+    const rejected = verdict.action === 'reject';
+    const hits = await FilterHit.insertMany(verdict.hits.map(hit => ({
+      rule: hit.rule._id,
+      ruleSnapshot: { name: hit.rule.name, kind: hit.rule.kind, action: hit.rule.action },
+      targetType,
+      targetId,
+      author,
+      field: hit.field,
+      matches: hit.matches,
+      excerpt: hit.excerpt,
+      contentAction: verdict.action,
+      previousStatus,
+      status: !rejected && REVIEWED_ACTIONS.includes(hit.rule.action) ? 'open' : 'closed'
+    })));
+
+    const now = new Date();
+    await FilterRule.bulkWrite([...new Set(verdict.hits.map(hit => hit.rule._id.toString()))].map(ruleId => ({
+      updateOne: {
+        filter: { _id: ruleId },
+        update: { $inc: { hitCount: 1 }, $set: { lastHitAt: now } }
+      }
+    })));
+
+    console.log('[CONTENT_FILTER] Content matched:', {
+      targetType,
+      targetId,
+      author,
+      action: verdict.action,
+      rules: verdict.hits.map(hit => hit.rule.name)
+    });
+    return hits;
+  }
+
+  /**
+   * Test rules against sample text, without recording anything
+   * @param {Object} params
+   * @param {string} params.text
+   * @param {string} [params.targetType] - post | comment (default)
+   * @param {Object} [params.rule] - Unsaved rule to test instead of the active ones
+   * @returns {Promise<Object>} Normalized text, detected links, resulting action and matches
+   * @throws {Error} status 400 VALIDATION_ERROR | INVALID_RULE
+   */
+  async dryRun({ text, targetType = 'comment', rule }) {
+    if (typeof text !== 'string' || !text.trim() || text.length > 10000) {
+      throw filterError('VALIDATION_ERROR', 'text must be between 1 and 10000 characters');
+    }
+    if (!FIELDS[targetType]) {
+      throw filterError('VALIDATION_ERROR', 'targetType must be post or comment');
+    }
+
+    const rules = rule
+      ? [this.compileRule({ ...this.validateRule(rule), _id: null, name: rule.name || 'test', targets: [targetType] })]
+      : await this.getActiveRules();
+    const verdict = await this.screen(targetType, { title: text, content: text }, rules);
+    const hits = verdict.hits.filter(hit => hit.field === 'content');
+
+    return {
+      normalized: normalizeText(text),
+      domains: extractDomains(text),
+      action: verdict.action,
+      matches: hits.map(hit => ({
+        rule: { _id: hit.rule._id, name: hit.rule.name, kind: hit.rule.kind, action: hit.rule.action },
+        matches: hit.matches
+      }))
+    };
+  }
+
+  /**
+   * @param {{ isActive?: string, kind?: string }} filters
+   * @returns {Promise<Array>} Rules by name
+   */
+  async listRules({ isActive, kind } = {}) {
+    const filter = {};
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true' || isActive === true;
+    }
+    if (RULE_KINDS.includes(kind)) {
+      filter.kind = kind;
+    }
+    return FilterRule.find(filter).collation({ locale: 'fr', strength: 2 }).sort({ name: 1 }).lean();
+  }
+
+  /**
+   * @param {Object} req - Express request of the admin
+   * @param {Object} data - name, description, kind, terms, pattern, action, targets, isActive
+   * @returns {Promise<Object>} Created rule
+   * @throws {Error} status 400 VALIDATION_ERROR | INVALID_RULE, status 409 RULE_EXISTS
+   */
+  async createRule(req, data) {
+    const fields = this.validateRule(data);
+    let rule;
+    try {
+      rule = await FilterRule.create({ ...fields, createdBy: req.user._id, updatedBy: req.user._id });
+    } catch (error) {
+      throw this.duplicateError(error);
+    }
+    this.invalidate();
+
+    await auditService.log(req, {
+      action: 'filter_rule_created',
+      targetType: 'filter_rule',
+      targetId: rule._id,
+      targetLabel: rule.name,
+      after: this.snapshot(rule)
+    });
+    return rule;
+  }
+
+  /**
+   * @param {Object} req - Express request of the admin
+   * @param {string} ruleId
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Updated rule
+   * @throws {Error} status 400 VALIDATION_ERROR | INVALID_RULE, status 404 RULE_NOT_FOUND, status 409 RULE_EXISTS
+   */
+  async updateRule(req, ruleId, data) {
+    const rule = mongoose.Types.ObjectId.isValid(ruleId) ? await FilterRule.findById(ruleId) : null;
+    if (!rule) {
+      throw filterError('RULE_NOT_FOUND', 'Filter rule not found', 404);
+    }
+
+    const before = this.snapshot(rule);
+    const fields = this.validateRule({ ...before, ...data });
+    rule.set({ ...fields, updatedBy: req.user._id });
+    try {
+      await rule.save();
+    } catch (error) {
+      throw this.duplicateError(error);
+    }
+    this.invalidate();
+
+    await auditService.log(req, {
+      action: 'filter_rule_updated',
+      targetType: 'filter_rule',
+      targetId: rule._id,
+      targetLabel: rule.name,
+      before,
+      after: this.snapshot(rule)
+    });
+    return rule;
+  }
+
+  /**
+   * Delete a rule; its hits keep a copy of it
+   * @throws {Error} status 404 RULE_NOT_FOUND
+   */
+  async deleteRule(req, ruleId) {
+    const rule = mongoose.Types.ObjectId.isValid(ruleId) ? await FilterRule.findByIdAndDelete(ruleId) : null;
+    if (!rule) {
+      throw filterError('RULE_NOT_FOUND', 'Filter rule not found', 404);
+    }
+    this.invalidate();
+
+    await auditService.log(req, {
+      action: 'filter_rule_deleted',
+      targetType: 'filter_rule',
+      targetId: rule._id,
+      targetLabel: rule.name,
+      before: this.snapshot(rule)
+    });
+  }
+
+  /**
+   * Hits for review, latest first
+   * @param {Object} options - status (open by default, `all` for every status), contentAction, targetType, ruleId, page, limit
+   * @returns {Promise<{ hits: Array, pagination: Object }>}
+   */
+  async listHits({ status, contentAction, targetType, ruleId, page = 1, limit = moderationConfig.pageSize }) {
+    const filter = {};
+    if (status !== 'all') {
+      filter.status = FilterHit.schema.path('status').enumValues.includes(status) ? status : 'open';
+    }
+    if (RULE_ACTIONS.includes(contentAction)) {
+      filter.contentAction = contentAction;
+    }
+    if (FIELDS[targetType]) {
+      filter.targetType = targetType;
+    }
+    if (mongoose.Types.ObjectId.isValid(ruleId)) {
+      filter.rule = ruleId;
+    }
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || moderationConfig.pageSize, 1), moderationConfig.maxPageSize);
+
+    const [hits, total] = await Promise.all([
+      FilterHit.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('author', 'name username avatarUrl')
+        .populate('reviewedBy', 'name username')
+        .lean(),
+      FilterHit.countDocuments(filter)
+    ]);
+
+    return {
+      hits,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Approve the content of a hit (shown again if the filter hid it) or remove
+   * it; every hit of the same content is closed with the same decision
+   * @param {Object} req - Express request of the admin
+   * @param {string} hitId
+   * @param {string} decision - approve | remove
+   * @returns {Promise<Object>} Reviewed hit
+   * @throws {Error} status 400 INVALID_DECISION | NO_CONTENT, status 404 HIT_NOT_FOUND, status 409 HIT_REVIEWED
+   */
+  async reviewHit(req, hitId, decision) {
+    const status = DECISIONS[decision];
+    if (!status) {
+      throw filterError('INVALID_DECISION', 'decision must be approve or remove');
+    }
+    const hit = mongoose.Types.ObjectId.isValid(hitId) ? await FilterHit.findById(hitId).lean() : null;
+    if (!hit) {
+      throw filterError('HIT_NOT_FOUND', 'Filter hit not found', 404);
+    }
+    if (!hit.targetId) {
+      throw filterError('NO_CONTENT', 'This content was rejected and never published');
+    }
+    if (hit.status === 'approved' || hit.status === 'removed') {
+      throw filterError('HIT_REVIEWED', 'This hit is already reviewed', 409);
+    }
+
+    const content = await this.loadContent(hit.targetType, hit.targetId);
+    if (status === 'approved') {
+      if (content && HIDING_ACTIONS.includes(hit.contentAction)) {
+        await this.restoreContent(hit, content);
+      }
+    } else if (content && !content.isDeleted) {
+      await this.removeContent(req, hit.targetType, content);
+    }
+
+    const now = new Date();
+    await FilterHit.updateMany(
+      { targetType: hit.targetType, targetId: hit.targetId, status: { $in: ['open', 'closed'] } },
+      { $set: { status, reviewedBy: req.user._id, reviewedAt: now } }
+    );
+    await auditService.log(req, {
+      action: 'filter_hit_reviewed',
+      targetType: hit.targetType,
+      targetId: hit.targetId,
+      targetLabel: hit.ruleSnapshot?.name,
+      metadata: { hitId: hit._id.toString(), decision: status }
+    });
+
+    return { ...hit, status, reviewedBy: req.user._id, reviewedAt: now };
+  }
+
+  async loadContent(targetType, targetId) {
+    if (targetType === 'comment') {
+      return Comment.findById(targetId).setOptions({ skipAutopopulate: true });
+    }
+    return Post.findById(targetId).select('status isDeleted journalist title');
+  }
+
+  /**
+   * Show content the filter hid, unless it was hidden or removed since for another reason
+   */
+  async restoreContent(hit, content) {
+    if (hit.targetType === 'comment') {
+      // Already hidden when edited, e.g. after reports
+      if (hit.previousStatus && hit.previousStatus !== 'active') {
+        return;
+      }
+      const { modifiedCount } = await Comment.updateOne(
+        { _id: content._id, status: 'hidden', isDeleted: { $ne: true } },
+        { $set: { status: 'active' } }
+      );
+      if (modifiedCount > 0) {
+        await Comment.adjustThreadCounts(content, 1 + (content.descendantCount || 0), 1);
+        // A new comment held at creation was never counted on its post
+        if (!hit.previousStatus) {
+          await Post.updateOne({ _id: content.post }, { $inc: { 'interactions.comments.count': 1 } });
+        }
+      }
+      return;
+    }
+    const status = hit.previousStatus || 'published';
+    // A post held before it ever went live is published now
+    await Post.updateOne(
+      { _id: content._id, status: 'hidden', isDeleted: { $ne: true } },
+      [{ $set: { status, ...(status === 'published' ? { publishedAt: { $ifNull: ['$publishedAt', new Date()] } } : {}) } }]
+    );
+  }
+
+  /**
+   * Remove content like an admin deletion: posts can be appealed, the author gets a strike
+   */
+  async removeContent(req, targetType, content) {
+    if (targetType === 'post') {
+      await appealService.removePost(content._id, { reason: 'Removed by the content filter review', removedBy: req.user._id });
+    } else {
+      const wasActive = content.status === 'active';
+      await Comment.updateOne(
+        { _id: content._id },
+        { $set: { isDeleted: true, deletedAt: new Date(), deletionReason: 'Removed by the content filter review', status: 'deleted' } }
+      );
+      if (wasActive) {
+        await Comment.adjustThreadCounts(content, -(1 + (content.descendantCount || 0)), -1);
+      }
+    }
+    await strikeService.recordRemoval(req, targetType, content);
+  }
+
+  /**
+   * Active rules, compiled; a rule that fails to compile is skipped
+   */
+  async getActiveRules() {
+    if (this.cache && Date.now() - this.cache.loadedAt < RULES_CACHE_MS) {
+      return this.cache.rules;
+    }
+
+    const rules = await FilterRule.find({ isActive: true }).lean();
+    const compiled = rules.map(rule => {
+      try {
+        return this.compileRule(rule);
+      } catch (error) {
+        console.error('[CONTENT_FILTER] Invalid rule skipped:', { ruleId: rule._id, error: error.message });
+        return null;
+      }
+    }).filter(Boolean);
+
+    this.cache = { rules: compiled, loadedAt: Date.now() };
+    return compiled;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  normalizeText(text) {
+    return normalizeText(text);
+  }
+
+  extractDomains(text) {
+    return extractDomains(text);
+  }
+
+  /**
+   * @param {Object} rule - FilterRule fields
+   * @returns {Object} The rule with its `regex` (terms, regex) or `domains` (domains)
+   */
+  compileRule(rule) {
+    const compiled = { _id: rule._id, name: rule.name, kind: rule.kind, action: rule.action, targets: rule.targets };
+
+    if (rule.kind === 'domains') {
+      compiled.domains = rule.terms.map(domain => this.normalizeDomain(domain)).filter(Boolean);
+    } else if (rule.kind === 'terms') {
+      const terms = rule.terms
+        .map(term => {
+          const wildcard = term.trim().endsWith('*');
+          const normalized = normalizeText(term.replace(/\*+$/, '')).trim();
+          return normalized && `${escapeRegex(normalized).replace(/\s+/g, '\\s+')}${wildcard ? '[a-z0-9]*' : ''}`;
+        })
+        .filter(Boolean);
+      // Whole words only: the text around the term must not be a letter or digit
+      compiled.regex = new RegExp(`(?:^|[^a-z0-9])(${terms.join('|')})(?![a-z0-9])`, 'g');
+    } else {
+      compiled.regex = new RegExp(rule.pattern, 'gi');
+    }
+    return compiled;
+  }
+
+  normalizeDomain(domain) {
+    return String(domain || '').trim().toLowerCase()
+      .replace(/^https?:\/\//, '')
+      .replace(/^www\./, '')
+      .replace(/[/:?#].*$/, '');
+  }
+
+  /**
+   * @param {Object} data
+   * @returns {Object} Fields of a valid rule
+   * @throws {Error} status 400 VALIDATION_ERROR | INVALID_RULE
+   */
+  validateRule({ name, description, kind, terms, pattern, action, targets, isActive }) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+      throw filterError('VALIDATION_ERROR', 'name must be between 1 and 100 characters');
+    }
+    if (!RULE_KINDS.includes(kind)) {
+      throw filterError('VALIDATION_ERROR', `kind must be one of ${RULE_KINDS.join(', ')}`);
+    }
+    if (!RULE_ACTIONS.includes(action)) {
+      throw filterError('VALIDATION_ERROR', `action must be one of ${RULE_ACTIONS.join(', ')}`);
+    }
+    const ruleTargets = targets === undefined ? ['post', 'comment'] : targets;
+    if (!Array.isArray(ruleTargets) || ruleTargets.length === 0 || ruleTargets.some(target => !FIELDS[target])) {
+      throw filterError('VALIDATION_ERROR', 'targets must list post and/or comment');
+    }
+
+    const fields = {
+      name: name.trim(),
+      description,
+      kind,
+      action,
+      targets: [...new Set(ruleTargets)],
+      isActive: isActive === undefined ? true : Boolean(isActive),
+      terms: [],
+      pattern: undefined
+    };
+    if (kind === 'regex') {
+      if (typeof pattern !== 'string' || !pattern || pattern.length > 500) {
+        throw filterError('VALIDATION_ERROR', 'pattern must be between 1 and 500 characters');
+      }
+      try {
+        RegExp(pattern, 'gi');
+      } catch (error) {
+        throw filterError('INVALID_RULE', `Invalid pattern: ${error.message}`);
+      }
+      fields.pattern = pattern;
+    } else {
+      const list = Array.isArray(terms) ? terms.filter(term => typeof term === 'string' && term.trim()) : [];
+      if (list.length === 0 || list.length > 1000 || list.some(term => term.length > 200)) {
+        throw filterError('VALIDATION_ERROR', `${kind} must list 1 to 1000 entries of at most 200 characters`);
+      }
+      if (kind === 'terms' && list.every(term => !normalizeText(term.replace(/\*+$/, '')).trim())) {
+        throw filterError('INVALID_RULE', 'The terms are empty once normalized');
+      }
+      fields.terms = [...new Set(list.map(term => term.trim()))];
+    }
+    return fields;
+  }
+
+  snapshot(rule) {
+    return auditService.snapshot(rule, ['name', 'description', 'kind', 'terms', 'pattern', 'action', 'targets', 'isActive']);
+  }
+
+  duplicateError(error) {
+    return error.code === 11000 ? filterError('RULE_EXISTS', 'A rule with this name already exists', 409) : error;
+  }
+}
+
+module.exports = new ContentFilterService();
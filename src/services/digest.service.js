@@ -0,0 +1,435 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const Post = require('../models/post.model');
+const User = require('../models/user.model');
+const DigestSend = require('../models/digestSend.model');
+const emailService = require('./email.service');
+const searchService = require('./search.service');
+const emailConfig = require('../config/email');
+
+const PERIOD_LENGTHS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+// Failed sends retried on the next hourly runs of the same period
+const MAX_ATTEMPTS = 3;
+// Posts scored to pick the best topic and trending items
+const CANDIDATE_LIMIT = 50;
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+function digestError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function idOf(value) {
+  return (value?._id || value)?.toString();
+}
+
+/**
+ * Digest Service - Daily / weekly email digest
+ *
+ * Each digest gathers the new posts of the journalists a user follows, posts
+ * on their preferred topics and trending posts, excluding what they already
+ * read. Sends are recorded per user and period (DigestSend): claiming the
+ * period before sending is what keeps several instances, or a rerun, from
+ * sending the same digest twice.
+ */
+class DigestService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('Digest service is already running');
+      return;
+    }
+
+    // Run every hour: digests go out from the configured local hour on, and a
+    // run missed while the server was down is caught up by the next one
+    this.cronJob = cron.schedule('0 * * * *', async () => {
+      await this.runDueDigests();
+    });
+
+    this.isRunning = true;
+    console.log('Digest service started');
+  }
+
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.isRunning = false;
+      console.log('Digest service stopped');
+    }
+  }
+
+  /**
+   * Local date parts in the digest timezone
+   * @param {Date} date
+   * @returns {{ year: number, month: number, day: number, hour: number, weekday: number }} weekday 1 = Monday
+   */
+  localParts(date) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: emailConfig.digest.timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      weekday: 'short',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const value = type => parts.find(part => part.type === type).value;
+
+    return {
+      year: parseInt(value('year'), 10),
+      month: parseInt(value('month'), 10),
+      day: parseInt(value('day'), 10),
+      hour: parseInt(value('hour'), 10),
+      weekday: WEEKDAYS[value('weekday')]
+    };
+  }
+
+  /**
+   * Period a digest belongs to: local date for daily, ISO week for weekly
+   * @param {string} frequency - daily | weekly
+   * @param {Date} now
+   * @returns {string} e.g. '2026-03-02' or '2026-W10'
+   */
+  getPeriodKey(frequency, now = new Date()) {
+    const { year, month, day } = this.localParts(now);
+    const pad = value => String(value).padStart(2, '0');
+
+    if (frequency === 'daily') {
+      return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    // ISO week: the week belongs to the year of its Thursday
+    const date = new Date(Date.UTC(year, month - 1, day));
+    const isoWeekday = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - isoWeekday);
+    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((date - yearStart) / (24 * 60 * 60 * 1000) + 1) / 7);
+    return `${date.getUTCFullYear()}-W${pad(week)}`;
+  }
+
+  /**
+   * Whether this period's digests may go out
+   * @param {string} frequency - daily | weekly
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isDue(frequency, now = new Date()) {
+    const { hour, weekday } = this.localParts(now);
+    const { hour: sendHour, weeklyDay } = emailConfig.digest;
+
+    if (frequency === 'daily') {
+      return hour >= sendHour;
+    }
+    return weekday > weeklyDay || (weekday === weeklyDay && hour >= sendHour);
+  }
+
+  getUnsubscribeSecret() {
+    return emailConfig.digest.unsubscribeSecret ||
+      crypto.createHash('sha256').update(`digest-unsubscribe:${process.env.JWT_SECRET}`).digest('hex');
+  }
+
+  /**
+   * One-click unsubscribe token: the user id signed with HMAC, no expiry
+   * @param {string} userId
+   * @returns {string}
+   */
+  createUnsubscribeToken(userId) {
+    const signature = crypto.createHmac('sha256', this.getUnsubscribeSecret())
+      .update(`digest-unsubscribe:${userId}`)
+      .digest('base64url');
+    return `${userId}.${signature}`;
+  }
+
+  /**
+   * @param {string} token
+   * @returns {string} User id
+   * @throws {Error} status 400 INVALID_TOKEN
+   */
+  verifyUnsubscribeToken(token) {
+    const [userId, signature] = String(token || '').split('.');
+    if (!userId || !signature) {
+      throw digestError('INVALID_TOKEN', 'Invalid unsubscribe link');
+    }
+
+    const expected = Buffer.from(this.createUnsubscribeToken(userId).split('.')[1]);
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw digestError('INVALID_TOKEN', 'Invalid unsubscribe link');
+    }
+    return userId;
+  }
+
+  /**
+   * Turn digests off from an unsubscribe link
+   * @param {string} token
+   * @returns {Promise<Object>} The user
+   * @throws {Error} status 400 INVALID_TOKEN, status 404 USER_NOT_FOUND
+   */
+  async unsubscribe(token) {
+    const userId = this.verifyUnsubscribeToken(token);
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { 'preferences.emailDigest.frequency': 'off', 'preferences.emailDigest.unsubscribedAt': new Date() } },
+      { new: true }
+    ).select('_id email preferences.emailDigest');
+
+    if (!user) {
+      throw digestError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    console.log('[DIGEST] User unsubscribed from digests:', { userId });
+    return user;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} frequency - off | daily | weekly
+   * @returns {Promise<Object>} { frequency }
+   * @throws {Error} status 400 INVALID_FREQUENCY
+   */
+  async updateFrequency(userId, frequency) {
+    if (!['off', 'daily', 'weekly'].includes(frequency)) {
+      throw digestError('INVALID_FREQUENCY', 'frequency must be one of: off, daily, weekly');
+    }
+
+    const update = { 'preferences.emailDigest.frequency': frequency };
+    const user = await User.findByIdAndUpdate(
+      userId,
+      frequency === 'off'
+        ? { $set: { ...update, 'preferences.emailDigest.unsubscribedAt': new Date() } }
+        : { $set: update, $unset: { 'preferences.emailDigest.unsubscribedAt': 1 } },
+      { new: true }
+    ).select('preferences.emailDigest');
+
+    return { frequency: user.preferences.emailDigest.frequency };
+  }
+
+  /**
+   * Digest item shared by the email templates
+   * @param {Object} post - Lean post with populated journalist
+   * @returns {Object}
+   */
+  formatItem(post) {
+    return {
+      id: post._id.toString(),
+      title: post.title,
+      domain: post.domain,
+      journalistName: post.journalist?.name || post.journalist?.username || null,
+      imageUrl: post.imageUrl,
+      url: `${emailConfig.frontendUrl}/posts/${post._id}`
+    };
+  }
+
+  /**
+   * Best posts by engagement
+   * @param {Array} posts
+   * @param {number} limit
+   * @returns {Array}
+   */
+  pickTop(posts, limit) {
+    return posts
+      .map(post => ({ post, score: searchService.engagementScore(post) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ post }) => post);
+  }
+
+  /**
+   * Build a user's digest for the period ending now
+   * @param {Object} user - With following, preferences.topics, interactions.readHistory
+   * @param {Object} options
+   * @param {string} options.frequency - daily | weekly
+   * @param {Date} options.now
+   * @returns {Promise<Object>} { frequency, user, sections: { followed, topics, trending }, postIds, isEmpty, unsubscribeUrl, preferencesUrl }
+   */
+  async buildDigest(user, { frequency, now = new Date() }) {
+    const { maxFollowedPosts, maxTopicPosts, maxTrendingPosts } = emailConfig.digest;
+    const since = new Date(now.getTime() - PERIOD_LENGTHS[frequency]);
+    const used = new Set((user.interactions?.readHistory || []).map(entry => idOf(entry.post)));
+    const notUsed = posts => posts.filter(post => !used.has(post._id.toString()));
+    const markUsed = posts => posts.forEach(post => used.add(post._id.toString()));
+
+    const basePostQuery = () => ({
+      status: 'published',
+      isDeleted: { $ne: true },
+      journalist: { $ne: user._id },
+      $or: [
+        { publishedAt: { $gte: since, $lte: now } },
+        { publishedAt: { $exists: false }, createdAt: { $gte: since, $lte: now } }
+      ]
+    });
+    const findPosts = (query, sort, limit) => Post.find(query)
+      .select('title domain imageUrl journalist stats interactions createdAt publishedAt')
+      .populate('journalist', 'name username')
+      .sort(sort)
+      .limit(limit)
+      .lean();
+
+    const following = user.following || [];
+    const followed = following.length > 0
+      ? notUsed(await findPosts(
+        { ...basePostQuery(), journalist: { $in: following, $ne: user._id } },
+        { createdAt: -1 },
+        maxFollowedPosts * 2
+      )).slice(0, maxFollowedPosts)
+      : [];
+    markUsed(followed);
+
+    const topics = user.preferences?.topics || [];
+    const topicPosts = topics.length > 0
+      ? this.pickTop(notUsed(await findPosts(
+        {
+          ...basePostQuery(),
+          _id: { $nin: [...used] },
+          $and: [{ $or: [{ domain: { $in: topics } }, { tags: { $in: topics } }, { hashtags: { $in: topics } }] }]
+        },
+        { createdAt: -1 },
+        CANDIDATE_LIMIT
+      )), maxTopicPosts)
+      : [];
+    markUsed(topicPosts);
+
+    const trending = this.pickTop(notUsed(await findPosts(
+      { ...basePostQuery(), _id: { $nin: [...used] } },
+      { 'stats.views': -1 },
+      CANDIDATE_LIMIT
+    )), maxTrendingPosts);
+
+    const sections = {
+      followed: followed.map(post => this.formatItem(post)),
+      topics: topicPosts.map(post => this.formatItem(post)),
+      trending: trending.map(post => this.formatItem(post))
+    };
+
+    return {
+      frequency,
+      user: { name: user.name, username: user.username },
+      sections,
+      postIds: [...followed, ...topicPosts, ...trending].map(post => post._id),
+      isEmpty: Object.values(sections).every(items => items.length === 0),
+      unsubscribeUrl: `${emailConfig.apiUrl}/api/digest/unsubscribe?token=${this.createUnsubscribeToken(user._id)}`,
+      preferencesUrl: `${emailConfig.frontendUrl}/settings/notifications`
+    };
+  }
+
+  /**
+   * Claim the user's digest for a period
+   * @returns {Promise<Object|null>} DigestSend, or null when already sent or being sent
+   */
+  async claim(userId, frequency, periodKey) {
+    try {
+      return await DigestSend.create({ user: userId, frequency, periodKey });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    // Already claimed: only a failed send may be retried
+    return DigestSend.findOneAndUpdate(
+      { user: userId, frequency, periodKey, status: 'failed', attempts: { $lt: MAX_ATTEMPTS } },
+      { $set: { status: 'sending' }, $inc: { attempts: 1 }, $unset: { error: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Send one user's digest for the current period, at most once
+   * @param {Object} user
+   * @param {string} frequency - daily | weekly
+   * @param {Date} now
+   * @returns {Promise<string>} sent | empty | failed | skipped
+   */
+  async sendDigest(user, frequency, now = new Date()) {
+    const periodKey = this.getPeriodKey(frequency, now);
+    const send = await this.claim(user._id, frequency, periodKey);
+    if (!send) {
+      return 'skipped';
+    }
+
+    let status;
+    try {
+      const digest = await this.buildDigest(user, { frequency, now });
+      if (digest.isEmpty) {
+        status = 'empty';
+        await DigestSend.updateOne({ _id: send._id }, { $set: { status } });
+      } else {
+        const sent = await emailService.sendDigestEmail(user.email, digest);
+        status = sent ? 'sent' : 'failed';
+        await DigestSend.updateOne(
+          { _id: send._id },
+          sent
+            ? { $set: { status, sentAt: new Date(), posts: digest.postIds } }
+            : { $set: { status, error: 'EMAIL_NOT_SENT' } }
+        );
+      }
+    } catch (error) {
+      status = 'failed';
+      await DigestSend.updateOne({ _id: send._id }, { $set: { status, error: error.message } });
+      console.error('[DIGEST] Error sending digest:', { userId: user._id, frequency, periodKey, error: error.message });
+    }
+
+    // Done with this period unless a retry is left
+    if (status !== 'failed' || send.attempts >= MAX_ATTEMPTS) {
+      await User.updateOne({ _id: user._id }, { $set: { 'preferences.emailDigest.lastPeriodKey': periodKey } });
+    }
+    return status;
+  }
+
+  /**
+   * Send the digests due now
+   * @param {Date} now
+   * @returns {Promise<{ sent: number, empty: number, failed: number, skipped: number }>}
+   */
+  async runDueDigests(now = new Date()) {
+    const counts = { sent: 0, empty: 0, failed: 0, skipped: 0 };
+    if (this.isProcessing || !emailConfig.enabled) {
+      return counts;
+    }
+
+    this.isProcessing = true;
+    try {
+      for (const frequency of ['daily', 'weekly']) {
+        if (!this.isDue(frequency, now)) {
+          continue;
+        }
+
+        const cursor = User.find({
+          status: { $in: ['active', 'inactive'] },
+          emailVerified: { $ne: false },
+          // Opt-in only: accounts created before digests existed have no frequency
+          'preferences.emailDigest.frequency': frequency,
+          'preferences.emailDigest.lastPeriodKey': { $ne: this.getPeriodKey(frequency, now) }
+        })
+          .select('_id email name username following preferences.topics interactions.readHistory')
+          .lean()
+          .cursor();
+
+        for await (const user of cursor) {
+          counts[await this.sendDigest(user, frequency, now)]++;
+        }
+      }
+
+      if (counts.sent > 0 || counts.failed > 0) {
+        console.log('[DIGEST] Digests processed:', counts);
+      }
+      return counts;
+    } catch (error) {
+      console.error('[DIGEST] Error processing digests:', error);
+      return counts;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = new DigestService();
@@ -1,15 +1,13 @@
 const nodemailer = require('nodemailer');
+const emailConfig = require('../config/email');
+
+// Emails sent through the 'capture' transport (tests, local dev)
+const capturedEmails = [];
 
 // Create transporter
-const transporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST || 'smtp.gmail.com',
-  port: parseInt(process.env.SMTP_PORT || '587'),
-  secure: false,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
-  }
-});
+const transporter = emailConfig.transport === 'capture'
+  ? nodemailer.createTransport({ jsonTransport: true })
+  : nodemailer.createTransport(emailConfig.smtp);
 
 /**
  * Send email
@@ -18,15 +16,23 @@ const transporter = nodemailer.createTransport({
  */
 const sendEmail = async (options) => {
   try {
+    if (!emailConfig.enabled) {
+      return false;
+    }
+
     const mailOptions = {
-      from: process.env.EMAIL_FROM || 'noreply@thot.com',
+      from: emailConfig.from.default,
       to: options.to,
       subject: options.subject,
       html: options.html,
-      text: options.text
+      text: options.text,
+      ...(options.headers ? { headers: options.headers } : {})
     };
 
     await transporter.sendMail(mailOptions);
+    if (emailConfig.transport === 'capture') {
+      capturedEmails.push({ ...mailOptions, sentAt: new Date() });
+    }
     return true;
   } catch (error) {
     console.error('Email send error:', error);
@@ -41,7 +47,7 @@ const sendEmail = async (options) => {
  * @returns {Promise<Boolean>}
  */
 const sendVerificationEmail = async (email, token) => {
-  const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+  const verificationUrl = `${emailConfig.frontendUrl}/verify-email?token=${token}`;
 
   const html = `
     <h1>Email Verification</h1>
@@ -52,8 +58,9 @@ const sendVerificationEmail = async (email, token) => {
 
   return sendEmail({
     to: email,
-    subject: 'Verify Your Email - THOT',
-    html
+    subject: emailConfig.templates.verification.subject,
+    html,
+    text: `Verify your email: ${verificationUrl}`
   });
 };
 
@@ -64,20 +71,22 @@ const sendVerificationEmail = async (email, token) => {
  * @returns {Promise<Boolean>}
  */
 const sendPasswordResetEmail = async (email, token) => {
-  const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`;
+  const resetUrl = `${emailConfig.frontendUrl}/reset-password?token=${token}`;
 
   const html = `
     <h1>Password Reset</h1>
     <p>You requested a password reset. Click the link below to reset your password:</p>
     <a href="${resetUrl}">Reset Password</a>
     <p>Or copy this link: ${resetUrl}</p>
+    <p>This link expires in 1 hour and can only be used once.</p>
     <p>If you didn't request this, please ignore this email.</p>
   `;
 
   return sendEmail({
     to: email,
-    subject: 'Password Reset - THOT',
-    html
+    subject: emailConfig.templates.resetPassword.subject,
+    html,
+    text: `Reset your password: ${resetUrl}`
   });
 };
 
@@ -92,7 +101,7 @@ const sendWelcomeEmail = async (email, name) => {
     <h1>Welcome to THOT, ${name}!</h1>
     <p>We're excited to have you on board.</p>
     <p>Start exploring and connecting with our community.</p>
-    <a href="${process.env.FRONTEND_URL}">Go to THOT</a>
+    <a href="${emailConfig.frontendUrl}">Go to THOT</a>
   `;
 
   return sendEmail({
@@ -102,9 +111,115 @@ const sendWelcomeEmail = async (email, name) => {
   });
 };
 
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const DIGEST_SECTIONS = [
+  { key: 'followed', title: 'Des journalistes que vous suivez' },
+  { key: 'topics', title: 'Sur vos sujets' },
+  { key: 'trending', title: 'Tendances' }
+];
+
+/**
+ * Render a digest as HTML and plain text
+ * @param {Object} digest - Built by digest.service.js
+ * @returns {{ subject: String, html: String, text: String }}
+ */
+const renderDigestEmail = (digest) => {
+  const sections = DIGEST_SECTIONS.filter(section => digest.sections[section.key]?.length > 0);
+  const name = digest.user.name || digest.user.username;
+  const greeting = name ? `Bonjour ${name},` : 'Bonjour,';
+  const intro = digest.frequency === 'daily'
+    ? 'Voici ce que vous avez manqué aujourd\'hui.'
+    : 'Voici ce que vous avez manqué cette semaine.';
+
+  const html = `
+    <h1>${escapeHtml(greeting)}</h1>
+    <p>${escapeHtml(intro)}</p>
+    ${sections.map(section => `
+    <h2>${escapeHtml(section.title)}</h2>
+    <ul>
+      ${digest.sections[section.key].map(post => `
+      <li>
+        <a href="${escapeHtml(post.url)}"><strong>${escapeHtml(post.title)}</strong></a>
+        <br><small>${escapeHtml([post.journalistName, post.domain].filter(Boolean).join(' · '))}</small>
+      </li>`).join('')}
+    </ul>`).join('')}
+    <hr>
+    <p><small>
+      Vous recevez cet email car le résumé ${digest.frequency === 'daily' ? 'quotidien' : 'hebdomadaire'} est activé.
+      <a href="${escapeHtml(digest.preferencesUrl)}">Gérer mes préférences</a> ·
+      <a href="${escapeHtml(digest.unsubscribeUrl)}">Se désabonner</a>
+    </small></p>
+  `;
+
+  const text = [
+    greeting,
+    intro,
+    ...sections.map(section => [
+      '',
+      section.title.toUpperCase(),
+      ...digest.sections[section.key].map(post =>
+        `- ${post.title}${post.journalistName ? ` (${post.journalistName})` : ''}\n  ${post.url}`
+      )
+    ].join('\n')),
+    '',
+    `Gérer mes préférences : ${digest.preferencesUrl}`,
+    `Se désabonner : ${digest.unsubscribeUrl}`
+  ].join('\n');
+
+  return {
+    subject: emailConfig.templates.digest.subject[digest.frequency],
+    html,
+    text
+  };
+};
+
+/**
+ * Send a digest, with one-click unsubscribe headers (RFC 8058)
+ * @param {String} email - User email
+ * @param {Object} digest - Built by digest.service.js
+ * @returns {Promise<Boolean>}
+ */
+const sendDigestEmail = async (email, digest) => {
+  const { subject, html, text } = renderDigestEmail(digest);
+
+  return sendEmail({
+    to: email,
+    subject,
+    html,
+    text,
+    headers: {
+      'List-Unsubscribe': `<${digest.unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  });
+};
+
+/**
+ * Emails sent through the capture transport
+ * @param {String} to - Optional recipient filter
+ * @returns {Array}
+ */
+const getCapturedEmails = (to) => {
+  return to ? capturedEmails.filter(mail => mail.to === to) : [...capturedEmails];
+};
+
+const clearCapturedEmails = () => {
+  capturedEmails.length = 0;
+};
+
 module.exports = {
   sendEmail,
+  getCapturedEmails,
+  clearCapturedEmails,
   sendVerificationEmail,
   sendPasswordResetEmail,
-  sendWelcomeEmail
+  sendWelcomeEmail,
+  renderDigestEmail,
+  sendDigestEmail
 };
@@ -0,0 +1,409 @@
+const Post = require('../models/post.model');
+const User = require('../models/user.model');
+const searchService = require('./search.service');
+const perspectiveService = require('./perspective.service');
+const blockService = require('./block.service');
+const { foldAccents } = require('../utils/textAnalyzer');
+
+// Final score = weighted sum of the signals (each normalized to 0..1), per feed mode
+const MODE_WEIGHTS = {
+  forYou: {
+    following: 0.25,
+    freshness: 0.2,
+    topic: 0.15,
+    domain: 0.15,
+    journalist: 0.1,
+    engagement: 0.1,
+    verified: 0.05
+  },
+  // "Balanced diet": same domains/topics, from the viewpoints the reader sees least
+  balanced: {
+    following: 0.05,
+    freshness: 0.15,
+    topic: 0.1,
+    domain: 0.15,
+    journalist: 0,
+    engagement: 0.05,
+    verified: 0.05,
+    balance: 0.3,
+    opposing: 0.15
+  }
+};
+const FEED_MODES = Object.keys(MODE_WEIGHTS);
+// Below this many interactions in a domain, the overall mix is used instead
+const MIN_DOMAIN_EXPOSURE = 3;
+
+// Interest carried by each kind of past interaction
+const INTERACTION_WEIGHTS = {
+  read: 1,
+  like: 2,
+  bookmark: 3
+};
+
+const CANDIDATE_WINDOW_DAYS = 30;
+const MAX_CANDIDATES = 500;
+const FRESHNESS_HALF_LIFE_HOURS = 24;
+// Recent interactions used to build the interest profile
+const PROFILE_HISTORY_LIMIT = 200;
+
+// Diversity: at most MAX_PER_WINDOW posts of a journalist in any DIVERSITY_WINDOW consecutive posts
+const DIVERSITY_WINDOW = 10;
+const MAX_PER_WINDOW = 2;
+
+const JOURNALIST_FIELDS = '_id name username avatarUrl specialties isVerified organization journalistRole status';
+
+function feedError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function normalizeTopic(value) {
+  return foldAccents(value).toLowerCase().trim();
+}
+
+function idOf(value) {
+  return (value?._id || value)?.toString();
+}
+
+/**
+ * Feed Service - Personalized "For You" ranking
+ *
+ * Candidates are the recent published posts the user has not read yet. Each
+ * one is scored from the user's interest profile (follows, preferred topics,
+ * domains and journalists they read, like or bookmark) plus freshness,
+ * engagement and journalist verification, then re-ordered so that no
+ * journalist floods the feed. The "balanced" mode favours the viewpoints the
+ * reader is least exposed to (see perspective.service.js) and posts declared
+ * as opposing the ones they engaged with.
+ *
+ * Pages are served through an opaque cursor that pins the ranking time, so
+ * the following pages are computed over the same candidate set.
+ */
+class FeedService {
+  /**
+   * @param {string} userId
+   * @param {Object} options
+   * @param {string} options.cursor - From the previous page
+   * @param {number} options.limit - Page size
+   * @param {string} options.mode - 'forYou' | 'balanced'
+   * @param {boolean} options.explain - Include the score breakdown of each post
+   * @returns {Promise<{ items: Array, nextCursor: string|null }>} items: [{ post, score, explanation? }]
+   * @throws {Error} status 400 INVALID_CURSOR | INVALID_MODE, status 404 USER_NOT_FOUND
+   */
+  async getForYouFeed(userId, { cursor, limit = 20, mode = 'forYou', explain = false } = {}) {
+    if (!FEED_MODES.includes(mode)) {
+      throw feedError('INVALID_MODE', `mode must be one of: ${FEED_MODES.join(', ')}`);
+    }
+    const position = cursor ? this.decodeCursor(cursor) : { asOf: new Date(), index: 0, lastId: null };
+
+    const profile = await this.buildProfile(userId);
+    const candidates = await this.getCandidates(profile, position.asOf);
+    const ranked = this.rank(candidates, profile, position.asOf, mode);
+
+    let start = position.index;
+    if (position.lastId) {
+      const lastIndex = ranked.findIndex(item => item.post._id.toString() === position.lastId);
+      if (lastIndex !== -1) {
+        start = lastIndex + 1;
+      }
+    }
+
+    const page = ranked.slice(start, start + limit);
+    const end = start + page.length;
+    const nextCursor = end < ranked.length
+      ? this.encodeCursor({ asOf: position.asOf, index: end, lastId: page[page.length - 1].post._id.toString() })
+      : null;
+
+    const items = page.map(item => ({
+      post: item.post,
+      score: item.score,
+      ...(explain ? { explanation: this.explain(item, mode) } : {})
+    }));
+
+    return { items, nextCursor };
+  }
+
+  /**
+   * Interest profile of a user
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   */
+  async buildProfile(userId) {
+    const user = await User.findById(userId)
+      .select('following preferences.topics likedPosts interactions.bookmarks interactions.readHistory')
+      .lean();
+    if (!user) {
+      throw feedError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    const readHistory = user.interactions?.readHistory || [];
+    const readIds = readHistory.map(entry => idOf(entry.post)).filter(Boolean);
+    const recent = list => (list || []).slice(-PROFILE_HISTORY_LIMIT).map(idOf).filter(Boolean);
+    const interactions = [
+      ...recent(readIds).map(id => ({ id, weight: INTERACTION_WEIGHTS.read })),
+      ...recent(user.likedPosts).map(id => ({ id, weight: INTERACTION_WEIGHTS.like })),
+      ...recent(user.interactions?.bookmarks).map(id => ({ id, weight: INTERACTION_WEIGHTS.bookmark }))
+    ];
+
+    const interactedPosts = interactions.length > 0
+      ? await Post.find({ _id: { $in: [...new Set(interactions.map(i => i.id))] } })
+        .select('domain journalist politicalOrientation.dominantView politicalOrientation.journalistChoice opposingPosts.postId opposedByPosts.postId')
+        .lean()
+      : [];
+    const postsById = new Map(interactedPosts.map(post => [post._id.toString(), post]));
+
+    const domainCounts = {};
+    const journalistCounts = {};
+    const exposure = { overall: {}, byDomain: {} };
+    interactions.forEach(({ id, weight }) => {
+      const post = postsById.get(id);
+      if (!post) {
+        return;
+      }
+      domainCounts[post.domain] = (domainCounts[post.domain] || 0) + weight;
+      const journalistId = idOf(post.journalist);
+      journalistCounts[journalistId] = (journalistCounts[journalistId] || 0) + weight;
+
+      const view = perspectiveService.getPostView(post);
+      exposure.overall[view] = (exposure.overall[view] || 0) + weight;
+      exposure.byDomain[post.domain] = exposure.byDomain[post.domain] || {};
+      exposure.byDomain[post.domain][view] = (exposure.byDomain[post.domain][view] || 0) + weight;
+    });
+
+    // Posts set against what the reader engaged with (journalist-declared oppositions)
+    const opposingIds = new Set();
+    interactedPosts.forEach(post => {
+      [...(post.opposingPosts || []), ...(post.opposedByPosts || [])].forEach(link => {
+        if (link.postId) {
+          opposingIds.add(link.postId.toString());
+        }
+      });
+    });
+
+    return {
+      userId: userId.toString(),
+      following: new Set((user.following || []).map(idOf)),
+      topics: new Set((user.preferences?.topics || []).map(normalizeTopic).filter(Boolean)),
+      readIds: new Set(readIds),
+      domainAffinity: this.normalizeCounts(domainCounts),
+      journalistAffinity: this.normalizeCounts(journalistCounts),
+      exposure,
+      opposingIds
+    };
+  }
+
+  /**
+   * @param {Object} counts - key -> weight
+   * @returns {Object} key -> 0..1 (relative to the strongest interest)
+   */
+  normalizeCounts(counts) {
+    const max = Math.max(0, ...Object.values(counts));
+    const result = {};
+    Object.entries(counts).forEach(([key, count]) => {
+      result[key] = max > 0 ? count / max : 0;
+    });
+    return result;
+  }
+
+  /**
+   * Recent published posts the user has not read, by active authors
+   * @param {Object} profile
+   * @param {Date} asOf
+   * @returns {Promise<Array>}
+   */
+  async getCandidates(profile, asOf) {
+    const since = new Date(asOf.getTime() - CANDIDATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    // Muted and blocked journalists never reach the feed
+    const hiddenAuthorIds = await blockService.getHiddenAuthorIds(profile.userId);
+
+    // Scheduled posts are dated by publication; older posts without publishedAt by creation
+    const posts = await Post.find({
+      status: 'published',
+      isDeleted: { $ne: true },
+      $or: [
+        { publishedAt: { $gte: since, $lte: asOf } },
+        { publishedAt: { $exists: false }, createdAt: { $gte: since, $lte: asOf } }
+      ],
+      journalist: { $nin: [profile.userId, ...hiddenAuthorIds] },
+      _id: { $nin: [...profile.readIds] }
+    })
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .populate('journalist', JOURNALIST_FIELDS)
+      .lean();
+
+    return posts.filter(post => post.journalist && post.journalist.status !== 'banned');
+  }
+
+  /**
+   * Signals of a post for a profile, each in 0..1
+   * @param {Object} post - Lean post with populated journalist
+   * @param {Object} profile
+   * @param {Date} asOf
+   * @returns {Object}
+   */
+  computeSignals(post, profile, asOf) {
+    const journalistId = idOf(post.journalist);
+    const postTopics = [post.domain, ...(post.tags || []), ...(post.hashtags || [])].map(normalizeTopic);
+
+    return {
+      following: profile.following.has(journalistId) ? 1 : 0,
+      freshness: this.freshnessScore(post.publishedAt || post.createdAt, asOf),
+      topic: postTopics.some(topic => profile.topics.has(topic)) ? 1 : 0,
+      domain: profile.domainAffinity[post.domain] || 0,
+      journalist: profile.journalistAffinity[journalistId] || 0,
+      engagement: searchService.engagementScore(post),
+      verified: post.journalist?.isVerified ? 1 : 0,
+      balance: this.balanceScore(post, profile),
+      opposing: profile.opposingIds.has(post._id.toString()) ? 1 : 0
+    };
+  }
+
+  /**
+   * Underexposure of the post's viewpoint in the reader's mix for its domain
+   * (overall mix when the reader has little history in the domain)
+   * @param {Object} post
+   * @param {Object} profile
+   * @returns {number} 0..1
+   */
+  balanceScore(post, profile) {
+    const domainCounts = profile.exposure.byDomain[post.domain] || {};
+    const domainTotal = Object.values(domainCounts).reduce((sum, count) => sum + count, 0);
+    const counts = domainTotal >= MIN_DOMAIN_EXPOSURE ? domainCounts : profile.exposure.overall;
+
+    return perspectiveService.underexposure(perspectiveService.getPostView(post), counts);
+  }
+
+  /**
+   * Exponential decay on post age
+   * @param {Date} date
+   * @param {Date} asOf
+   * @returns {number} 0..1
+   */
+  freshnessScore(date, asOf) {
+    if (!date) {
+      return 0;
+    }
+    const ageHours = Math.max(0, (asOf.getTime() - new Date(date).getTime()) / (60 * 60 * 1000));
+    return Math.pow(0.5, ageHours / FRESHNESS_HALF_LIFE_HOURS);
+  }
+
+  /**
+   * Score then order candidates under the diversity cap
+   * @param {Array} posts
+   * @param {Object} profile
+   * @param {Date} asOf
+   * @param {string} mode - Key of MODE_WEIGHTS
+   * @returns {Array<{ post, score, signals, scoreRank, position }>}
+   */
+  rank(posts, profile, asOf, mode = 'forYou') {
+    const weights = MODE_WEIGHTS[mode];
+    const scored = posts
+      .map(post => {
+        const signals = this.computeSignals(post, profile, asOf);
+        const score = Object.entries(weights)
+          .reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0);
+        return { post, signals, score };
+      })
+      // Ties broken by id so that every page sees the same order
+      .sort((a, b) => b.score - a.score || (a.post._id.toString() < b.post._id.toString() ? -1 : 1));
+
+    scored.forEach((item, index) => {
+      item.scoreRank = index + 1;
+    });
+
+    return this.diversify(scored);
+  }
+
+  /**
+   * Greedy re-ordering: take the best post whose journalist is under the cap
+   * in the last DIVERSITY_WINDOW positions; fall back to the best post overall
+   * when every remaining post is capped
+   * @param {Array} scored - Sorted by score
+   * @returns {Array}
+   */
+  diversify(scored) {
+    const remaining = [...scored];
+    const result = [];
+
+    while (remaining.length > 0) {
+      const window = result.slice(-(DIVERSITY_WINDOW - 1));
+      let index = remaining.findIndex(item => {
+        const journalistId = idOf(item.post.journalist);
+        return window.filter(picked => idOf(picked.post.journalist) === journalistId).length < MAX_PER_WINDOW;
+      });
+      if (index === -1) {
+        index = 0;
+      }
+
+      const [item] = remaining.splice(index, 1);
+      result.push(item);
+    }
+
+    result.forEach((item, index) => {
+      item.position = index + 1;
+    });
+
+    return result;
+  }
+
+  /**
+   * Why a post was ranked where it is
+   * @param {Object} item - Entry of rank()
+   * @param {string} mode - Mode the item was ranked with
+   * @returns {Object}
+   */
+  explain(item, mode = 'forYou') {
+    const weights = MODE_WEIGHTS[mode];
+    const contributions = {};
+    Object.entries(weights).forEach(([signal, weight]) => {
+      contributions[signal] = Math.round(weight * item.signals[signal] * 1000) / 1000;
+    });
+
+    const signals = {};
+    Object.entries(item.signals).forEach(([signal, value]) => {
+      signals[signal] = Math.round(value * 1000) / 1000;
+    });
+
+    return {
+      score: Math.round(item.score * 1000) / 1000,
+      signals,
+      contributions,
+      mode,
+      weights,
+      scoreRank: item.scoreRank,
+      position: item.position,
+      // Moved down by the per-journalist diversity cap
+      demotedForDiversity: item.position > item.scoreRank
+    };
+  }
+
+  /**
+   * @param {{ asOf: Date, index: number, lastId: string }} position
+   * @returns {string}
+   */
+  encodeCursor({ asOf, index, lastId }) {
+    return Buffer.from(JSON.stringify({ t: asOf.getTime(), i: index, id: lastId })).toString('base64url');
+  }
+
+  /**
+   * @param {string} cursor
+   * @returns {{ asOf: Date, index: number, lastId: string }}
+   * @throws {Error} status 400 INVALID_CURSOR
+   */
+  decodeCursor(cursor) {
+    try {
+      const { t, i, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      if (!Number.isFinite(t) || !Number.isInteger(i) || i < 0 || typeof id !== 'string') {
+        throw new Error('Malformed cursor');
+      }
+      return { asOf: new Date(t), index: i, lastId: id };
+    } catch {
+      throw feedError('INVALID_CURSOR', 'Invalid cursor');
+    }
+  }
+}
+
+module.exports = new FeedService();
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const FollowRequest = require('../models/followRequest.model');
+const NotificationService = require('./notification.service');
+const blockService = require('./block.service');
+
+const REQUESTER_FIELDS = '_id name username avatarUrl isVerified role';
+
+function followError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Follow Service - Follows and follow requests
+ *
+ * Following a public account is immediate. Following a private account
+ * creates a pending request: the owner approves it (the follow is then
+ * created) or declines it, and is notified of the request while the requester
+ * is notified of the answer. Making an account public approves its pending
+ * requests. The followers, following and public content of a private account
+ * are only visible to its approved followers.
+ */
+class FollowService {
+  /**
+   * Follow an account, or ask to when it is private
+   * @param {string} userId - Follower
+   * @param {string} targetId - Account to follow
+   * @returns {Promise<{ status: string, followersCount: number }>} status 'following' | 'requested'
+   * @throws {Error} status 400 INVALID_USER | ALREADY_FOLLOWING, status 403 USER_BLOCKED, status 404 USER_NOT_FOUND
+   */
+  async follow(userId, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId) || userId.toString() === targetId.toString()) {
+      throw followError('INVALID_USER', 'Cannot follow yourself');
+    }
+
+    const target = await User.findById(targetId).select('isPrivate followers');
+    if (!target) {
+      throw followError('USER_NOT_FOUND', 'User not found', 404);
+    }
+    if (await blockService.isBlockedBetween(userId, target._id)) {
+      throw followError('USER_BLOCKED', 'You cannot follow this account', 403);
+    }
+    if (target.followers.some(id => id.toString() === userId.toString())) {
+      throw followError('ALREADY_FOLLOWING', 'Already following this account');
+    }
+
+    if (target.isPrivate) {
+      const request = await FollowRequest.findOneAndUpdate(
+        { requester: userId, target: target._id },
+        { $set: { status: 'pending' }, $unset: { respondedAt: 1 } },
+        { upsert: true, new: false }
+      );
+      // Asking again while pending does not notify the owner again
+      if (request?.status !== 'pending') {
+        await NotificationService.notifyFollowRequest(userId, target._id);
+      }
+      return { status: 'requested', followersCount: target.followers.length };
+    }
+
+    const followersCount = await this.addFollow(userId, target._id);
+    await NotificationService.notifyFollow(userId, target._id);
+    return { status: 'following', followersCount };
+  }
+
+  /**
+   * Unfollow an account, or withdraw a pending request
+   * @param {string} userId
+   * @param {string} targetId
+   * @returns {Promise<{ status: string, followersCount: number }>} status 'unfollowed' | 'cancelled'
+   * @throws {Error} status 400 NOT_FOLLOWING, status 404 USER_NOT_FOUND
+   */
+  async unfollow(userId, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      throw followError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    const cancelled = await FollowRequest.deleteOne({ requester: userId, target: targetId, status: 'pending' });
+    const [, target] = await Promise.all([
+      User.updateOne({ _id: userId }, { $pull: { following: targetId } }),
+      User.findOneAndUpdate({ _id: targetId }, { $pull: { followers: userId } }, { new: false }).select('followers')
+    ]);
+    if (!target) {
+      throw followError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    const wasFollowing = target.followers.some(id => id.toString() === userId.toString());
+    if (!wasFollowing && cancelled.deletedCount === 0) {
+      throw followError('NOT_FOLLOWING', 'Not following this account');
+    }
+    return {
+      status: wasFollowing ? 'unfollowed' : 'cancelled',
+      followersCount: target.followers.length - (wasFollowing ? 1 : 0)
+    };
+  }
+
+  /**
+   * @param {string} userId - Follower
+   * @param {string} targetId - Followed account
+   * @returns {Promise<number>} Followers of the account
+   */
+  async addFollow(userId, targetId) {
+    const [, target] = await Promise.all([
+      User.updateOne({ _id: userId }, { $addToSet: { following: targetId } }),
+      User.findOneAndUpdate({ _id: targetId }, { $addToSet: { followers: userId } }, { new: true }).select('followers')
+    ]);
+    return target?.followers.length || 0;
+  }
+
+  /**
+   * Pending requests to follow the user's account, latest first
+   * @param {string} ownerId
+   * @returns {Promise<Array>}
+   */
+  async listRequests(ownerId) {
+    return FollowRequest.find({ target: ownerId, status: 'pending' })
+      .sort({ createdAt: -1 })
+      .populate('requester', REQUESTER_FIELDS)
+      .lean();
+  }
+
+  /**
+   * Approve or decline a pending request to follow the owner's account
+   * @param {string} ownerId
+   * @param {string} requestId
+   * @param {boolean} approved
+   * @returns {Promise<Object>} Answered request
+   * @throws {Error} status 404 REQUEST_NOT_FOUND
+   */
+  async respond(ownerId, requestId, approved) {
+    if (!mongoose.Types.ObjectId.isValid(requestId)) {
+      throw followError('REQUEST_NOT_FOUND', 'Follow request not found', 404);
+    }
+
+    // Claimed atomically: a request is answered once
+    const request = await FollowRequest.findOneAndUpdate(
+      { _id: requestId, target: ownerId, status: 'pending' },
+      { $set: { status: approved ? 'approved' : 'declined', respondedAt: new Date() } },
+      { new: true }
+    );
+    if (!request) {
+      throw followError('REQUEST_NOT_FOUND', 'Follow request not found', 404);
+    }
+
+    if (approved) {
+      await this.addFollow(request.requester, ownerId);
+    }
+    await NotificationService.notifyFollowRequestResponse(ownerId, request.requester, approved);
+
+    console.log('[FOLLOW] Follow request answered:', {
+      requestId: request._id,
+      ownerId,
+      requesterId: request.requester,
+      approved
+    });
+    return request;
+  }
+
+  /**
+   * Make an account private or public; going public approves the pending requests
+   * @param {string} userId
+   * @param {boolean} isPrivate
+   * @returns {Promise<{ isPrivate: boolean, approvedRequests: number }>}
+   */
+  async setPrivacy(userId, isPrivate) {
+    await User.updateOne({ _id: userId }, { $set: { isPrivate } });
+    if (isPrivate) {
+      return { isPrivate, approvedRequests: 0 };
+    }
+
+    const pending = await FollowRequest.find({ target: userId, status: 'pending' }).select('_id');
+    let approvedRequests = 0;
+    for (const request of pending) {
+      try {
+        await this.respond(userId, request._id, true);
+        approvedRequests++;
+      } catch (error) {
+        // Withdrawn or answered in the meantime
+        if (error.code !== 'REQUEST_NOT_FOUND') {
+          throw error;
+        }
+      }
+    }
+    return { isPrivate, approvedRequests };
+  }
+
+  /**
+   * Whether a viewer may see the followers, following and public content of an account
+   * @param {Object} owner - User with isPrivate, followers
+   * @param {Object} viewer - Current user (may be null)
+   * @returns {boolean}
+   */
+  canView(owner, viewer) {
+    if (!owner.isPrivate) {
+      return true;
+    }
+    if (!viewer) {
+      return false;
+    }
+    const viewerId = viewer._id.toString();
+    return owner._id.toString() === viewerId ||
+      viewer.role === 'admin' ||
+      (owner.followers || []).some(id => (id._id || id).toString() === viewerId);
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} targetId
+   * @returns {Promise<boolean>} Whether the user has a pending request to follow the account
+   */
+  async hasPendingRequest(userId, targetId) {
+    return !!await FollowRequest.exists({ requester: userId, target: targetId, status: 'pending' });
+  }
+}
+
+module.exports = new FollowService();
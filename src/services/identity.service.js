@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { OAuth2Client } = require('google-auth-library');
+const LinkedIdentity = require('../models/linkedIdentity.model');
+const User = require('../models/user.model');
+const { foldAccents } = require('../utils/textAnalyzer');
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+function identityError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Identity Service - Sign-in with external identity providers
+ *
+ * Each provider has a verifier turning a client-side ID token into a normalized
+ * profile ({ provider, providerUserId, email, emailVerified, name, picture }).
+ * Accounts are matched on the provider subject ID only; an existing account with
+ * the same email must link the provider explicitly while signed in.
+ */
+class IdentityService {
+  constructor() {
+    this.googleClient = new OAuth2Client();
+  }
+
+  /**
+   * Accepted OAuth client IDs (web, iOS and Android apps each have their own)
+   * @returns {string[]}
+   */
+  getGoogleAudiences() {
+    return (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Google's public signing keys, { kid: pem } (cached by the client)
+   * @returns {Promise<Object>}
+   */
+  async getGoogleCerts() {
+    const { certs } = await this.googleClient.getFederatedSignonCertsAsync();
+    return certs;
+  }
+
+  /**
+   * Verify a Google ID token: signature, issuer, expiry and audience
+   * @param {string} idToken
+   * @returns {Promise<Object>} Normalized profile
+   * @throws {Error} status 401 INVALID_ID_TOKEN | status 503 PROVIDER_NOT_CONFIGURED
+   */
+  async verifyGoogleIdToken(idToken) {
+    const audiences = this.getGoogleAudiences();
+    if (audiences.length === 0) {
+      throw identityError('PROVIDER_NOT_CONFIGURED', 'Google Sign-In is not configured', 503);
+    }
+
+    const certs = await this.getGoogleCerts();
+
+    let payload;
+    try {
+      const ticket = await this.googleClient.verifySignedJwtWithCertsAsync(idToken, certs, audiences, GOOGLE_ISSUERS);
+      payload = ticket.getPayload();
+    } catch (error) {
+      // The library's messages embed the token itself, keep only the reason
+      console.warn('[IDENTITY] Google ID token rejected:', { reason: error.message.split(':')[0] });
+      throw identityError('INVALID_ID_TOKEN', 'Invalid Google ID token', 401);
+    }
+
+    if (!payload || !payload.sub) {
+      throw identityError('INVALID_ID_TOKEN', 'Invalid Google ID token', 401);
+    }
+
+    return {
+      provider: 'google',
+      providerUserId: payload.sub,
+      email: payload.email ? payload.email.toLowerCase() : undefined,
+      emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+      name: payload.name,
+      picture: payload.picture
+    };
+  }
+
+  /**
+   * @param {string} provider - One of LinkedIdentity.IDENTITY_PROVIDERS
+   * @param {string} idToken
+   * @returns {Promise<Object>} Normalized profile
+   */
+  async verifyIdToken(provider, idToken) {
+    if (!idToken || typeof idToken !== 'string') {
+      throw identityError('INVALID_ID_TOKEN', 'ID token is required');
+    }
+
+    switch (provider) {
+    case 'google':
+      return this.verifyGoogleIdToken(idToken);
+    default:
+      throw identityError('UNSUPPORTED_PROVIDER', `Unsupported identity provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Find or create the user behind a verified provider profile
+   * @param {Object} profile - From verifyIdToken
+   * @returns {Promise<{ user: Object, identity: Object, isNewUser: boolean }>}
+   * @throws {Error} status 409 ACCOUNT_EXISTS | status 400 PROVIDER_EMAIL_NOT_VERIFIED
+   */
+  async signIn(profile) {
+    const identity = await LinkedIdentity.findOne({
+      provider: profile.provider,
+      providerUserId: profile.providerUserId
+    });
+
+    if (identity) {
+      const user = await User.findById(identity.user);
+      if (user) {
+        await this.refreshIdentity(identity, profile);
+        return { user, identity, isNewUser: false };
+      }
+      // Orphan left by a deleted account
+      await identity.deleteOne();
+    }
+
+    if (!profile.email || !profile.emailVerified) {
+      throw identityError('PROVIDER_EMAIL_NOT_VERIFIED', 'The email of this account is not verified by the provider');
+    }
+
+    // Never take over an existing account by email: the owner has to link the provider while signed in
+    if (await User.exists({ email: profile.email })) {
+      throw identityError(
+        'ACCOUNT_EXISTS',
+        'An account already exists with this email. Sign in with your password, then link your account from the settings.',
+        409
+      );
+    }
+
+    const user = new User({
+      email: profile.email,
+      username: await this.generateUsername(profile),
+      name: profile.name,
+      avatarUrl: profile.picture || '',
+      // Required by the schema but unusable: a password can be set through forgot-password
+      password: crypto.randomBytes(32).toString('hex'),
+      hasPassword: false,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    await user.save();
+
+    try {
+      const created = await this.createIdentity(user, profile);
+      return { user, identity: created, isNewUser: true };
+    } catch (error) {
+      await User.deleteOne({ _id: user._id });
+      throw error;
+    }
+  }
+
+  /**
+   * Link a provider identity to a signed-in user
+   * @param {Object} user
+   * @param {Object} profile - From verifyIdToken
+   * @returns {Promise<Object>} Linked identity
+   * @throws {Error} status 409 IDENTITY_ALREADY_LINKED | PROVIDER_ALREADY_LINKED
+   */
+  async link(user, profile) {
+    const existing = await LinkedIdentity.findOne({
+      provider: profile.provider,
+      providerUserId: profile.providerUserId
+    });
+
+    if (existing) {
+      if (existing.user.toString() !== user._id.toString()) {
+        throw identityError('IDENTITY_ALREADY_LINKED', 'This account is already linked to another user', 409);
+      }
+      await this.refreshIdentity(existing, profile);
+      return existing;
+    }
+
+    if (await LinkedIdentity.exists({ user: user._id, provider: profile.provider })) {
+      throw identityError('PROVIDER_ALREADY_LINKED', `Another ${profile.provider} account is already linked`, 409);
+    }
+
+    return this.createIdentity(user, profile);
+  }
+
+  /**
+   * Unlink a provider; refused when it is the only way left to sign in
+   * @param {Object} user
+   * @param {string} provider
+   * @throws {Error} status 404 IDENTITY_NOT_FOUND | status 400 LAST_SIGN_IN_METHOD
+   */
+  async unlink(user, provider) {
+    const identity = await LinkedIdentity.findOne({ user: user._id, provider });
+    if (!identity) {
+      throw identityError('IDENTITY_NOT_FOUND', `No ${provider} account linked`, 404);
+    }
+
+    if (user.hasPassword === false) {
+      const otherIdentities = await LinkedIdentity.countDocuments({ user: user._id, _id: { $ne: identity._id } });
+      if (otherIdentities === 0) {
+        throw identityError('LAST_SIGN_IN_METHOD', 'Set a password before unlinking your only sign-in method');
+      }
+    }
+
+    await identity.deleteOne();
+  }
+
+  async listIdentities(userId) {
+    return LinkedIdentity.find({ user: userId }).sort({ linkedAt: 1 });
+  }
+
+  async deleteUserIdentities(userId) {
+    return LinkedIdentity.deleteMany({ user: userId });
+  }
+
+  async createIdentity(user, profile) {
+    try {
+      return await LinkedIdentity.create({
+        user: user._id,
+        provider: profile.provider,
+        providerUserId: profile.providerUserId,
+        email: profile.email,
+        emailVerified: profile.emailVerified,
+        name: profile.name,
+        picture: profile.picture,
+        lastUsedAt: new Date()
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw identityError('IDENTITY_ALREADY_LINKED', 'This account is already linked to another user', 409);
+      }
+      throw error;
+    }
+  }
+
+  async refreshIdentity(identity, profile) {
+    identity.email = profile.email;
+    identity.emailVerified = profile.emailVerified;
+    identity.name = profile.name;
+    identity.picture = profile.picture;
+    identity.lastUsedAt = new Date();
+    await identity.save();
+  }
+
+  /**
+   * Unique username derived from the email (or name): letters, digits and underscores only
+   * @param {Object} profile
+   * @returns {Promise<string>}
+   */
+  async generateUsername(profile) {
+    const source = (profile.email || '').split('@')[0] || profile.name || '';
+    let base = foldAccents(source)
+      .replace(/[^a-zA-Z0-9_]/g, '')
+      .slice(0, 20);
+    if (base.length < 3) {
+      base = `user${base}`;
+    }
+
+    if (!(await User.exists({ username: base }))) {
+      return base;
+    }
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const candidate = `${base}_${crypto.randomInt(1000, 100000)}`;
+      if (!(await User.exists({ username: candidate }))) {
+        return candidate;
+      }
+    }
+    return `${base}_${crypto.randomBytes(4).toString('hex')}`;
+  }
+}
+
+module.exports = new IdentityService();
@@ -0,0 +1,184 @@
+const User = require('../models/user.model');
+const NotificationService = require('./notification.service');
+const blockService = require('./block.service');
+const { extractMentions } = require('../utils/mentions');
+
+// Distinct users resolved (and notified) per post or comment
+const MAX_MENTIONS = 10;
+const MAX_SUGGESTIONS = 20;
+// Case-insensitive username matching
+const USERNAME_COLLATION = { locale: 'en', strength: 2 };
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Mention Service - @username mentions in posts and comments
+ *
+ * Mentions are resolved when the content is saved and stored on the document
+ * as entities (`mentions: [{ user, username, offset, length }]`) that clients
+ * render as links. Each mentioned user is notified at most once per document,
+ * tracked in `notifiedMentions`.
+ */
+class MentionService {
+  /**
+   * Resolve the @username tokens of a text against existing users. Users
+   * blocked by the author, or who blocked them, cannot be mentioned.
+   * @param {string} text
+   * @param {string} [authorId]
+   * @returns {Promise<Array<{ user: ObjectId, username: string, offset: number, length: number }>>}
+   */
+  async resolveMentions(text, authorId = null) {
+    const tokens = extractMentions(text);
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const usernames = [...new Set(tokens.map(token => token.username.toLowerCase()))].slice(0, MAX_MENTIONS);
+    const blockedIds = await blockService.getBlockedIds(authorId);
+    const users = await User.find({
+      username: { $in: usernames },
+      status: { $ne: 'banned' },
+      ...(blockedIds.length > 0 && { _id: { $nin: blockedIds } })
+    })
+      .collation(USERNAME_COLLATION)
+      .select('_id username')
+      .lean();
+    const usersByName = new Map(users.map(user => [user.username.toLowerCase(), user]));
+
+    return tokens
+      .filter(token => usersByName.has(token.username.toLowerCase()))
+      .map(token => {
+        const user = usersByName.get(token.username.toLowerCase());
+        return {
+          user: user._id,
+          username: user.username,
+          offset: token.offset,
+          length: token.length
+        };
+      });
+  }
+
+  /**
+   * Whether a mentioned user may be notified: never by an account they
+   * blocked, and private accounts only hear from the accounts they follow
+   * @param {Object} target - User with isPrivate, following, blockedUsers, status
+   * @param {string} authorId
+   * @returns {boolean}
+   */
+  canNotify(target, authorId) {
+    if (!target || target._id.toString() === authorId.toString() || target.status === 'banned') {
+      return false;
+    }
+    if ((target.blockedUsers || []).some(id => id.toString() === authorId.toString())) {
+      return false;
+    }
+    if (target.isPrivate) {
+      return (target.following || []).some(id => id.toString() === authorId.toString());
+    }
+    return true;
+  }
+
+  /**
+   * Notify the users mentioned in a saved post or comment, once per document
+   * @param {Model} Model - Post or Comment
+   * @param {Object} doc - Saved document with mentions
+   * @param {Object} context
+   * @param {string} context.authorId
+   * @param {string} context.postId
+   * @param {string} context.commentId - For comment mentions
+   * @param {Array} context.excludeIds - Users already notified of this content another way (e.g. reply)
+   * @returns {Promise<string[]>} Ids of the notified users
+   */
+  async notifyMentions(Model, doc, { authorId, postId, commentId = null, excludeIds = [] }) {
+    const mentionedIds = [...new Set((doc.mentions || []).map(mention => mention.user.toString()))];
+    if (mentionedIds.length === 0) {
+      return [];
+    }
+
+    const targets = await User.find({ _id: { $in: mentionedIds } })
+      .select('_id isPrivate following status +blockedUsers')
+      .lean();
+
+    const excluded = new Set(excludeIds.filter(Boolean).map(id => id.toString()));
+    const notified = [];
+    for (const target of targets) {
+      if (!this.canNotify(target, authorId)) {
+        continue;
+      }
+
+      // Atomic claim: concurrent edits of the same document notify only once
+      const claim = await Model.updateOne(
+        { _id: doc._id, notifiedMentions: { $ne: target._id } },
+        { $addToSet: { notifiedMentions: target._id } }
+      );
+      if (claim.modifiedCount === 0 || excluded.has(target._id.toString())) {
+        continue;
+      }
+
+      await NotificationService.notifyMention(postId, authorId, target._id, commentId);
+      notified.push(target._id.toString());
+    }
+
+    if (notified.length > 0) {
+      console.log('[MENTION] Mention notifications sent:', {
+        entityType: commentId ? 'comment' : 'post',
+        entityId: doc._id,
+        authorId,
+        count: notified.length
+      });
+    }
+
+    return notified;
+  }
+
+  /**
+   * Autocomplete for the @mention picker: users whose username or name
+   * starts with the query, people the current user follows first
+   * @param {string} query - With or without the leading @
+   * @param {Object} currentUser
+   * @param {number} limit
+   * @returns {Promise<Array>}
+   */
+  async suggest(query, currentUser, limit = 10) {
+    const text = String(query || '').trim().replace(/^@/, '');
+    if (!text) {
+      return [];
+    }
+
+    const prefix = escapeRegex(text);
+    const blockedIds = await blockService.getBlockedIds(currentUser._id);
+    const users = await User.find({
+      _id: { $nin: [currentUser._id, ...blockedIds] },
+      status: { $ne: 'banned' },
+      username: { $exists: true, $ne: null },
+      $or: [
+        { username: { $regex: `^${prefix}`, $options: 'i' } },
+        { name: { $regex: `(^|\\s)${prefix}`, $options: 'i' } }
+      ]
+    })
+      .select('_id username name avatarUrl isVerified role')
+      .limit(MAX_SUGGESTIONS * 2)
+      .lean();
+
+    const following = new Set((currentUser.following || []).map(id => id.toString()));
+    const lowerText = text.toLowerCase();
+    const rankOf = user => [
+      following.has(user._id.toString()) ? 0 : 1,
+      user.username.toLowerCase().startsWith(lowerText) ? 0 : 1,
+      user.isVerified ? 0 : 1
+    ];
+
+    return users
+      .sort((a, b) => {
+        const rankA = rankOf(a);
+        const rankB = rankOf(b);
+        return rankA[0] - rankB[0] || rankA[1] - rankB[1] || rankA[2] - rankB[2] ||
+          a.username.localeCompare(b.username);
+      })
+      .slice(0, Math.min(limit, MAX_SUGGESTIONS));
+  }
+}
+
+module.exports = new MentionService();
@@ -0,0 +1,864 @@
+const mongoose = require('mongoose');
+const ModerationCase = require('../models/moderationCase.model');
+const Report = require('../models/report.model');
+const AuditLog = require('../models/auditLog.model');
+const Post = require('../models/post.model');
+const Comment = require('../models/comment.model');
+const Short = require('../models/short.model');
+const User = require('../models/user.model');
+const auditService = require('./audit.service');
+const appealService = require('./appeal.service');
+const strikeService = require('./strike.service');
+const moderationConfig = require('../config/moderation');
+
+const ACTIONS = ['none', 'warning', 'content_removed', 'user_suspended', 'user_banned'];
+// Actions on the author's account rather than on the content
+const USER_ACTIONS = ['warning', 'user_suspended', 'user_banned'];
+const STAFF_ROLES = ['moderator', 'admin'];
+const TARGET_TYPES = ['post', 'comment', 'short', 'user'];
+const USER_FIELDS = '_id name username avatarUrl role status';
+const STAFF_FIELDS = '_id name username';
+// Reasons of the reports embedded in Post, under their Report name
+const REASON_ALIASES = {
+  inappropriate: 'inappropriate_content',
+  misinformation: 'false_information'
+};
+const HISTORY_LIMIT = 20;
+
+const TARGETS = {
+  post: { model: Post, author: 'journalist', fields: 'title content status isDeleted journalist createdAt' },
+  comment: { model: Comment, author: 'author', fields: 'content status isDeleted author post editedAt createdAt descendantCount ancestors parentComment' },
+  short: { model: Short, author: 'author', fields: 'title isDeleted author createdAt' },
+  user: { model: User, author: '_id', fields: 'name username avatarUrl role status createdAt' }
+};
+
+function moderationError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Moderation Service - Unified moderation queue
+ *
+ * Reports live in the Report collection and embedded in Post
+ * (`interactions.reports`) and Comment (`reports`). They are merged into one
+ * ModerationCase per target, counting each reporter once, and prioritized by
+ * the weight of their reasons with an SLA deadline from the first report.
+ * Moderators claim a case (the claim expires), admins can assign one, and a
+ * case is resolved with one of the Report `actionTaken` values, which is
+ * applied to the content or its author and recorded in the audit log.
+ */
+class ModerationService {
+  /**
+   * @param {Object} user - With role
+   * @param {string} permission - e.g. 'case:assign', 'action:user_banned'
+   * @returns {boolean}
+   */
+  hasPermission(user, permission) {
+    return (moderationConfig.permissions[user?.role] || []).includes(permission);
+  }
+
+  /**
+   * Open or refresh the case of a reported target; call after each new report
+   * Never throws: a failing sync is logged and caught up by the next report
+   * @param {string} targetType - post | comment | short | user
+   * @param {string} targetId
+   * @returns {Promise<Object|null>} The open case, null when there is nothing to review
+   */
+  async syncTarget(targetType, targetId) {
+    try {
+      return await this.upsertCase(targetType, targetId);
+    } catch (error) {
+      console.error('[MODERATION] Queue sync error:', { targetType, targetId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Keep reported content up and leave the decision to a moderator, when its
+   * reports look coordinated; the hold lasts until the case is resolved
+   * @param {string} targetType
+   * @param {string} targetId
+   * @param {{ signals: Array<string>, details: Object }} detection - From brigading.service.js
+   * @returns {Promise<Object|null>} The held case
+   */
+  async holdAutoRemoval(targetType, targetId, { signals, details }) {
+    const moderationCase = await this.syncTarget(targetType, targetId);
+    if (!moderationCase) {
+      return null;
+    }
+
+    return ModerationCase.findOneAndUpdate(
+      { _id: moderationCase._id, status: 'open' },
+      {
+        $set: { 'autoRemovalHold.signals': signals, 'autoRemovalHold.details': details },
+        $min: { 'autoRemovalHold.heldAt': new Date() }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * @returns {Promise<boolean>} Whether the open case of the target holds its automatic removal
+   */
+  async isAutoRemovalHeld(targetType, targetId) {
+    const held = await ModerationCase.exists({
+      targetType,
+      targetId,
+      status: 'open',
+      'autoRemovalHold.heldAt': { $ne: null }
+    });
+    return Boolean(held);
+  }
+
+  async upsertCase(targetType, targetId, retried = false) {
+    const previous = await ModerationCase.findOne({ targetType, targetId, status: 'resolved' })
+      .sort({ resolvedAt: -1 })
+      .select('resolvedAt')
+      .lean();
+    const since = previous?.resolvedAt || new Date(0);
+
+    const reports = await this.collectReports(targetType, targetId, since);
+    if (reports.length === 0) {
+      return null;
+    }
+    const target = await this.loadTarget(targetType, targetId);
+
+    try {
+      return await ModerationCase.findOneAndUpdate(
+        { targetType, targetId, status: 'open' },
+        {
+          $set: {
+            ...this.summarize(reports),
+            ...(target ? { author: this.getAuthorId(targetType, target) } : {})
+          },
+          $setOnInsert: { reportsSince: since }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // Two reports opening the same case at once: the other one created it
+      if (error.code === 11000 && !retried) {
+        return this.upsertCase(targetType, targetId, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Reports about a target from every source, one per reporter (the Report
+   * document wins over the embedded entry), oldest first
+   * @param {string} targetType
+   * @param {string} targetId
+   * @param {Date} since - Reports filed after this date
+   * @param {Date} [until] - and up to this date
+   * @returns {Promise<Array<{ reporter, reason, description, contentSnapshot, createdAt, source, reportId }>>}
+   */
+  async collectReports(targetType, targetId, since, until) {
+    const range = { $gt: since, ...(until ? { $lte: until } : {}) };
+    const inRange = date => date > since && (!until || date <= until);
+
+    const [reports, embedded] = await Promise.all([
+      Report.find({ targetType, targetId, createdAt: range })
+        .select('reportedBy reason description contentSnapshot createdAt')
+        .lean(),
+      this.findEmbeddedReports(targetType, targetId)
+    ]);
+
+    const byReporter = new Map();
+    embedded
+      .filter(entry => entry.user && inRange(new Date(entry.createdAt)))
+      .forEach(entry => byReporter.set(entry.user.toString(), {
+        reporter: entry.user,
+        reason: this.normalizeReason(entry.reason),
+        description: entry.description,
+        contentSnapshot: entry.contentSnapshot
+          ? { content: entry.contentSnapshot, capturedAt: entry.createdAt }
+          : undefined,
+        createdAt: entry.createdAt,
+        source: 'embedded'
+      }));
+    reports.forEach(report => byReporter.set(report.reportedBy.toString(), {
+      reporter: report.reportedBy,
+      reason: report.reason,
+      description: report.description,
+      contentSnapshot: report.contentSnapshot,
+      createdAt: report.createdAt,
+      source: 'report',
+      reportId: report._id
+    }));
+
+    return [...byReporter.values()].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  async findEmbeddedReports(targetType, targetId) {
+    if (targetType === 'comment') {
+      const comment = await Comment.findById(targetId)
+        .select('reports')
+        .setOptions({ skipAutopopulate: true })
+        .lean();
+      return comment?.reports || [];
+    }
+    if (targetType === 'post') {
+      const post = await Post.findById(targetId).select('interactions.reports.users').lean();
+      return post?.interactions?.reports?.users || [];
+    }
+    return [];
+  }
+
+  /**
+   * Counters, priority and SLA deadline of a case from its reports
+   * @param {Array} reports - From collectReports
+   * @returns {Object}
+   */
+  summarize(reports) {
+    const { reasonWeights, defaultWeight } = moderationConfig.priority;
+    const reasons = new Map();
+    let priorityScore = 0;
+
+    reports.forEach(report => {
+      reasons.set(report.reason, (reasons.get(report.reason) || 0) + 1);
+      priorityScore += reasonWeights[report.reason] || defaultWeight;
+    });
+
+    const priority = this.getPriority(priorityScore);
+    const dates = reports.map(report => new Date(report.createdAt).getTime());
+    const firstReportedAt = new Date(Math.min(...dates));
+
+    return {
+      reportCount: reports.length,
+      reasons: [...reasons.entries()]
+        .map(([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count),
+      sources: {
+        reports: reports.filter(report => report.source === 'report').length,
+        embedded: reports.filter(report => report.source === 'embedded').length
+      },
+      priorityScore,
+      priority,
+      firstReportedAt,
+      lastReportedAt: new Date(Math.max(...dates)),
+      dueAt: new Date(firstReportedAt.getTime() + moderationConfig.slaHours[priority] * 60 * 60 * 1000)
+    };
+  }
+
+  /**
+   * @param {number} score
+   * @returns {string} high | normal | low
+   */
+  getPriority(score) {
+    const { high, normal } = moderationConfig.priority;
+    if (score >= high) {
+      return 'high';
+    }
+    return score >= normal ? 'normal' : 'low';
+  }
+
+  /**
+   * @param {string} reason
+   * @returns {string} Report reason
+   */
+  normalizeReason(reason) {
+    return REASON_ALIASES[reason] || reason || 'other';
+  }
+
+  /**
+   * Prioritized queue, highest priority then closest deadline first
+   * @param {Object} options
+   * @param {string} [options.status] - open (default) | resolved
+   * @param {string} [options.targetType]
+   * @param {string} [options.assigned] - me | unassigned
+   * @param {boolean} [options.overdue] - Only cases past their deadline
+   * @param {boolean} [options.held] - Only cases whose automatic removal was held
+   * @param {Object} viewer - Current staff member
+   * @returns {Promise<{ cases: Array, pagination: Object }>}
+   */
+  async getQueue({ status, targetType, assigned, overdue, held, page = 1, limit = moderationConfig.pageSize }, viewer) {
+    const now = new Date();
+    const resolved = status === 'resolved';
+    const filter = { status: resolved ? 'resolved' : 'open' };
+
+    if (TARGET_TYPES.includes(targetType)) {
+      filter.targetType = targetType;
+    }
+    if (assigned === 'me') {
+      filter.assignedTo = viewer._id;
+    } else if (assigned === 'unassigned') {
+      filter.$or = [{ assignedTo: null }, { claimExpiresAt: { $lte: now } }];
+    }
+    if (overdue && !resolved) {
+      filter.dueAt = { $lt: now };
+    }
+    if (held) {
+      filter['autoRemovalHold.heldAt'] = { $ne: null };
+    }
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || moderationConfig.pageSize, 1), moderationConfig.maxPageSize);
+
+    const [cases, total] = await Promise.all([
+      ModerationCase.find(filter)
+        .sort(resolved ? { resolvedAt: -1 } : { priorityScore: -1, dueAt: 1, _id: 1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .populate('author', USER_FIELDS)
+        .populate('assignedTo', STAFF_FIELDS)
+        .populate('resolvedBy', STAFF_FIELDS)
+        .lean(),
+      ModerationCase.countDocuments(filter)
+    ]);
+
+    return {
+      cases: cases.map(moderationCase => this.formatCase(moderationCase, now)),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * A case with everything needed to decide: the merged reports, the
+   * reported content (current and as reported), each reporter's history and
+   * the previous actions on the author
+   * @param {string} caseId
+   * @returns {Promise<Object>}
+   * @throws {Error} status 404 CASE_NOT_FOUND
+   */
+  async getCase(caseId) {
+    const moderationCase = mongoose.Types.ObjectId.isValid(caseId)
+      ? await ModerationCase.findById(caseId)
+        .populate('author', USER_FIELDS)
+        .populate('assignedTo', STAFF_FIELDS)
+        .populate('resolvedBy', STAFF_FIELDS)
+        .lean()
+      : null;
+    if (!moderationCase) {
+      throw moderationError('CASE_NOT_FOUND', 'Moderation case not found', 404);
+    }
+
+    const { targetType, targetId } = moderationCase;
+    const [reports, target] = await Promise.all([
+      this.collectReports(targetType, targetId, moderationCase.reportsSince, moderationCase.resolvedAt),
+      this.loadTarget(targetType, targetId)
+    ]);
+    const reporterIds = reports.map(report => report.reporter);
+
+    const [reporters, reporterHistory, authorHistory] = await Promise.all([
+      User.find({ _id: { $in: reporterIds } }).select(USER_FIELDS).lean(),
+      this.getReporterHistory(reporterIds),
+      moderationCase.author
+        ? this.getAuthorHistory(moderationCase.author._id, moderationCase._id)
+        : { cases: [], accountActions: [] }
+    ]);
+    const reportersById = new Map(reporters.map(user => [user._id.toString(), user]));
+
+    return {
+      ...this.formatCase(moderationCase, new Date()),
+      content: {
+        current: target,
+        // Distinct versions of the content as reporters saw it
+        snapshots: this.distinctSnapshots(reports)
+      },
+      reports: reports.map(report => ({
+        ...report,
+        reporter: reportersById.get(report.reporter.toString()) || { _id: report.reporter },
+        reporterHistory: reporterHistory.get(report.reporter.toString()) || { total: 0, upheld: 0, dismissed: 0 }
+      })),
+      authorHistory
+    };
+  }
+
+  distinctSnapshots(reports) {
+    const seen = new Set();
+    return reports
+      .map(report => report.contentSnapshot)
+      .filter(snapshot => snapshot?.content && !seen.has(snapshot.content) && seen.add(snapshot.content));
+  }
+
+  /**
+   * How often each reporter reported, and how many of their reports led to an action
+   * @param {Array} reporterIds
+   * @returns {Promise<Map<string, { total: number, upheld: number, dismissed: number }>>}
+   */
+  async getReporterHistory(reporterIds) {
+    if (reporterIds.length === 0) {
+      return new Map();
+    }
+
+    const stats = await Report.aggregate([
+      { $match: { reportedBy: { $in: reporterIds.map(id => new mongoose.Types.ObjectId(id)) } } },
+      {
+        $group: {
+          _id: '$reportedBy',
+          total: { $sum: 1 },
+          upheld: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  { $eq: ['$status', 'resolved'] },
+                  { $in: ['$actionTaken', ['warning', 'content_removed', 'user_suspended', 'user_banned']] }
+                ]
+              }, 1, 0]
+            }
+          },
+          dismissed: { $sum: { $cond: [{ $eq: ['$status', 'dismissed'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    return new Map(stats.map(({ _id, ...counts }) => [_id.toString(), counts]));
+  }
+
+  /**
+   * Previous cases on the author's content that led to an action, and the
+   * sanctions on the account, latest first
+   * @param {string} authorId
+   * @param {string} [excludeCaseId]
+   * @returns {Promise<{ cases: Array, accountActions: Array }>}
+   */
+  async getAuthorHistory(authorId, excludeCaseId) {
+    const [cases, accountActions] = await Promise.all([
+      ModerationCase.find({
+        author: authorId,
+        status: 'resolved',
+        actionTaken: { $in: ['warning', 'content_removed', 'user_suspended', 'user_banned'] },
+        ...(excludeCaseId ? { _id: { $ne: excludeCaseId } } : {})
+      })
+        .sort({ resolvedAt: -1 })
+        .limit(HISTORY_LIMIT)
+        .select('targetType targetId actionTaken resolution resolvedAt resolvedBy')
+        .populate('resolvedBy', STAFF_FIELDS)
+        .lean(),
+      AuditLog.find({
+        targetType: 'user',
+        targetId: authorId,
+        action: { $in: ['user_warned', 'user_suspended', 'user_banned', 'user_unbanned'] }
+      })
+        .sort({ createdAt: -1 })
+        .limit(HISTORY_LIMIT)
+        .select('action reason actorSnapshot.username createdAt')
+        .lean()
+    ]);
+
+    return { cases, accountActions };
+  }
+
+  /**
+   * Take a case for oneself until it is resolved, released or the claim expires
+   * @param {Object} user - Staff member
+   * @param {string} caseId
+   * @returns {Promise<Object>} Formatted case
+   * @throws {Error} status 404 CASE_NOT_FOUND, status 409 CASE_CLOSED | CASE_CLAIMED
+   */
+  async claim(user, caseId) {
+    const now = new Date();
+    const claimed = mongoose.Types.ObjectId.isValid(caseId)
+      ? await ModerationCase.findOneAndUpdate(
+        { _id: caseId, status: 'open', $or: this.availableTo(user, now) },
+        {
+          $set: {
+            assignedTo: user._id,
+            assignedBy: user._id,
+            claimedAt: now,
+            claimExpiresAt: new Date(now.getTime() + moderationConfig.claimMinutes * 60 * 1000)
+          }
+        },
+        { new: true }
+      ).populate('assignedTo', STAFF_FIELDS).lean()
+      : null;
+
+    if (!claimed) {
+      throw await this.unavailableError(caseId);
+    }
+    return this.formatCase(claimed, now);
+  }
+
+  /**
+   * Give a claimed case back to the queue
+   * @param {Object} user - Holder of the case, or an admin
+   * @param {string} caseId
+   * @throws {Error} status 404 CASE_NOT_FOUND, status 409 CASE_CLOSED | CASE_CLAIMED
+   */
+  async release(user, caseId) {
+    const released = mongoose.Types.ObjectId.isValid(caseId)
+      ? await ModerationCase.findOneAndUpdate(
+        { _id: caseId, status: 'open', ...(user.role === 'admin' ? {} : { assignedTo: user._id }) },
+        { $unset: { assignedTo: 1, assignedBy: 1, claimedAt: 1, claimExpiresAt: 1 } }
+      )
+      : null;
+
+    if (!released) {
+      throw await this.unavailableError(caseId);
+    }
+  }
+
+  /**
+   * Assign a case to a staff member (no expiry, unlike a claim)
+   * @param {Object} req - Express request of the assigning admin
+   * @param {string} caseId
+   * @param {string} assigneeId
+   * @returns {Promise<Object>} Formatted case
+   * @throws {Error} status 400 INVALID_ASSIGNEE, status 403 MODERATION_FORBIDDEN,
+   *   status 404 CASE_NOT_FOUND, status 409 CASE_CLOSED
+   */
+  async assign(req, caseId, assigneeId) {
+    if (!this.hasPermission(req.user, 'case:assign')) {
+      throw moderationError('MODERATION_FORBIDDEN', 'You cannot assign moderation cases', 403);
+    }
+
+    const assignee = mongoose.Types.ObjectId.isValid(assigneeId)
+      ? await User.findById(assigneeId).select('role username')
+      : null;
+    if (!assignee || !STAFF_ROLES.includes(assignee.role)) {
+      throw moderationError('INVALID_ASSIGNEE', 'Cases can only be assigned to moderators and admins');
+    }
+
+    const now = new Date();
+    const assigned = mongoose.Types.ObjectId.isValid(caseId)
+      ? await ModerationCase.findOneAndUpdate(
+        { _id: caseId, status: 'open' },
+        {
+          $set: { assignedTo: assignee._id, assignedBy: req.user._id, claimedAt: now },
+          $unset: { claimExpiresAt: 1 }
+        },
+        { new: true }
+      ).populate('assignedTo', STAFF_FIELDS).lean()
+      : null;
+    if (!assigned) {
+      throw await this.unavailableError(caseId);
+    }
+
+    await auditService.log(req, {
+      action: 'moderation_case_assigned',
+      targetType: assigned.targetType,
+      targetId: assigned.targetId,
+      targetLabel: assignee.username,
+      metadata: { caseId: assigned._id.toString(), assignedTo: assignee._id.toString() }
+    });
+    return this.formatCase(assigned, now);
+  }
+
+  /**
+   * Resolve cases with one action; each case succeeds or fails on its own
+   * @param {Object} req - Express request of the staff member
+   * @param {string[]} caseIds
+   * @param {{ actionTaken: string, resolution?: string }} decision
+   * @returns {Promise<{ resolved: string[], failed: Array<{ caseId, status, code, message }> }>}
+   * @throws {Error} status 400 INVALID_ACTION | INVALID_CASES | REASON_REQUIRED | VALIDATION_ERROR, status 403 MODERATION_FORBIDDEN
+   */
+  async resolve(req, caseIds, { actionTaken, resolution } = {}) {
+    if (!ACTIONS.includes(actionTaken)) {
+      throw moderationError('INVALID_ACTION', `actionTaken must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (!this.hasPermission(req.user, `action:${actionTaken}`)) {
+      throw moderationError('MODERATION_FORBIDDEN', `You cannot resolve cases with ${actionTaken}`, 403);
+    }
+    if (['user_suspended', 'user_banned'].includes(actionTaken) && !resolution?.trim()) {
+      throw moderationError('REASON_REQUIRED', 'A resolution is required to suspend or ban');
+    }
+    if (resolution !== undefined && (typeof resolution !== 'string' || resolution.length > 1000)) {
+      throw moderationError('VALIDATION_ERROR', 'The resolution must be text of at most 1000 characters');
+    }
+
+    const ids = Array.isArray(caseIds) ? [...new Set(caseIds.map(String))] : [];
+    if (ids.length === 0 || ids.length > moderationConfig.maxBulkSize) {
+      throw moderationError('INVALID_CASES', `Resolve between 1 and ${moderationConfig.maxBulkSize} cases at once`);
+    }
+
+    const result = { resolved: [], failed: [] };
+    for (const caseId of ids) {
+      try {
+        await this.resolveCase(req, caseId, actionTaken, resolution?.trim());
+        result.resolved.push(caseId);
+      } catch (error) {
+        if (!error.code) {
+          console.error('[MODERATION] Resolve case error:', { caseId, error: error.message });
+        }
+        result.failed.push({
+          caseId,
+          status: error.status || 500,
+          code: error.code || 'RESOLVE_FAILED',
+          message: error.code ? error.message : 'Failed to resolve case'
+        });
+      }
+    }
+    return result;
+  }
+
+  async resolveCase(req, caseId, actionTaken, resolution) {
+    const actorId = req.user._id;
+    const isAdmin = req.user.role === 'admin';
+    const now = new Date();
+
+    const current = mongoose.Types.ObjectId.isValid(caseId)
+      ? await ModerationCase.findById(caseId).lean()
+      : null;
+    if (!current) {
+      throw moderationError('CASE_NOT_FOUND', 'Moderation case not found', 404);
+    }
+    if (current.status !== 'open') {
+      throw moderationError('CASE_CLOSED', 'This case is already resolved', 409);
+    }
+    if (!isAdmin && this.isHeldByOther(current, actorId, now)) {
+      throw moderationError('CASE_CLAIMED', 'This case is handled by another moderator', 409);
+    }
+
+    const target = await this.loadTarget(current.targetType, current.targetId);
+    await this.checkAction(req.user, current, target, actionTaken);
+
+    // Claimed atomically: a case is resolved once, by whoever holds it
+    const resolved = await ModerationCase.findOneAndUpdate(
+      { _id: caseId, status: 'open', ...(isAdmin ? {} : { $or: this.availableTo(req.user, now) }) },
+      { $set: { status: 'resolved', resolvedBy: actorId, resolvedAt: now, actionTaken, resolution } },
+      { new: true }
+    );
+    if (!resolved) {
+      throw await this.unavailableError(caseId);
+    }
+
+    // A failing action reopens the case, so that it is not left closed with nothing done
+    try {
+      await this.applyAction(req, resolved, target, actionTaken, resolution);
+      await strikeService.recordCase(req, resolved);
+    } catch (error) {
+      await ModerationCase.updateOne(
+        { _id: resolved._id, status: 'resolved', resolvedBy: actorId },
+        {
+          $set: { status: 'open' },
+          $unset: { resolvedBy: 1, resolvedAt: 1, actionTaken: 1, resolution: 1 }
+        }
+      ).catch(reopenError => {
+        // A newer report may have opened another case for the target meanwhile
+        console.error('[MODERATION] Failed to reopen case:', { caseId: resolved._id, error: reopenError.message });
+      });
+      throw error;
+    }
+    await Report.updateMany(
+      {
+        targetType: resolved.targetType,
+        targetId: resolved.targetId,
+        status: 'pending',
+        createdAt: { $gt: resolved.reportsSince, $lte: now }
+      },
+      {
+        $set: {
+          status: actionTaken === 'none' ? 'dismissed' : 'resolved',
+          actionTaken,
+          reviewedBy: actorId,
+          reviewedAt: now
+        }
+      }
+    );
+    await auditService.log(req, {
+      action: 'moderation_case_resolved',
+      targetType: resolved.targetType,
+      targetId: resolved.targetId,
+      targetLabel: target?.title || target?.username,
+      reason: resolution,
+      metadata: { caseId: resolved._id.toString(), actionTaken, reportCount: resolved.reportCount }
+    });
+
+    console.log('[MODERATION] Case resolved:', {
+      caseId: resolved._id,
+      targetType: resolved.targetType,
+      targetId: resolved.targetId,
+      actionTaken,
+      resolvedBy: actorId
+    });
+    return resolved;
+  }
+
+  /**
+   * @throws {Error} status 400 INVALID_ACTION, status 403 SELF_ACTION | PROTECTED_ACCOUNT, status 404 TARGET_NOT_FOUND
+   */
+  async checkAction(actor, moderationCase, target, actionTaken) {
+    if (actionTaken === 'content_removed' && (moderationCase.targetType === 'user' || !target)) {
+      throw moderationError('INVALID_ACTION', 'Only existing content can be removed');
+    }
+    if (!USER_ACTIONS.includes(actionTaken)) {
+      return;
+    }
+
+    const author = moderationCase.author
+      ? await User.findById(moderationCase.author).select('role')
+      : null;
+    if (!author) {
+      throw moderationError('TARGET_NOT_FOUND', 'The author of this content no longer exists', 404);
+    }
+    if (author._id.toString() === actor._id.toString()) {
+      throw moderationError('SELF_ACTION', 'You cannot sanction your own account', 403);
+    }
+    if (STAFF_ROLES.includes(author.role)) {
+      throw moderationError('PROTECTED_ACCOUNT', 'Staff accounts cannot be sanctioned from the moderation queue', 403);
+    }
+  }
+
+  /**
+   * Apply the decision of a resolved case to the content or its author
+   */
+  async applyAction(req, moderationCase, target, actionTaken, resolution) {
+    const metadata = { caseId: moderationCase._id.toString() };
+    const now = new Date();
+
+    if (actionTaken === 'content_removed') {
+      await this.removeContent(moderationCase.targetType, target, resolution || 'Removed by moderation', req.user._id);
+      await auditService.log(req, {
+        action: 'content_deleted',
+        targetType: moderationCase.targetType,
+        targetId: target._id,
+        targetLabel: target.title,
+        before: auditService.snapshot(target, ['title', 'content', 'status', 'journalist', 'author', 'post', 'createdAt']),
+        reason: resolution,
+        metadata
+      });
+      return;
+    }
+    if (!USER_ACTIONS.includes(actionTaken)) {
+      return;
+    }
+
+    const author = await User.findById(moderationCase.author).select('username status');
+    if (!author) {
+      return;
+    }
+    const before = auditService.snapshot(author, ['status']);
+    let update = null;
+    if (actionTaken === 'user_suspended') {
+      update = {
+        status: 'suspended',
+        suspensionReason: resolution,
+        suspendedAt: now,
+        suspendedBy: req.user._id,
+        suspendedUntil: new Date(now.getTime() + moderationConfig.suspensionDays * 24 * 60 * 60 * 1000)
+      };
+    } else if (actionTaken === 'user_banned') {
+      update = { status: 'banned', banReason: resolution, bannedAt: now, bannedBy: req.user._id };
+    }
+    if (update) {
+      // updateOne: journalists and legacy accounts may miss required fields
+      await User.updateOne({ _id: author._id }, { $set: update });
+    }
+
+    await auditService.log(req, {
+      action: actionTaken === 'warning' ? 'user_warned' : actionTaken,
+      targetType: 'user',
+      targetId: author._id,
+      targetLabel: author.username,
+      before,
+      after: update ? { status: update.status } : null,
+      reason: resolution,
+      metadata: update?.suspendedUntil
+        ? { ...metadata, suspendedUntil: update.suspendedUntil }
+        : metadata
+    });
+  }
+
+  /**
+   * Soft-remove reported content, so that it can be reviewed again later
+   * @param {string} targetType - post | comment | short
+   * @param {Object} target - From loadTarget
+   * @param {string} reason
+   * @param {string} [removedBy] - Staff member, who cannot review the appeal of a removed post
+   */
+  async removeContent(targetType, target, reason, removedBy) {
+    const removal = { isDeleted: true, deletedAt: new Date(), deletionReason: reason };
+
+    if (targetType === 'comment') {
+      const wasActive = target.status === 'active' && !target.isDeleted;
+      await Comment.updateOne({ _id: target._id }, { $set: { ...removal, status: 'deleted' } });
+      if (wasActive) {
+        await Comment.adjustThreadCounts(target, -(1 + (target.descendantCount || 0)), -1);
+      }
+      return;
+    }
+    if (targetType === 'post') {
+      await appealService.removePost(target._id, { reason, removedBy });
+      return;
+    }
+    await TARGETS[targetType].model.updateOne({ _id: target._id }, { $set: removal });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The reported document (lean), null when gone
+   */
+  async loadTarget(targetType, targetId) {
+    const definition = TARGETS[targetType];
+    if (!definition) {
+      return null;
+    }
+    return definition.model.findById(targetId)
+      .select(definition.fields)
+      .setOptions({ skipAutopopulate: true })
+      .lean();
+  }
+
+  getAuthorId(targetType, target) {
+    return target[TARGETS[targetType].author];
+  }
+
+  /**
+   * Filter of the cases a staff member may take: free, already theirs, or with an expired claim
+   */
+  availableTo(user, now) {
+    return [
+      { assignedTo: null },
+      { assignedTo: user._id },
+      { claimExpiresAt: { $lte: now } }
+    ];
+  }
+
+  isHeldByOther(moderationCase, userId, now) {
+    return !!moderationCase.assignedTo &&
+      moderationCase.assignedTo.toString() !== userId.toString() &&
+      (!moderationCase.claimExpiresAt || new Date(moderationCase.claimExpiresAt) > now);
+  }
+
+  /**
+   * Why a case could not be claimed, released or resolved
+   */
+  async unavailableError(caseId) {
+    const moderationCase = mongoose.Types.ObjectId.isValid(caseId)
+      ? await ModerationCase.findById(caseId).select('status').lean()
+      : null;
+    if (!moderationCase) {
+      return moderationError('CASE_NOT_FOUND', 'Moderation case not found', 404);
+    }
+    if (moderationCase.status !== 'open') {
+      return moderationError('CASE_CLOSED', 'This case is already resolved', 409);
+    }
+    return moderationError('CASE_CLAIMED', 'This case is handled by another moderator', 409);
+  }
+
+  /**
+   * API shape of a case with its SLA timer; an expired claim shows as unassigned
+   * @param {Object} moderationCase - Lean case
+   * @param {Date} now
+   * @returns {Object}
+   */
+  formatCase(moderationCase, now) {
+    const claimExpired = !!moderationCase.claimExpiresAt && new Date(moderationCase.claimExpiresAt) <= now;
+    const dueAt = moderationCase.dueAt ? new Date(moderationCase.dueAt) : null;
+    const endedAt = moderationCase.resolvedAt ? new Date(moderationCase.resolvedAt) : now;
+
+    return {
+      ...moderationCase,
+      assignedTo: claimExpired ? null : moderationCase.assignedTo || null,
+      claimExpiresAt: claimExpired ? null : moderationCase.claimExpiresAt || null,
+      sla: dueAt
+        ? {
+          dueAt,
+          // Negative once overdue
+          remainingMinutes: Math.round((dueAt - endedAt) / 60000),
+          breached: endedAt > dueAt
+        }
+        : null
+    };
+  }
+}
+
+module.exports = new ModerationService();
@@ -2,6 +2,7 @@
 const Notification = require('../models/notification.model');
 const User = require('../models/user.model');
 const socketService = require('./socket.service');
+const pushService = require('./push.service');
 
 class NotificationService {
   // Créer une notification uniquement si les préférences de l'utilisateur le permettent
@@ -35,7 +36,14 @@ class NotificationService {
         'comment_like': 'likes',
         'comment_reply': 'comments',
         'new_follower': 'follows',
+        'follow_request': 'follows',
+        'follow_request_approved': 'follows',
+        'follow_request_declined': 'follows',
         'post_removed': 'posts',
+        'appeal_received': 'posts',
+        'appeal_in_review': 'posts',
+        'appeal_reinstated': 'posts',
+        'appeal_upheld': 'posts',
         'article_published': 'posts',
         'mention': 'mentions',
         'new_post_from_followed': 'posts'
@@ -72,9 +80,15 @@ class NotificationService {
         entityType
       });
 
+      // Même auteur déjà compté dans le groupe : rien de nouveau à signaler
+      if (!notification || notification.$locals.repeatedActor) {
+        return notification;
+      }
+
       // Peupler les références
       const populatedNotification = await Notification.findById(notification._id)
         .populate('sender', 'username avatarUrl profileImage name role')
+        .populate('actors.user', 'username avatarUrl name role')
         .populate({
           path: 'postId',
           select: 'title type coverImage'
@@ -85,8 +99,19 @@ class NotificationService {
         });
 
       // Send real-time notification via Socket.IO
+      // A merged group keeps its _id: clients replace the existing item (isGroupUpdate)
       if (socketService && socketService.sendNotification) {
-        await socketService.sendNotification(recipient, populatedNotification);
+        await socketService.sendNotification(recipient, {
+          ...populatedNotification.toObject(),
+          summary: Notification.getSummary(populatedNotification),
+          isGroupUpdate: Boolean(notification.$locals.grouped)
+        });
+      }
+
+      // Push to the recipient's devices when they are not connected to the app;
+      // not awaited, retries must not hold the request that triggered it
+      if (!socketService.isUserOnline?.(recipient)) {
+        pushService.deliver(populatedNotification);
       }
 
       return populatedNotification;
@@ -126,6 +151,48 @@ class NotificationService {
     });
   }
 
+  // Publication retirée par la modération, envoyée par le système
+  static async notifyPostRemoved(postId, authorId) {
+    if (!postId || !authorId) return;
+
+    return this.createNotification({
+      type: 'post_removed',
+      recipient: authorId,
+      sender: Notification.SYSTEM_SENDER_ID,
+      postId,
+      entityId: postId,
+      entityType: 'post'
+    });
+  }
+
+  // Étape d'une contestation de suppression (appeal_received, appeal_in_review,
+  // appeal_reinstated, appeal_upheld) ; envoyée par le système, le modérateur reste anonyme
+  static async notifyAppealUpdate(appeal, type) {
+    if (!appeal?.author || !appeal?.post) return;
+
+    return this.createNotification({
+      type,
+      recipient: appeal.author,
+      sender: Notification.SYSTEM_SENDER_ID,
+      postId: appeal.post,
+      entityId: appeal.post,
+      entityType: 'post'
+    });
+  }
+
+  // Sanction automatique du compte (account_warning, account_suspended) ; toujours envoyée
+  static async notifyAccountSanction(userId, type) {
+    if (!userId) return;
+
+    return this.createNotification({
+      type,
+      recipient: userId,
+      sender: Notification.SYSTEM_SENDER_ID,
+      entityId: userId,
+      entityType: 'user'
+    });
+  }
+
   static async notifyFollow(followerId, followedId) {
     if (!followedId || !followerId) return;
 
@@ -139,7 +206,36 @@ class NotificationService {
     });
   }
 
-  static async notifyMention(postId, mentionerId, mentionedId) {
+  // Demande d'abonnement à un compte privé (destinataire : le propriétaire du compte)
+  static async notifyFollowRequest(requesterId, ownerId) {
+    if (!requesterId || !ownerId) return;
+
+    return this.createNotification({
+      type: 'follow_request',
+      recipient: ownerId,
+      sender: requesterId,
+      message: 'souhaite s\'abonner à votre compte',
+      entityId: requesterId,
+      entityType: 'user'
+    });
+  }
+
+  // Réponse du propriétaire du compte à une demande d'abonnement
+  static async notifyFollowRequestResponse(ownerId, requesterId, approved) {
+    if (!ownerId || !requesterId) return;
+
+    return this.createNotification({
+      type: approved ? 'follow_request_approved' : 'follow_request_declined',
+      recipient: requesterId,
+      sender: ownerId,
+      message: approved ? 'a accepté votre demande d\'abonnement' : 'a refusé votre demande d\'abonnement',
+      entityId: ownerId,
+      entityType: 'user'
+    });
+  }
+
+  // Mention dans une publication, ou dans un commentaire si commentId est fourni
+  static async notifyMention(postId, mentionerId, mentionedId, commentId = null) {
     if (!mentionedId || !mentionerId) return;
 
     return this.createNotification({
@@ -147,9 +243,10 @@ class NotificationService {
       recipient: mentionedId,
       sender: mentionerId,
       postId,
-      message: 'vous a mentionné dans une publication',
-      entityId: postId,
-      entityType: 'post'
+      commentId: commentId || undefined,
+      message: commentId ? 'vous a mentionné dans un commentaire' : 'vous a mentionné dans une publication',
+      entityId: commentId || postId,
+      entityType: commentId ? 'comment' : 'post'
     });
   }
 
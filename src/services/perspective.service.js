@@ -0,0 +1,213 @@
+const Post = require('../models/post.model');
+const User = require('../models/user.model');
+
+// Political spectrum, from -2 to +2 (same scale as calculateDominantView in post.model.js)
+const VIEW_SCORES = {
+  extremelyConservative: -2,
+  conservative: -1,
+  neutral: 0,
+  progressive: 1,
+  extremelyProgressive: 2
+};
+const VIEWS = Object.keys(VIEW_SCORES);
+const VIEW_RANGE = 4;
+
+// Interest carried by each kind of consumption
+const SOURCE_WEIGHTS = {
+  read: 1,
+  like: 2,
+  bookmark: 3
+};
+
+const MAX_REPORT_DAYS = 365;
+const PERIODS = ['week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function perspectiveError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function emptyCounts() {
+  return VIEWS.reduce((counts, view) => {
+    counts[view] = 0;
+    return counts;
+  }, {});
+}
+
+/**
+ * Perspective Service - Political mix of what a reader consumes
+ *
+ * A post's view is its community verdict (`dominantView`, from user votes),
+ * or the journalist's own choice while nobody has voted. A reader's exposure
+ * is the distribution of views over the posts they read, liked or bookmarked.
+ */
+class PerspectiveService {
+  /**
+   * @param {Object} post - Needs politicalOrientation
+   * @returns {string} One of VIEWS
+   */
+  getPostView(post) {
+    const orientation = post?.politicalOrientation || {};
+    return orientation.dominantView || orientation.journalistChoice || 'neutral';
+  }
+
+  /**
+   * Summary of a distribution of views
+   * @param {Object} counts - view -> weight
+   * @returns {{ total: number, shares: Object, lean: number|null, balance: number|null, dominantView: string|null }}
+   *   lean: weighted average on the -2..2 scale; balance: normalized entropy (1 = evenly spread)
+   */
+  summarize(counts) {
+    const total = VIEWS.reduce((sum, view) => sum + (counts[view] || 0), 0);
+    const shares = emptyCounts();
+    if (total === 0) {
+      return { total: 0, shares, lean: null, balance: null, dominantView: null };
+    }
+
+    let lean = 0;
+    let entropy = 0;
+    let dominantView = null;
+    VIEWS.forEach(view => {
+      const share = (counts[view] || 0) / total;
+      shares[view] = Math.round(share * 1000) / 1000;
+      lean += share * VIEW_SCORES[view];
+      if (share > 0) {
+        entropy -= share * Math.log(share);
+      }
+      if (!dominantView || (counts[view] || 0) > (counts[dominantView] || 0)) {
+        dominantView = view;
+      }
+    });
+
+    return {
+      total,
+      shares,
+      lean: Math.round(lean * 100) / 100 || 0,
+      balance: Math.round((entropy / Math.log(VIEWS.length)) * 100) / 100,
+      dominantView
+    };
+  }
+
+  /**
+   * How much a view would widen a reader's exposure: high when the view is
+   * rare in their mix and far from their average lean
+   * @param {string} view
+   * @param {Object} counts - Reader's view -> weight
+   * @returns {number} 0..1, 0 without history
+   */
+  underexposure(view, counts) {
+    const { total, shares, lean } = this.summarize(counts);
+    if (total === 0) {
+      return 0;
+    }
+
+    const rarity = 1 - shares[view];
+    const distance = Math.abs(VIEW_SCORES[view] - lean) / VIEW_RANGE;
+
+    return (rarity + distance) / 2;
+  }
+
+  /**
+   * Perspective exposure of a user over time
+   * @param {string} userId
+   * @param {Object} options
+   * @param {number} options.days - Look-back window (reads); likes and bookmarks are undated and always counted
+   * @param {string} options.period - 'week' | 'month' timeline buckets
+   * @param {Date} options.now
+   * @returns {Promise<Object>}
+   * @throws {Error} status 400 INVALID_PERIOD, status 404 USER_NOT_FOUND
+   */
+  async getExposureReport(userId, { days = 90, period = 'week', now = new Date() } = {}) {
+    if (!PERIODS.includes(period)) {
+      throw perspectiveError('INVALID_PERIOD', `period must be one of: ${PERIODS.join(', ')}`);
+    }
+    const windowDays = Math.min(MAX_REPORT_DAYS, Math.max(1, parseInt(days) || 90));
+    const since = new Date(now.getTime() - windowDays * DAY_MS);
+
+    const user = await User.findById(userId)
+      .select('likedPosts interactions.bookmarks interactions.readHistory')
+      .lean();
+    if (!user) {
+      throw perspectiveError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    const reads = (user.interactions?.readHistory || [])
+      .filter(entry => entry.post && new Date(entry.readAt) >= since);
+    const likedIds = (user.likedPosts || []).map(String);
+    const bookmarkedIds = (user.interactions?.bookmarks || []).map(String);
+
+    const postIds = [...new Set([...reads.map(entry => String(entry.post)), ...likedIds, ...bookmarkedIds])];
+    const posts = postIds.length > 0
+      ? await Post.find({ _id: { $in: postIds }, isDeleted: { $ne: true } })
+        .select('domain politicalOrientation.dominantView politicalOrientation.journalistChoice')
+        .lean()
+      : [];
+    const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+
+    const overall = emptyCounts();
+    const byDomain = {};
+    const timeline = new Map();
+    const add = (post, weight) => {
+      const view = this.getPostView(post);
+      overall[view] += weight;
+      byDomain[post.domain] = byDomain[post.domain] || emptyCounts();
+      byDomain[post.domain][view] += weight;
+      return view;
+    };
+
+    reads.forEach(entry => {
+      const post = postsById.get(String(entry.post));
+      if (!post) {
+        return;
+      }
+      const view = add(post, SOURCE_WEIGHTS.read);
+      const bucket = this.periodStart(new Date(entry.readAt), period).toISOString();
+      timeline.set(bucket, timeline.get(bucket) || emptyCounts());
+      timeline.get(bucket)[view] += 1;
+    });
+    [[likedIds, SOURCE_WEIGHTS.like], [bookmarkedIds, SOURCE_WEIGHTS.bookmark]].forEach(([ids, weight]) => {
+      ids.forEach(id => {
+        if (postsById.has(id)) {
+          add(postsById.get(id), weight);
+        }
+      });
+    });
+
+    const summary = this.summarize(overall);
+
+    return {
+      window: { since, until: now, days: windowDays, period },
+      weights: SOURCE_WEIGHTS,
+      overall: { counts: overall, ...summary },
+      byDomain: Object.entries(byDomain)
+        .map(([domain, counts]) => ({ domain, counts, ...this.summarize(counts) }))
+        .sort((a, b) => b.total - a.total),
+      timeline: [...timeline.entries()]
+        .sort(([a], [b]) => (a < b ? -1 : 1))
+        .map(([periodStart, counts]) => ({ periodStart, counts, ...this.summarize(counts) })),
+      // Views the reader sees least, to suggest where to look next
+      underrepresented: summary.total > 0
+        ? VIEWS.filter(view => summary.shares[view] < 1 / VIEWS.length / 2)
+        : []
+    };
+  }
+
+  /**
+   * Start (UTC) of the week (Monday) or month containing a date
+   * @param {Date} date
+   * @param {string} period
+   * @returns {Date}
+   */
+  periodStart(date, period) {
+    if (period === 'month') {
+      return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    }
+    const dayOfWeek = (date.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - dayOfWeek));
+  }
+}
+
+module.exports = new PerspectiveService();
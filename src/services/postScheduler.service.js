@@ -0,0 +1,214 @@
+const cron = require('node-cron');
+const Post = require('../models/post.model');
+const NotificationService = require('./notification.service');
+const socketService = require('./socket.service');
+const mentionService = require('./mention.service');
+const { clearCache } = require('../middleware/cache.middleware');
+
+// Posts handled per run, the rest waits for the next tick
+const BATCH_SIZE = 100;
+
+function scheduleError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function parseDate(value, field) {
+  const date = new Date(value);
+  if (value === '' || Number.isNaN(date.getTime())) {
+    throw scheduleError('INVALID_SCHEDULE', `${field} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Post Scheduler Service - Scheduled publication and embargoes
+ *
+ * A draft with `publishAt` becomes `scheduled` and goes live once the date is
+ * reached; a post with `unpublishAt` is archived at that date. Every instance
+ * runs the cron job: a post is claimed by the atomic status transition itself,
+ * so only the instance that flips it announces it to the followers.
+ */
+class PostSchedulerService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('Post scheduler service is already running');
+      return;
+    }
+
+    // Run every minute
+    this.cronJob = cron.schedule('* * * * *', async () => {
+      await this.runDueJobs();
+    });
+
+    this.isRunning = true;
+    console.log('Post scheduler service started');
+  }
+
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.isRunning = false;
+      console.log('Post scheduler service stopped');
+    }
+  }
+
+  /**
+   * Apply publishAt / unpublishAt from a create or update request (not saved)
+   * @param {Object} post - Post document
+   * @param {Object} schedule
+   * @param {string|Date|null} schedule.publishAt - null cancels the schedule
+   * @param {string|Date|null} schedule.unpublishAt - null removes the embargo end
+   * @param {Date} now
+   * @throws {Error} status 400 INVALID_SCHEDULE, status 409 ALREADY_PUBLISHED
+   */
+  applySchedule(post, { publishAt, unpublishAt } = {}, now = new Date()) {
+    if (publishAt === null) {
+      if (post.status === 'scheduled') {
+        post.status = 'draft';
+      }
+      post.publishAt = undefined;
+    } else if (publishAt !== undefined) {
+      const date = parseDate(publishAt, 'publishAt');
+      if (date <= now) {
+        throw scheduleError('INVALID_SCHEDULE', 'publishAt must be in the future');
+      }
+      if (!post.isNew && post.status === 'published') {
+        throw scheduleError('ALREADY_PUBLISHED', 'The post is already published', 409);
+      }
+      post.status = 'scheduled';
+      post.publishAt = date;
+    }
+
+    if (unpublishAt === null) {
+      post.unpublishAt = undefined;
+    } else if (unpublishAt !== undefined) {
+      const date = parseDate(unpublishAt, 'unpublishAt');
+      if (date <= now) {
+        throw scheduleError('INVALID_SCHEDULE', 'unpublishAt must be in the future');
+      }
+      post.unpublishAt = date;
+    }
+
+    if (post.status === 'scheduled' && !post.publishAt) {
+      throw scheduleError('INVALID_SCHEDULE', 'A scheduled post needs a publishAt date');
+    }
+    if (post.status !== 'scheduled') {
+      post.publishAt = undefined;
+    }
+    if (post.publishAt && post.unpublishAt && post.unpublishAt <= post.publishAt) {
+      throw scheduleError('INVALID_SCHEDULE', 'unpublishAt must be after publishAt');
+    }
+  }
+
+  /**
+   * Publish due posts and archive expired ones
+   * @param {Date} now
+   * @returns {Promise<{ published: number, unpublished: number }>}
+   */
+  async runDueJobs(now = new Date()) {
+    // A slow run must not overlap the next tick on the same instance
+    if (this.isProcessing) {
+      return { published: 0, unpublished: 0 };
+    }
+
+    this.isProcessing = true;
+    try {
+      const published = await this.publishDuePosts(now);
+      const unpublished = await this.unpublishExpiredPosts(now);
+
+      if (published > 0 || unpublished > 0) {
+        clearCache('posts');
+        console.log('[SCHEDULER] Scheduled posts processed:', { published, unpublished });
+      }
+
+      return { published, unpublished };
+    } catch (error) {
+      console.error('[SCHEDULER] Error processing scheduled posts:', error);
+      return { published: 0, unpublished: 0 };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * @param {Date} now
+   * @returns {Promise<number>} Posts published by this instance
+   */
+  async publishDuePosts(now = new Date()) {
+    let count = 0;
+
+    while (count < BATCH_SIZE) {
+      const post = await Post.findOneAndUpdate(
+        { status: 'scheduled', publishAt: { $lte: now }, isDeleted: { $ne: true } },
+        { $set: { status: 'published', publishedAt: now }, $unset: { publishAt: 1 } },
+        { sort: { publishAt: 1 }, new: true }
+      );
+      if (!post) {
+        break;
+      }
+
+      count++;
+      await this.announce(post);
+    }
+
+    return count;
+  }
+
+  /**
+   * @param {Date} now
+   * @returns {Promise<number>} Posts archived
+   */
+  async unpublishExpiredPosts(now = new Date()) {
+    const result = await Post.updateMany(
+      { status: 'published', unpublishAt: { $lte: now } },
+      { $set: { status: 'archived' }, $unset: { unpublishAt: 1 } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Follower and mention notifications, and real-time event, for a post that just went live
+   * @param {Object} post
+   */
+  async announce(post) {
+    try {
+      await NotificationService.notifyFollowersOfNewPost(post._id, post.journalist);
+      await mentionService.notifyMentions(Post, post, {
+        authorId: post.journalist,
+        postId: post._id
+      });
+
+      if (socketService.io) {
+        socketService.notifyFollowers(post.journalist, {
+          postId: post._id,
+          title: post.title,
+          type: post.type,
+          journalistId: post.journalist,
+          publishedAt: post.publishedAt
+        });
+      }
+
+      console.log('[SCHEDULER] Scheduled post published:', {
+        postId: post._id,
+        journalistId: post.journalist
+      });
+    } catch (error) {
+      // The post stays published, only the announcement is lost
+      console.error('[SCHEDULER] Error announcing scheduled post:', {
+        postId: post._id,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PostSchedulerService();
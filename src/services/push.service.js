@@ -0,0 +1,371 @@
+const Device = require('../models/device.model');
+const User = require('../models/user.model');
+const Notification = require('../models/notification.model');
+const pushConfig = require('../config/push');
+const fakeProvider = require('./push/fake.provider');
+const FcmProvider = require('./push/fcm.provider');
+const ApnsProvider = require('./push/apns.provider');
+const WebPushProvider = require('./push/webPush.provider');
+
+// Default provider per platform (iOS apps using Firebase register with 'fcm')
+const PLATFORM_PROVIDERS = {
+  ios: 'apns',
+  android: 'fcm',
+  web: 'webpush'
+};
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Notification types and the preference switch that silences them
+// (account_warning and account_suspended cannot be silenced)
+const TYPE_PREFERENCES = {
+  post_like: 'likes',
+  comment_like: 'likes',
+  comment_reply: 'comments',
+  new_follower: 'follows',
+  follow_request: 'follows',
+  follow_request_approved: 'follows',
+  follow_request_declined: 'follows',
+  post_removed: 'posts',
+  appeal_received: 'posts',
+  appeal_in_review: 'posts',
+  appeal_reinstated: 'posts',
+  appeal_upheld: 'posts',
+  article_published: 'posts',
+  mention: 'mentions',
+  new_post_from_followed: 'posts'
+};
+
+function pushError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function toMinutes(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * Push Service - Device registry and push delivery pipeline
+ *
+ * Each stored notification is fanned out to the recipient's registered devices
+ * through the provider of each device (FCM, APNs, Web Push), unless the
+ * recipient's preferences or quiet hours say otherwise. Transient provider
+ * errors are retried with exponential backoff; tokens a provider reports as
+ * gone are pruned from the registry.
+ */
+class PushService {
+  constructor() {
+    this.providers = {};
+  }
+
+  /**
+   * Provider delivering to a device ('fake' for every device with the fake transport)
+   * @param {string} name - fcm | apns | webpush
+   * @returns {Object} Provider with send(device, message)
+   */
+  getProvider(name) {
+    if (pushConfig.transport === 'fake') {
+      return fakeProvider;
+    }
+
+    if (!this.providers[name]) {
+      const providerClasses = { fcm: FcmProvider, apns: ApnsProvider, webpush: WebPushProvider };
+      const configKeys = { fcm: 'fcm', apns: 'apns', webpush: 'webPush' };
+      this.providers[name] = new providerClasses[name](pushConfig[configKeys[name]]);
+    }
+    return this.providers[name];
+  }
+
+  /**
+   * Register a device, or refresh it when the token is already known
+   * @param {string} userId
+   * @param {Object} data
+   * @param {string} data.token - FCM/APNs token, or Web Push endpoint
+   * @param {string} data.platform - ios | android | web
+   * @param {string} data.provider - Defaults to the platform's provider
+   * @param {Object} data.keys - Web Push subscription keys { p256dh, auth }
+   * @returns {Promise<Object>} Device
+   * @throws {Error} status 400 INVALID_DEVICE
+   */
+  async registerDevice(userId, { token, platform, provider, keys, appVersion, locale } = {}) {
+    if (typeof token !== 'string' || !token.trim() || token.length > 4096) {
+      throw pushError('INVALID_DEVICE', 'A device token is required');
+    }
+    if (!PLATFORM_PROVIDERS[platform]) {
+      throw pushError('INVALID_DEVICE', 'platform must be one of: ios, android, web');
+    }
+
+    const deviceProvider = provider || PLATFORM_PROVIDERS[platform];
+    if (!Object.values(PLATFORM_PROVIDERS).includes(deviceProvider)) {
+      throw pushError('INVALID_DEVICE', 'provider must be one of: fcm, apns, webpush');
+    }
+    if (deviceProvider === 'webpush') {
+      if (!keys?.p256dh || !keys?.auth) {
+        throw pushError('INVALID_DEVICE', 'A Web Push subscription needs its keys');
+      }
+      // The server posts to the endpoint: only browser push services are accepted
+      if (!WebPushProvider.isAllowedEndpoint(token.trim(), pushConfig.webPush.allowedHosts)) {
+        throw pushError('INVALID_DEVICE', 'The Web Push endpoint is not a known push service');
+      }
+    }
+
+    const update = {
+      user: userId,
+      platform,
+      provider: deviceProvider,
+      lastSeenAt: new Date(),
+      failureCount: 0
+    };
+    if (deviceProvider === 'webpush') {
+      update.keys = { p256dh: keys.p256dh, auth: keys.auth };
+    }
+    if (appVersion) {
+      update.appVersion = String(appVersion);
+    }
+    if (locale) {
+      update.locale = String(locale);
+    }
+
+    const device = await Device.findOneAndUpdate(
+      { token: token.trim() },
+      {
+        $set: update,
+        $unset: deviceProvider === 'webpush' ? { lastError: 1 } : { lastError: 1, keys: 1 },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    await this.trimDevices(userId);
+
+    console.log('[PUSH] Device registered:', { userId, deviceId: device._id, platform, provider: deviceProvider });
+    return device;
+  }
+
+  // Keep the most recently seen devices of a user
+  async trimDevices(userId) {
+    const stale = await Device.find({ user: userId })
+      .sort({ lastSeenAt: -1 })
+      .skip(pushConfig.maxDevicesPerUser)
+      .select('_id')
+      .lean();
+
+    if (stale.length > 0) {
+      await Device.deleteMany({ _id: { $in: stale.map(device => device._id) } });
+    }
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} deviceId
+   * @returns {Promise<boolean>} false when the user has no such device
+   */
+  async unregisterDevice(userId, deviceId) {
+    const result = await Device.deleteOne({ _id: deviceId, user: userId });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<Array>} Devices, most recently seen first
+   */
+  async listDevices(userId) {
+    return Device.find({ user: userId }).sort({ lastSeenAt: -1 });
+  }
+
+  /**
+   * Whether `now` falls in the quiet hours (windows may span midnight)
+   * @param {Object} quietHours - { enabled, start: 'HH:MM', end: 'HH:MM', timezone }
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  isQuietTime(quietHours, now = new Date()) {
+    if (!quietHours?.enabled || !TIME_PATTERN.test(quietHours.start || '') || !TIME_PATTERN.test(quietHours.end || '')) {
+      return false;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: quietHours.timezone || 'Europe/Paris',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+    const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+    const current = hour * 60 + minute;
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    if (start === end) {
+      return false;
+    }
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * Preference checks for pushing a notification to a user
+   * @param {Object} preferences - user.preferences.notifications
+   * @param {string} type - Notification type
+   * @param {Date} now
+   * @returns {string|null} Reason to skip, or null to deliver
+   */
+  getSkipReason(preferences = {}, type, now = new Date()) {
+    if (preferences.enabled === false) {
+      return 'notifications_disabled';
+    }
+    if (preferences.push === false) {
+      return 'push_disabled';
+    }
+    if (TYPE_PREFERENCES[type] && preferences[TYPE_PREFERENCES[type]] === false) {
+      return 'type_disabled';
+    }
+    if (this.isQuietTime(preferences.quietHours, now)) {
+      return 'quiet_hours';
+    }
+    return null;
+  }
+
+  /**
+   * Push payload of a notification, shared by every provider
+   * @param {Object} notification - With populated sender
+   * @param {number} badge - Unread count
+   * @returns {Object} { title, body, data, badge, collapseKey }
+   */
+  buildMessage(notification, badge) {
+    const idOf = value => (value?._id || value)?.toString();
+
+    return {
+      title: notification.title || 'THOT',
+      body: Notification.getSummary(notification),
+      badge,
+      // A grouped notification replaces its previous push on the device
+      collapseKey: notification.groupKey || notification._id.toString(),
+      data: {
+        notificationId: notification._id.toString(),
+        type: notification.type,
+        entityType: notification.entityType,
+        entityId: idOf(notification.entityId),
+        postId: idOf(notification.postId),
+        commentId: idOf(notification.commentId)
+      }
+    };
+  }
+
+  /**
+   * Push a stored notification to every device of its recipient
+   * @param {Object} notification - Notification document with populated sender
+   * @param {Object} options
+   * @param {Date} options.now
+   * @returns {Promise<{ sent: number, failed: number, pruned: number, skipped: string|null }>}
+   */
+  async deliver(notification, { now = new Date() } = {}) {
+    const result = { sent: 0, failed: 0, pruned: 0, skipped: null };
+    if (!pushConfig.enabled) {
+      result.skipped = 'push_not_enabled';
+      return result;
+    }
+
+    try {
+      const recipientId = notification.recipient?._id || notification.recipient;
+      const recipient = await User.findById(recipientId).select('preferences.notifications status');
+      if (!recipient || recipient.status === 'banned') {
+        result.skipped = 'no_recipient';
+        return result;
+      }
+
+      result.skipped = this.getSkipReason(recipient.preferences?.notifications, notification.type, now);
+      if (result.skipped) {
+        return result;
+      }
+
+      const devices = await Device.find({ user: recipientId }).select('+keys');
+      if (devices.length === 0) {
+        result.skipped = 'no_devices';
+        return result;
+      }
+
+      const badge = await Notification.getUnreadCount(recipientId);
+      const message = this.buildMessage(notification, badge);
+
+      for (const device of devices) {
+        const outcome = await this.sendToDevice(device, message);
+        result[outcome]++;
+      }
+
+      console.log('[PUSH] Notification delivered:', {
+        notificationId: notification._id,
+        recipientId,
+        ...result
+      });
+      return result;
+    } catch (error) {
+      console.error('[PUSH] Error delivering notification:', {
+        notificationId: notification._id,
+        error: error.message
+      });
+      result.skipped = 'error';
+      return result;
+    }
+  }
+
+  /**
+   * Send to one device, retrying transient errors
+   * @param {Object} device
+   * @param {Object} message
+   * @returns {Promise<string>} sent | failed | pruned
+   */
+  async sendToDevice(device, message) {
+    const { attempts, backoff } = pushConfig.retry;
+
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        await this.getProvider(device.provider).send(device, message);
+        await Device.updateOne(
+          { _id: device._id },
+          { $set: { lastDeliveredAt: new Date(), failureCount: 0 }, $unset: { lastError: 1 } }
+        );
+        return 'sent';
+      } catch (error) {
+        if (error.invalidToken) {
+          await Device.deleteOne({ _id: device._id });
+          console.log('[PUSH] Invalid device token pruned:', {
+            deviceId: device._id,
+            userId: device.user,
+            provider: device.provider,
+            reason: error.code
+          });
+          return 'pruned';
+        }
+
+        if (!error.retryable || attempt === attempts) {
+          await Device.updateOne(
+            { _id: device._id },
+            { $inc: { failureCount: 1 }, $set: { lastError: error.code || error.message } }
+          );
+          console.error('[PUSH] Push delivery failed:', {
+            deviceId: device._id,
+            provider: device.provider,
+            attempts: attempt,
+            error: error.message
+          });
+          return 'failed';
+        }
+
+        await wait(error.retryAfter || backoff.delay * 2 ** (attempt - 1));
+      }
+    }
+
+    return 'failed';
+  }
+}
+
+module.exports = new PushService();
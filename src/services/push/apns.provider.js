@@ -0,0 +1,143 @@
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+// Apple rejects provider tokens older than an hour and refreshed more than every 20 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+// Reasons meaning the device token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+const RETRYABLE_STATUSES = [429, 500, 503];
+const REQUEST_TIMEOUT_MS = 10000;
+
+function providerError(code, message, { invalidToken = false, retryable = false } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.invalidToken = invalidToken;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Apple Push Notification service provider (HTTP/2, token-based authentication)
+ */
+class ApnsProvider {
+  /**
+   * @param {Object} config - push config `apns` section
+   */
+  constructor(config) {
+    this.name = 'apns';
+    this.config = config;
+    this.host = config.production ? APNS_HOSTS.production : APNS_HOSTS.sandbox;
+    this.session = null;
+    this.providerToken = null;
+  }
+
+  getProviderToken(now = Date.now()) {
+    if (!this.providerToken || now - this.providerToken.issuedAt > PROVIDER_TOKEN_TTL_MS) {
+      this.providerToken = {
+        value: jwt.sign({ iss: this.config.teamId }, this.config.privateKey, {
+          algorithm: 'ES256',
+          keyid: this.config.keyId
+        }),
+        issuedAt: now
+      };
+    }
+    return this.providerToken.value;
+  }
+
+  // One HTTP/2 connection is reused for every push, as Apple recommends
+  getSession() {
+    if (!this.session || this.session.closed || this.session.destroyed) {
+      this.session = http2.connect(this.host);
+      this.session.on('error', error => {
+        console.error('[PUSH] APNs connection error:', { error: error.message });
+      });
+      this.session.unref();
+    }
+    return this.session;
+  }
+
+  /**
+   * @param {Object} device - Device document
+   * @param {Object} message - { title, body, data, badge, collapseKey }
+   * @throws {Error} With invalidToken / retryable flags
+   */
+  async send(device, message) {
+    if (!this.config.keyId || !this.config.teamId || !this.config.privateKey || !this.config.bundleId) {
+      throw providerError('PROVIDER_NOT_CONFIGURED', 'APNs is not configured');
+    }
+
+    const payload = JSON.stringify({
+      aps: {
+        alert: { title: message.title, body: message.body },
+        badge: message.badge,
+        sound: 'default',
+        'thread-id': message.collapseKey
+      },
+      ...message.data
+    });
+
+    const { status, body } = await this.request(device.token, payload, message.collapseKey);
+    if (status === 200) {
+      return;
+    }
+
+    let reason = 'UnknownError';
+    try {
+      reason = JSON.parse(body).reason || reason;
+    } catch {
+      // Empty or non-JSON body, keep the generic reason
+    }
+
+    if (reason === 'ExpiredProviderToken') {
+      this.providerToken = null;
+    }
+    if (status === 410 || INVALID_TOKEN_REASONS.includes(reason)) {
+      throw providerError(reason, 'APNs device token is no longer valid', { invalidToken: true });
+    }
+    throw providerError(reason, `APNs delivery failed: ${status} ${reason}`, {
+      retryable: RETRYABLE_STATUSES.includes(status) || reason === 'ExpiredProviderToken'
+    });
+  }
+
+  request(deviceToken, payload, collapseKey) {
+    return new Promise((resolve, reject) => {
+      const request = this.getSession().request({
+        ':method': 'POST',
+        ':path': `/3/device/${deviceToken}`,
+        authorization: `bearer ${this.getProviderToken()}`,
+        'apns-topic': this.config.bundleId,
+        'apns-push-type': 'alert',
+        'apns-priority': '10',
+        // Apple limits the collapse id to 64 bytes
+        ...(collapseKey ? { 'apns-collapse-id': collapseKey.slice(0, 64) } : {}),
+        'content-type': 'application/json'
+      });
+
+      let status;
+      let body = '';
+      request.setEncoding('utf8');
+      request.setTimeout(REQUEST_TIMEOUT_MS, () => {
+        request.close(http2.constants.NGHTTP2_CANCEL);
+        reject(providerError('TIMEOUT', 'APNs request timed out', { retryable: true }));
+      });
+      request.on('response', headers => {
+        status = headers[':status'];
+      });
+      request.on('data', chunk => {
+        body += chunk;
+      });
+      request.on('end', () => resolve({ status, body }));
+      request.on('error', error => {
+        reject(providerError('CONNECTION_ERROR', `APNs request failed: ${error.message}`, { retryable: true }));
+      });
+
+      request.end(payload);
+    });
+  }
+}
+
+module.exports = ApnsProvider;
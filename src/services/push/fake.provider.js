@@ -0,0 +1,70 @@
+function providerError(code, message, { invalidToken = false, retryable = false } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.invalidToken = invalidToken;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Fake push provider - keeps pushes in memory instead of sending them
+ *
+ * Used for every platform when PUSH_TRANSPORT is 'fake' (tests, local dev).
+ * Failures can be scripted per token to exercise retries and pruning.
+ */
+class FakePushProvider {
+  constructor() {
+    this.name = 'fake';
+    this.sent = [];
+    this.failures = new Map();
+  }
+
+  /**
+   * @param {Object} device - Device document
+   * @param {Object} message - { title, body, data, badge, collapseKey }
+   */
+  async send(device, message) {
+    const failure = this.failures.get(device.token);
+    if (failure && failure.times > 0) {
+      failure.times--;
+      throw providerError(failure.code, `Fake delivery failure: ${failure.code}`, failure);
+    }
+
+    this.sent.push({
+      provider: device.provider,
+      platform: device.platform,
+      token: device.token,
+      message,
+      sentAt: new Date()
+    });
+  }
+
+  /**
+   * Make the next deliveries to a token fail
+   * @param {string} token
+   * @param {Object} failure
+   * @param {string} failure.code
+   * @param {boolean} failure.invalidToken - The token is gone, the device gets pruned
+   * @param {boolean} failure.retryable - Transient, the pipeline retries
+   * @param {number} failure.times - Failing attempts before it succeeds again
+   */
+  failWith(token, { code = 'FAKE_ERROR', invalidToken = false, retryable = false, times = Infinity } = {}) {
+    this.failures.set(token, { code, invalidToken, retryable, times });
+  }
+
+  /**
+   * Pushes received by a token
+   * @param {string} token - Optional filter
+   * @returns {Array}
+   */
+  getSent(token) {
+    return token ? this.sent.filter(push => push.token === token) : [...this.sent];
+  }
+
+  reset() {
+    this.sent = [];
+    this.failures.clear();
+  }
+}
+
+module.exports = new FakePushProvider();
@@ -0,0 +1,89 @@
+const { GoogleAuth } = require('google-auth-library');
+
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+// FCM error codes meaning the registration token will never work again
+const INVALID_TOKEN_CODES = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+function providerError(code, message, { invalidToken = false, retryable = false, retryAfter } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.invalidToken = invalidToken;
+  error.retryable = retryable;
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Firebase Cloud Messaging provider (HTTP v1 API)
+ */
+class FcmProvider {
+  /**
+   * @param {Object} config - push config `fcm` section
+   */
+  constructor(config) {
+    this.name = 'fcm';
+    this.projectId = config.projectId;
+    this.auth = new GoogleAuth({
+      scopes: [FCM_SCOPE],
+      ...(config.serviceAccount ? { credentials: JSON.parse(config.serviceAccount) } : {})
+    });
+  }
+
+  /**
+   * @param {Object} device - Device document
+   * @param {Object} message - { title, body, data, badge, collapseKey }
+   * @throws {Error} With invalidToken / retryable flags
+   */
+  async send(device, message) {
+    if (!this.projectId) {
+      throw providerError('PROVIDER_NOT_CONFIGURED', 'FCM is not configured');
+    }
+
+    const client = await this.auth.getClient();
+    try {
+      await client.request({
+        url: `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`,
+        method: 'POST',
+        data: {
+          message: {
+            token: device.token,
+            notification: { title: message.title, body: message.body },
+            // FCM data values must be strings
+            data: Object.fromEntries(
+              Object.entries(message.data || {})
+                .filter(([, value]) => value !== undefined && value !== null)
+                .map(([key, value]) => [key, String(value)])
+            ),
+            android: {
+              priority: 'high',
+              collapse_key: message.collapseKey,
+              notification: { tag: message.collapseKey, notification_count: message.badge }
+            },
+            apns: {
+              headers: { 'apns-collapse-id': message.collapseKey },
+              payload: { aps: { badge: message.badge, sound: 'default', 'thread-id': message.collapseKey } }
+            }
+          }
+        }
+      });
+    } catch (error) {
+      const status = error.response?.status;
+      const details = error.response?.data?.error?.details || [];
+      const fcmCode = details.find(detail => detail.errorCode)?.errorCode ||
+        error.response?.data?.error?.status;
+
+      if (status === 404 || INVALID_TOKEN_CODES.includes(fcmCode)) {
+        throw providerError(fcmCode || 'UNREGISTERED', 'FCM registration token is no longer valid', { invalidToken: true });
+      }
+
+      const retryAfter = parseInt(error.response?.headers?.['retry-after'], 10);
+      throw providerError(fcmCode || 'FCM_ERROR', `FCM delivery failed: ${error.message}`, {
+        retryable: !status || RETRYABLE_STATUSES.includes(status),
+        retryAfter: Number.isNaN(retryAfter) ? undefined : retryAfter * 1000
+      });
+    }
+  }
+}
+
+module.exports = FcmProvider;
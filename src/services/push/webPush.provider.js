@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const https = require('https');
+const { URL } = require('url');
+const jwt = require('jsonwebtoken');
+
+// Seconds the push service keeps an undelivered message
+const TTL_SECONDS = 24 * 60 * 60;
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+const RECORD_SIZE = 4096;
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const REQUEST_TIMEOUT_MS = 10000;
+
+function providerError(code, message, { invalidToken = false, retryable = false } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.invalidToken = invalidToken;
+  error.retryable = retryable;
+  return error;
+}
+
+/**
+ * Encrypt a payload for a push subscription (RFC 8291, aes128gcm content coding)
+ * @param {string} payload
+ * @param {Object} keys - Subscription keys { p256dh, auth } (base64url)
+ * @returns {Buffer} Encrypted body
+ */
+function encryptPayload(payload, keys) {
+  const clientPublicKey = Buffer.from(keys.p256dh, 'base64url');
+  const authSecret = Buffer.from(keys.auth, 'base64url');
+
+  const serverKeys = crypto.createECDH('prime256v1');
+  const serverPublicKey = serverKeys.generateKeys();
+  const sharedSecret = serverKeys.computeSecret(clientPublicKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientPublicKey, serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // Single record: the payload followed by the last-record delimiter
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const encrypted = Buffer.concat([
+    cipher.update(Buffer.concat([Buffer.from(payload), Buffer.from([2])])),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  const recordSize = Buffer.alloc(4);
+  recordSize.writeUInt32BE(RECORD_SIZE);
+  return Buffer.concat([salt, recordSize, Buffer.from([serverPublicKey.length]), serverPublicKey, encrypted]);
+}
+
+/**
+ * Whether a subscription endpoint belongs to a known browser push service
+ * @param {string} endpoint
+ * @param {Array<string>} allowedHosts - Host names, `.example.com` for subdomains
+ * @returns {boolean}
+ */
+function isAllowedEndpoint(endpoint, allowedHosts = []) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (url.protocol !== 'https:' || url.port || url.username || url.password) {
+    return false;
+  }
+  const host = url.hostname.toLowerCase();
+  return allowedHosts.some(allowed => (allowed.startsWith('.') ? host.endsWith(allowed) : host === allowed));
+}
+
+/**
+ * Web Push provider (browser subscriptions, VAPID authentication)
+ */
+class WebPushProvider {
+  /**
+   * @param {Object} config - push config `webPush` section
+   */
+  constructor(config) {
+    this.name = 'webpush';
+    this.config = config;
+    this.signingKey = null;
+  }
+
+  // The VAPID private key is a raw P-256 scalar, its public key gives the curve point
+  getSigningKey() {
+    if (!this.signingKey) {
+      const publicKey = Buffer.from(this.config.publicKey, 'base64url');
+      this.signingKey = crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+          kty: 'EC',
+          crv: 'P-256',
+          d: this.config.privateKey,
+          x: publicKey.subarray(1, 33).toString('base64url'),
+          y: publicKey.subarray(33, 65).toString('base64url')
+        }
+      });
+    }
+    return this.signingKey;
+  }
+
+  getAuthorization(endpoint) {
+    const token = jwt.sign(
+      { aud: new URL(endpoint).origin, sub: this.config.subject },
+      this.getSigningKey(),
+      { algorithm: 'ES256', expiresIn: VAPID_TOKEN_TTL_SECONDS, noTimestamp: true }
+    );
+    return `vapid t=${token}, k=${this.config.publicKey}`;
+  }
+
+  /**
+   * @param {Object} device - Device document with keys
+   * @param {Object} message - { title, body, data, badge, collapseKey }
+   * @throws {Error} With invalidToken / retryable flags
+   */
+  async send(device, message) {
+    if (!this.config.publicKey || !this.config.privateKey) {
+      throw providerError('PROVIDER_NOT_CONFIGURED', 'Web Push is not configured');
+    }
+    if (!device.keys?.p256dh || !device.keys?.auth) {
+      throw providerError('MISSING_KEYS', 'Web Push subscription has no encryption keys', { invalidToken: true });
+    }
+    if (!isAllowedEndpoint(device.token, this.config.allowedHosts)) {
+      throw providerError('ENDPOINT_NOT_ALLOWED', 'Web Push endpoint is not a known push service', { invalidToken: true });
+    }
+
+    const body = encryptPayload(JSON.stringify(message), device.keys);
+    const headers = {
+      Authorization: this.getAuthorization(device.token),
+      TTL: String(TTL_SECONDS),
+      Urgency: 'high',
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': body.length
+    };
+    if (message.collapseKey) {
+      // A topic replaces a pending message with the same topic (32 URL-safe characters max)
+      headers.Topic = crypto.createHash('sha256').update(message.collapseKey).digest('base64url').slice(0, 32);
+    }
+
+    const status = await this.request(device.token, headers, body);
+    if (status >= 200 && status < 300) {
+      return;
+    }
+    if (status === 404 || status === 410) {
+      throw providerError('SUBSCRIPTION_EXPIRED', 'Web Push subscription is no longer valid', { invalidToken: true });
+    }
+    throw providerError('WEBPUSH_ERROR', `Web Push delivery failed: ${status}`, {
+      retryable: RETRYABLE_STATUSES.includes(status)
+    });
+  }
+
+  request(endpoint, headers, body) {
+    return new Promise((resolve, reject) => {
+      const request = https.request(endpoint, { method: 'POST', headers, timeout: REQUEST_TIMEOUT_MS }, response => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+      });
+      request.on('timeout', () => {
+        request.destroy(providerError('TIMEOUT', 'Web Push request timed out', { retryable: true }));
+      });
+      request.on('error', error => {
+        reject(error.code === 'TIMEOUT'
+          ? error
+          : providerError('CONNECTION_ERROR', `Web Push request failed: ${error.message}`, { retryable: true }));
+      });
+      request.end(body);
+    });
+  }
+}
+
+module.exports = WebPushProvider;
+module.exports.encryptPayload = encryptPayload;
+module.exports.isAllowedEndpoint = isAllowedEndpoint;
@@ -3,8 +3,8 @@ const Report = require('../models/report.model');
 const Post = require('../models/post.model');
 const Comment = require('../models/comment.model');
 const Short = require('../models/short.model');
-const Notification = require('../models/notification.model');
-const mongoose = require('mongoose');
+const appealService = require('./appeal.service');
+const brigadingService = require('./brigading.service');
 
 class ReportMonitorService {
   constructor() {
@@ -62,12 +62,13 @@ class ReportMonitorService {
 
   async checkAndProcessItem(targetType, targetId) {
     try {
-      const autoRemovalCheck = await Report.checkAutoRemovalThreshold(
+      // Coordinated reports hold the removal for a moderator instead
+      const { shouldRemove, check: autoRemovalCheck } = await brigadingService.evaluateAutoRemoval(
         targetType,
         targetId
       );
 
-      if (autoRemovalCheck.shouldRemove) {
+      if (shouldRemove) {
         console.log(`Auto-removing ${targetType} ${targetId}: ${autoRemovalCheck.reason}`);
 
         // Perform the removal
@@ -110,35 +111,18 @@ class ReportMonitorService {
       throw new Error(`Invalid target type: ${targetType}`);
     }
 
+    // Posts leave the author's profile and can be appealed
+    if (targetType === 'post') {
+      await appealService.removePost(targetId, { reason: `Automatic removal: ${reason}` });
+      return;
+    }
+
     // Soft delete the content
     await model.findByIdAndUpdate(targetId, {
       isDeleted: true,
       deletedAt: new Date(),
       deletionReason: `Automatic removal: ${reason}`
     });
-
-    // If it's a post, also handle related content
-    if (targetType === 'post') {
-      // Remove from user's posts
-      const post = await Post.findById(targetId);
-      if (post && post.journalist) {
-        const User = require('../models/user.model');
-        await User.findByIdAndUpdate(
-          post.journalist,
-          { $pull: { posts: targetId } }
-        );
-
-        // Create notification for post owner
-        await Notification.createNotification({
-          type: 'post_removed',
-          senderId: mongoose.Types.ObjectId('000000000000000000000000'), // System ID
-          recipientId: post.journalist,
-          entityId: targetId,
-          entityType: 'post',
-          postId: targetId
-        });
-      }
-    }
   }
 
   // Manual trigger for immediate check
@@ -0,0 +1,200 @@
+const Post = require('../models/post.model');
+const PostRevision = require('../models/postRevision.model');
+const { diffText } = require('../utils/textDiff');
+
+const { REVISION_FIELDS } = PostRevision;
+// Concurrent edits may race for the same version number
+const MAX_VERSION_ATTEMPTS = 3;
+
+function revisionError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Revision Service - Edit history of published posts
+ *
+ * Drafts are edited freely; once a post is published every change to its
+ * editorial fields becomes a numbered revision and the post carries a public
+ * correction marker.
+ */
+class RevisionService {
+  /**
+   * Editorial fields of a post
+   * @param {Object} post
+   * @returns {Object}
+   */
+  snapshot(post) {
+    return REVISION_FIELDS.reduce((result, field) => {
+      result[field] = post[field] === undefined || post[field] === null ? '' : String(post[field]);
+      return result;
+    }, {});
+  }
+
+  /**
+   * Per-field word diffs between two snapshots (unchanged fields are left out)
+   * @param {Object} before
+   * @param {Object} after
+   * @returns {Array<{ field: string, diff: Array }>}
+   */
+  diffSnapshots(before, after) {
+    return REVISION_FIELDS
+      .filter(field => (before[field] || '') !== (after[field] || ''))
+      .map(field => ({ field, diff: diffText(before[field], after[field]) }));
+  }
+
+  /**
+   * Record an edit of a published post
+   * @param {Object} post - Post after the edit (saved)
+   * @param {Object} before - snapshot() taken before the edit
+   * @param {Object} options
+   * @param {Object} options.editor - User making the change
+   * @param {string} options.note - Optional public correction note
+   * @param {string} options.kind - 'edit' | 'rollback'
+   * @param {number} options.rolledBackTo
+   * @returns {Promise<Object|null>} Created revision, null when no tracked field changed
+   */
+  async recordEdit(post, before, { editor, note, kind = 'edit', rolledBackTo } = {}) {
+    const after = this.snapshot(post);
+    const changes = this.diffSnapshots(before, after);
+    if (changes.length === 0) {
+      return null;
+    }
+
+    await this.ensureOriginal(post, before);
+
+    let revision = null;
+    for (let attempt = 0; attempt < MAX_VERSION_ATTEMPTS && !revision; attempt++) {
+      const latest = await PostRevision.findOne({ post: post._id }).sort({ version: -1 }).select('version').lean();
+      try {
+        revision = await PostRevision.create({
+          post: post._id,
+          version: (latest?.version || 0) + 1,
+          kind,
+          editor: editor?._id,
+          editorRole: editor?.role,
+          snapshot: after,
+          changes,
+          correctionNote: note || undefined,
+          rolledBackTo
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt === MAX_VERSION_ATTEMPTS - 1) {
+          throw error;
+        }
+      }
+    }
+
+    const correction = {
+      correctedAt: revision.createdAt,
+      note: note || undefined,
+      version: revision.version
+    };
+    // Direct update: the post was just saved, no need to run its hooks again
+    await Post.updateOne({ _id: post._id }, { $set: { correction } });
+    post.correction = correction;
+
+    console.log('[REVISION] Post revision recorded:', {
+      postId: post._id,
+      version: revision.version,
+      kind,
+      changedFields: changes.map(change => change.field),
+      editorId: editor?._id
+    });
+
+    return revision;
+  }
+
+  /**
+   * Version 1 is the post as published, recorded before its first edit
+   */
+  async ensureOriginal(post, before) {
+    if (await PostRevision.exists({ post: post._id })) {
+      return;
+    }
+
+    try {
+      await PostRevision.create({
+        post: post._id,
+        version: 1,
+        kind: 'original',
+        editor: post.journalist?._id || post.journalist,
+        editorRole: 'journalist',
+        snapshot: before,
+        changes: [],
+        createdAt: post.createdAt
+      });
+    } catch (error) {
+      // Recorded concurrently by another edit
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * @param {string} postId
+   * @returns {Promise<Array>} Newest first, without snapshots
+   */
+  async listRevisions(postId) {
+    return PostRevision.find({ post: postId })
+      .select('-snapshot')
+      .populate('editor', 'username name avatarUrl role')
+      .sort({ version: -1 });
+  }
+
+  /**
+   * @param {string} postId
+   * @param {number} version
+   * @returns {Promise<Object|null>}
+   */
+  async getRevision(postId, version) {
+    return PostRevision.findOne({ post: postId, version })
+      .populate('editor', 'username name avatarUrl role');
+  }
+
+  /**
+   * Restore the editorial fields of an earlier version (recorded as a new version)
+   * @param {string} postId
+   * @param {number} version
+   * @param {Object} admin
+   * @param {string} reason - Shown as the correction note
+   * @returns {Promise<{ post: Object, revision: Object, before: Object }>}
+   * @throws {Error} status 404 POST_NOT_FOUND | REVISION_NOT_FOUND, status 409 NO_CHANGES
+   */
+  async rollback(postId, version, admin, reason) {
+    const post = await Post.findById(postId);
+    if (!post || post.isDeleted) {
+      throw revisionError('POST_NOT_FOUND', 'Post not found', 404);
+    }
+
+    const target = await PostRevision.findOne({ post: postId, version });
+    if (!target) {
+      throw revisionError('REVISION_NOT_FOUND', 'Revision not found', 404);
+    }
+
+    const before = this.snapshot(post);
+    if (this.diffSnapshots(before, target.snapshot).length === 0) {
+      throw revisionError('NO_CHANGES', 'The post already matches this revision', 409);
+    }
+
+    REVISION_FIELDS.forEach(field => {
+      // Empty optional fields (e.g. no video) are stored as '' in snapshots
+      post[field] = target.snapshot[field] || undefined;
+    });
+    await post.save();
+
+    const revision = await this.recordEdit(post, before, {
+      editor: admin,
+      note: reason,
+      kind: 'rollback',
+      rolledBackTo: version
+    });
+
+    return { post, revision, before };
+  }
+}
+
+module.exports = new RevisionService();
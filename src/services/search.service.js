@@ -0,0 +1,497 @@
+const Post = require('../models/post.model');
+const User = require('../models/user.model');
+const cacheService = require('./cache.service');
+const { analyze, tokenize, stem, levenshtein, buildSearchIndex, STOPWORDS } = require('../utils/textAnalyzer');
+
+// Relative importance of each indexed field
+const FIELD_WEIGHTS = {
+  title: 3,
+  hashtags: 2.5,
+  tags: 2,
+  journalist: 1.5,
+  content: 1
+};
+
+// Final score = text relevance + freshness + engagement (all normalized to 0..1)
+const SCORE_WEIGHTS = {
+  text: 0.7,
+  freshness: 0.15,
+  engagement: 0.15
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const FRESHNESS_HALF_LIFE_DAYS = 30;
+const ENGAGEMENT_SATURATION = Math.log1p(10000);
+
+const FUZZY_WEIGHT = 0.6;
+const PREFIX_WEIGHT = 0.8;
+const MAX_PREFIX_EXPANSIONS = 10;
+const MAX_FUZZY_EXPANSIONS = 5;
+const MAX_CANDIDATES = 500; // Best-ranked matches scored in memory
+
+const SNIPPET_LENGTH = 180;
+const VOCABULARY_CACHE_KEY = 'search:vocabulary';
+const VOCABULARY_TTL = 600; // 10 minutes
+
+/**
+ * Search Service - Full-text search over posts
+ *
+ * Posts carry a precomputed `searchIndex` (see Post model / utils/textAnalyzer).
+ * A query is analyzed with the same pipeline, expanded with typo-tolerant and
+ * prefix variants, matched through the multikey index on `searchIndex.terms`,
+ * pre-ranked in the database on idf-weighted field matches, then the best
+ * candidates are scored in memory (BM25-style field scoring + freshness + engagement).
+ */
+class SearchService {
+  /**
+   * Search published posts
+   * @param {string} queryText - Raw user query
+   * @param {Object} options
+   * @param {Object} options.filter - Extra Mongo filter (type, domain, journalist...)
+   * @param {number} options.page - 1-based page
+   * @param {number} options.limit - Page size
+   * @returns {Promise<{ results: Array, total: number }>} results: [{ post, score, textScore, matchedTerms, highlights }]
+   */
+  async search(queryText, { filter = {}, page = 1, limit = 20 } = {}) {
+    const queryTerms = this.analyzeQuery(queryText);
+    if (queryTerms.length === 0) {
+      return { results: [], total: 0 };
+    }
+
+    const expansions = await this.expandTerms(queryTerms);
+    const allTerms = [...new Set(expansions.flatMap(group => group.map(e => e.term)))];
+
+    const match = { ...filter, 'searchIndex.terms': { $in: allTerms } };
+    const idf = await this.getInverseDocumentFrequencies(allTerms);
+
+    // Rank every match before keeping the candidates, and count them all for the total
+    const [candidates, total] = await Promise.all([
+      Post.aggregate([
+        { $match: match },
+        { $addFields: { searchRank: this.rankExpression(expansions, idf) } },
+        { $sort: { searchRank: -1, createdAt: -1 } },
+        { $limit: Math.max(MAX_CANDIDATES, page * limit) },
+        { $unset: 'searchRank' }
+      ]),
+      Post.countDocuments(match)
+    ]);
+
+    if (candidates.length === 0) {
+      return { results: [], total: 0 };
+    }
+    const averageLengths = this.getAverageFieldLengths(candidates);
+
+    const rawScores = candidates.map(post => this.scoreText(post.searchIndex, expansions, idf, averageLengths));
+    const maxTextScore = Math.max(...rawScores.map(s => s.score), 0) || 1;
+
+    const scored = candidates
+      .map((post, i) => {
+        const textScore = rawScores[i].score / maxTextScore;
+        const freshness = this.freshnessScore(post.createdAt);
+        const engagement = this.engagementScore(post);
+
+        return {
+          post,
+          matchedTerms: rawScores[i].matchedTerms,
+          textScore,
+          score: SCORE_WEIGHTS.text * textScore +
+            SCORE_WEIGHTS.freshness * freshness +
+            SCORE_WEIGHTS.engagement * engagement
+        };
+      })
+      .filter(result => result.textScore > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const skip = (page - 1) * limit;
+    const results = scored.slice(skip, skip + limit);
+
+    results.forEach(result => {
+      result.highlights = this.highlight(result.post, result.matchedTerms);
+      delete result.post.searchIndex;
+    });
+
+    return { results, total };
+  }
+
+  /**
+   * Database-side relevance used to pick the candidates: per query term, the best
+   * of its expansions, weighted by idf and by the fields it appears in
+   * @param {Array} expansions - Result of expandTerms
+   * @param {Object} idf - term -> idf
+   * @returns {Object} Aggregation expression
+   */
+  rankExpression(expansions, idf) {
+    const termRank = ({ term, weight }) => ({
+      $multiply: [
+        weight * (idf[term] || 0),
+        {
+          $add: Object.entries(FIELD_WEIGHTS).map(([field, fieldWeight]) => ({
+            $cond: [{ $in: [term, { $ifNull: [`$searchIndex.${field}`, []] }] }, fieldWeight, 0]
+          }))
+        }
+      ]
+    });
+
+    return { $add: expansions.map(group => ({ $max: group.map(termRank) })) };
+  }
+
+  /**
+   * Analyze the query; falls back to keeping stopwords when the query only has stopwords
+   * @param {string} queryText
+   * @returns {string[]} Unique stems
+   */
+  analyzeQuery(queryText) {
+    const terms = analyze(queryText, { unique: true });
+    if (terms.length > 0) {
+      return terms;
+    }
+
+    return [...new Set(
+      tokenize(queryText)
+        .map(token => token.folded)
+        .filter(word => word.length > 1)
+        .map(stem)
+    )];
+  }
+
+  /**
+   * Expand each query term with typo-tolerant and prefix variants found in the index
+   * @param {string[]} queryTerms
+   * @returns {Promise<Array<Array<{ term: string, weight: number }>>>} One group per query term
+   */
+  async expandTerms(queryTerms) {
+    const vocabulary = await this.getVocabulary();
+    const vocabularySet = new Set(vocabulary);
+
+    return queryTerms.map((term, index) => {
+      const group = [{ term, weight: 1 }];
+      const isLast = index === queryTerms.length - 1;
+
+      // Typo tolerance only for unknown terms, so valid words don't drift to neighbours
+      if (!vocabularySet.has(term)) {
+        const maxDistance = this.maxEditDistance(term);
+        if (maxDistance > 0) {
+          vocabulary
+            .map(candidate => ({ candidate, distance: levenshtein(term, candidate, maxDistance) }))
+            .filter(({ distance }) => distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, MAX_FUZZY_EXPANSIONS)
+            .forEach(({ candidate }) => group.push({ term: candidate, weight: FUZZY_WEIGHT }));
+        }
+      }
+
+      // Prefix matching on the last term supports search-as-you-type
+      if (isLast && term.length >= 3) {
+        vocabulary
+          .filter(candidate => candidate !== term && candidate.startsWith(term))
+          .slice(0, MAX_PREFIX_EXPANSIONS)
+          .forEach(candidate => {
+            if (!group.some(e => e.term === candidate)) {
+              group.push({ term: candidate, weight: PREFIX_WEIGHT });
+            }
+          });
+      }
+
+      return group;
+    });
+  }
+
+  /**
+   * Allowed edit distance for a term, by length
+   * @param {string} term
+   * @returns {number}
+   */
+  maxEditDistance(term) {
+    if (term.length >= 8) {
+      return 2;
+    }
+    if (term.length >= 4) {
+      return 1;
+    }
+    return 0;
+  }
+
+  /**
+   * Distinct indexed terms of published posts (cached)
+   * @returns {Promise<string[]>}
+   */
+  async getVocabulary() {
+    const cached = cacheService.get('general', VOCABULARY_CACHE_KEY);
+    if (cached) {
+      return cached;
+    }
+
+    const vocabulary = await Post.distinct('searchIndex.terms', {
+      status: 'published',
+      isDeleted: { $ne: true }
+    });
+    cacheService.set('general', VOCABULARY_CACHE_KEY, vocabulary, VOCABULARY_TTL);
+
+    return vocabulary;
+  }
+
+  /**
+   * Inverse document frequency for each term over published posts
+   * @param {string[]} terms
+   * @returns {Promise<Object>} term -> idf
+   */
+  async getInverseDocumentFrequencies(terms) {
+    const publishedFilter = { status: 'published', isDeleted: { $ne: true } };
+
+    const [totalDocs, frequencies] = await Promise.all([
+      Post.countDocuments(publishedFilter),
+      Post.aggregate([
+        { $match: { ...publishedFilter, 'searchIndex.terms': { $in: terms } } },
+        { $project: { term: '$searchIndex.terms' } },
+        { $unwind: '$term' },
+        { $match: { term: { $in: terms } } },
+        { $group: { _id: '$term', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const idf = {};
+    terms.forEach(term => {
+      idf[term] = this.inverseDocumentFrequency(totalDocs, 0);
+    });
+    frequencies.forEach(({ _id, count }) => {
+      idf[_id] = this.inverseDocumentFrequency(totalDocs, count);
+    });
+
+    return idf;
+  }
+
+  /**
+   * BM25 idf, kept positive for very common terms
+   * @param {number} totalDocs
+   * @param {number} docFrequency
+   * @returns {number}
+   */
+  inverseDocumentFrequency(totalDocs, docFrequency) {
+    return Math.log(1 + (totalDocs - docFrequency + 0.5) / (docFrequency + 0.5));
+  }
+
+  /**
+   * Average length of each indexed field over the candidate set
+   * @param {Array} posts
+   * @returns {Object} field -> average length
+   */
+  getAverageFieldLengths(posts) {
+    const averages = {};
+
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      const total = posts.reduce((sum, post) => sum + (post.searchIndex?.[field]?.length || 0), 0);
+      averages[field] = total / posts.length || 1;
+    });
+
+    return averages;
+  }
+
+  /**
+   * BM25F-style text score: per query term, the best of its expansions
+   * @param {Object} searchIndex - Post.searchIndex
+   * @param {Array} expansions - Result of expandTerms
+   * @param {Object} idf - term -> idf
+   * @param {Object} averageLengths - field -> average length
+   * @returns {{ score: number, matchedTerms: string[] }}
+   */
+  scoreText(searchIndex, expansions, idf, averageLengths) {
+    if (!searchIndex) {
+      return { score: 0, matchedTerms: [] };
+    }
+
+    const frequencies = {};
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      const counts = new Map();
+      (searchIndex[field] || []).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+      frequencies[field] = counts;
+    });
+
+    let score = 0;
+    let matchedGroups = 0;
+    const matchedTerms = [];
+
+    expansions.forEach(group => {
+      let best = 0;
+
+      group.forEach(({ term, weight }) => {
+        let termScore = 0;
+
+        Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+          const tf = frequencies[field].get(term) || 0;
+          if (tf === 0) {
+            return;
+          }
+          const length = (searchIndex[field] || []).length;
+          const norm = 1 - BM25_B + BM25_B * (length / averageLengths[field]);
+          termScore += fieldWeight * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+        });
+
+        if (termScore > 0) {
+          matchedTerms.push(term);
+          best = Math.max(best, weight * (idf[term] || 0) * termScore);
+        }
+      });
+
+      if (best > 0) {
+        matchedGroups++;
+        score += best;
+      }
+    });
+
+    // Favour posts matching every query term over posts repeating one of them
+    const coverage = matchedGroups / expansions.length;
+
+    return { score: score * (0.5 + 0.5 * coverage), matchedTerms };
+  }
+
+  /**
+   * Exponential decay on post age
+   * @param {Date} createdAt
+   * @returns {number} 0..1
+   */
+  freshnessScore(createdAt) {
+    if (!createdAt) {
+      return 0;
+    }
+    const ageDays = Math.max(0, (Date.now() - new Date(createdAt).getTime()) / (24 * 60 * 60 * 1000));
+    return Math.pow(0.5, ageDays / FRESHNESS_HALF_LIFE_DAYS);
+  }
+
+  /**
+   * Log-scaled engagement (views, likes, comments, bookmarks)
+   * @param {Object} post
+   * @returns {number} 0..1
+   */
+  engagementScore(post) {
+    const interactions = post.interactions || {};
+    const raw = (post.stats?.views || 0) +
+      3 * (interactions.likes?.count || 0) +
+      4 * (interactions.comments?.count || 0) +
+      5 * (interactions.bookmarks?.count || 0);
+
+    return Math.min(1, Math.log1p(raw) / ENGAGEMENT_SATURATION);
+  }
+
+  /**
+   * Highlighted title and content snippet; matched words wrapped in <mark>
+   * Text is HTML-escaped so the snippet can be rendered as-is
+   * @param {Object} post
+   * @param {string[]} matchedTerms - Stems that matched
+   * @returns {{ title: string, content: string }}
+   */
+  highlight(post, matchedTerms) {
+    const terms = new Set(matchedTerms);
+    const isMatch = token => !STOPWORDS.has(token.folded) && terms.has(stem(token.folded));
+
+    const titleTokens = tokenize(post.title);
+    const contentTokens = tokenize(post.content);
+
+    const firstMatch = contentTokens.find(isMatch);
+    let start = 0;
+    if (firstMatch && firstMatch.start > SNIPPET_LENGTH / 3) {
+      start = firstMatch.start - Math.floor(SNIPPET_LENGTH / 3);
+      const boundary = (post.content || '').indexOf(' ', start);
+      start = boundary === -1 ? start : boundary + 1;
+    }
+    let end = Math.min((post.content || '').length, start + SNIPPET_LENGTH);
+    if (end < (post.content || '').length) {
+      const boundary = (post.content || '').lastIndexOf(' ', end);
+      end = boundary > start ? boundary : end;
+    }
+
+    const snippetTokens = contentTokens.filter(token => token.start >= start && token.end <= end);
+    let content = this.markTokens(post.content || '', snippetTokens.filter(isMatch), start, end);
+    if (start > 0) {
+      content = '…' + content;
+    }
+    if (end < (post.content || '').length) {
+      content += '…';
+    }
+
+    return {
+      title: this.markTokens(post.title || '', titleTokens.filter(isMatch), 0, (post.title || '').length),
+      content
+    };
+  }
+
+  /**
+   * Wrap tokens of text[start..end] in <mark>, escaping everything
+   * @param {string} text
+   * @param {Array} tokens - Tokens to mark (sorted by position)
+   * @param {number} start
+   * @param {number} end
+   * @returns {string}
+   */
+  markTokens(text, tokens, start, end) {
+    let output = '';
+    let cursor = start;
+
+    tokens.forEach(token => {
+      output += escapeHtml(text.slice(cursor, token.start));
+      output += `<mark>${escapeHtml(token.word)}</mark>`;
+      cursor = token.end;
+    });
+    output += escapeHtml(text.slice(cursor, end));
+
+    return output;
+  }
+
+  /**
+   * Rebuild the search index of one post
+   * @param {Object} post - Post document or lean object
+   * @param {string} journalistName - Optional, looked up when omitted
+   */
+  async indexPost(post, journalistName = null) {
+    const name = journalistName !== null
+      ? journalistName
+      : await this.getJournalistName(post.journalist?._id || post.journalist);
+
+    await Post.updateOne(
+      { _id: post._id },
+      { $set: { searchIndex: buildSearchIndex(post, name) } }
+    );
+  }
+
+  /**
+   * Rebuild the index of every post by a journalist (e.g. after a name change)
+   * @param {string} journalistId
+   * @returns {Promise<number>} Number of posts reindexed
+   */
+  async reindexJournalistPosts(journalistId) {
+    const journalistName = await this.getJournalistName(journalistId);
+    const posts = await Post.find({ journalist: journalistId })
+      .select('title content tags hashtags journalist')
+      .lean();
+
+    for (const post of posts) {
+      await this.indexPost(post, journalistName);
+    }
+
+    cacheService.invalidateCache('general', VOCABULARY_CACHE_KEY);
+    return posts.length;
+  }
+
+  /**
+   * Name and username of a journalist, as indexed in searchIndex.journalist
+   * @param {string} journalistId
+   * @returns {Promise<string>}
+   */
+  async getJournalistName(journalistId) {
+    if (!journalistId) {
+      return '';
+    }
+    const journalist = await User.findById(journalistId).select('name username').lean();
+    return [journalist?.name, journalist?.username].filter(Boolean).join(' ');
+  }
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = new SearchService();
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session.model');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '1h';
+// Rotated hashes kept per session for reuse detection
+const MAX_PREVIOUS_HASHES = 20;
+
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Session Service - Per-device sessions with rotating opaque refresh tokens
+ *
+ * Login issues a short-lived access JWT ({ userId, userType, sid }) and an
+ * opaque refresh token. Each refresh rotates the refresh token; presenting an
+ * already-rotated token revokes the whole session (token theft).
+ */
+class SessionService {
+  /**
+   * Create a session for a freshly authenticated user
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (device info, IP)
+   * @returns {Promise<{ accessToken: string, refreshToken: string, expiresIn: string, session: Object }>}
+   */
+  async createSession(user, req) {
+    const refreshToken = this.generateRefreshToken();
+    const ip = this.getIp(req);
+
+    const session = await Session.create({
+      user: user._id,
+      tokenHash: this.hashToken(refreshToken),
+      device: this.getDeviceInfo(req),
+      ip,
+      lastIp: ip,
+      expiresAt: this.getExpiryDate()
+    });
+
+    return {
+      accessToken: this.generateAccessToken(user, session._id),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      session
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken
+   * @param {Object} req
+   * @returns {Promise<{ accessToken: string, refreshToken: string, expiresIn: string, session: Object, user: Object }>}
+   * @throws {Error} status 401 with code INVALID_REFRESH_TOKEN | REFRESH_TOKEN_REUSED | SESSION_REVOKED | SESSION_EXPIRED
+   */
+  async rotate(refreshToken, req) {
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      throw sessionError('INVALID_REFRESH_TOKEN', 'Refresh token is required');
+    }
+
+    const tokenHash = this.hashToken(refreshToken);
+    const session = await Session.findOne({ tokenHash }).populate('user');
+
+    if (!session) {
+      // A rotated token being replayed: whoever holds the current one may be an attacker
+      const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+      if (reused) {
+        await this.revokeSession(reused._id, reused.user, 'reuse_detected');
+        console.warn('[SESSION] Refresh token reuse detected, session revoked:', {
+          sessionId: reused._id,
+          userId: reused.user,
+          ip: this.getIp(req)
+        });
+        throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used');
+      }
+      throw sessionError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    if (session.revokedAt) {
+      throw sessionError('SESSION_REVOKED', 'Session has been revoked');
+    }
+    if (session.expiresAt <= new Date()) {
+      throw sessionError('SESSION_EXPIRED', 'Session has expired');
+    }
+    if (!session.user) {
+      throw sessionError('INVALID_REFRESH_TOKEN', 'User not found');
+    }
+    if (session.user.status === 'banned') {
+      await this.revokeSession(session._id, session.user._id, 'admin');
+      throw sessionError('SESSION_REVOKED', 'Account is permanently banned');
+    }
+
+    const newRefreshToken = this.generateRefreshToken();
+    const previousTokenHashes = [...session.previousTokenHashes, tokenHash].slice(-MAX_PREVIOUS_HASHES);
+
+    // Conditional update so two concurrent refreshes with the same token can't both win
+    const updated = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash, revokedAt: null },
+      {
+        $set: {
+          tokenHash: this.hashToken(newRefreshToken),
+          previousTokenHashes,
+          lastUsedAt: new Date(),
+          lastIp: this.getIp(req),
+          expiresAt: this.getExpiryDate()
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw sessionError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used');
+    }
+
+    return {
+      accessToken: this.generateAccessToken(session.user, session._id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+      session: updated,
+      user: session.user
+    };
+  }
+
+  /**
+   * Whether an access token's session is still usable
+   * @param {string} sessionId
+   * @param {string} userId
+   * @returns {Promise<boolean>}
+   */
+  async isSessionActive(sessionId, userId) {
+    const session = await Session.findOne({ _id: sessionId, user: userId })
+      .select('revokedAt expiresAt')
+      .lean();
+
+    return !!session && !session.revokedAt && session.expiresAt > new Date();
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async listSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke one session of a user
+   * @param {string} sessionId
+   * @param {string} userId - Owner (prevents revoking someone else's session)
+   * @param {string} reason
+   * @returns {Promise<boolean>} false when no active session matched
+   */
+  async revokeSession(sessionId, userId, reason = 'user_revoked') {
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    if (result.modifiedCount > 0) {
+      this.disconnectSockets([sessionId]);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} userId
+   * @param {string} reason
+   * @param {Object} options
+   * @param {string} options.exceptSessionId - Keep this session (e.g. the one changing the password)
+   * @returns {Promise<number>} Number of revoked sessions
+   */
+  async revokeAllSessions(userId, reason, { exceptSessionId = null } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const sessionIds = await Session.distinct('_id', filter);
+    if (sessionIds.length === 0) {
+      return 0;
+    }
+
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    this.disconnectSockets(sessionIds);
+
+    return sessionIds.length;
+  }
+
+  /**
+   * Close live sockets opened with a revoked session
+   * @param {Array} sessionIds
+   */
+  disconnectSockets(sessionIds) {
+    // Required lazily: socket.service requires this service for its handshake
+    const socketService = require('./socket.service');
+    if (!socketService.io) {
+      return;
+    }
+    sessionIds.forEach(sessionId => {
+      socketService.io.in(`session:${sessionId}`).disconnectSockets(true);
+    });
+  }
+
+  generateAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        userId: user._id,
+        userType: user.role === 'journalist' ? 'journalist' : 'user',
+        sid: sessionId.toString()
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+  }
+
+  generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  getExpiryDate() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  getIp(req) {
+    return req?.ip || req?.connection?.remoteAddress || null;
+  }
+
+  /**
+   * Device description sent by the app (body.device / X-Device-* headers), with the user agent as fallback
+   */
+  getDeviceInfo(req) {
+    const device = (req?.body && typeof req.body.device === 'object' && req.body.device) || {};
+    const header = name => (req?.get ? req.get(name) : undefined);
+
+    return {
+      name: String(device.name || header('X-Device-Name') || '').slice(0, 100) || undefined,
+      platform: String(device.platform || header('X-Device-Platform') || '').slice(0, 30) || undefined,
+      userAgent: (header('User-Agent') || '').slice(0, 300) || undefined
+    };
+  }
+}
+
+module.exports = new SessionService();
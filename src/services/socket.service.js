@@ -1,6 +1,7 @@
 const socketio = require('socket.io');
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const sessionService = require('./session.service');
 // const _NotificationService = require('./notificationService'); // Currently unused
 
 class SocketService {
@@ -56,6 +57,15 @@ class SocketService {
           return next();
         }
 
+        // Revoked sessions must not open a socket (unlike bad tokens, this is not downgraded to anonymous)
+        if (decoded.sid && !(await sessionService.isSessionActive(decoded.sid, userId))) {
+          console.log(`[Socket.IO] Session ${decoded.sid} revoked, rejecting connection`);
+          const error = new Error('Session has been revoked');
+          error.data = { code: 'SESSION_REVOKED' };
+          return next(error);
+        }
+        socket.sessionId = decoded.sid || null;
+
         // Try to find user in database
         let user;
         try {
@@ -97,6 +107,11 @@ class SocketService {
       // Join user's personal room
       socket.join(`user:${socket.userId}`);
 
+      // Session room, used to drop the socket when the session is revoked
+      if (socket.sessionId) {
+        socket.join(`session:${socket.sessionId}`);
+      }
+
       // Emit connection success
       socket.emit('connected', {
         userId: socket.userId,
@@ -0,0 +1,468 @@
+const cron = require('node-cron');
+const mongoose = require('mongoose');
+const Strike = require('../models/strike.model');
+const User = require('../models/user.model');
+const Post = require('../models/post.model');
+const Comment = require('../models/comment.model');
+const Short = require('../models/short.model');
+const NotificationService = require('./notification.service');
+const auditService = require('./audit.service');
+const moderationConfig = require('../config/moderation');
+
+// Field holding the author of each kind of content
+const AUTHOR_FIELDS = {
+  post: { model: Post, field: 'journalist' },
+  comment: { model: Comment, field: 'author' },
+  short: { model: Short, field: 'author' }
+};
+// Accounts never sanctioned automatically
+const PROTECTED_ROLES = ['admin', 'moderator'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function strikeError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Strike Service - Strike ledger and graduated sanctions
+ *
+ * Every upheld report (admin review, moderation case) and every removal by an
+ * admin gives the author a strike, weighted by the severity of its reason,
+ * which counts until it expires. When the active points of a user reach a
+ * threshold (config/moderation.js), the matching sanction is applied: a
+ * warning, a suspension until `suspendedUntil`, or an open-ended suspension
+ * escalated to the admins for a ban. A cron job lifts the suspensions whose
+ * `suspendedUntil` has passed.
+ */
+class StrikeService {
+  constructor() {
+    this.isRunning = false;
+    this.isProcessing = false;
+  }
+
+  start() {
+    if (this.isRunning) {
+      console.log('Strike service is already running');
+      return;
+    }
+
+    // Run every 5 minutes
+    this.cronJob = cron.schedule('*/5 * * * *', async () => {
+      await this.liftExpiredSuspensions();
+    });
+
+    this.isRunning = true;
+    console.log('Strike service started');
+  }
+
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.isRunning = false;
+      console.log('Strike service stopped');
+    }
+  }
+
+  /**
+   * Strike for a report resolved with an action against its target
+   * Never throws: the review stands even if the strike cannot be recorded
+   * @param {Object} req - Express request of the reviewer
+   * @param {Object} report - Report document
+   * @returns {Promise<Object|null>} Created strike
+   */
+  async recordReport(req, report) {
+    try {
+      if (report.status !== 'resolved' || !report.actionTaken || report.actionTaken === 'none') {
+        return null;
+      }
+      const userId = await this.getAuthorId(report.targetType, report.targetId);
+      if (!userId) {
+        return null;
+      }
+
+      return await this.issue(req, {
+        user: userId,
+        key: this.getKey(report.targetType, report.targetId, 'report', report._id),
+        source: 'report',
+        sourceId: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason
+      });
+    } catch (error) {
+      console.error('[STRIKE] Failed to record report strike:', { reportId: report?._id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Strike for a moderation case resolved with an action, by its most severe reason
+   * Never throws
+   * @param {Object} req - Express request of the moderator
+   * @param {Object} moderationCase - Resolved ModerationCase
+   * @returns {Promise<Object|null>} Created strike
+   */
+  async recordCase(req, moderationCase) {
+    try {
+      if (!moderationCase.actionTaken || moderationCase.actionTaken === 'none' || !moderationCase.author) {
+        return null;
+      }
+      const reasons = (moderationCase.reasons || []).map(entry => entry.reason);
+      const reason = reasons.reduce(
+        (worst, current) => (this.getWeight(current) > this.getWeight(worst) ? current : worst),
+        reasons[0] || 'other'
+      );
+
+      return await this.issue(req, {
+        user: moderationCase.author,
+        key: this.getKey(moderationCase.targetType, moderationCase.targetId, 'moderation_case', moderationCase._id),
+        source: 'moderation_case',
+        sourceId: moderationCase._id,
+        targetType: moderationCase.targetType,
+        targetId: moderationCase.targetId,
+        reason
+      });
+    } catch (error) {
+      console.error('[STRIKE] Failed to record case strike:', { caseId: moderationCase?._id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Strike for content removed by an admin
+   * Never throws
+   * @param {Object} req - Express request of the admin
+   * @param {string} targetType - post | comment | short
+   * @param {Object} content - Removed document, author populated or not
+   * @param {string} [reason] - A report reason weighs as such, anything else as a removal
+   * @returns {Promise<Object|null>} Created strike
+   */
+  async recordRemoval(req, targetType, content, reason) {
+    try {
+      const author = content?.[AUTHOR_FIELDS[targetType]?.field];
+      const userId = author?._id || author;
+      if (!userId) {
+        return null;
+      }
+
+      return await this.issue(req, {
+        user: userId,
+        key: this.getKey(targetType, content._id),
+        source: 'removal',
+        targetType,
+        targetId: content._id,
+        reason: Object.hasOwn(moderationConfig.strikes.reasonWeights, reason) ? reason : 'removal'
+      });
+    } catch (error) {
+      console.error('[STRIKE] Failed to record removal strike:', { targetType, targetId: content?._id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Add a strike to the ledger, then apply the sanction of any threshold it crosses
+   * @returns {Promise<Object|null>} Created strike, null when this content or report already gave one
+   */
+  async issue(req, { user, key, source, sourceId, targetType, targetId, reason }, now = new Date()) {
+    let result;
+    try {
+      result = await Strike.findOneAndUpdate(
+        { user, key },
+        {
+          $setOnInsert: {
+            source,
+            sourceId,
+            targetType,
+            targetId,
+            reason,
+            weight: this.getWeight(reason),
+            issuedBy: req.user?._id,
+            expiresAt: new Date(now.getTime() + moderationConfig.strikes.expiryDays * DAY_MS)
+          }
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+    } catch (error) {
+      // Concurrent upsert of the same key
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+    if (result.lastErrorObject?.updatedExisting) {
+      return null;
+    }
+
+    const strike = result.value;
+    console.log('[STRIKE] Strike issued:', { strikeId: strike._id, userId: user, source, reason, weight: strike.weight });
+    await this.applySanction(req, strike, now);
+    return strike;
+  }
+
+  /**
+   * Apply the highest threshold crossed by a new strike
+   * Staff and banned accounts are left alone; a suspension never shortens a longer one
+   */
+  async applySanction(req, strike, now = new Date()) {
+    const user = await User.findById(strike.user).select('username role status suspendedUntil');
+    if (!user || PROTECTED_ROLES.includes(user.role) || user.status === 'banned') {
+      return null;
+    }
+
+    const points = await this.getActivePoints(user._id, now);
+    const threshold = this.getCrossedThreshold(points - strike.weight, points);
+    if (!threshold) {
+      return null;
+    }
+
+    const metadata = { automatic: true, strikeId: strike._id.toString(), points };
+    const sanction = { type: threshold.sanction, points, appliedAt: now };
+
+    if (threshold.sanction === 'warning') {
+      await auditService.log(req, {
+        action: 'user_warned',
+        targetType: 'user',
+        targetId: user._id,
+        targetLabel: user.username,
+        reason: `${points} strike points`,
+        metadata
+      });
+      await NotificationService.notifyAccountSanction(user._id, 'account_warning');
+    } else {
+      const until = threshold.days ? new Date(now.getTime() + threshold.days * DAY_MS) : null;
+      if (user.status === 'suspended' && (!user.suspendedUntil || (until && user.suspendedUntil >= until))) {
+        return null;
+      }
+
+      const before = auditService.snapshot(user, ['status', 'suspendedUntil']);
+      const reason = threshold.sanction === 'ban_review'
+        ? `${points} strike points, pending a ban decision`
+        : `${points} strike points`;
+      // updateOne: journalists and legacy accounts may miss required fields
+      await User.updateOne(
+        { _id: user._id },
+        {
+          $set: { status: 'suspended', suspensionReason: reason, suspendedAt: now, ...(until ? { suspendedUntil: until } : {}) },
+          $unset: { suspendedBy: 1, ...(until ? {} : { suspendedUntil: 1 }) }
+        }
+      );
+      sanction.until = until || undefined;
+
+      await auditService.log(req, {
+        action: 'user_suspended',
+        targetType: 'user',
+        targetId: user._id,
+        targetLabel: user.username,
+        before,
+        after: { status: 'suspended', suspendedUntil: until },
+        reason,
+        metadata: { ...metadata, sanction: threshold.sanction }
+      });
+      await NotificationService.notifyAccountSanction(user._id, 'account_suspended');
+    }
+
+    await Strike.updateOne({ _id: strike._id }, { $set: { sanction } });
+    console.log('[STRIKE] Sanction applied:', { userId: user._id, sanction: threshold.sanction, points });
+    return sanction;
+  }
+
+  /**
+   * @param {number} before - Active points before the strike
+   * @param {number} after - Active points with the strike
+   * @returns {Object|null} Highest threshold in (before, after]
+   */
+  getCrossedThreshold(before, after) {
+    return moderationConfig.strikes.thresholds
+      .filter(threshold => threshold.points > before && threshold.points <= after)
+      .sort((a, b) => b.points - a.points)[0] || null;
+  }
+
+  /**
+   * @param {string} reason - Report reason, or `removal`
+   * @returns {number}
+   */
+  getWeight(reason) {
+    const { reasonWeights, defaultWeight, removalWeight } = moderationConfig.strikes;
+    if (reason === 'removal') {
+      return removalWeight;
+    }
+    return reasonWeights[reason] || defaultWeight;
+  }
+
+  /**
+   * One strike per content, one per report or case about the account itself
+   */
+  getKey(targetType, targetId, source, sourceId) {
+    return targetType === 'user' ? `${source}:${sourceId}` : `${targetType}:${targetId}`;
+  }
+
+  async getAuthorId(targetType, targetId) {
+    if (targetType === 'user') {
+      return targetId;
+    }
+    const definition = AUTHOR_FIELDS[targetType];
+    if (!definition) {
+      return null;
+    }
+    const content = await definition.model.findById(targetId)
+      .select(definition.field)
+      .setOptions({ skipAutopopulate: true })
+      .lean();
+    return content?.[definition.field] || null;
+  }
+
+  /**
+   * @param {string} userId
+   * @param {Date} now
+   * @returns {Promise<number>} Weight of the strikes neither expired nor revoked
+   */
+  async getActivePoints(userId, now = new Date()) {
+    const [result] = await Strike.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId.toString()), revokedAt: null, expiresAt: { $gt: now } } },
+      { $group: { _id: null, points: { $sum: '$weight' } } }
+    ]);
+    return result?.points || 0;
+  }
+
+  /**
+   * A user's strikes, latest first, with their active points and the next threshold
+   * @param {string} userId
+   * @returns {Promise<Object>}
+   * @throws {Error} status 404 USER_NOT_FOUND
+   */
+  async getLedger(userId, now = new Date()) {
+    const user = mongoose.Types.ObjectId.isValid(userId)
+      ? await User.findById(userId).select('name username avatarUrl role status suspendedUntil').lean()
+      : null;
+    if (!user) {
+      throw strikeError('USER_NOT_FOUND', 'User not found', 404);
+    }
+
+    const [strikes, points] = await Promise.all([
+      Strike.find({ user: user._id })
+        .sort({ createdAt: -1 })
+        .populate('issuedBy', 'name username')
+        .populate('revokedBy', 'name username')
+        .lean(),
+      this.getActivePoints(user._id, now)
+    ]);
+
+    return {
+      user,
+      points,
+      nextThreshold: moderationConfig.strikes.thresholds.find(threshold => threshold.points > points) || null,
+      strikes: strikes.map(strike => ({
+        ...strike,
+        active: !strike.revokedAt && strike.expiresAt > now
+      }))
+    };
+  }
+
+  /**
+   * Cancel a strike; sanctions already applied stay
+   * @param {Object} req - Express request of the admin
+   * @param {string} strikeId
+   * @param {string} reason
+   * @returns {Promise<Object>} Revoked strike
+   * @throws {Error} status 400 VALIDATION_ERROR, status 403 MODERATION_FORBIDDEN, status 404 STRIKE_NOT_FOUND,
+   *   status 409 STRIKE_REVOKED
+   */
+  async revoke(req, strikeId, reason) {
+    if (!(moderationConfig.permissions[req.user?.role] || []).includes('strike:revoke')) {
+      throw strikeError('MODERATION_FORBIDDEN', 'You cannot revoke strikes', 403);
+    }
+    if (typeof reason !== 'string' || !reason.trim()) {
+      throw strikeError('VALIDATION_ERROR', 'A reason is required');
+    }
+
+    const strike = mongoose.Types.ObjectId.isValid(strikeId)
+      ? await Strike.findOneAndUpdate(
+        { _id: strikeId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: req.user._id, revocationReason: reason.trim() } },
+        { new: true }
+      )
+      : null;
+    if (!strike) {
+      const exists = mongoose.Types.ObjectId.isValid(strikeId) && await Strike.exists({ _id: strikeId });
+      throw exists
+        ? strikeError('STRIKE_REVOKED', 'This strike is already revoked', 409)
+        : strikeError('STRIKE_NOT_FOUND', 'Strike not found', 404);
+    }
+
+    await auditService.log(req, {
+      action: 'strike_revoked',
+      targetType: 'user',
+      targetId: strike.user,
+      reason: strike.revocationReason,
+      metadata: { strikeId: strike._id.toString(), weight: strike.weight, key: strike.key }
+    });
+    return strike;
+  }
+
+  /**
+   * Revoke the strike given for a piece of content, e.g. when an appeal reinstates it
+   * @returns {Promise<number>} Strikes revoked
+   */
+  async revokeForContent(targetType, targetId, revokedBy, reason) {
+    const { modifiedCount } = await Strike.updateMany(
+      { key: this.getKey(targetType, targetId), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy, revocationReason: reason } }
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * Users escalated for a ban and still suspended without end, awaiting an admin decision
+   * @returns {Promise<Array>} Oldest escalation first
+   */
+  async listEscalations(now = new Date()) {
+    const userIds = await Strike.distinct('user', { 'sanction.type': 'ban_review' });
+    const users = await User.find({ _id: { $in: userIds }, status: 'suspended', suspendedUntil: null })
+      .select('name username avatarUrl role suspendedAt suspensionReason')
+      .lean();
+
+    const escalations = await Promise.all(users.map(async user => ({
+      user,
+      points: await this.getActivePoints(user._id, now),
+      escalatedAt: user.suspendedAt
+    })));
+    return escalations.sort((a, b) => (a.escalatedAt || 0) - (b.escalatedAt || 0));
+  }
+
+  /**
+   * Reactivate the accounts whose suspension has ended
+   * @param {Date} now
+   * @returns {Promise<number>} Accounts reactivated
+   */
+  async liftExpiredSuspensions(now = new Date()) {
+    // A slow run must not overlap the next tick on the same instance
+    if (this.isProcessing) {
+      return 0;
+    }
+    this.isProcessing = true;
+
+    try {
+      const { modifiedCount } = await User.updateMany(
+        { status: 'suspended', suspendedUntil: { $lte: now } },
+        {
+          $set: { status: 'active' },
+          $unset: { suspendedUntil: 1, suspensionReason: 1, suspendedAt: 1, suspendedBy: 1 }
+        }
+      );
+      if (modifiedCount > 0) {
+        console.log('[STRIKE] Suspensions lifted:', { count: modifiedCount });
+      }
+      return modifiedCount;
+    } catch (error) {
+      console.error('[STRIKE] Failed to lift suspensions:', { error: error.message });
+      return 0;
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+}
+
+module.exports = new StrikeService();
@@ -0,0 +1,307 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const AuthService = require('./auth.service');
+const totp = require('../utils/totp');
+
+const CHALLENGE_EXPIRES_IN_SECONDS = 5 * 60;
+const BACKUP_CODES_COUNT = 10;
+// An unconfirmed enrollment is dropped after this delay
+const PENDING_SECRET_TTL_MS = 15 * 60 * 1000;
+// Roles that can't sign in without a second factor
+const REQUIRED_ROLES = ['admin', 'moderator'];
+
+function twoFactorError(code, message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Two-Factor Service - TOTP enrollment, backup codes and login step-up
+ *
+ * When a second factor is needed, login returns a short-lived challenge token
+ * instead of a session. The challenge is signed with a key derived from
+ * JWT_SECRET so it can never be mistaken for an access token.
+ */
+class TwoFactorService {
+  /**
+   * Whether the user's role makes 2FA mandatory
+   * @param {Object} user
+   * @returns {boolean}
+   */
+  isRequired(user) {
+    return REQUIRED_ROLES.includes(user.role);
+  }
+
+  /**
+   * Whether login must go through a challenge before tokens are issued
+   * @param {Object} user
+   * @returns {boolean}
+   */
+  needsChallenge(user) {
+    return !!user.twoFactorEnabled || this.isRequired(user);
+  }
+
+  /**
+   * Step-up challenge returned by login
+   * Users of a mandatory role without 2FA get an enrollment challenge instead
+   * @param {Object} user
+   * @returns {{ challengeToken: string, expiresIn: number, enrollmentRequired: boolean, methods: string[] }}
+   */
+  createChallenge(user) {
+    const enrollmentRequired = !user.twoFactorEnabled;
+    const challengeToken = jwt.sign(
+      {
+        userId: user._id.toString(),
+        purpose: enrollmentRequired ? '2fa_enrollment' : '2fa_login'
+      },
+      this.getChallengeKey(),
+      { expiresIn: CHALLENGE_EXPIRES_IN_SECONDS }
+    );
+
+    return {
+      challengeToken,
+      expiresIn: CHALLENGE_EXPIRES_IN_SECONDS,
+      enrollmentRequired,
+      methods: enrollmentRequired ? ['totp'] : ['totp', 'backup_code']
+    };
+  }
+
+  /**
+   * @param {string} challengeToken
+   * @returns {{ userId: string, enrollment: boolean }}
+   * @throws {Error} status 401 INVALID_CHALLENGE
+   */
+  verifyChallenge(challengeToken) {
+    try {
+      const decoded = jwt.verify(String(challengeToken || ''), this.getChallengeKey());
+      if (!['2fa_login', '2fa_enrollment'].includes(decoded.purpose)) {
+        throw new Error('Unexpected purpose');
+      }
+      return { userId: decoded.userId, enrollment: decoded.purpose === '2fa_enrollment' };
+    } catch {
+      throw twoFactorError('INVALID_CHALLENGE', 'Invalid or expired two-factor challenge', 401);
+    }
+  }
+
+  /**
+   * Confirm the account password before a sensitive 2FA change
+   * @param {string} userId
+   * @param {string} password
+   * @throws {Error} status 401 INVALID_PASSWORD
+   */
+  async confirmPassword(userId, password) {
+    const user = await User.findById(userId).select('password');
+    const isMatch = !!user && !!password && await AuthService.verifyPassword(password, user.password);
+    if (!isMatch) {
+      throw twoFactorError('INVALID_PASSWORD', 'Password is incorrect', 401);
+    }
+  }
+
+  /**
+   * Start (or restart) enrollment with a new secret
+   * @param {Object} user
+   * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+   */
+  async beginEnrollment(user) {
+    if (user.twoFactorEnabled) {
+      throw twoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = totp.generateSecret();
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.pendingSecret': this.encrypt(secret), 'twoFactor.pendingCreatedAt': new Date() } }
+    );
+
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpauthUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Finish enrollment with a first code from the authenticator app
+   * @param {Object} user
+   * @param {string} code
+   * @returns {Promise<string[]>} Backup codes, shown once
+   * @throws {Error} status 400 ENROLLMENT_NOT_STARTED | INVALID_CODE
+   */
+  async confirmEnrollment(user, code) {
+    const current = await User.findById(user._id).select('+twoFactor');
+    const pending = current?.twoFactor?.pendingSecret;
+    const startedAt = current?.twoFactor?.pendingCreatedAt;
+
+    if (current?.twoFactorEnabled) {
+      throw twoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled', 409);
+    }
+    if (!pending || !startedAt || Date.now() - startedAt.getTime() > PENDING_SECRET_TTL_MS) {
+      throw twoFactorError('ENROLLMENT_NOT_STARTED', 'Start the two-factor setup again');
+    }
+
+    const secret = this.decrypt(pending);
+    const step = totp.verifyCode(secret, code);
+    if (step === null) {
+      throw twoFactorError('INVALID_CODE', 'Invalid authentication code');
+    }
+
+    const { codes, hashes } = this.generateBackupCodes();
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactorEnabled: true,
+          twoFactor: {
+            secret: pending,
+            backupCodes: hashes.map(hash => ({ hash })),
+            lastUsedStep: step,
+            enabledAt: new Date()
+          }
+        }
+      }
+    );
+
+    return codes;
+  }
+
+  /**
+   * Check a TOTP code or a backup code; both are single-use
+   * @param {string} userId
+   * @param {string} code
+   * @returns {Promise<{ method: string, backupCodesRemaining: number|undefined }>}
+   * @throws {Error} status 401 INVALID_CODE
+   */
+  async verifyCode(userId, code) {
+    const user = await User.findById(userId).select('+twoFactor');
+    if (!user?.twoFactorEnabled || !user.twoFactor?.secret) {
+      throw twoFactorError('TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+    }
+
+    const normalized = String(code || '').trim();
+
+    const step = totp.verifyCode(this.decrypt(user.twoFactor.secret), normalized);
+    if (step !== null) {
+      // Conditional update: the same code (or an older one) can't be accepted twice
+      const result = await User.updateOne(
+        {
+          _id: userId,
+          $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      if (result.modifiedCount === 1) {
+        return { method: 'totp' };
+      }
+      throw twoFactorError('INVALID_CODE', 'Invalid authentication code', 401);
+    }
+
+    const hash = this.hashBackupCode(normalized);
+    const updated = await User.findOneAndUpdate(
+      { _id: userId, 'twoFactor.backupCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } },
+      { new: true, projection: { twoFactor: 1 } }
+    );
+    if (updated) {
+      return {
+        method: 'backup_code',
+        backupCodesRemaining: updated.twoFactor.backupCodes.filter(backup => !backup.usedAt).length
+      };
+    }
+
+    throw twoFactorError('INVALID_CODE', 'Invalid authentication code', 401);
+  }
+
+  /**
+   * @param {Object} user
+   * @throws {Error} status 403 TWO_FACTOR_REQUIRED for mandatory roles
+   */
+  async disable(user) {
+    if (this.isRequired(user)) {
+      throw twoFactorError('TWO_FACTOR_REQUIRED', 'Two-factor authentication is mandatory for this account', 403);
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { twoFactorEnabled: false }, $unset: { twoFactor: 1 } }
+    );
+  }
+
+  /**
+   * Replace every backup code
+   * @param {Object} user
+   * @returns {Promise<string[]>} New backup codes, shown once
+   */
+  async regenerateBackupCodes(user) {
+    const { codes, hashes } = this.generateBackupCodes();
+    await User.updateOne(
+      { _id: user._id, twoFactorEnabled: true },
+      { $set: { 'twoFactor.backupCodes': hashes.map(hash => ({ hash })) } }
+    );
+    return codes;
+  }
+
+  /**
+   * @param {Object} user
+   * @returns {Promise<Object>}
+   */
+  async getStatus(user) {
+    const current = await User.findById(user._id).select('+twoFactor').lean();
+
+    return {
+      enabled: !!current?.twoFactorEnabled,
+      required: this.isRequired(user),
+      enabledAt: current?.twoFactor?.enabledAt || null,
+      backupCodesRemaining: current?.twoFactorEnabled
+        ? (current.twoFactor?.backupCodes || []).filter(backup => !backup.usedAt).length
+        : 0
+    };
+  }
+
+  /**
+   * Backup codes look like "k3j9x-2mqa7"; only their SHA-256 is stored
+   * @returns {{ codes: string[], hashes: string[] }}
+   */
+  generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODES_COUNT }, () => {
+      const raw = crypto.randomBytes(8).toString('hex').slice(0, 10);
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(code => this.hashBackupCode(code)) };
+  }
+
+  hashBackupCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  getChallengeKey() {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('2fa-challenge').digest('hex');
+  }
+
+  getEncryptionKey() {
+    const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    return crypto.createHash('sha256').update(`2fa-secret:${source}`).digest();
+  }
+
+  /**
+   * AES-256-GCM, stored as iv.tag.ciphertext (base64)
+   */
+  encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,35 @@
+/**
+ * @mention parsing
+ *
+ * A mention is `@username` (same charset as usernames: letters, digits,
+ * underscores, 3 to 30 characters) not glued to a preceding word, so e-mail
+ * addresses like `jean@thot.fr` are not mistaken for mentions.
+ */
+
+const MENTION_PATTERN = /(?<![\w@])@([A-Za-z0-9_]{3,30})(?![A-Za-z0-9_])/g;
+
+/**
+ * @param {string} text
+ * @returns {Array<{ username: string, offset: number, length: number }>} In order of appearance;
+ *   offset/length cover the whole `@username` token
+ */
+function extractMentions(text) {
+  const mentions = [];
+  if (!text) {
+    return mentions;
+  }
+
+  for (const match of String(text).matchAll(MENTION_PATTERN)) {
+    mentions.push({
+      username: match[1],
+      offset: match.index,
+      length: match[0].length
+    });
+  }
+
+  return mentions;
+}
+
+module.exports = {
+  extractMentions
+};
@@ -0,0 +1,204 @@
+/**
+ * French-aware text analysis helpers used by the search subsystem
+ *
+ * Pipeline: accent folding -> lowercase -> tokenize -> stopwords -> light stemming.
+ * The stemmer is a light suffix stripper (in the spirit of Savoy's French
+ * light stemmer): it only needs to bring "économie", "économique" and
+ * "économiste" to the same stem, not to produce linguistic roots.
+ */
+
+const STOPWORDS = new Set([
+  'a', 'ai', 'au', 'aux', 'avec', 'c', 'ce', 'ces', 'cet', 'cette', 'd', 'dans',
+  'de', 'des', 'du', 'elle', 'elles', 'en', 'est', 'et', 'eu', 'il', 'ils', 'j',
+  'je', 'l', 'la', 'le', 'les', 'leur', 'leurs', 'lui', 'm', 'ma', 'mais', 'me',
+  'mes', 'moi', 'mon', 'n', 'ne', 'ni', 'nos', 'notre', 'nous', 'on', 'ont', 'ou',
+  'par', 'pas', 'pour', 'qu', 'que', 'qui', 's', 'sa', 'sans', 'se', 'ses', 'si',
+  'son', 'sont', 'sur', 't', 'ta', 'te', 'tes', 'toi', 'ton', 'tu', 'un', 'une',
+  'vos', 'votre', 'vous', 'y', 'etre', 'avoir', 'fait', 'plus', 'tres', 'comme',
+  'tout', 'tous', 'toute', 'toutes', 'aussi', 'donc', 'car', 'entre', 'sous',
+  'ete', 'etait', 'sera', 'cela', 'ca', 'dont', 'quand', 'meme'
+]);
+
+// Ordered longest first so the most specific suffix wins
+const SUFFIXES = [
+  'issements', 'issement', 'atrices', 'ateurs', 'ations', 'ements', 'logies',
+  'ement', 'ation', 'ateur', 'atrice', 'ances', 'ences', 'ismes', 'istes',
+  'iques', 'ables', 'ibles', 'logie', 'ions', 'ance', 'ence', 'isme', 'iste',
+  'ique', 'able', 'ible', 'euse', 'eux', 'ites', 'ite', 'ives', 'ive', 'ifs',
+  'ion', 'ies', 'ie', 'ees', 'ee', 'er', 'ez', 'es', 'if', 'e', 's', 'x'
+];
+
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Remove diacritics and lowercase ("Économie" -> "economie")
+ * @param {string} text
+ * @returns {string}
+ */
+function foldAccents(text) {
+  if (!text) {
+    return '';
+  }
+
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/œ/gi, 'oe')
+    .replace(/æ/gi, 'ae')
+    .toLowerCase();
+}
+
+/**
+ * Split text into words while keeping their offsets in the original string
+ * @param {string} text
+ * @returns {Array<{ word: string, folded: string, start: number, end: number }>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  if (!text) {
+    return tokens;
+  }
+
+  const source = String(text);
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = wordPattern.exec(source)) !== null) {
+    tokens.push({
+      word: match[0],
+      folded: foldAccents(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return tokens;
+}
+
+/**
+ * Light French stemmer working on accent-folded words
+ * @param {string} word - Folded, lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  if (!word || word.length <= MIN_STEM_LENGTH || /^\d+$/.test(word)) {
+    return word;
+  }
+
+  let current = word;
+
+  // journaux -> journal, chevaux -> cheval
+  if (current.length > 5 && current.endsWith('aux')) {
+    return current.slice(0, -3) + 'al';
+  }
+
+  for (const suffix of SUFFIXES) {
+    if (current.endsWith(suffix) && current.length - suffix.length >= MIN_STEM_LENGTH) {
+      current = current.slice(0, -suffix.length);
+      break;
+    }
+  }
+
+  // Collapse a doubled final consonant left behind ("actionnes" -> "actionn" -> "action")
+  if (current.length > MIN_STEM_LENGTH && /([^aeiouy])\1$/.test(current)) {
+    current = current.slice(0, -1);
+  }
+
+  return current;
+}
+
+/**
+ * Full analysis: tokenize, drop stopwords and one-letter tokens, stem
+ * @param {string} text
+ * @param {Object} options
+ * @param {boolean} options.unique - Return each stem once (default: false)
+ * @returns {string[]} Stems
+ */
+function analyze(text, { unique = false } = {}) {
+  const stems = tokenize(text)
+    .map(token => token.folded)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+
+  return unique ? [...new Set(stems)] : stems;
+}
+
+/**
+ * Levenshtein distance with an early exit once maxDistance is exceeded
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance
+ * @returns {number} Distance, or maxDistance + 1 when the bound is exceeded
+ */
+function levenshtein(a, b, maxDistance = Infinity) {
+  if (a === b) {
+    return 0;
+  }
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+// Long articles are truncated so the index stays well under the document size limit
+const MAX_CONTENT_TERMS = 5000;
+
+/**
+ * Build the per-field search index stored on a post (see Post.searchIndex)
+ * @param {Object} post - Post document or plain object
+ * @param {string} journalistName - Display name(s) of the author
+ * @returns {Object} { title, hashtags, tags, journalist, content, terms, indexedAt }
+ */
+function buildSearchIndex(post, journalistName = '') {
+  const index = {
+    title: analyze(post.title),
+    hashtags: analyze((post.hashtags || []).join(' ')),
+    tags: analyze((post.tags || []).join(' ')),
+    journalist: analyze(journalistName),
+    content: analyze(post.content).slice(0, MAX_CONTENT_TERMS)
+  };
+
+  index.terms = [...new Set([
+    ...index.title,
+    ...index.hashtags,
+    ...index.tags,
+    ...index.journalist,
+    ...index.content
+  ])];
+  index.indexedAt = new Date();
+
+  return index;
+}
+
+module.exports = {
+  STOPWORDS,
+  foldAccents,
+  tokenize,
+  stem,
+  analyze,
+  levenshtein,
+  buildSearchIndex
+};
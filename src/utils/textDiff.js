@@ -0,0 +1,160 @@
+/**
+ * Word-level text diff (Myers' O(ND) algorithm)
+ *
+ * Output is a list of operations that rebuild both texts:
+ *   [{ op: 'equal' | 'delete' | 'insert', text }]
+ * Joining equal+delete gives the old text, equal+insert gives the new one.
+ */
+
+// Beyond this many edited tokens the texts are considered rewritten
+const DEFAULT_MAX_EDITS = 1000;
+
+/**
+ * Words and the whitespace between them, so the diff keeps line breaks
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return String(text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+/**
+ * Merge adjacent operations of the same kind
+ * @param {Array} ops
+ * @returns {Array}
+ */
+function compact(ops) {
+  const result = [];
+  ops.forEach(({ op, text }) => {
+    if (!text) {
+      return;
+    }
+    const last = result[result.length - 1];
+    if (last && last.op === op) {
+      last.text += text;
+    } else {
+      result.push({ op, text });
+    }
+  });
+  return result;
+}
+
+/**
+ * Shortest edit script between two token lists
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {number} maxEdits
+ * @returns {Array|null} Operations, or null when more than maxEdits are needed
+ */
+function myers(a, b, maxEdits) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(trace, a, b, offset);
+      }
+    }
+  }
+
+  return null;
+}
+
+function backtrack(trace, a, b, offset) {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? k + 1 : k - 1;
+    const prevX = v[offset + prevK];
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ op: 'equal', text: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) {
+        ops.push({ op: 'insert', text: b[prevY] });
+      } else {
+        ops.push({ op: 'delete', text: a[prevX] });
+      }
+      x = prevX;
+      y = prevY;
+    }
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * @param {string} before
+ * @param {string} after
+ * @param {Object} options
+ * @param {number} options.maxEdits
+ * @returns {Array<{ op: string, text: string }>}
+ */
+function diffText(before, after, { maxEdits = DEFAULT_MAX_EDITS } = {}) {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // Common prefix/suffix are cheap to strip and keep the edit graph small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middle = myers(a.slice(start, endA), b.slice(start, endB), maxEdits) || [
+    { op: 'delete', text: a.slice(start, endA).join('') },
+    { op: 'insert', text: b.slice(start, endB).join('') }
+  ];
+
+  return compact([
+    { op: 'equal', text: a.slice(0, start).join('') },
+    ...middle,
+    { op: 'equal', text: a.slice(endA).join('') }
+  ]);
+}
+
+/**
+ * Rebuild one side of a diff
+ * @param {Array} ops
+ * @param {string} side - 'before' | 'after'
+ * @returns {string}
+ */
+function applyDiff(ops, side = 'after') {
+  const skip = side === 'after' ? 'delete' : 'insert';
+  return ops.filter(({ op }) => op !== skip).map(({ text }) => text).join('');
+}
+
+module.exports = {
+  tokenize,
+  diffText,
+  applyDiff
+};
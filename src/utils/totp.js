@@ -0,0 +1,170 @@
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30 s steps)
+ *
+ * Compatible with Google Authenticator, Authy, 1Password, etc. Secrets are
+ * exchanged in base32 through an otpauth:// provisioning URI (rendered as a QR
+ * code by the app).
+ */
+
+const crypto = require('crypto');
+const { URLSearchParams } = require('url');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accepted clock drift, in steps on each side
+const DEFAULT_WINDOW = 1;
+
+/**
+ * @param {Buffer} buffer
+ * @returns {string} Base32 without padding
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+/**
+ * @param {string} input - Base32, case and spaces ignored
+ * @returns {Buffer}
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret (160 bits, as recommended by RFC 4226)
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * @param {number} time - Unix time in ms
+ * @returns {number} Time step counter
+ */
+function getStep(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter
+ * @param {number} digits
+ * @returns {string}
+ */
+function generateHotp(secret, counter, digits = DIGITS) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * @param {string} secret - Base32 secret
+ * @param {number} time - Unix time in ms
+ * @returns {string}
+ */
+function generateCode(secret, time = Date.now()) {
+  return generateHotp(secret, getStep(time));
+}
+
+/**
+ * Check a code against the current step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code
+ * @param {Object} options
+ * @param {number} options.time - Unix time in ms
+ * @param {number} options.window - Accepted drift in steps
+ * @returns {number|null} Matching step (to reject replays), or null
+ */
+function verifyCode(secret, code, { time = Date.now(), window = DEFAULT_WINDOW } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getStep(time);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = current + offset;
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// provisioning URI, to be shown as a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the email
+ * @param {string} issuer
+ * @returns {string}
+ */
+function buildOtpauthUri(secret, accountName, issuer = 'THOT') {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getStep,
+  generateHotp,
+  generateCode,
+  verifyCode,
+  buildOtpauthUri
+};
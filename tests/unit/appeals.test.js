@@ -0,0 +1,169 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const Appeal = require('../../src/models/appeal.model');
+const Notification = require('../../src/models/notification.model');
+const appealService = require('../../src/services/appeal.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+const JUSTIFICATION = 'Cet article cite ses sources et respecte la charte.';
+
+describe('Appeal Tests', () => {
+  describe('validation', () => {
+    const author = { _id: '507f1f77bcf86cd799439011', role: 'journalist' };
+
+    it('should require a justification of a reasonable length', async () => {
+      await expect(appealService.submit(author, '507f1f77bcf86cd799439012', 'Pas juste'))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR', status: 400 });
+      await expect(appealService.submit(author, '507f1f77bcf86cd799439012', 'x'.repeat(2001)))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+      await expect(appealService.submit(author, '507f1f77bcf86cd799439012', undefined))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+
+    it('should only let moderators and admins review appeals', () => {
+      expect(appealService.canReview({ role: 'moderator' })).toBe(true);
+      expect(appealService.canReview({ role: 'admin' })).toBe(true);
+      expect(appealService.canReview({ role: 'journalist' })).toBe(false);
+      expect(() => appealService.checkReviewer({ role: 'user' }))
+        .toThrow(expect.objectContaining({ code: 'MODERATION_FORBIDDEN', status: 403 }));
+    });
+
+    it('should refuse unknown decisions', async () => {
+      const req = { user: { _id: '507f1f77bcf86cd799439011', role: 'moderator' } };
+
+      await expect(appealService.decide(req, '507f1f77bcf86cd799439012', { decision: 'delete' }))
+        .rejects.toMatchObject({ code: 'INVALID_DECISION' });
+    });
+  });
+
+  describe('with database', () => {
+    let admin;
+    let moderator;
+    let journalist;
+    let post;
+
+    const createUser = (username, role) => User.create({
+      username,
+      email: `${username}@example.com`,
+      password: 'Password123!',
+      name: username,
+      role,
+      twoFactorEnabled: role !== 'journalist'
+    });
+    const requestOf = user => ({ user, userId: user._id.toString(), get: () => 'jest' });
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+
+      admin = await createUser('admin', 'admin');
+      moderator = await createUser('moderator', 'moderator');
+      journalist = await createUser('journalist', 'journalist');
+      post = await Post.create({
+        title: 'Article',
+        content: 'Contenu',
+        imageUrl: '/uploads/image.png',
+        type: 'article',
+        domain: 'politique',
+        status: 'published',
+        politicalOrientation: { journalistChoice: 'neutral' },
+        journalist: journalist._id
+      });
+      await User.updateOne({ _id: journalist._id }, { $push: { posts: post._id } });
+    });
+
+    it('should remove the post softly and notify its author', async () => {
+      await appealService.removePost(post._id, { reason: 'Spam', removedBy: admin._id });
+
+      const removed = await Post.findById(post._id);
+      expect(removed).toMatchObject({ isDeleted: true, deletionReason: 'Spam' });
+      expect(removed.deletedBy.toString()).toBe(admin._id.toString());
+      expect((await User.findById(journalist._id)).posts).toHaveLength(0);
+      expect(await Notification.countDocuments({ recipient: journalist._id, type: 'post_removed' })).toBe(1);
+
+      expect(await appealService.removePost(post._id, { reason: 'Encore' })).toBeNull();
+    });
+
+    it('should keep the appeal away from the one who removed the post and reinstate it', async () => {
+      await appealService.removePost(post._id, { reason: 'Spam', removedBy: admin._id });
+      const appeal = await appealService.submit(journalist, post._id, JUSTIFICATION);
+
+      const queue = await appealService.listQueue(admin, {});
+      expect(queue.appeals).toHaveLength(0);
+      await expect(appealService.claim(admin, appeal._id))
+        .rejects.toMatchObject({ code: 'REVIEWER_CONFLICT', status: 403 });
+
+      await appealService.claim(moderator, appeal._id);
+      const decided = await appealService.decide(requestOf(moderator), appeal._id, { decision: 'reinstate', note: 'Sources vérifiées' });
+
+      expect(decided.timeline.map(entry => entry.status)).toEqual(['pending', 'in_review', 'reinstated']);
+      const reinstated = await Post.findById(post._id);
+      expect(reinstated.isDeleted).toBe(false);
+      expect(reinstated.deletionReason).toBeUndefined();
+      expect((await User.findById(journalist._id)).posts.map(String)).toEqual([post._id.toString()]);
+      const types = await Notification.find({ recipient: journalist._id }).distinct('type');
+      expect(types.sort()).toEqual(['appeal_in_review', 'appeal_received', 'appeal_reinstated', 'post_removed']);
+    });
+
+    it('should limit repeated appeals of the same removal', async () => {
+      await appealService.removePost(post._id, { reason: 'Spam' });
+      const first = await appealService.submit(journalist, post._id, JUSTIFICATION);
+
+      await expect(appealService.submit(journalist, post._id, JUSTIFICATION))
+        .rejects.toMatchObject({ code: 'APPEAL_PENDING', status: 409 });
+
+      await appealService.decide(requestOf(moderator), first._id, { decision: 'uphold' });
+      expect((await Post.findById(post._id)).isDeleted).toBe(true);
+      await expect(appealService.submit(journalist, post._id, JUSTIFICATION))
+        .rejects.toMatchObject({ code: 'APPEAL_COOLDOWN', status: 429 });
+
+      await Appeal.updateOne({ _id: first._id }, { $set: { decidedAt: new Date(Date.now() - 48 * 60 * 60 * 1000) } });
+      const second = await appealService.submit(journalist, post._id, JUSTIFICATION);
+      await appealService.decide(requestOf(admin), second._id, { decision: 'uphold' });
+      await Appeal.updateOne({ _id: second._id }, { $set: { decidedAt: new Date(Date.now() - 48 * 60 * 60 * 1000) } });
+
+      await expect(appealService.submit(journalist, post._id, JUSTIFICATION))
+        .rejects.toMatchObject({ code: 'APPEAL_LIMIT' });
+    });
+
+    it('should only accept appeals of the author\'s removed posts within the window', async () => {
+      await expect(appealService.submit(journalist, post._id, JUSTIFICATION))
+        .rejects.toMatchObject({ code: 'NOT_REMOVED' });
+      await expect(appealService.submit(moderator, post._id, JUSTIFICATION))
+        .rejects.toMatchObject({ code: 'POST_NOT_FOUND', status: 404 });
+
+      await appealService.removePost(post._id, { reason: 'Spam' });
+      await Post.updateOne({ _id: post._id }, { $set: { deletedAt: new Date(Date.now() - 31 * 24 * 60 * 60 * 1000) } });
+      await expect(appealService.submit(journalist, post._id, JUSTIFICATION))
+        .rejects.toMatchObject({ code: 'APPEAL_WINDOW_CLOSED' });
+    });
+
+    it('should refuse appeals of a post its author deleted', async () => {
+      await Post.updateOne({ _id: post._id }, { $set: { isDeleted: true, deletedAt: new Date(), status: 'deleted' } });
+
+      await expect(appealService.submit(journalist, post._id, JUSTIFICATION))
+        .rejects.toMatchObject({ code: 'NOT_REMOVED' });
+      expect(await Appeal.countDocuments({ post: post._id })).toBe(0);
+    });
+
+    it('should hide the reviewers from the author', async () => {
+      await appealService.removePost(post._id, { reason: 'Spam', removedBy: admin._id });
+      const appeal = await appealService.submit(journalist, post._id, JUSTIFICATION);
+      await appealService.claim(moderator, appeal._id);
+
+      const seen = await appealService.get(appeal._id, journalist);
+      expect(seen.reviewer).toBeUndefined();
+      expect(seen.removal.removedBy).toBeUndefined();
+      expect(seen.timeline.every(entry => entry.by === undefined)).toBe(true);
+      await expect(appealService.get(appeal._id, { _id: admin._id, role: 'journalist' }))
+        .rejects.toMatchObject({ code: 'APPEAL_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/user.model');
+const AuditLog = require('../../src/models/auditLog.model');
+const auditService = require('../../src/services/audit.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Audit Trail Tests', () => {
+  describe('changes', () => {
+    it('should keep only the fields that changed', () => {
+      expect(auditService.diff({ status: 'active', role: 'user' }, { status: 'suspended', role: 'user' }))
+        .toEqual({ before: { status: 'active' }, after: { status: 'suspended' } });
+      expect(auditService.diff(null, { status: 'active' }))
+        .toEqual({ before: null, after: { status: 'active' } });
+    });
+
+    it('should snapshot ObjectIds, dates and populated documents as strings', () => {
+      const id = new mongoose.Types.ObjectId();
+      const date = new Date('2026-03-01T10:00:00Z');
+
+      expect(auditService.snapshot({ author: { _id: id, username: 'x' }, createdAt: date, tags: [id] }, ['author', 'createdAt', 'tags', 'missing']))
+        .toEqual({ author: id.toString(), createdAt: '2026-03-01T10:00:00.000Z', tags: [id.toString()], missing: null });
+      expect(auditService.snapshot(null, ['status'])).toBeNull();
+    });
+  });
+
+  describe('filters', () => {
+    it('should build the listing query', () => {
+      expect(auditService.buildQuery({
+        action: 'user_banned, user_suspended',
+        targetType: 'user',
+        from: '2026-03-01',
+        to: '2026-03-31'
+      })).toEqual({
+        action: { $in: ['user_banned', 'user_suspended'] },
+        targetType: 'user',
+        createdAt: { $gte: new Date('2026-03-01'), $lte: new Date('2026-03-31') }
+      });
+      expect(auditService.buildQuery({ action: 'user_banned' })).toEqual({ action: 'user_banned' });
+    });
+
+    it('should reject invalid filters', () => {
+      expect(auditService.validateQuery({ actor: 'nope' })).toBe('Invalid actor ID');
+      expect(auditService.validateQuery({ targetId: '123' })).toBe('Invalid target ID');
+      expect(auditService.validateQuery({ action: 'user_banned,made_up' })).toBe('Unknown action: made_up');
+      expect(auditService.validateQuery({ from: 'yesterday' })).toBe('Invalid date range');
+      expect(auditService.validateQuery({ action: 'user_banned', from: '2026-03-01' })).toBeNull();
+    });
+  });
+
+  describe('CSV export', () => {
+    const entry = {
+      createdAt: new Date('2026-03-01T10:00:00Z'),
+      actor: new mongoose.Types.ObjectId('507f1f77bcf86cd799439011'),
+      actorSnapshot: { username: 'admin', email: 'admin@example.com' },
+      action: 'user_banned',
+      targetType: 'user',
+      targetId: new mongoose.Types.ObjectId('507f1f77bcf86cd799439012'),
+      targetLabel: 'reader',
+      reason: 'Spam, encore',
+      changes: { before: { status: 'active' }, after: { status: 'banned' } },
+      ip: '127.0.0.1',
+      correlationId: 'abc'
+    };
+
+    it('should quote cells with commas, quotes and line breaks', () => {
+      const [header, row] = auditService.toCsv([entry]).split('\r\n');
+
+      expect(header).toBe('date,actorId,actorUsername,actorEmail,action,targetType,targetId,targetLabel,reason,before,after,ip,correlationId');
+      expect(row).toBe([
+        '2026-03-01T10:00:00.000Z',
+        '507f1f77bcf86cd799439011',
+        'admin',
+        'admin@example.com',
+        'user_banned',
+        'user',
+        '507f1f77bcf86cd799439012',
+        'reader',
+        '"Spam, encore"',
+        '"{""status"":""active""}"',
+        '"{""status"":""banned""}"',
+        '127.0.0.1',
+        'abc'
+      ].join(','));
+    });
+
+    it('should keep spreadsheets from evaluating formulas', () => {
+      const row = auditService.toCsv([{ ...entry, targetLabel: '=HYPERLINK("http://evil")', reason: '+1', actorSnapshot: { username: '@admin' } }])
+        .split('\r\n')[1];
+
+      expect(row).toContain('"\'=HYPERLINK(""http://evil"")"');
+      expect(row).toContain(',\'+1,');
+      expect(row).toContain(',\'@admin,');
+    });
+  });
+
+  describe('with database', () => {
+    let admin;
+
+    const requestOf = user => ({ user, userId: user._id.toString(), ip: '127.0.0.1', get: () => 'jest' });
+    const record = (action, data = {}) => auditService.log(requestOf(admin), {
+      action,
+      targetType: 'user',
+      targetId: admin._id,
+      targetLabel: admin.username,
+      ...data
+    });
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+
+      admin = await User.create({
+        username: 'admin',
+        email: 'admin@example.com',
+        password: 'Password123!',
+        name: 'Admin',
+        role: 'admin',
+        twoFactorEnabled: true
+      });
+    });
+
+    it('should record the actor, the changes and the request context', async () => {
+      const entry = await record('user_suspended', { before: { status: 'active' }, after: { status: 'suspended' }, reason: 'Spam' });
+
+      expect(entry.actor.toString()).toBe(admin._id.toString());
+      expect(entry.actorSnapshot).toMatchObject({ username: 'admin', role: 'admin' });
+      expect(entry.changes).toEqual({ before: { status: 'active' }, after: { status: 'suspended' } });
+      expect(entry.ip).toBe('127.0.0.1');
+    });
+
+    it('should refuse to change or delete an entry', async () => {
+      const entry = await record('user_banned');
+
+      await expect(AuditLog.updateOne({ _id: entry._id }, { $set: { reason: 'edited' } })).rejects.toThrow('immutable');
+      await expect(AuditLog.deleteOne({ _id: entry._id })).rejects.toThrow('immutable');
+      await expect(AuditLog.findOneAndDelete({ _id: entry._id })).rejects.toThrow('immutable');
+      entry.reason = 'edited';
+      await expect(entry.save()).rejects.toThrow('immutable');
+
+      expect((await AuditLog.findById(entry._id)).reason).toBeUndefined();
+    });
+
+    it('should list and export the filtered entries', async () => {
+      await record('user_banned');
+      await record('user_suspended');
+      await record('user_role_changed');
+
+      const { logs, total } = await auditService.getLogs({ action: 'user_banned,user_suspended' });
+      expect(total).toBe(2);
+      expect(logs.map(log => log.action).sort()).toEqual(['user_banned', 'user_suspended']);
+      expect(logs[0].actor.username).toBe('admin');
+
+      const csv = await auditService.exportCsv({ action: 'user_role_changed' });
+      expect(csv.trim().split('\r\n')).toHaveLength(2);
+      expect(csv).toContain('user_role_changed');
+    });
+  });
+});
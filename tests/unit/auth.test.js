@@ -1,8 +1,12 @@
+const crypto = require('crypto');
 const request = require('supertest');
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../../src/models/user.model');
+const emailService = require('../../src/services/email.service');
+const identityService = require('../../src/services/identity.service');
+const totp = require('../../src/utils/totp');
 const { connectDB, closeDB, clearDB } = require('../setup/testDb');
 
 // Create a minimal Express app for testing
@@ -17,12 +21,22 @@ jest.mock('../../src/middleware/rateLimiter.middleware', () => ({
     api: (req, res, next) => next(),
     write: (req, res, next) => next(),
     passwordReset: (req, res, next) => next(),
+    emailVerification: (req, res, next) => next(),
   }
 }));
 
 // Import routes after mocking
 const authRoutes = require('../../src/routes/auth.routes');
+const { auth, requireVerifiedEmail } = require('../../src/middleware/auth.middleware');
 app.use('/api/auth', authRoutes);
+app.post('/api/test/verified-only', auth, requireVerifiedEmail, (req, res) => res.json({ success: true }));
+
+// Emails go through the in-memory capture transport (NODE_ENV=test)
+const lastTokenSentTo = (email) => {
+  const mails = emailService.getCapturedEmails(email);
+  const match = mails[mails.length - 1]?.text.match(/token=([a-f0-9]+)/);
+  return match ? match[1] : null;
+};
 
 describe('Authentication API Tests', () => {
   beforeAll(async () => {
@@ -35,6 +49,7 @@ describe('Authentication API Tests', () => {
 
   afterEach(async () => {
     await clearDB();
+    emailService.clearCapturedEmails();
   });
 
   describe('POST /api/auth/register', () => {
@@ -284,4 +299,568 @@ describe('Authentication API Tests', () => {
       expect(response.body.success).toBe(false);
     });
   });
+
+  describe('Sessions and refresh tokens', () => {
+    let tokens;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'sessionuser',
+          email: 'session@example.com',
+          password: 'Password123!',
+          name: 'Session User'
+        });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('X-Device-Name', 'Test phone')
+        .send({ email: 'session@example.com', password: 'Password123!' })
+        .expect(200);
+
+      tokens = response.body.data;
+    });
+
+    it('should issue a refresh token on login', async () => {
+      expect(tokens).toHaveProperty('refreshToken');
+      expect(jwt.decode(tokens.token)).toHaveProperty('sid');
+    });
+
+    it('should rotate the refresh token on every use', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.refreshToken).not.toBe(tokens.refreshToken);
+    });
+
+    it('should revoke the session when a rotated refresh token is reused', async () => {
+      const rotated = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+      expect(reuse.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // The legitimate latest token is dead too
+      await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: rotated.body.data.refreshToken })
+        .expect(401);
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${rotated.body.data.token}`)
+        .expect(401);
+    });
+
+    it('should reject the access token after logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(401);
+      expect(response.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('should list and revoke device sessions', async () => {
+      const other = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'session@example.com', password: 'Password123!' })
+        .expect(200);
+
+      const list = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(200);
+      expect(list.body.data.sessions.length).toBeGreaterThanOrEqual(2);
+
+      const current = list.body.data.sessions.find(session => session.isCurrent);
+      expect(current.device.name).toBe('Test phone');
+
+      const otherSessionId = jwt.decode(other.body.data.token).sid;
+      await request(app)
+        .delete(`/api/auth/sessions/${otherSessionId}`)
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${other.body.data.token}`)
+        .expect(401);
+    });
+
+    it('should revoke other sessions when the password changes', async () => {
+      const other = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'session@example.com', password: 'Password123!' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/change-password')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .send({ currentPassword: 'Password123!', newPassword: 'NewPassword123!' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh-token')
+        .send({ refreshToken: other.body.data.refreshToken })
+        .expect(401);
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${tokens.token}`)
+        .expect(200);
+    });
+  });
+
+  describe('Password reset', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'resetuser',
+          email: 'reset@example.com',
+          password: 'Password123!',
+          name: 'Reset User'
+        })
+        .expect(201);
+    });
+
+    it('should answer the same way for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(emailService.getCapturedEmails('nobody@example.com')).toHaveLength(0);
+    });
+
+    it('should reset the password with a single-use token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' })
+        .expect(200);
+
+      const token = lastTokenSentTo('reset@example.com');
+      expect(token).toBeTruthy();
+
+      // Only the hash is stored
+      const stored = await User.findOne({ email: 'reset@example.com' }).select('+passwordReset');
+      expect(stored.passwordReset.tokenHash).not.toBe(token);
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'NewPassword123!' })
+        .expect(200);
+
+      const reused = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'OtherPassword123!' })
+        .expect(400);
+      expect(reused.body.code).toBe('INVALID_TOKEN');
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reset@example.com', password: 'NewPassword123!' })
+        .expect(200);
+    });
+
+    it('should reject an expired token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' })
+        .expect(200);
+      const token = lastTokenSentTo('reset@example.com');
+
+      await User.updateOne(
+        { email: 'reset@example.com' },
+        { $set: { 'passwordReset.expiresAt': new Date(Date.now() - 1000) } }
+      );
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, newPassword: 'NewPassword123!' })
+        .expect(400);
+      expect(response.body.code).toBe('INVALID_TOKEN');
+    });
+
+    it('should sign out every device after a reset', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reset@example.com', password: 'Password123!' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' })
+        .expect(200);
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: lastTokenSentTo('reset@example.com'), newPassword: 'NewPassword123!' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(401);
+    });
+  });
+
+  describe('Email verification', () => {
+    let accessToken;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'verifyuser',
+          email: 'verify@example.com',
+          password: 'Password123!',
+          name: 'Verify User'
+        })
+        .expect(201);
+
+      accessToken = response.body.data.token;
+    });
+
+    it('should send a verification link at registration', async () => {
+      expect(lastTokenSentTo('verify@example.com')).toBeTruthy();
+
+      const profile = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      expect(profile.body.data.user.emailVerified).toBe(false);
+    });
+
+    it('should restrict unverified accounts until the email is confirmed', async () => {
+      const blocked = await request(app)
+        .post('/api/test/verified-only')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(403);
+      expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+      const token = lastTokenSentTo('verify@example.com');
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(200);
+
+      await request(app)
+        .post('/api/test/verified-only')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      // Single use
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token })
+        .expect(400);
+    });
+
+    it('should enforce a cooldown between verification emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(429);
+      expect(response.body.code).toBe('VERIFICATION_COOLDOWN');
+
+      await User.updateOne(
+        { email: 'verify@example.com' },
+        { $set: { 'emailVerification.lastSentAt': new Date(Date.now() - 2 * 60 * 1000) } }
+      );
+      const firstToken = lastTokenSentTo('verify@example.com');
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      // The new link replaces the previous one
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: firstToken })
+        .expect(400);
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: lastTokenSentTo('verify@example.com') })
+        .expect(200);
+    });
+  });
+
+  describe('Google Sign-In', () => {
+    const GOOGLE_CLIENT_ID = 'test-client.apps.googleusercontent.com';
+    // Local key set standing in for Google's signing keys
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const pem = key => key.export({ type: 'spki', format: 'pem' });
+
+    const googleIdToken = (claims = {}, { key = privateKey, audience = GOOGLE_CLIENT_ID } = {}) => jwt.sign(
+      {
+        sub: 'google-sub-123',
+        email: 'googler@example.com',
+        email_verified: true,
+        name: 'Google User',
+        ...claims
+      },
+      key.export({ type: 'pkcs8', format: 'pem' }),
+      { algorithm: 'RS256', keyid: 'test-key', audience, issuer: 'https://accounts.google.com', expiresIn: '1h' }
+    );
+
+    beforeEach(() => {
+      process.env.GOOGLE_CLIENT_IDS = GOOGLE_CLIENT_ID;
+      jest.spyOn(identityService, 'getGoogleCerts').mockResolvedValue({ 'test-key': pem(publicKey) });
+    });
+
+    afterAll(() => {
+      delete process.env.GOOGLE_CLIENT_IDS;
+    });
+
+    it('should create an account on first sign-in and reuse it afterwards', async () => {
+      const first = await request(app)
+        .post('/api/auth/google')
+        .send({ idToken: googleIdToken() })
+        .expect(201);
+
+      expect(first.body.data.isNewUser).toBe(true);
+      expect(first.body.data).toHaveProperty('refreshToken');
+      expect(first.body.data.user.emailVerified).toBe(true);
+
+      const second = await request(app)
+        .post('/api/auth/google')
+        .send({ idToken: googleIdToken() })
+        .expect(200);
+
+      expect(second.body.data.isNewUser).toBe(false);
+      expect(second.body.data.user.id).toBe(first.body.data.user.id);
+    });
+
+    it('should reject tokens issued for another audience', async () => {
+      const response = await request(app)
+        .post('/api/auth/google')
+        .send({ idToken: googleIdToken({}, { audience: 'someone-else.apps.googleusercontent.com' }) })
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_ID_TOKEN');
+    });
+
+    it('should reject tokens not signed by the provider keys', async () => {
+      const response = await request(app)
+        .post('/api/auth/google')
+        .send({ idToken: googleIdToken({}, { key: otherKey }) })
+        .expect(401);
+
+      expect(response.body.code).toBe('INVALID_ID_TOKEN');
+    });
+
+    it('should require an existing password account to link Google explicitly', async () => {
+      const registered = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'googler',
+          email: 'googler@example.com',
+          password: 'Password123!',
+          name: 'Googler'
+        })
+        .expect(201);
+      const accessToken = registered.body.data.token;
+
+      const refused = await request(app)
+        .post('/api/auth/google')
+        .send({ idToken: googleIdToken() })
+        .expect(409);
+      expect(refused.body.code).toBe('ACCOUNT_EXISTS');
+
+      await request(app)
+        .post('/api/auth/identities/google')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ idToken: googleIdToken() })
+        .expect(200);
+
+      const signedIn = await request(app)
+        .post('/api/auth/google')
+        .send({ idToken: googleIdToken() })
+        .expect(200);
+      expect(signedIn.body.data.user.id).toBe(registered.body.data.user.id);
+
+      const identities = await request(app)
+        .get('/api/auth/identities')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      expect(identities.body.data.identities).toHaveLength(1);
+      expect(identities.body.data.identities[0].provider).toBe('google');
+
+      await request(app)
+        .delete('/api/auth/identities/google')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      await request(app)
+        .post('/api/auth/google')
+        .send({ idToken: googleIdToken() })
+        .expect(409);
+    });
+
+    it('should not unlink the only sign-in method of a Google account', async () => {
+      const signedIn = await request(app)
+        .post('/api/auth/google')
+        .send({ idToken: googleIdToken() })
+        .expect(201);
+
+      const response = await request(app)
+        .delete('/api/auth/identities/google')
+        .set('Authorization', `Bearer ${signedIn.body.data.token}`)
+        .expect(400);
+      expect(response.body.code).toBe('LAST_SIGN_IN_METHOD');
+    });
+
+    it('should refuse to link an identity already used by another account', async () => {
+      await request(app)
+        .post('/api/auth/google')
+        .send({ idToken: googleIdToken() })
+        .expect(201);
+
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({
+          username: 'otheruser',
+          email: 'other@example.com',
+          password: 'Password123!',
+          name: 'Other'
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/auth/identities/google')
+        .set('Authorization', `Bearer ${other.body.data.token}`)
+        .send({ idToken: googleIdToken() })
+        .expect(409);
+      expect(response.body.code).toBe('IDENTITY_ALREADY_LINKED');
+    });
+  });
+
+  describe('Two-factor authentication', () => {
+    const login = (email) => request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'Password123!' })
+      .expect(200);
+
+    beforeEach(async () => {
+      const hashedPassword = await bcrypt.hash('Password123!', 10);
+      await User.create([
+        {
+          email: 'admin@example.com',
+          username: 'adminuser',
+          password: hashedPassword,
+          role: 'admin'
+        },
+        {
+          email: 'writer@example.com',
+          password: hashedPassword,
+          name: 'Writer',
+          role: 'journalist'
+        }
+      ]);
+    });
+
+    it('should make admins enroll before issuing tokens', async () => {
+      const step = await login('admin@example.com');
+      expect(step.body.data.requiresTwoFactor).toBe(true);
+      expect(step.body.data.enrollmentRequired).toBe(true);
+      expect(step.body.data).not.toHaveProperty('token');
+
+      const { challengeToken } = step.body.data;
+      const setup = await request(app)
+        .post('/api/auth/2fa/challenge/setup')
+        .send({ challengeToken })
+        .expect(200);
+      expect(setup.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+
+      const completed = await request(app)
+        .post('/api/auth/2fa/challenge')
+        .send({ challengeToken, code: totp.generateCode(setup.body.data.secret) })
+        .expect(200);
+
+      expect(completed.body.data).toHaveProperty('token');
+      expect(completed.body.data.backupCodes).toHaveLength(10);
+    });
+
+    it('should step up login once a journalist enables 2FA', async () => {
+      const first = await login('writer@example.com');
+      const accessToken = first.body.data.token;
+
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: 'wrong' })
+        .expect(401);
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ password: 'Password123!' })
+        .expect(200);
+      const { secret } = setup.body.data;
+
+      // One step back so the login code below is a fresh one
+      const enabled = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ code: totp.generateCode(secret, Date.now() - 30 * 1000) })
+        .expect(200);
+      const [backupCode] = enabled.body.data.backupCodes;
+
+      const step = await login('writer@example.com');
+      expect(step.body.data.requiresTwoFactor).toBe(true);
+      expect(step.body.data.enrollmentRequired).toBe(false);
+
+      await request(app)
+        .post('/api/auth/2fa/challenge')
+        .send({ challengeToken: step.body.data.challengeToken, code: '000000' })
+        .expect(401);
+
+      const code = totp.generateCode(secret);
+      await request(app)
+        .post('/api/auth/2fa/challenge')
+        .send({ challengeToken: step.body.data.challengeToken, code })
+        .expect(200);
+
+      // A TOTP code can't be replayed
+      const replay = await request(app)
+        .post('/api/auth/2fa/challenge')
+        .send({ challengeToken: step.body.data.challengeToken, code })
+        .expect(401);
+      expect(replay.body.code).toBe('INVALID_CODE');
+
+      // Backup codes are single-use
+      const withBackup = await request(app)
+        .post('/api/auth/2fa/challenge')
+        .send({ challengeToken: step.body.data.challengeToken, code: backupCode })
+        .expect(200);
+      expect(withBackup.body.data.backupCodesRemaining).toBe(9);
+      await request(app)
+        .post('/api/auth/2fa/challenge')
+        .send({ challengeToken: step.body.data.challengeToken, code: backupCode })
+        .expect(401);
+    });
+
+    it('should not accept a challenge token as an access token', async () => {
+      const step = await login('admin@example.com');
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${step.body.data.challengeToken}`)
+        .expect(401);
+    });
+  });
 });
@@ -0,0 +1,123 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const Comment = require('../../src/models/comment.model');
+const Notification = require('../../src/models/notification.model');
+const blockService = require('../../src/services/block.service');
+const commentService = require('../../src/services/comment.service');
+const mentionService = require('../../src/services/mention.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Block and Mute Tests', () => {
+  describe('validation', () => {
+    it('should not let a user block or mute themselves', async () => {
+      const userId = '507f1f77bcf86cd799439011';
+
+      await expect(blockService.add(userId, userId, 'block'))
+        .rejects.toMatchObject({ code: 'INVALID_USER', status: 400 });
+      await expect(blockService.add(userId, 'not-an-id', 'mute'))
+        .rejects.toMatchObject({ code: 'INVALID_USER' });
+    });
+  });
+
+  describe('with database', () => {
+    let reader;
+    let journalist;
+    let post;
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+
+      journalist = await User.create({
+        username: 'journalist',
+        email: 'journalist@example.com',
+        password: 'Password123!',
+        name: 'Test Journalist',
+        role: 'journalist'
+      });
+      reader = await User.create({
+        username: 'reader',
+        email: 'reader@example.com',
+        password: 'Password123!',
+        name: 'Test Reader',
+        following: [journalist._id]
+      });
+      await User.updateOne({ _id: journalist._id }, { $push: { followers: reader._id } });
+      post = await Post.create({
+        title: 'Article',
+        content: 'Contenu',
+        imageUrl: '/uploads/image.png',
+        type: 'article',
+        domain: 'politique',
+        status: 'published',
+        politicalOrientation: { journalistChoice: 'neutral' },
+        journalist: journalist._id
+      });
+    });
+
+    it('should end follows both ways and forbid following again', async () => {
+      await blockService.add(journalist._id, reader._id, 'block');
+
+      const [storedReader, storedJournalist] = await Promise.all([
+        User.findById(reader._id),
+        User.findById(journalist._id)
+      ]);
+      expect(storedReader.following).toHaveLength(0);
+      expect(storedJournalist.followers).toHaveLength(0);
+      expect(await blockService.isBlockedBetween(reader._id, journalist._id)).toBe(true);
+      await expect(storedReader.followUser(journalist._id)).rejects.toMatchObject({ code: 'USER_BLOCKED', status: 403 });
+    });
+
+    it('should drop notifications from blocked and muted senders', async () => {
+      const notify = sender => Notification.createNotification({
+        type: 'new_follower',
+        sender,
+        recipient: journalist._id,
+        entityId: sender,
+        entityType: 'user'
+      });
+
+      await blockService.add(journalist._id, reader._id, 'mute');
+      expect(await notify(reader._id)).toBeNull();
+
+      await blockService.remove(journalist._id, reader._id, 'mute');
+      await blockService.add(reader._id, journalist._id, 'block');
+      expect(await notify(reader._id)).toBeNull();
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it('should not resolve mentions of a user who blocked the author', async () => {
+      await blockService.add(journalist._id, reader._id, 'block');
+
+      expect(await mentionService.resolveMentions('Merci @journalist', reader._id)).toEqual([]);
+      expect(await mentionService.resolveMentions('Merci @journalist')).toHaveLength(1);
+    });
+
+    it('should hide the replies of blocked users', async () => {
+      const root = await Comment.create({ content: 'root', post: post._id, author: journalist._id });
+      await Comment.create({ content: 'from reader', post: post._id, author: reader._id, parentComment: root._id });
+
+      await blockService.add(journalist._id, reader._id, 'block');
+      const excludeAuthors = await blockService.getBlockedIds(journalist._id);
+      const thread = await commentService.getThread(root._id, { excludeAuthors });
+
+      expect(thread.replies).toHaveLength(0);
+    });
+
+    it('should list muted journalists as hidden authors for the muting user only', async () => {
+      await blockService.add(reader._id, journalist._id, 'mute');
+
+      const hidden = await blockService.getHiddenAuthorIds(reader._id);
+      expect(hidden.map(id => id.toString())).toEqual([journalist._id.toString()]);
+      expect(await blockService.getHiddenAuthorIds(journalist._id)).toEqual([]);
+      expect((await blockService.list(reader._id, 'mute')).map(user => user.username)).toEqual(['journalist']);
+    });
+  });
+});
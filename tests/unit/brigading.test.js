@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const Comment = require('../../src/models/comment.model');
+const Report = require('../../src/models/report.model');
+const ModerationCase = require('../../src/models/moderationCase.model');
+const brigadingService = require('../../src/services/brigading.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('Brigading Detection Tests', () => {
+  describe('signals', () => {
+    const ids = ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012', '507f1f77bcf86cd799439013', '507f1f77bcf86cd799439014'];
+
+    it('should down-weight reporters whose reports are habitually dismissed', () => {
+      expect(brigadingService.getReporterWeight(undefined)).toBe(1);
+      expect(brigadingService.getReporterWeight({ upheld: 0, dismissed: 4 })).toBe(1);
+      expect(brigadingService.getReporterWeight({ upheld: 3, dismissed: 3 })).toBe(1);
+      expect(brigadingService.getReporterWeight({ upheld: 2, dismissed: 8 })).toBeCloseTo(0.4);
+      expect(brigadingService.getReporterWeight({ upheld: 0, dismissed: 10 })).toBe(0.2);
+    });
+
+    it('should find the largest burst of reports', () => {
+      const start = new Date('2026-01-01T10:00:00Z').getTime();
+      const reports = [0, 5, 10, 20, 300].map(minutes => ({ createdAt: new Date(start + minutes * 60 * 1000) }));
+
+      expect(brigadingService.getBurstShare(reports)).toBeCloseTo(0.8);
+      expect(brigadingService.getBurstShare([])).toBe(0);
+    });
+
+    it('should spot reporters following each other and young accounts', () => {
+      const now = new Date('2026-01-10T00:00:00Z');
+      const reporters = [
+        { _id: ids[0], following: [ids[1]], createdAt: new Date('2026-01-09T00:00:00Z') },
+        { _id: ids[1], following: [ids[0]], createdAt: new Date('2026-01-08T00:00:00Z') },
+        { _id: ids[2], following: [], createdAt: new Date('2025-01-01T00:00:00Z') },
+        { _id: ids[3], following: [ids[3]], createdAt: new Date('2025-01-01T00:00:00Z') }
+      ];
+      const reports = ids.map(id => ({ reportedBy: id, createdAt: now }));
+
+      expect(brigadingService.getClusterShare(reporters)).toBe(0.5);
+      expect(brigadingService.getNewAccountShare(reports, reporters, now)).toBe(0.5);
+    });
+
+    it('should measure how aligned the reporters\' political votes are', () => {
+      const post = {
+        politicalOrientation: {
+          journalistChoice: 'progressive',
+          voters: [
+            { userId: ids[0], view: 'conservative' },
+            { userId: ids[1], view: 'extremelyConservative' },
+            { userId: ids[2], view: 'conservative' },
+            { userId: '507f1f77bcf86cd799439099', view: 'progressive' }
+          ]
+        }
+      };
+
+      expect(brigadingService.getPoliticalAlignment(ids, post)).toEqual({
+        votedShare: 0.75,
+        sameSideShare: 1,
+        side: 'conservative',
+        journalistSide: 'progressive'
+      });
+      expect(brigadingService.getPoliticalAlignment(ids, null).side).toBeNull();
+    });
+
+    it('should list the signals past their threshold', () => {
+      expect(brigadingService.getSignals({
+        newAccountShare: 0.6,
+        clusterShare: 0.1,
+        burstShare: 0.9,
+        lowAccuracyShare: 0,
+        votedShare: 0.9,
+        sameSideShare: 0.9,
+        side: 'neutral'
+      })).toEqual(['new_accounts', 'timing_burst']);
+    });
+  });
+
+  describe('with database', () => {
+    let journalist;
+    let post;
+
+    const createReporters = (count, createdAt) => Promise.all(Array.from({ length: count }, (_, index) =>
+      User.create({
+        username: `reader${index}`,
+        email: `reader${index}@example.com`,
+        password: 'Password123!',
+        name: `reader${index}`
+      }).then(async user => {
+        await User.collection.updateOne({ _id: user._id }, { $set: { createdAt } });
+        return user;
+      })
+    ));
+    // Inserted raw to set createdAt
+    const fileReports = (reporters, reason, at) => Report.collection.insertMany(reporters.map((reporter, index) => ({
+      reportedBy: reporter._id,
+      targetType: 'post',
+      targetId: post._id,
+      targetModel: 'Post',
+      reason,
+      status: 'pending',
+      createdAt: at(index),
+      updatedAt: at(index)
+    })));
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+      await ModerationCase.init();
+
+      journalist = await User.create({
+        username: 'journalist',
+        email: 'journalist@example.com',
+        password: 'Password123!',
+        name: 'journalist',
+        role: 'journalist'
+      });
+      post = await Post.create({
+        title: 'Article',
+        content: 'Contenu',
+        imageUrl: '/uploads/image.png',
+        type: 'article',
+        domain: 'politique',
+        status: 'published',
+        politicalOrientation: { journalistChoice: 'neutral' },
+        journalist: journalist._id
+      });
+      await Post.collection.updateOne({ _id: post._id }, { $set: { createdAt: new Date(Date.now() - 3 * DAY_MS) } });
+    });
+
+    it('should hold the removal of content reported by a burst of new accounts', async () => {
+      const reporters = await createReporters(10, new Date(Date.now() - DAY_MS));
+      await fileReports(reporters, 'hate_speech', index => new Date(Date.now() - index * 60 * 1000));
+
+      const result = await brigadingService.evaluateAutoRemoval('post', post._id);
+
+      expect(result).toMatchObject({ shouldRemove: false, held: true });
+      expect(result.detection.signals).toEqual(expect.arrayContaining(['new_accounts', 'timing_burst']));
+      const moderationCase = await ModerationCase.findOne({ targetType: 'post', targetId: post._id });
+      expect(moderationCase.autoRemovalHold.signals).toEqual(result.detection.signals);
+
+      expect(await brigadingService.evaluateAutoRemoval('post', post._id)).toMatchObject({ shouldRemove: false, held: true });
+    });
+
+    it('should remove content reported by established accounts over time', async () => {
+      const reporters = await createReporters(10, new Date(Date.now() - 365 * DAY_MS));
+      await fileReports(reporters, 'hate_speech', index => new Date(Date.now() - index * 3 * HOUR_MS));
+
+      expect(await brigadingService.evaluateAutoRemoval('post', post._id)).toMatchObject({ shouldRemove: true, held: false });
+    });
+
+    it('should not let reporters with a poor record reach the threshold', async () => {
+      const reporters = await createReporters(10, new Date(Date.now() - 365 * DAY_MS));
+      await Report.collection.insertMany(reporters.flatMap(reporter => Array.from({ length: 5 }, () => ({
+        reportedBy: reporter._id,
+        targetType: 'user',
+        targetId: new mongoose.Types.ObjectId(),
+        targetModel: 'User',
+        reason: 'spam',
+        status: 'dismissed',
+        createdAt: new Date(Date.now() - 30 * DAY_MS)
+      }))));
+      await fileReports(reporters, 'hate_speech', index => new Date(Date.now() - index * 3 * HOUR_MS));
+
+      const result = await brigadingService.evaluateAutoRemoval('post', post._id);
+
+      expect(result.shouldRemove).toBe(false);
+      expect(result.check.stats.effectiveReporters).toBeCloseTo(2);
+    });
+
+    it('should hold hiding a comment reported by new accounts', async () => {
+      const comment = await Comment.create({ content: 'Un avis', post: post._id, author: journalist._id });
+      const reporters = await createReporters(5, new Date(Date.now() - DAY_MS));
+      for (const reporter of reporters) {
+        await comment.report(reporter._id, 'harassment');
+      }
+
+      expect(await brigadingService.evaluateCommentHide(comment)).toMatchObject({ shouldHide: false, held: true });
+      expect((await Comment.findById(comment._id)).status).toBe('active');
+    });
+
+    it('should hide a comment reported by established accounts', async () => {
+      const comment = await Comment.create({ content: 'Un avis', post: post._id, author: journalist._id });
+      const reporters = await createReporters(5, new Date(Date.now() - 365 * DAY_MS));
+      for (const reporter of reporters.slice(0, 4)) {
+        await comment.report(reporter._id, 'harassment');
+      }
+      expect((await brigadingService.evaluateCommentHide(comment)).shouldHide).toBe(false);
+
+      await comment.report(reporters[4]._id, 'harassment');
+      expect((await brigadingService.evaluateCommentHide(comment)).shouldHide).toBe(true);
+      expect(await comment.hide()).toBe(true);
+      expect((await Comment.findById(comment._id)).status).toBe('hidden');
+    });
+  });
+});
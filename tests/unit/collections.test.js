@@ -0,0 +1,202 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const BookmarkCollection = require('../../src/models/bookmarkCollection.model');
+const bookmarkService = require('../../src/services/bookmark.service');
+const collectionService = require('../../src/services/collection.service');
+const blockService = require('../../src/services/block.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Bookmark Collection Tests', () => {
+  describe('formatting', () => {
+    const ownerId = '507f1f77bcf86cd799439011';
+    const collection = {
+      _id: '507f1f77bcf86cd799439012',
+      name: 'A lire',
+      owner: ownerId,
+      isPublic: true,
+      shareToken: 'token123',
+      items: [{ post: '507f1f77bcf86cd799439013' }],
+      followersCount: 2
+    };
+
+    it('should only give the share link to the owner', () => {
+      expect(collectionService.format(collection, ownerId).shareUrl).toMatch(/\/collections\/shared\/token123$/);
+      expect(collectionService.format(collection, '507f1f77bcf86cd799439099').shareUrl).toBeNull();
+      expect(collectionService.format(collection, null)).toMatchObject({ isOwner: false, itemsCount: 1, followersCount: 2 });
+    });
+
+    it('should generate distinct url-safe share tokens', () => {
+      const token = collectionService.generateShareToken();
+
+      expect(token).toMatch(/^[A-Za-z0-9_-]{22}$/);
+      expect(collectionService.generateShareToken()).not.toBe(token);
+    });
+
+    it('should reject notes that are too long', () => {
+      expect(() => collectionService.validateNote('a'.repeat(501))).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+      expect(() => collectionService.validateNote(42)).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+      expect(() => collectionService.validateNote(undefined)).not.toThrow();
+    });
+  });
+
+  describe('with database', () => {
+    let reader;
+    let other;
+    let journalist;
+    let post;
+    let secondPost;
+
+    const createPost = (title) => Post.create({
+      title,
+      content: 'Contenu',
+      imageUrl: '/uploads/image.png',
+      type: 'article',
+      domain: 'politique',
+      status: 'published',
+      politicalOrientation: { journalistChoice: 'neutral' },
+      journalist: journalist._id
+    });
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+
+      journalist = await User.create({
+        username: 'journalist',
+        email: 'journalist@example.com',
+        password: 'Password123!',
+        name: 'Test Journalist',
+        role: 'journalist'
+      });
+      reader = await User.create({
+        username: 'reader',
+        email: 'reader@example.com',
+        password: 'Password123!',
+        name: 'Test Reader'
+      });
+      other = await User.create({
+        username: 'other',
+        email: 'other@example.com',
+        password: 'Password123!',
+        name: 'Other Reader'
+      });
+      post = await createPost('Premier article');
+      secondPost = await createPost('Second article');
+    });
+
+    it('should count a bookmark once however often it is added', async () => {
+      expect(await bookmarkService.addBookmark(reader._id, post._id)).toBe(true);
+      expect(await bookmarkService.addBookmark(reader._id, post._id)).toBe(false);
+
+      const stored = await Post.findById(post._id);
+      expect(stored.interactions.bookmarks.count).toBe(1);
+      expect(stored.interactions.bookmarks.users).toHaveLength(1);
+    });
+
+    it('should bookmark posts added to a collection and keep them in order with notes', async () => {
+      const collection = await collectionService.create(reader._id, { name: 'A lire' });
+      await collectionService.addItem(reader._id, collection._id, post._id, 'Pour ce soir');
+      await collectionService.addItem(reader._id, collection._id, secondPost._id);
+      await collectionService.reorder(reader._id, collection._id, [secondPost._id.toString(), post._id.toString()]);
+
+      const loaded = await collectionService.get(collection._id, reader);
+      expect(loaded.items.map(item => item.post.title)).toEqual(['Second article', 'Premier article']);
+      expect(loaded.items[1].note).toBe('Pour ce soir');
+
+      const [storedPost, storedReader] = await Promise.all([
+        Post.findById(post._id),
+        User.findById(reader._id)
+      ]);
+      expect(storedPost.interactions.bookmarks.count).toBe(1);
+      expect(storedReader.interactions.bookmarks.map(id => id.toString())).toContain(post._id.toString());
+      await expect(collectionService.addItem(reader._id, collection._id, post._id))
+        .rejects.toMatchObject({ code: 'ALREADY_IN_COLLECTION', status: 409 });
+    });
+
+    it('should reject an order that does not list every post once', async () => {
+      const collection = await collectionService.create(reader._id, { name: 'A lire' });
+      await collectionService.addItem(reader._id, collection._id, post._id);
+      await collectionService.addItem(reader._id, collection._id, secondPost._id);
+
+      await expect(collectionService.reorder(reader._id, collection._id, [post._id.toString()]))
+        .rejects.toMatchObject({ code: 'INVALID_ORDER' });
+      await expect(collectionService.reorder(reader._id, collection._id, [post._id.toString(), post._id.toString()]))
+        .rejects.toMatchObject({ code: 'INVALID_ORDER' });
+    });
+
+    it('should take a removed bookmark out of every collection', async () => {
+      const first = await collectionService.create(reader._id, { name: 'Politique' });
+      const second = await collectionService.create(reader._id, { name: 'Favoris' });
+      await collectionService.addItem(reader._id, first._id, post._id);
+      await collectionService.addItem(reader._id, second._id, post._id);
+
+      expect(await bookmarkService.removeBookmark(reader._id, post._id)).toBe(true);
+
+      expect(await BookmarkCollection.countDocuments({ 'items.post': post._id })).toBe(0);
+      expect((await Post.findById(post._id)).interactions.bookmarks.count).toBe(0);
+    });
+
+    it('should keep the bookmark when a post is taken out of a collection', async () => {
+      const collection = await collectionService.create(reader._id, { name: 'A lire' });
+      await collectionService.addItem(reader._id, collection._id, post._id);
+      await collectionService.removeItem(reader._id, collection._id, post._id);
+
+      expect((await Post.findById(post._id)).interactions.bookmarks.count).toBe(1);
+      await expect(collectionService.removeItem(reader._id, collection._id, post._id))
+        .rejects.toMatchObject({ code: 'ITEM_NOT_FOUND', status: 404 });
+    });
+
+    it('should refuse two collections with the same name regardless of case', async () => {
+      await BookmarkCollection.init();
+      await collectionService.create(reader._id, { name: 'A lire' });
+
+      await expect(collectionService.create(reader._id, { name: 'a LIRE' }))
+        .rejects.toMatchObject({ code: 'DUPLICATE_NAME', status: 409 });
+      await expect(collectionService.create(other._id, { name: 'A lire' })).resolves.toBeDefined();
+    });
+
+    it('should share a public collection and let others follow it', async () => {
+      const collection = await collectionService.create(reader._id, { name: 'Lectures', isPublic: true });
+      await collectionService.addItem(reader._id, collection._id, post._id);
+      const token = collection.shareUrl.split('/').pop();
+
+      const shared = await collectionService.getShared(token, null);
+      expect(shared.items).toHaveLength(1);
+      expect(shared.shareUrl).toBeNull();
+
+      expect(await collectionService.follow(other._id, collection._id)).toBe(1);
+      expect(await collectionService.follow(other._id, collection._id)).toBe(1);
+      expect((await collectionService.listFollowed(other._id)).map(c => c.name)).toEqual(['Lectures']);
+      await expect(collectionService.follow(reader._id, collection._id))
+        .rejects.toMatchObject({ code: 'INVALID_COLLECTION' });
+    });
+
+    it('should revoke the share link and followers when made private', async () => {
+      const collection = await collectionService.create(reader._id, { name: 'Lectures', isPublic: true });
+      const token = collection.shareUrl.split('/').pop();
+      await collectionService.follow(other._id, collection._id);
+
+      const updated = await collectionService.update(reader._id, collection._id, { isPublic: false });
+
+      expect(updated).toMatchObject({ isPublic: false, shareUrl: null, followersCount: 0 });
+      await expect(collectionService.getShared(token, null)).rejects.toMatchObject({ code: 'COLLECTION_NOT_FOUND' });
+      await expect(collectionService.get(collection._id, other)).rejects.toMatchObject({ code: 'COLLECTION_NOT_FOUND' });
+      expect(await collectionService.listFollowed(other._id)).toEqual([]);
+    });
+
+    it('should hide a public collection from users blocked by its owner', async () => {
+      const collection = await collectionService.create(reader._id, { name: 'Lectures', isPublic: true });
+      await blockService.add(reader._id, other._id, 'block');
+
+      await expect(collectionService.get(collection._id, other)).rejects.toMatchObject({ code: 'COLLECTION_NOT_FOUND' });
+      await expect(collectionService.follow(other._id, collection._id)).rejects.toMatchObject({ code: 'COLLECTION_NOT_FOUND' });
+    });
+  });
+});
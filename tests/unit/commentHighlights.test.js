@@ -0,0 +1,150 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const Comment = require('../../src/models/comment.model');
+const commentService = require('../../src/services/comment.service');
+const { formatComment } = require('../../src/formatters/comment.formatter');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Comment Sorting and Highlights Tests', () => {
+  describe('normalizeSort', () => {
+    it('should default to newest and accept legacy names', () => {
+      expect(commentService.normalizeSort(undefined)).toBe('newest');
+      expect(commentService.normalizeSort('recent')).toBe('newest');
+      expect(commentService.normalizeSort('popular')).toBe('top');
+      expect(commentService.normalizeSort('controversial')).toBe('controversial');
+    });
+
+    it('should reject unknown sort modes', () => {
+      expect(() => commentService.normalizeSort('random'))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SORT', status: 400 }));
+    });
+  });
+
+  describe('formatComment', () => {
+    it('should expose the journalist highlights', () => {
+      const pinnedAt = new Date('2026-03-01T10:00:00Z');
+      const formatted = formatComment({
+        _id: '507f1f77bcf86cd799439011',
+        content: 'Merci pour cet article',
+        isPinned: true,
+        pinnedAt,
+        isJournalistPick: true
+      }, {});
+
+      expect(formatted).toEqual(expect.objectContaining({ isPinned: true, pinnedAt, isJournalistPick: true }));
+      expect(formatComment({ _id: '507f1f77bcf86cd799439012', content: 'Bof' }, {}))
+        .toEqual(expect.objectContaining({ isPinned: false, pinnedAt: null, isJournalistPick: false }));
+    });
+  });
+
+  describe('with database', () => {
+    let journalist;
+    let reader;
+    let post;
+
+    const createComment = (data) => Comment.create({
+      content: 'Un commentaire',
+      post: post._id,
+      author: reader._id,
+      ...data
+    });
+    const likesFrom = count => Array.from({ length: count }, () => ({ user: reader._id }));
+    const list = async (sort) => {
+      const comments = await commentService.findSorted(
+        { post: post._id, parentComment: null, status: 'active', isDeleted: { $ne: true } },
+        { sort, skip: 0, limit: 20 },
+        { path: 'author', select: 'username' }
+      );
+      return comments.map(comment => comment.content);
+    };
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+
+      journalist = await User.create({
+        username: 'journalist',
+        email: 'journalist@example.com',
+        password: 'Password123!',
+        name: 'Test Journalist',
+        role: 'journalist'
+      });
+      reader = await User.create({
+        username: 'reader',
+        email: 'reader@example.com',
+        password: 'Password123!',
+        name: 'Test Reader'
+      });
+      post = await Post.create({
+        title: 'Article',
+        content: 'Contenu',
+        imageUrl: '/uploads/image.png',
+        type: 'article',
+        domain: 'politique',
+        status: 'published',
+        politicalOrientation: { journalistChoice: 'neutral' },
+        journalist: journalist._id
+      });
+    });
+
+    it('should sort by likes, replies and controversy', async () => {
+      const liked = await createComment({ content: 'liked', likes: likesFrom(50), createdAt: new Date('2026-03-01T10:00:00Z') });
+      const debated = await createComment({ content: 'debated', likes: likesFrom(10), createdAt: new Date('2026-03-01T11:00:00Z') });
+      await createComment({ content: 'quiet', createdAt: new Date('2026-03-01T12:00:00Z') });
+      await Promise.all(Array.from({ length: 10 }, () => createComment({ parentComment: debated._id })));
+      await createComment({ parentComment: liked._id });
+
+      expect(await list('newest')).toEqual(['quiet', 'debated', 'liked']);
+      expect(await list('oldest')).toEqual(['liked', 'debated', 'quiet']);
+      expect(await list('top')).toEqual(['liked', 'debated', 'quiet']);
+      expect(await list('replies')).toEqual(['debated', 'liked', 'quiet']);
+      expect(await list('controversial')).toEqual(['debated', 'liked', 'quiet']);
+    });
+
+    it('should list pinned comments first whatever the sort', async () => {
+      const old = await createComment({ content: 'old', createdAt: new Date('2026-03-01T10:00:00Z') });
+      await createComment({ content: 'new', createdAt: new Date('2026-03-01T11:00:00Z') });
+
+      await commentService.setPinned(old._id, journalist, true);
+
+      expect(await list('newest')).toEqual(['old', 'new']);
+    });
+
+    it('should only let the journalist of the post highlight its comments', async () => {
+      const comment = await createComment({});
+
+      await expect(commentService.setJournalistPick(comment._id, reader, true))
+        .rejects.toMatchObject({ code: 'NOT_POST_JOURNALIST', status: 403 });
+
+      const picked = await commentService.setJournalistPick(comment._id, journalist, true);
+      expect(picked.isJournalistPick).toBe(true);
+    });
+
+    it('should limit the number of pinned comments', async () => {
+      const comments = await Promise.all([1, 2, 3, 4].map(i => createComment({ content: `comment ${i}` })));
+
+      for (const comment of comments.slice(0, 3)) {
+        await commentService.setPinned(comment._id, journalist, true);
+      }
+
+      await expect(commentService.setPinned(comments[3]._id, journalist, true))
+        .rejects.toMatchObject({ code: 'PIN_LIMIT_REACHED', status: 409 });
+      expect(await Comment.countDocuments({ isPinned: true })).toBe(3);
+    });
+
+    it('should not pin a reply', async () => {
+      const parent = await createComment({});
+      const reply = await createComment({ parentComment: parent._id });
+
+      await expect(commentService.setPinned(reply._id, journalist, true))
+        .rejects.toMatchObject({ code: 'CANNOT_PIN_REPLY' });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const Comment = require('../../src/models/comment.model');
+const Report = require('../../src/models/report.model');
+const commentService = require('../../src/services/comment.service');
+const { formatComment } = require('../../src/formatters/comment.formatter');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Comment Revision Tests', () => {
+  describe('report snapshots', () => {
+    it('should snapshot the content of reported comments only', () => {
+      const editedAt = new Date('2026-03-01T10:00:00Z');
+      const author = '507f1f77bcf86cd799439011';
+
+      const snapshot = Report.snapshotContent('comment', { content: 'Propos injurieux', author, editedAt });
+
+      expect(snapshot).toEqual(expect.objectContaining({ content: 'Propos injurieux', author, editedAt }));
+      expect(snapshot.capturedAt).toBeInstanceOf(Date);
+      expect(Report.snapshotContent('user', { content: 'bio' })).toBeUndefined();
+    });
+  });
+
+  describe('formatComment', () => {
+    it('should expose when the comment was edited', () => {
+      const editedAt = new Date('2026-03-01T10:00:00Z');
+
+      expect(formatComment({ _id: '507f1f77bcf86cd799439011', content: 'Corrigé', isEdited: true, editedAt }, {}))
+        .toEqual(expect.objectContaining({ isEdited: true, editedAt }));
+      expect(formatComment({ _id: '507f1f77bcf86cd799439012', content: 'Original' }, {}))
+        .toEqual(expect.objectContaining({ isEdited: false, editedAt: null }));
+    });
+  });
+
+  describe('with database', () => {
+    let reader;
+    let comment;
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+
+      const journalist = await User.create({
+        username: 'journalist',
+        email: 'journalist@example.com',
+        password: 'Password123!',
+        name: 'Test Journalist',
+        role: 'journalist'
+      });
+      reader = await User.create({
+        username: 'reader',
+        email: 'reader@example.com',
+        password: 'Password123!',
+        name: 'Test Reader'
+      });
+      const post = await Post.create({
+        title: 'Article',
+        content: 'Contenu',
+        imageUrl: '/uploads/image.png',
+        type: 'article',
+        domain: 'politique',
+        status: 'published',
+        politicalOrientation: { journalistChoice: 'neutral' },
+        journalist: journalist._id
+      });
+      comment = await Comment.create({ content: 'Version 1', post: post._id, author: reader._id });
+    });
+
+    it('should keep every previous version, hidden from regular reads', async () => {
+      expect(await comment.edit('Version 2', [])).toBe(true);
+      expect(await comment.edit('Version 3', [])).toBe(true);
+
+      const stored = await Comment.findById(comment._id);
+      expect(stored.content).toBe('Version 3');
+      expect(stored.isEdited).toBe(true);
+      expect(stored.editedAt).toBeInstanceOf(Date);
+      expect(stored.revisions).toBeUndefined();
+
+      const history = await commentService.getRevisionHistory(comment._id);
+      expect(history.current.content).toBe('Version 3');
+      expect(history.revisions.map(revision => revision.content)).toEqual(['Version 1', 'Version 2']);
+      expect(history.revisions[1].createdAt).toEqual(history.revisions[0].replacedAt);
+    });
+
+    it('should not record a revision when the content is unchanged', async () => {
+      await comment.edit('Version 1', []);
+
+      const history = await commentService.getRevisionHistory(comment._id);
+      expect(history.revisions).toHaveLength(0);
+    });
+
+    it('should refuse an edit based on stale content', async () => {
+      const stale = await Comment.findById(comment._id);
+      await comment.edit('Version 2', []);
+
+      expect(await stale.edit('Version 2 bis', [])).toBe(false);
+      const history = await commentService.getRevisionHistory(comment._id);
+      expect(history.current.content).toBe('Version 2');
+      expect(history.revisions.map(revision => revision.content)).toEqual(['Version 1']);
+    });
+
+    it('should keep the reported content when the comment is edited afterwards', async () => {
+      await comment.report(reader._id, 'harassment');
+      await comment.edit('Version polie', []);
+
+      const stored = await Comment.findById(comment._id);
+      expect(stored.reports[0].contentSnapshot).toBe('Version 1');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const Comment = require('../../src/models/comment.model');
+const commentService = require('../../src/services/comment.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Comment Thread Tests', () => {
+  describe('cursors', () => {
+    it('should round-trip the position of a reply', () => {
+      const reply = { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2026-03-01T10:00:00Z') };
+
+      const position = commentService.decodeCursor(commentService.encodeCursor(reply));
+
+      expect(position.createdAt).toEqual(reply.createdAt);
+      expect(position.id.toString()).toBe(reply._id.toString());
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(() => commentService.decodeCursor('garbage'))
+        .toThrow(expect.objectContaining({ code: 'INVALID_CURSOR', status: 400 }));
+      expect(() => commentService.decodeCursor(Buffer.from('{"t":1,"id":"nope"}').toString('base64url')))
+        .toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+    });
+  });
+
+  describe('with database', () => {
+    let reader;
+    let post;
+
+    const reply = (parent, content, data = {}) => Comment.create({
+      content,
+      post: post._id,
+      author: reader._id,
+      parentComment: parent?._id || null,
+      ...data
+    });
+    const contents = nodes => nodes.map(node => node.comment.content);
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+
+      const journalist = await User.create({
+        username: 'journalist',
+        email: 'journalist@example.com',
+        password: 'Password123!',
+        name: 'Test Journalist',
+        role: 'journalist'
+      });
+      reader = await User.create({
+        username: 'reader',
+        email: 'reader@example.com',
+        password: 'Password123!',
+        name: 'Test Reader'
+      });
+      post = await Post.create({
+        title: 'Article',
+        content: 'Contenu',
+        imageUrl: '/uploads/image.png',
+        type: 'article',
+        domain: 'politique',
+        status: 'published',
+        politicalOrientation: { journalistChoice: 'neutral' },
+        journalist: journalist._id
+      });
+    });
+
+    it('should record the ancestors and depth of replies', async () => {
+      const root = await reply(null, 'root');
+      const child = await reply(root, 'child');
+      const grandchild = await reply(child, 'grandchild');
+
+      expect(grandchild.depth).toBe(2);
+      expect(grandchild.ancestors.map(id => id.toString())).toEqual([root._id.toString(), child._id.toString()]);
+    });
+
+    it('should reject a parent from another post', async () => {
+      const root = await reply(null, 'root');
+
+      await expect(reply(root, 'elsewhere', { post: new mongoose.Types.ObjectId() }))
+        .rejects.toThrow('Parent comment belongs to another post');
+    });
+
+    it('should maintain direct and subtree reply counts', async () => {
+      const root = await reply(null, 'root');
+      const child = await reply(root, 'child');
+      await reply(child, 'grandchild 1');
+      await reply(child, 'grandchild 2');
+      await reply(root, 'child 2');
+
+      const stored = await Comment.findById(root._id);
+      expect(stored.replyCount).toBe(2);
+      expect(stored.descendantCount).toBe(4);
+
+      await Comment.adjustThreadCounts(await Comment.findById(child._id), -3, -1);
+      const after = await Comment.findById(root._id);
+      expect(after.replyCount).toBe(1);
+      expect(after.descendantCount).toBe(1);
+    });
+
+    it('should keep the thread and its counts when a moderator removes a reply', async () => {
+      const root = await reply(null, 'root');
+      const child = await reply(root, 'child');
+      const grandchild = await reply(child, 'grandchild');
+
+      await commentService.removeComment(await Comment.findById(child._id), 'spam');
+
+      const stored = await Comment.findById(root._id);
+      expect(stored.replyCount).toBe(0);
+      expect(stored.descendantCount).toBe(0);
+      expect((await Comment.findById(child._id)).status).toBe('deleted');
+      expect((await Comment.findById(grandchild._id)).ancestors.map(id => id.toString()))
+        .toEqual([root._id.toString(), child._id.toString()]);
+    });
+
+    it('should return nested replies down to the display depth with continue cursors', async () => {
+      const root = await reply(null, 'root');
+      const a = await reply(root, 'a', { createdAt: new Date('2026-03-01T10:00:00Z') });
+      await reply(root, 'b', { createdAt: new Date('2026-03-01T11:00:00Z') });
+      const a1 = await reply(a, 'a1');
+      const a1x = await reply(a1, 'a1x');
+      await reply(a1x, 'a1x-deep');
+
+      const thread = await commentService.getThread(root._id, { depth: 3 });
+
+      expect(contents(thread.replies)).toEqual(['a', 'b']);
+      const [nodeA] = thread.replies;
+      expect(contents(nodeA.replies)).toEqual(['a1']);
+      expect(contents(nodeA.replies[0].replies)).toEqual(['a1x']);
+
+      // a1x is at the display depth: its reply is behind a "continue thread" link
+      const nodeA1x = nodeA.replies[0].replies[0];
+      expect(nodeA1x.replies).toEqual([]);
+      expect(nodeA1x.continueThread).toEqual({ commentId: a1x._id.toString(), cursor: null });
+
+      const continued = await commentService.getThread(nodeA1x.continueThread.commentId, {});
+      expect(contents(continued.replies)).toEqual(['a1x-deep']);
+    });
+
+    it('should page direct replies with a cursor', async () => {
+      const root = await reply(null, 'root');
+      for (let i = 1; i <= 3; i++) {
+        await reply(root, `reply ${i}`, { createdAt: new Date(`2026-03-01T1${i}:00:00Z`) });
+      }
+
+      const first = await commentService.getThread(root._id, { limit: 2 });
+      const second = await commentService.getThread(root._id, { limit: 2, cursor: first.nextCursor });
+
+      expect(contents(first.replies)).toEqual(['reply 1', 'reply 2']);
+      expect(contents(second.replies)).toEqual(['reply 3']);
+      expect(second.nextCursor).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,217 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const Comment = require('../../src/models/comment.model');
+const FilterRule = require('../../src/models/filterRule.model');
+const FilterHit = require('../../src/models/filterHit.model');
+const contentFilterService = require('../../src/services/contentFilter.service');
+const postController = require('../../src/controllers/post.controller');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Content Filter Tests', () => {
+  describe('normalization', () => {
+    it('should fold accents, leetspeak, spaced-out and repeated letters', () => {
+      expect(contentFilterService.normalizeText('Cônnaaard')).toBe('conard');
+      expect(contentFilterService.normalizeText('C.0.N.N.A.R.D')).toBe('conard');
+      expect(contentFilterService.normalizeText('sp4m $pam')).toBe('spam spam');
+      expect(contentFilterService.normalizeText('un lien normal')).toBe('un lien normal');
+    });
+
+    it('should find linked domains, even obfuscated', () => {
+      expect(contentFilterService.extractDomains('Voir https://www.Example.com/page et spam[.]net')).toEqual(['example.com', 'spam.net']);
+      expect(contentFilterService.extractDomains('casino (dot) io')).toEqual(['casino.io']);
+      expect(contentFilterService.extractDomains('Aucun lien ici.')).toEqual([]);
+    });
+  });
+
+  describe('screening', () => {
+    const compile = (rule, index) => contentFilterService.compileRule({
+      _id: `rule${index}`,
+      name: `rule${index}`,
+      targets: ['post', 'comment'],
+      ...rule
+    });
+    const rules = [
+      { kind: 'terms', terms: ['arnaque', 'idiot*'], action: 'flag' },
+      { kind: 'domains', terms: ['https://casino.io/'], action: 'hold' },
+      { kind: 'regex', pattern: '\\b\\d{2}(?: \\d{2}){4}\\b', action: 'reject', targets: ['comment'] }
+    ].map(compile);
+
+    it('should match whole words, with a wildcard suffix', async () => {
+      const verdict = await contentFilterService.screen('comment', { content: 'Quelle 4rnaque, bande d\'idiots' }, rules);
+
+      expect(verdict.action).toBe('flag');
+      expect(verdict.hidden).toBe(false);
+      expect(verdict.hits).toHaveLength(1);
+      expect(verdict.hits[0].matches).toEqual(['arnaque', 'idiots']);
+
+      const clean = await contentFilterService.screen('comment', { content: 'Les arnaqueurs et l\'idiome' }, rules);
+      expect(clean.action).toBeNull();
+      expect(clean.hits).toEqual([]);
+    });
+
+    it('should apply the strictest action of the matching rules', async () => {
+      const held = await contentFilterService.screen('post', { title: 'Arnaque', content: 'Jouez sur www.casino.io' }, rules);
+      expect(held.action).toBe('hold');
+      expect(held.hidden).toBe(true);
+      expect(held.hits.map(hit => hit.field)).toEqual(['title', 'content']);
+
+      const rejected = await contentFilterService.screen('comment', { content: 'Appelez le 06 12 34 56 78 sur sub.casino.io' }, rules);
+      expect(rejected.action).toBe('reject');
+
+      // The phone number rule does not apply to posts
+      const post = await contentFilterService.screen('post', { content: 'Appelez le 06 12 34 56 78' }, rules);
+      expect(post.action).toBeNull();
+    });
+
+    it('should validate rules before saving them', () => {
+      expect(() => contentFilterService.validateRule({ name: 'r', kind: 'words', terms: ['a'], action: 'flag' }))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+      expect(() => contentFilterService.validateRule({ name: 'r', kind: 'regex', pattern: '(unclosed', action: 'flag' }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_RULE' }));
+      expect(() => contentFilterService.validateRule({ name: 'r', kind: 'terms', terms: ['***'], action: 'flag' }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_RULE' }));
+      expect(() => contentFilterService.validateRule({ name: 'r', kind: 'terms', terms: ['a'], action: 'flag', targets: ['short'] }))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+
+      expect(contentFilterService.validateRule({ name: ' Spam ', kind: 'terms', terms: ['spam', ' spam '], action: 'hide' }))
+        .toMatchObject({ name: 'Spam', terms: ['spam'], targets: ['post', 'comment'], isActive: true });
+    });
+
+    it('should dry-run an unsaved rule', async () => {
+      const result = await contentFilterService.dryRun({
+        text: 'Gagnez gros sur casino[.]io',
+        rule: { name: 'Casinos', kind: 'domains', terms: ['casino.io'], action: 'reject' }
+      });
+
+      expect(result.domains).toEqual(['casino.io']);
+      expect(result.action).toBe('reject');
+      expect(result.matches).toEqual([{ rule: expect.objectContaining({ name: 'Casinos' }), matches: ['casino.io'] }]);
+
+      await expect(contentFilterService.dryRun({ text: ' ' })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('with database', () => {
+    let admin;
+    let journalist;
+    let post;
+
+    const createUser = (username, role) => User.create({
+      username,
+      email: `${username}@example.com`,
+      password: 'Password123!',
+      name: username,
+      role,
+      twoFactorEnabled: role === 'admin'
+    });
+    const requestOf = user => ({ user, userId: user._id.toString(), get: () => 'jest' });
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+      await FilterRule.init();
+      contentFilterService.invalidate();
+
+      admin = await createUser('admin', 'admin');
+      journalist = await createUser('journalist', 'journalist');
+      post = await Post.create({
+        title: 'Article',
+        content: 'Contenu',
+        imageUrl: '/uploads/image.png',
+        type: 'article',
+        domain: 'politique',
+        status: 'published',
+        politicalOrientation: { journalistChoice: 'neutral' },
+        journalist: journalist._id
+      });
+    });
+
+    it('should refuse two rules with the same name', async () => {
+      await contentFilterService.createRule(requestOf(admin), { name: 'Spam', kind: 'terms', terms: ['spam'], action: 'flag' });
+
+      await expect(contentFilterService.createRule(requestOf(admin), { name: 'spam', kind: 'terms', terms: ['pub'], action: 'hide' }))
+        .rejects.toMatchObject({ code: 'RULE_EXISTS', status: 409 });
+    });
+
+    it('should only screen with active rules', async () => {
+      const rule = await contentFilterService.createRule(requestOf(admin), { name: 'Spam', kind: 'terms', terms: ['spam'], action: 'hold' });
+      expect((await contentFilterService.screen('comment', { content: 'du spam' })).action).toBe('hold');
+
+      await contentFilterService.updateRule(requestOf(admin), rule._id, { isActive: false });
+      expect((await contentFilterService.screen('comment', { content: 'du spam' })).action).toBeNull();
+    });
+
+    it('should show a held comment once approved', async () => {
+      await contentFilterService.createRule(requestOf(admin), { name: 'Spam', kind: 'terms', terms: ['spam'], action: 'hold' });
+      const verdict = await contentFilterService.screen('comment', { content: 'du spam' });
+      const comment = await Comment.create({ content: 'du spam', post: post._id, author: journalist._id, status: 'hidden' });
+      const [hit] = await contentFilterService.recordHits(verdict, { targetType: 'comment', targetId: comment._id, author: journalist._id });
+
+      const { hits } = await contentFilterService.listHits({});
+      expect(hits.map(entry => entry._id.toString())).toEqual([hit._id.toString()]);
+      expect((await FilterRule.findOne({ name: 'Spam' })).hitCount).toBe(1);
+
+      const reviewed = await contentFilterService.reviewHit(requestOf(admin), hit._id, 'approve');
+      expect(reviewed.status).toBe('approved');
+      expect((await Comment.findById(comment._id)).status).toBe('active');
+      expect((await Post.findById(post._id)).interactions.comments.count).toBe(1);
+
+      await expect(contentFilterService.reviewHit(requestOf(admin), hit._id, 'remove'))
+        .rejects.toMatchObject({ code: 'HIT_REVIEWED' });
+    });
+
+    it('should remove a held post, leaving it open to appeal', async () => {
+      await contentFilterService.createRule(requestOf(admin), { name: 'Casinos', kind: 'domains', terms: ['casino.io'], action: 'hold' });
+      const verdict = await contentFilterService.screen('post', { title: 'Article', content: 'Jouez sur casino.io' });
+      await Post.updateOne({ _id: post._id }, { $set: { status: 'hidden' } });
+      const [hit] = await contentFilterService.recordHits(verdict, {
+        targetType: 'post',
+        targetId: post._id,
+        author: journalist._id,
+        previousStatus: 'published'
+      });
+
+      await contentFilterService.reviewHit(requestOf(admin), hit._id, 'remove');
+
+      const removed = await Post.findById(post._id);
+      expect(removed.isDeleted).toBe(true);
+      expect((await FilterHit.findById(hit._id)).status).toBe('removed');
+    });
+
+    it('should not let the author edit the text of a held post', async () => {
+      await contentFilterService.createRule(requestOf(admin), { name: 'Casinos', kind: 'domains', terms: ['casino.io'], action: 'hold' });
+      const verdict = await contentFilterService.screen('post', { title: 'Article', content: 'Jouez sur casino.io' });
+      await Post.updateOne({ _id: post._id }, { $set: { status: 'hidden', content: 'Jouez sur casino.io' } });
+      await contentFilterService.recordHits(verdict, {
+        targetType: 'post',
+        targetId: post._id,
+        author: journalist._id,
+        previousStatus: 'published'
+      });
+
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      await postController.updatePost({ params: { id: post._id.toString() }, user: journalist, body: { content: 'Tout autre chose' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'POST_HIDDEN' }));
+      expect((await Post.findById(post._id)).content).toBe('Jouez sur casino.io');
+    });
+
+    it('should keep rejected content out of review', async () => {
+      await contentFilterService.createRule(requestOf(admin), { name: 'Insultes', kind: 'terms', terms: ['idiot'], action: 'reject' });
+      const verdict = await contentFilterService.screen('comment', { content: 'idiot' });
+      const [hit] = await contentFilterService.recordHits(verdict, { targetType: 'comment', author: journalist._id });
+
+      expect(hit.status).toBe('closed');
+      await expect(contentFilterService.reviewHit(requestOf(admin), hit._id, 'approve'))
+        .rejects.toMatchObject({ code: 'NO_CONTENT' });
+    });
+  });
+});
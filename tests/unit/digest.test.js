@@ -0,0 +1,214 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const DigestSend = require('../../src/models/digestSend.model');
+const digestService = require('../../src/services/digest.service');
+const emailService = require('../../src/services/email.service');
+const digestController = require('../../src/controllers/digest.controller');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Digest Tests', () => {
+  describe('periods', () => {
+    it('should key daily digests by local date and weekly ones by ISO week', () => {
+      // 23:30 UTC is already the next day in Paris
+      expect(digestService.getPeriodKey('daily', new Date('2026-03-01T23:30:00Z'))).toBe('2026-03-02');
+      expect(digestService.getPeriodKey('weekly', new Date('2026-03-02T09:00:00Z'))).toBe('2026-W10');
+      // ISO weeks belong to the year of their Thursday
+      expect(digestService.getPeriodKey('weekly', new Date('2027-01-01T12:00:00Z'))).toBe('2026-W53');
+    });
+
+    it('should be due from the configured local hour, weekly from the configured day', () => {
+      // Monday 2 March 2026, 07:00 and 08:00 in Paris
+      expect(digestService.isDue('daily', new Date('2026-03-02T06:00:00Z'))).toBe(false);
+      expect(digestService.isDue('daily', new Date('2026-03-02T07:00:00Z'))).toBe(true);
+      expect(digestService.isDue('weekly', new Date('2026-03-02T06:00:00Z'))).toBe(false);
+      expect(digestService.isDue('weekly', new Date('2026-03-02T07:00:00Z'))).toBe(true);
+      // Catch-up later in the week
+      expect(digestService.isDue('weekly', new Date('2026-03-04T03:00:00Z'))).toBe(true);
+    });
+  });
+
+  describe('unsubscribe tokens', () => {
+    const userId = '507f1f77bcf86cd799439011';
+
+    it('should verify a token it issued', () => {
+      const token = digestService.createUnsubscribeToken(userId);
+
+      expect(digestService.verifyUnsubscribeToken(token)).toBe(userId);
+    });
+
+    it('should reject a token signed for another user', () => {
+      const signature = digestService.createUnsubscribeToken(userId).split('.')[1];
+
+      expect(() => digestService.verifyUnsubscribeToken(`507f1f77bcf86cd799439012.${signature}`))
+        .toThrow(expect.objectContaining({ code: 'INVALID_TOKEN', status: 400 }));
+      expect(() => digestService.verifyUnsubscribeToken('garbage'))
+        .toThrow(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    });
+
+    it('should only ask for a confirmation when the link is opened', () => {
+      const unsubscribe = jest.spyOn(digestService, 'unsubscribe');
+      const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+
+      digestController.confirmUnsubscribe({ query: { token: digestService.createUnsubscribeToken(userId) } }, res);
+
+      expect(res.send).toHaveBeenCalledWith(expect.stringContaining('<form method="post">'));
+      expect(unsubscribe).not.toHaveBeenCalled();
+
+      digestController.confirmUnsubscribe({ query: { token: 'garbage' } }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+
+  describe('email', () => {
+    const digest = {
+      frequency: 'weekly',
+      user: { name: 'Jules' },
+      sections: {
+        followed: [{ id: '1', title: 'Budget <2027>', journalistName: 'Marie', domain: 'economie', url: 'http://localhost:3000/posts/1' }],
+        topics: [],
+        trending: [{ id: '2', title: 'Élections', journalistName: null, domain: 'politique', url: 'http://localhost:3000/posts/2' }]
+      },
+      unsubscribeUrl: 'http://localhost:3000/api/digest/unsubscribe?token=abc',
+      preferencesUrl: 'http://localhost:3000/settings/notifications'
+    };
+
+    beforeEach(() => {
+      emailService.clearCapturedEmails();
+    });
+
+    it('should render HTML and text versions of the non-empty sections', () => {
+      const { subject, html, text } = emailService.renderDigestEmail(digest);
+
+      expect(subject).toBe('Votre résumé de la semaine sur THOT');
+      expect(html).toContain('Budget &lt;2027&gt;');
+      expect(html).not.toContain('Sur vos sujets');
+      expect(text).toContain('- Budget <2027> (Marie)\n  http://localhost:3000/posts/1');
+      expect(text).toContain('TENDANCES');
+      expect(text).toContain(`Se désabonner : ${digest.unsubscribeUrl}`);
+    });
+
+    it('should send one-click unsubscribe headers', async () => {
+      await emailService.sendDigestEmail('jules@example.com', digest);
+
+      const [email] = emailService.getCapturedEmails('jules@example.com');
+      expect(email.headers).toEqual({
+        'List-Unsubscribe': `<${digest.unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      });
+    });
+  });
+
+  describe('sending', () => {
+    const now = new Date('2026-03-02T08:00:00Z');
+    let reader;
+    let journalist;
+
+    const createPost = (data) => Post.create({
+      title: 'Article du jour',
+      content: 'Contenu',
+      imageUrl: '/uploads/image.png',
+      type: 'article',
+      domain: 'politique',
+      status: 'published',
+      politicalOrientation: { journalistChoice: 'neutral' },
+      journalist: journalist._id,
+      publishedAt: new Date(now.getTime() - HOUR),
+      ...data
+    });
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+      emailService.clearCapturedEmails();
+
+      journalist = await User.create({
+        username: 'journalist',
+        email: 'journalist@example.com',
+        password: 'Password123!',
+        name: 'Test Journalist',
+        role: 'journalist',
+        preferences: { emailDigest: { frequency: 'off' } }
+      });
+      reader = await User.create({
+        username: 'reader',
+        email: 'reader@example.com',
+        password: 'Password123!',
+        name: 'Test Reader',
+        following: [journalist._id],
+        preferences: { emailDigest: { frequency: 'daily' } }
+      });
+    });
+
+    it('should send the digest of followed journalists once per period', async () => {
+      const post = await createPost({ title: 'Nouvel article suivi' });
+      await createPost({ title: 'Trop ancien', publishedAt: new Date(now.getTime() - 48 * HOUR) });
+
+      const first = await digestService.runDueDigests(now);
+      const second = await digestService.runDueDigests(new Date(now.getTime() + HOUR));
+
+      expect(first.sent).toBe(1);
+      expect(second.sent).toBe(0);
+      const emails = emailService.getCapturedEmails('reader@example.com');
+      expect(emails).toHaveLength(1);
+      expect(emails[0].text).toContain('Nouvel article suivi');
+      expect(emails[0].text).not.toContain('Trop ancien');
+
+      const send = await DigestSend.findOne({ user: reader._id });
+      expect(send.status).toBe('sent');
+      expect(send.posts.map(id => id.toString())).toEqual([post._id.toString()]);
+    });
+
+    it('should only send digests to users who opted in', async () => {
+      await createPost({});
+      const legacy = await User.create({
+        username: 'legacy',
+        email: 'legacy@example.com',
+        password: 'Password123!',
+        name: 'Legacy Reader',
+        following: [journalist._id]
+      });
+      expect(legacy.preferences.emailDigest.frequency).toBe('off');
+      await User.collection.updateOne({ _id: legacy._id }, { $unset: { 'preferences.emailDigest': 1 } });
+
+      await digestService.runDueDigests(now);
+      await digestService.runDueDigests(new Date('2026-03-09T08:00:00Z'));
+
+      expect(emailService.getCapturedEmails('legacy@example.com')).toHaveLength(0);
+    });
+
+    it('should not send the same digest twice across concurrent runs', async () => {
+      await createPost({});
+
+      await Promise.all([
+        digestService.sendDigest(reader.toObject(), 'daily', now),
+        digestService.sendDigest(reader.toObject(), 'daily', now)
+      ]);
+
+      expect(emailService.getCapturedEmails('reader@example.com')).toHaveLength(1);
+    });
+
+    it('should record an empty digest without sending an email', async () => {
+      const result = await digestService.sendDigest(reader.toObject(), 'daily', now);
+
+      expect(result).toBe('empty');
+      expect(emailService.getCapturedEmails()).toHaveLength(0);
+    });
+
+    it('should stop digests from an unsubscribe link', async () => {
+      await digestService.unsubscribe(digestService.createUnsubscribeToken(reader._id));
+
+      const user = await User.findById(reader._id);
+      expect(user.preferences.emailDigest.frequency).toBe('off');
+      expect(user.preferences.emailDigest.unsubscribedAt).toBeInstanceOf(Date);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const feedService = require('../../src/services/feed.service');
+
+describe('For You Feed Tests', () => {
+  const asOf = new Date('2026-03-01T12:00:00Z');
+  const hoursAgo = hours => new Date(asOf.getTime() - hours * 60 * 60 * 1000);
+
+  const journalist = (isVerified = false) => ({ _id: new mongoose.Types.ObjectId(), isVerified });
+  const post = (author, data = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    journalist: author,
+    domain: 'economie',
+    createdAt: hoursAgo(1),
+    interactions: {},
+    stats: {},
+    ...data
+  });
+  const profile = (data = {}) => ({
+    userId: new mongoose.Types.ObjectId().toString(),
+    following: new Set(),
+    topics: new Set(),
+    readIds: new Set(),
+    domainAffinity: {},
+    journalistAffinity: {},
+    exposure: { overall: {}, byDomain: {} },
+    opposingIds: new Set(),
+    ...data
+  });
+  const leaning = view => ({ politicalOrientation: { journalistChoice: view } });
+
+  describe('Scoring', () => {
+    it('should rank followed journalists and preferred topics first', () => {
+      const followed = journalist();
+      const other = journalist();
+      const posts = [
+        post(other, { domain: 'sport' }),
+        post(other, { domain: 'politique' }),
+        post(followed, { domain: 'sport' })
+      ];
+
+      const ranked = feedService.rank(posts, profile({
+        following: new Set([followed._id.toString()]),
+        topics: new Set(['politique'])
+      }), asOf);
+
+      expect(ranked.map(item => item.post._id)).toEqual([posts[2]._id, posts[1]._id, posts[0]._id]);
+    });
+
+    it('should match topics regardless of accents and case', () => {
+      const signals = feedService.computeSignals(
+        post(journalist(), { domain: 'societe', hashtags: ['Écologie'] }),
+        profile({ topics: new Set(['ecologie']) }),
+        asOf
+      );
+
+      expect(signals.topic).toBe(1);
+    });
+
+    it('should decay freshness with a one day half-life', () => {
+      expect(feedService.freshnessScore(hoursAgo(0), asOf)).toBe(1);
+      expect(feedService.freshnessScore(hoursAgo(24), asOf)).toBeCloseTo(0.5);
+      expect(feedService.freshnessScore(hoursAgo(48), asOf)).toBeCloseTo(0.25);
+    });
+
+    it('should prefer verified journalists at equal relevance', () => {
+      const posts = [post(journalist(false)), post(journalist(true))];
+      posts[1].createdAt = posts[0].createdAt;
+
+      const ranked = feedService.rank(posts, profile(), asOf);
+
+      expect(ranked[0].post._id).toEqual(posts[1]._id);
+    });
+  });
+
+  describe('Diversity', () => {
+    it('should keep one journalist from flooding the feed', () => {
+      const prolific = journalist(true);
+      const others = [journalist(), journalist(), journalist()];
+      const posts = [
+        ...[1, 2, 3, 4, 5].map(hours => post(prolific, { createdAt: hoursAgo(hours) })),
+        ...others.map((author, index) => post(author, { createdAt: hoursAgo(20 + index) }))
+      ];
+
+      const ranked = feedService.rank(posts, profile({
+        following: new Set([prolific._id.toString()])
+      }), asOf);
+      const firstPage = ranked.slice(0, 5).map(item => item.post.journalist);
+
+      expect(firstPage.filter(author => author === prolific)).toHaveLength(2);
+      expect(ranked).toHaveLength(posts.length);
+      expect(ranked[2].scoreRank).toBeGreaterThan(3);
+    });
+
+    it('should fall back to capped journalists when nothing else is left', () => {
+      const only = journalist();
+      const posts = [1, 2, 3].map(hours => post(only, { createdAt: hoursAgo(hours) }));
+
+      const ranked = feedService.rank(posts, profile(), asOf);
+
+      expect(ranked.map(item => item.post._id)).toEqual(posts.map(p => p._id));
+    });
+  });
+
+  describe('Balanced mode', () => {
+    it('should surface the viewpoints the reader rarely sees', () => {
+      const posts = [
+        post(journalist(), { domain: 'economie', ...leaning('progressive') }),
+        post(journalist(), { domain: 'economie', ...leaning('conservative') })
+      ];
+      const reader = profile({
+        exposure: {
+          overall: { progressive: 12 },
+          byDomain: { economie: { progressive: 10, neutral: 2 } }
+        }
+      });
+
+      const [first] = feedService.rank(posts, reader, asOf, 'balanced');
+
+      expect(first.post._id).toEqual(posts[1]._id);
+      expect(first.signals.balance).toBeGreaterThan(0.5);
+    });
+
+    it('should prefer posts opposing what the reader engaged with', () => {
+      const posts = [post(journalist(), leaning('neutral')), post(journalist(), leaning('neutral'))];
+      posts[1].createdAt = posts[0].createdAt;
+
+      const [first] = feedService.rank(posts, profile({
+        opposingIds: new Set([posts[1]._id.toString()])
+      }), asOf, 'balanced');
+
+      expect(first.post._id).toEqual(posts[1]._id);
+      expect(feedService.explain(first, 'balanced').contributions.opposing).toBe(0.15);
+    });
+
+    it('should reject unknown modes', async () => {
+      await expect(feedService.getForYouFeed(new mongoose.Types.ObjectId(), { mode: 'chronological' }))
+        .rejects.toMatchObject({ code: 'INVALID_MODE', status: 400 });
+    });
+  });
+
+  describe('Explain mode', () => {
+    it('should break the score down by signal', () => {
+      const author = journalist(true);
+      const [item] = feedService.rank([post(author)], profile({
+        following: new Set([author._id.toString()])
+      }), asOf);
+
+      const explanation = feedService.explain(item);
+      const total = Object.values(explanation.contributions).reduce((sum, value) => sum + value, 0);
+
+      expect(explanation.signals.following).toBe(1);
+      expect(explanation.contributions.following).toBe(0.25);
+      expect(total).toBeCloseTo(explanation.score, 2);
+      expect(explanation.demotedForDiversity).toBe(false);
+    });
+  });
+
+  describe('Cursor', () => {
+    it('should round-trip the ranking position', () => {
+      const lastId = new mongoose.Types.ObjectId().toString();
+      const cursor = feedService.encodeCursor({ asOf, index: 20, lastId });
+
+      expect(feedService.decodeCursor(cursor)).toEqual({ asOf, index: 20, lastId });
+    });
+
+    it('should reject a malformed cursor', () => {
+      expect(() => feedService.decodeCursor('not-a-cursor'))
+        .toThrow(expect.objectContaining({ code: 'INVALID_CURSOR', status: 400 }));
+    });
+  });
+});
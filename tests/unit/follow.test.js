@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const User = require('../../src/models/user.model');
+const FollowRequest = require('../../src/models/followRequest.model');
+const Notification = require('../../src/models/notification.model');
+const followService = require('../../src/services/follow.service');
+const socketService = require('../../src/services/socket.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Follow Tests', () => {
+  describe('canView', () => {
+    const ownerId = new mongoose.Types.ObjectId();
+    const followerId = new mongoose.Types.ObjectId();
+    const privateOwner = { _id: ownerId, isPrivate: true, followers: [followerId] };
+
+    it('should show public accounts to everyone', () => {
+      expect(followService.canView({ _id: ownerId, isPrivate: false }, null)).toBe(true);
+    });
+
+    it('should show private accounts to their owner, approved followers and admins only', () => {
+      expect(followService.canView(privateOwner, { _id: ownerId })).toBe(true);
+      expect(followService.canView(privateOwner, { _id: followerId })).toBe(true);
+      expect(followService.canView(privateOwner, { _id: new mongoose.Types.ObjectId(), role: 'admin' })).toBe(true);
+      expect(followService.canView(privateOwner, { _id: new mongoose.Types.ObjectId() })).toBe(false);
+      expect(followService.canView(privateOwner, null)).toBe(false);
+    });
+  });
+
+  describe('with database', () => {
+    let owner;
+    let requester;
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+      jest.spyOn(socketService, 'sendNotification').mockResolvedValue();
+
+      owner = await User.create({
+        username: 'owner',
+        email: 'owner@example.com',
+        password: 'Password123!',
+        name: 'Private Owner',
+        isPrivate: true
+      });
+      requester = await User.create({
+        username: 'requester',
+        email: 'requester@example.com',
+        password: 'Password123!',
+        name: 'Requester'
+      });
+    });
+
+    const followersOf = async userId => (await User.findById(userId)).followers.map(id => id.toString());
+
+    it('should follow public accounts immediately', async () => {
+      const result = await followService.follow(owner._id, requester._id);
+
+      expect(result).toEqual({ status: 'following', followersCount: 1 });
+      expect(await followersOf(requester._id)).toEqual([owner._id.toString()]);
+    });
+
+    it('should create a pending request for private accounts and notify the owner once', async () => {
+      const result = await followService.follow(requester._id, owner._id);
+      await followService.follow(requester._id, owner._id);
+
+      expect(result.status).toBe('requested');
+      expect(await followersOf(owner._id)).toEqual([]);
+      expect(await Notification.countDocuments({ recipient: owner._id, type: 'follow_request' })).toBe(1);
+    });
+
+    it('should add the follower and notify the requester on approval', async () => {
+      await followService.follow(requester._id, owner._id);
+      const [request] = await followService.listRequests(owner._id);
+
+      await followService.respond(owner._id, request._id, true);
+
+      expect(await followersOf(owner._id)).toEqual([requester._id.toString()]);
+      expect(await Notification.countDocuments({ recipient: requester._id, type: 'follow_request_approved' })).toBe(1);
+      await expect(followService.respond(owner._id, request._id, true))
+        .rejects.toMatchObject({ code: 'REQUEST_NOT_FOUND', status: 404 });
+    });
+
+    it('should notify the requester of a decline without following', async () => {
+      await followService.follow(requester._id, owner._id);
+      const [request] = await followService.listRequests(owner._id);
+
+      await followService.respond(owner._id, request._id, false);
+
+      expect(await followersOf(owner._id)).toEqual([]);
+      expect(await Notification.countDocuments({ recipient: requester._id, type: 'follow_request_declined' })).toBe(1);
+      expect(await followService.listRequests(owner._id)).toHaveLength(0);
+    });
+
+    it('should approve pending requests when the account goes public', async () => {
+      await followService.follow(requester._id, owner._id);
+
+      const result = await followService.setPrivacy(owner._id, false);
+
+      expect(result).toEqual({ isPrivate: false, approvedRequests: 1 });
+      expect(await followersOf(owner._id)).toEqual([requester._id.toString()]);
+      expect((await FollowRequest.findOne({ requester: requester._id })).status).toBe('approved');
+    });
+
+    it('should withdraw a pending request on unfollow', async () => {
+      await followService.follow(requester._id, owner._id);
+
+      const result = await followService.unfollow(requester._id, owner._id);
+
+      expect(result.status).toBe('cancelled');
+      expect(await followService.hasPendingRequest(requester._id, owner._id)).toBe(false);
+      await expect(followService.unfollow(requester._id, owner._id))
+        .rejects.toMatchObject({ code: 'NOT_FOLLOWING' });
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const { extractMentions } = require('../../src/utils/mentions');
+const mentionService = require('../../src/services/mention.service');
+const { formatMentions } = require('../../src/formatters/comment.formatter');
+
+describe('Mention Tests', () => {
+  describe('extractMentions', () => {
+    it('should find @username tokens with their position', () => {
+      const text = 'Merci @marie_dupont et @Jean42 pour la relecture';
+
+      expect(extractMentions(text)).toEqual([
+        { username: 'marie_dupont', offset: 6, length: 13 },
+        { username: 'Jean42', offset: 23, length: 7 }
+      ]);
+    });
+
+    it('should ignore e-mail addresses and too short names', () => {
+      expect(extractMentions('Écrivez à redaction@thot.fr ou @ab')).toEqual([]);
+    });
+
+    it('should accept mentions after punctuation', () => {
+      expect(extractMentions('(@paul_martin), @lea_b!').map(m => m.username)).toEqual(['paul_martin', 'lea_b']);
+    });
+  });
+
+  describe('canNotify', () => {
+    const authorId = new mongoose.Types.ObjectId();
+
+    it('should not notify the author of their own mention', () => {
+      expect(mentionService.canNotify({ _id: authorId }, authorId)).toBe(false);
+    });
+
+    it('should only let followed accounts notify a private account', () => {
+      const target = { _id: new mongoose.Types.ObjectId(), isPrivate: true, following: [] };
+      expect(mentionService.canNotify(target, authorId)).toBe(false);
+
+      target.following.push(authorId);
+      expect(mentionService.canNotify(target, authorId)).toBe(true);
+    });
+
+    it('should not notify a user who blocked the author', () => {
+      const target = { _id: new mongoose.Types.ObjectId(), blockedUsers: [authorId] };
+
+      expect(mentionService.canNotify(target, authorId)).toBe(false);
+    });
+
+    it('should not notify banned users', () => {
+      expect(mentionService.canNotify({ _id: new mongoose.Types.ObjectId(), status: 'banned' }, authorId)).toBe(false);
+    });
+  });
+
+  describe('formatMentions', () => {
+    it('should expose mention entities', () => {
+      const userId = new mongoose.Types.ObjectId();
+
+      expect(formatMentions([{ user: userId, username: 'marie', offset: 0, length: 6 }])).toEqual([
+        { userId: userId.toString(), username: 'marie', offset: 0, length: 6 }
+      ]);
+      expect(formatMentions(undefined)).toEqual([]);
+    });
+  });
+});
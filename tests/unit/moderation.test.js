@@ -0,0 +1,253 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const Comment = require('../../src/models/comment.model');
+const Report = require('../../src/models/report.model');
+const ModerationCase = require('../../src/models/moderationCase.model');
+const moderationService = require('../../src/services/moderation.service');
+const { requireModerator } = require('../../src/middleware/auth.middleware');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Moderation Queue Tests', () => {
+  describe('permissions', () => {
+    it('should scope moderators below admins', () => {
+      const moderator = { role: 'moderator' };
+      const admin = { role: 'admin' };
+
+      expect(moderationService.hasPermission(moderator, 'action:user_suspended')).toBe(true);
+      expect(moderationService.hasPermission(moderator, 'action:user_banned')).toBe(false);
+      expect(moderationService.hasPermission(moderator, 'case:assign')).toBe(false);
+      expect(moderationService.hasPermission(admin, 'action:user_banned')).toBe(true);
+      expect(moderationService.hasPermission({ role: 'user' }, 'queue:view')).toBe(false);
+    });
+
+    it('should refuse a ban from a moderator before touching any case', async () => {
+      const req = { user: { _id: '507f1f77bcf86cd799439011', role: 'moderator' } };
+
+      await expect(moderationService.resolve(req, ['507f1f77bcf86cd799439012'], { actionTaken: 'user_banned', resolution: 'Spam' }))
+        .rejects.toMatchObject({ code: 'MODERATION_FORBIDDEN', status: 403 });
+      await expect(moderationService.resolve(req, ['507f1f77bcf86cd799439012'], { actionTaken: 'delete_everything' }))
+        .rejects.toMatchObject({ code: 'INVALID_ACTION' });
+      await expect(moderationService.resolve(req, [], { actionTaken: 'none' }))
+        .rejects.toMatchObject({ code: 'INVALID_CASES' });
+    });
+
+    it('should only let moderators and admins with 2FA through', () => {
+      const run = (req) => {
+        const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+        const next = jest.fn();
+        requireModerator(req, res, next);
+        return { res, next };
+      };
+
+      expect(run({ isModerator: true, user: { twoFactorEnabled: true } }).next).toHaveBeenCalled();
+      expect(run({ isModerator: true, user: { twoFactorEnabled: false } }).res.status).toHaveBeenCalledWith(403);
+      expect(run({ isAdmin: false, isModerator: false, user: { twoFactorEnabled: true } }).res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('priority and SLA', () => {
+    const reporter = id => `507f1f77bcf86cd79943901${id}`;
+
+    it('should weight severe reasons and set the deadline from the first report', () => {
+      const first = new Date('2026-01-01T10:00:00Z');
+      const summary = moderationService.summarize([
+        { reporter: reporter(1), reason: 'hate_speech', createdAt: first, source: 'report' },
+        { reporter: reporter(2), reason: 'harassment', createdAt: new Date('2026-01-01T11:00:00Z'), source: 'embedded' },
+        { reporter: reporter(3), reason: 'spam', createdAt: new Date('2026-01-01T12:00:00Z'), source: 'report' }
+      ]);
+
+      expect(summary).toMatchObject({
+        reportCount: 3,
+        priorityScore: 7,
+        priority: 'high',
+        sources: { reports: 2, embedded: 1 },
+        firstReportedAt: first
+      });
+      expect(summary.dueAt).toEqual(new Date('2026-01-01T14:00:00Z'));
+    });
+
+    it('should keep a single spam report at low priority', () => {
+      const summary = moderationService.summarize([
+        { reporter: reporter(1), reason: 'spam', createdAt: new Date(), source: 'report' }
+      ]);
+
+      expect(summary.priority).toBe('low');
+    });
+
+    it('should map embedded post reasons to report reasons', () => {
+      expect(moderationService.normalizeReason('misinformation')).toBe('false_information');
+      expect(moderationService.normalizeReason('inappropriate')).toBe('inappropriate_content');
+      expect(moderationService.normalizeReason('spam')).toBe('spam');
+    });
+
+    it('should show expired claims as unassigned and overdue cases as breached', () => {
+      const now = new Date('2026-01-02T00:00:00Z');
+      const formatted = moderationService.formatCase({
+        assignedTo: '507f1f77bcf86cd799439011',
+        claimExpiresAt: new Date('2026-01-01T23:00:00Z'),
+        dueAt: new Date('2026-01-01T22:00:00Z')
+      }, now);
+
+      expect(formatted.assignedTo).toBeNull();
+      expect(formatted.sla).toMatchObject({ remainingMinutes: -120, breached: true });
+    });
+  });
+
+  describe('with database', () => {
+    let admin;
+    let moderator;
+    let otherModerator;
+    let author;
+    let readers;
+    let post;
+
+    const createUser = (username, role = 'user') => User.create({
+      username,
+      email: `${username}@example.com`,
+      password: 'Password123!',
+      name: username,
+      role,
+      twoFactorEnabled: role !== 'user'
+    });
+    const reportComment = async (comment, reader, reason = 'spam') => {
+      await Report.create({
+        reportedBy: reader._id,
+        targetType: 'comment',
+        targetId: comment._id,
+        targetModel: 'Comment',
+        reason,
+        contentSnapshot: Report.snapshotContent('comment', comment)
+      });
+      return moderationService.syncTarget('comment', comment._id);
+    };
+    const requestOf = user => ({ user, userId: user._id.toString(), get: () => 'jest' });
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+      await ModerationCase.init();
+
+      admin = await createUser('admin', 'admin');
+      moderator = await createUser('moderator', 'moderator');
+      otherModerator = await createUser('othermod', 'moderator');
+      author = await createUser('author');
+      readers = await Promise.all(['r1', 'r2', 'r3'].map(name => createUser(name)));
+      post = await Post.create({
+        title: 'Article',
+        content: 'Contenu',
+        imageUrl: '/uploads/image.png',
+        type: 'article',
+        domain: 'politique',
+        status: 'published',
+        politicalOrientation: { journalistChoice: 'neutral' },
+        journalist: admin._id
+      });
+    });
+
+    it('should merge reports from both sources into one case, counting each reporter once', async () => {
+      const comment = await Comment.create({ content: 'Message', post: post._id, author: author._id });
+      await comment.report(readers[0]._id, 'spam');
+      await comment.report(readers[1]._id, 'harassment');
+      await reportComment(comment, readers[1], 'harassment');
+      const moderationCase = await reportComment(comment, readers[2], 'hate_speech');
+
+      expect(await ModerationCase.countDocuments()).toBe(1);
+      expect(moderationCase.toObject()).toMatchObject({ reportCount: 3, priority: 'high', sources: { reports: 2, embedded: 1 } });
+      expect(moderationCase.author.toString()).toBe(author._id.toString());
+    });
+
+    it('should let only one moderator claim a case', async () => {
+      const comment = await Comment.create({ content: 'Message', post: post._id, author: author._id });
+      const moderationCase = await reportComment(comment, readers[0]);
+
+      await moderationService.claim(moderator, moderationCase._id);
+      await expect(moderationService.claim(otherModerator, moderationCase._id))
+        .rejects.toMatchObject({ code: 'CASE_CLAIMED', status: 409 });
+
+      const result = await moderationService.resolve(requestOf(otherModerator), [moderationCase._id], { actionTaken: 'none' });
+      expect(result.failed[0]).toMatchObject({ code: 'CASE_CLAIMED', status: 409 });
+    });
+
+    it('should bulk resolve cases, remove the content and close their reports', async () => {
+      const comments = await Promise.all(['un', 'deux'].map(content =>
+        Comment.create({ content, post: post._id, author: author._id })
+      ));
+      const cases = await Promise.all(comments.map(comment => reportComment(comment, readers[0])));
+
+      const result = await moderationService.resolve(requestOf(moderator), cases.map(c => c._id), {
+        actionTaken: 'content_removed',
+        resolution: 'Spam'
+      });
+
+      expect(result.resolved).toHaveLength(2);
+      expect(await Comment.countDocuments({ isDeleted: true, status: 'deleted' })).toBe(2);
+      expect(await Report.countDocuments({ status: 'resolved', actionTaken: 'content_removed' })).toBe(2);
+    });
+
+    it('should reopen a case whose action fails', async () => {
+      const comment = await Comment.create({ content: 'Message', post: post._id, author: author._id });
+      const moderationCase = await reportComment(comment, readers[0]);
+      jest.spyOn(moderationService, 'applyAction').mockRejectedValueOnce(new Error('Database unavailable'));
+
+      const result = await moderationService.resolve(requestOf(moderator), [moderationCase._id], {
+        actionTaken: 'content_removed',
+        resolution: 'Spam'
+      });
+
+      expect(result.failed[0].code).toBe('RESOLVE_FAILED');
+      const reopened = await ModerationCase.findById(moderationCase._id);
+      expect(reopened.status).toBe('open');
+      expect(reopened.resolvedBy).toBeUndefined();
+      expect(await Report.countDocuments({ status: 'pending' })).toBe(1);
+    });
+
+    it('should refuse to sanction staff accounts', async () => {
+      const comment = await Comment.create({ content: 'Message', post: post._id, author: otherModerator._id });
+      const moderationCase = await reportComment(comment, readers[0]);
+
+      const result = await moderationService.resolve(requestOf(admin), [moderationCase._id], {
+        actionTaken: 'user_suspended',
+        resolution: 'Harcèlement'
+      });
+
+      expect(result.failed[0].code).toBe('PROTECTED_ACCOUNT');
+      expect((await ModerationCase.findById(moderationCase._id)).status).toBe('open');
+    });
+
+    it('should open a new case for reports filed after a resolution and show prior actions', async () => {
+      const comment = await Comment.create({ content: 'Message', post: post._id, author: author._id });
+      const first = await reportComment(comment, readers[0]);
+      await moderationService.resolve(requestOf(moderator), [first._id], { actionTaken: 'warning', resolution: 'Ton' });
+
+      const second = await reportComment(comment, readers[1]);
+      expect(second._id.toString()).not.toBe(first._id.toString());
+      expect(second.reportCount).toBe(1);
+
+      const detail = await moderationService.getCase(second._id);
+      expect(detail.authorHistory.cases.map(c => c.actionTaken)).toEqual(['warning']);
+      expect(detail.authorHistory.accountActions.map(a => a.action)).toEqual(['user_warned']);
+      expect(detail.content.snapshots.map(s => s.content)).toEqual(['Message']);
+    });
+
+    it('should only let admins assign cases to staff members', async () => {
+      const comment = await Comment.create({ content: 'Message', post: post._id, author: author._id });
+      const moderationCase = await reportComment(comment, readers[0]);
+
+      await expect(moderationService.assign(requestOf(moderator), moderationCase._id, otherModerator._id))
+        .rejects.toMatchObject({ code: 'MODERATION_FORBIDDEN' });
+      await expect(moderationService.assign(requestOf(admin), moderationCase._id, author._id))
+        .rejects.toMatchObject({ code: 'INVALID_ASSIGNEE' });
+
+      const assigned = await moderationService.assign(requestOf(admin), moderationCase._id, otherModerator._id);
+      expect(assigned.assignedTo._id.toString()).toBe(otherModerator._id.toString());
+      expect(assigned.claimExpiresAt).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const User = require('../../src/models/user.model');
+const Notification = require('../../src/models/notification.model');
+const NotificationService = require('../../src/services/notification.service');
+const socketService = require('../../src/services/socket.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Notification Groups Tests', () => {
+  describe('getSummary', () => {
+    it('should use the single-actor message when nobody else acted', () => {
+      const summary = Notification.getSummary({
+        type: 'post_like',
+        sender: { name: 'Alice' },
+        message: 'a aimé votre publication',
+        actorCount: 1
+      });
+
+      expect(summary).toBe('Alice a aimé votre publication');
+    });
+
+    it('should aggregate the other actors', () => {
+      const summary = Notification.getSummary({
+        type: 'post_like',
+        sender: { name: 'Alice' },
+        message: 'a aimé votre publication',
+        actorCount: 13
+      });
+
+      expect(summary).toBe('Alice et 12 autres ont aimé votre publication');
+    });
+
+    it('should use the singular for one other actor', () => {
+      const summary = Notification.getSummary({
+        type: 'new_follower',
+        sender: { username: 'bob' },
+        message: 'a commencé à vous suivre',
+        actorCount: 2
+      });
+
+      expect(summary).toBe('bob et 1 autre ont commencé à vous suivre');
+    });
+  });
+
+  describe('grouping', () => {
+    let recipient;
+    let likers;
+    const postId = '507f1f77bcf86cd799439011';
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+      jest.spyOn(socketService, 'sendNotification').mockResolvedValue();
+
+      recipient = await User.create({
+        username: 'journalist',
+        email: 'journalist@example.com',
+        password: 'Password123!',
+        name: 'Test Journalist',
+        role: 'journalist'
+      });
+      likers = await Promise.all([1, 2, 3].map(i => User.create({
+        username: `reader${i}`,
+        email: `reader${i}@example.com`,
+        password: 'Password123!',
+        name: `Reader ${i}`
+      })));
+    });
+
+    it('should merge likes on the same post into one group', async () => {
+      for (const liker of likers) {
+        await NotificationService.notifyLike(postId, liker._id, recipient._id);
+      }
+
+      const groups = await Notification.find({ recipient: recipient._id });
+      expect(groups).toHaveLength(1);
+      expect(groups[0].actorCount).toBe(3);
+      expect(groups[0].sender.toString()).toBe(likers[2]._id.toString());
+      expect(groups[0].actors[0].user.toString()).toBe(likers[2]._id.toString());
+      expect(await Notification.getUnreadCount(recipient._id)).toBe(1);
+
+      // The second and third likes update the existing group in real time
+      const lastEmitted = socketService.sendNotification.mock.calls[2][1];
+      expect(lastEmitted._id.toString()).toBe(groups[0]._id.toString());
+      expect(lastEmitted.isGroupUpdate).toBe(true);
+      expect(lastEmitted.summary).toBe('Reader 3 et 2 autres ont aimé votre publication');
+    });
+
+    it('should count a repeated actor once and not emit again', async () => {
+      await NotificationService.notifyLike(postId, likers[0]._id, recipient._id);
+      await NotificationService.notifyLike(postId, likers[0]._id, recipient._id);
+
+      const group = await Notification.findOne({ recipient: recipient._id });
+      expect(group.actorCount).toBe(1);
+      expect(socketService.sendNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('should mark a read group unread when a new actor joins', async () => {
+      await NotificationService.notifyLike(postId, likers[0]._id, recipient._id);
+      await Notification.markAllAsRead(recipient._id);
+
+      await NotificationService.notifyLike(postId, likers[1]._id, recipient._id);
+
+      const group = await Notification.findOne({ recipient: recipient._id });
+      expect(group.isRead).toBe(false);
+      expect(group.actorCount).toBe(2);
+    });
+
+    it('should start a new group once the window has passed', async () => {
+      await NotificationService.notifyLike(postId, likers[0]._id, recipient._id);
+      await Notification.updateMany({}, { $set: { createdAt: new Date(Date.now() - 25 * 60 * 60 * 1000) } });
+
+      await NotificationService.notifyLike(postId, likers[1]._id, recipient._id);
+
+      expect(await Notification.countDocuments({ recipient: recipient._id })).toBe(2);
+      expect(await Notification.countDocuments({ recipient: recipient._id, groupOpen: true })).toBe(1);
+    });
+
+    it('should open a single group for actors arriving at once', async () => {
+      await Notification.init();
+
+      await Promise.all(likers.map(liker => NotificationService.notifyLike(postId, liker._id, recipient._id)));
+
+      const groups = await Notification.find({ recipient: recipient._id });
+      expect(groups).toHaveLength(1);
+      expect(groups[0].actorCount).toBe(3);
+    });
+  });
+});
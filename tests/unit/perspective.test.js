@@ -0,0 +1,67 @@
+const perspectiveService = require('../../src/services/perspective.service');
+
+describe('Perspective Exposure Tests', () => {
+  describe('getPostView', () => {
+    it('should use the community verdict before the journalist choice', () => {
+      expect(perspectiveService.getPostView({
+        politicalOrientation: { journalistChoice: 'neutral', dominantView: 'conservative' }
+      })).toBe('conservative');
+      expect(perspectiveService.getPostView({
+        politicalOrientation: { journalistChoice: 'progressive' }
+      })).toBe('progressive');
+      expect(perspectiveService.getPostView({})).toBe('neutral');
+    });
+  });
+
+  describe('summarize', () => {
+    it('should report lean, balance and dominant view', () => {
+      const summary = perspectiveService.summarize({ conservative: 1, progressive: 3 });
+
+      expect(summary.total).toBe(4);
+      expect(summary.shares.progressive).toBe(0.75);
+      expect(summary.lean).toBe(0.5);
+      expect(summary.dominantView).toBe('progressive');
+      expect(summary.balance).toBeGreaterThan(0);
+      expect(summary.balance).toBeLessThan(1);
+    });
+
+    it('should give a perfect balance to an even mix', () => {
+      const summary = perspectiveService.summarize({
+        extremelyConservative: 2,
+        conservative: 2,
+        neutral: 2,
+        progressive: 2,
+        extremelyProgressive: 2
+      });
+
+      expect(summary.balance).toBe(1);
+      expect(summary.lean).toBe(0);
+    });
+
+    it('should handle an empty history', () => {
+      expect(perspectiveService.summarize({})).toMatchObject({ total: 0, lean: null, balance: null });
+    });
+  });
+
+  describe('underexposure', () => {
+    it('should be highest for distant, unseen viewpoints', () => {
+      const counts = { progressive: 8, extremelyProgressive: 2 };
+
+      const opposite = perspectiveService.underexposure('extremelyConservative', counts);
+      const familiar = perspectiveService.underexposure('progressive', counts);
+
+      expect(opposite).toBeGreaterThan(familiar);
+      expect(opposite).toBeLessThanOrEqual(1);
+      expect(perspectiveService.underexposure('neutral', {})).toBe(0);
+    });
+  });
+
+  describe('periodStart', () => {
+    it('should bucket reads by week (Monday) or month', () => {
+      const date = new Date('2026-03-05T15:00:00Z'); // Thursday
+
+      expect(perspectiveService.periodStart(date, 'week').toISOString()).toBe('2026-03-02T00:00:00.000Z');
+      expect(perspectiveService.periodStart(date, 'month').toISOString()).toBe('2026-03-01T00:00:00.000Z');
+    });
+  });
+});
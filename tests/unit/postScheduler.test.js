@@ -0,0 +1,169 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const NotificationService = require('../../src/services/notification.service');
+const postSchedulerService = require('../../src/services/postScheduler.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Post Scheduler Tests', () => {
+  const now = new Date('2026-03-01T08:00:00Z');
+
+  describe('applySchedule', () => {
+    it('should schedule a draft with a future publishAt', () => {
+      const post = { status: 'draft' };
+      postSchedulerService.applySchedule(post, {
+        publishAt: new Date(now.getTime() + HOUR).toISOString(),
+        unpublishAt: new Date(now.getTime() + 2 * HOUR).toISOString()
+      }, now);
+
+      expect(post.status).toBe('scheduled');
+      expect(post.publishAt).toEqual(new Date(now.getTime() + HOUR));
+      expect(post.unpublishAt).toEqual(new Date(now.getTime() + 2 * HOUR));
+    });
+
+    it('should reject a publishAt in the past', () => {
+      const post = { status: 'draft' };
+
+      expect(() => postSchedulerService.applySchedule(post, { publishAt: new Date(now.getTime() - HOUR) }, now))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE', status: 400 }));
+    });
+
+    it('should reject an embargo ending before publication', () => {
+      const post = { status: 'draft' };
+
+      expect(() => postSchedulerService.applySchedule(post, {
+        publishAt: new Date(now.getTime() + 2 * HOUR),
+        unpublishAt: new Date(now.getTime() + HOUR)
+      }, now)).toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE' }));
+    });
+
+    it('should refuse to schedule an already published post', () => {
+      const post = { status: 'published', isNew: false };
+
+      expect(() => postSchedulerService.applySchedule(post, { publishAt: new Date(now.getTime() + HOUR) }, now))
+        .toThrow(expect.objectContaining({ code: 'ALREADY_PUBLISHED', status: 409 }));
+    });
+
+    it('should require publishAt for the scheduled status', () => {
+      const post = { status: 'scheduled' };
+
+      expect(() => postSchedulerService.applySchedule(post, {}, now))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE' }));
+    });
+
+    it('should move a cancelled schedule back to draft', () => {
+      const post = { status: 'scheduled', publishAt: new Date(now.getTime() + HOUR) };
+      postSchedulerService.applySchedule(post, { publishAt: null }, now);
+
+      expect(post.status).toBe('draft');
+      expect(post.publishAt).toBeUndefined();
+    });
+  });
+
+  describe('runDueJobs', () => {
+    let journalistId;
+
+    const createPost = (data) => Post.create({
+      title: 'Article programmé',
+      content: 'Contenu sous embargo',
+      imageUrl: '/uploads/image.png',
+      type: 'article',
+      domain: 'politique',
+      politicalOrientation: { journalistChoice: 'neutral' },
+      journalist: journalistId,
+      ...data
+    });
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+      jest.spyOn(NotificationService, 'notifyFollowersOfNewPost').mockResolvedValue([]);
+
+      const journalist = await User.create({
+        username: 'journalist',
+        email: 'journalist@example.com',
+        password: 'Password123!',
+        name: 'Test Journalist',
+        role: 'journalist'
+      });
+      journalistId = journalist._id;
+    });
+
+    it('should publish due posts and announce them', async () => {
+      const due = await createPost({ status: 'scheduled', publishAt: new Date(now.getTime() - 1000) });
+      const later = await createPost({ status: 'scheduled', publishAt: new Date(now.getTime() + HOUR) });
+
+      const result = await postSchedulerService.runDueJobs(now);
+
+      expect(result.published).toBe(1);
+      const published = await Post.findById(due._id);
+      expect(published.status).toBe('published');
+      expect(published.publishedAt).toEqual(now);
+      expect(published.publishAt).toBeUndefined();
+      expect((await Post.findById(later._id)).status).toBe('scheduled');
+      expect(NotificationService.notifyFollowersOfNewPost).toHaveBeenCalledTimes(1);
+      expect(NotificationService.notifyFollowersOfNewPost).toHaveBeenCalledWith(due._id, journalistId);
+    });
+
+    it('should publish each post only once across concurrent runs', async () => {
+      await Promise.all([1, 2, 3].map(() =>
+        createPost({ status: 'scheduled', publishAt: new Date(now.getTime() - 1000) })
+      ));
+
+      // Two instances ticking at the same time
+      const counts = await Promise.all([
+        postSchedulerService.publishDuePosts(now),
+        postSchedulerService.publishDuePosts(now)
+      ]);
+
+      expect(counts[0] + counts[1]).toBe(3);
+      expect(NotificationService.notifyFollowersOfNewPost).toHaveBeenCalledTimes(3);
+    });
+
+    it('should archive posts whose embargo ended', async () => {
+      const expired = await createPost({ status: 'published', unpublishAt: new Date(now.getTime() - 1000) });
+      const running = await createPost({ status: 'published', unpublishAt: new Date(now.getTime() + HOUR) });
+
+      const result = await postSchedulerService.runDueJobs(now);
+
+      expect(result.unpublished).toBe(1);
+      expect((await Post.findById(expired._id)).status).toBe('archived');
+      expect((await Post.findById(running._id)).status).toBe('published');
+    });
+
+    it('should date posts when they go live, not when they are saved again', async () => {
+      const published = await createPost({ status: 'published' });
+      expect(published.publishedAt).toBeInstanceOf(Date);
+
+      const draft = await createPost({ status: 'draft' });
+      expect(draft.publishedAt).toBeUndefined();
+      draft.status = 'published';
+      await draft.save();
+      expect(draft.publishedAt).toBeInstanceOf(Date);
+
+      // Posts published before publishedAt existed keep sorting on createdAt
+      await Post.collection.updateOne({ _id: published._id }, { $unset: { publishedAt: 1 } });
+      const legacy = await Post.findById(published._id);
+      legacy.title = 'Titre corrigé';
+      await legacy.save();
+      expect((await Post.findById(published._id)).publishedAt).toBeUndefined();
+    });
+
+    it('should skip deleted scheduled posts', async () => {
+      await createPost({ status: 'scheduled', publishAt: new Date(now.getTime() - 1000), isDeleted: true });
+
+      const result = await postSchedulerService.runDueJobs(now);
+
+      expect(result.published).toBe(0);
+      expect(NotificationService.notifyFollowersOfNewPost).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const User = require('../../src/models/user.model');
+const Device = require('../../src/models/device.model');
+const pushConfig = require('../../src/config/push');
+const pushService = require('../../src/services/push.service');
+const fakeProvider = require('../../src/services/push/fake.provider');
+const { encryptPayload, isAllowedEndpoint } = require('../../src/services/push/webPush.provider');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+// Decrypt an aes128gcm body the way a browser does (RFC 8291)
+function decryptPayload(body, clientKeys, authSecret) {
+  const salt = body.subarray(0, 16);
+  const keyLength = body[20];
+  const serverPublicKey = body.subarray(21, 21 + keyLength);
+  const encrypted = body.subarray(21 + keyLength);
+
+  const sharedSecret = clientKeys.computeSecret(serverPublicKey);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), clientKeys.getPublicKey(), serverPublicKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+  decipher.setAuthTag(encrypted.subarray(encrypted.length - 16));
+  const plaintext = Buffer.concat([decipher.update(encrypted.subarray(0, encrypted.length - 16)), decipher.final()]);
+  // Strip the last-record delimiter
+  return plaintext.subarray(0, plaintext.lastIndexOf(2)).toString();
+}
+
+describe('Push Tests', () => {
+  describe('isQuietTime', () => {
+    const overnight = { enabled: true, start: '22:00', end: '07:00', timezone: 'Europe/Paris' };
+
+    it('should detect a window spanning midnight in the user timezone', () => {
+      // 23:30 and 06:59 in Paris (UTC+1 in winter)
+      expect(pushService.isQuietTime(overnight, new Date('2026-01-15T22:30:00Z'))).toBe(true);
+      expect(pushService.isQuietTime(overnight, new Date('2026-01-16T05:59:00Z'))).toBe(true);
+      // 07:00 and 21:59 in Paris
+      expect(pushService.isQuietTime(overnight, new Date('2026-01-16T06:00:00Z'))).toBe(false);
+      expect(pushService.isQuietTime(overnight, new Date('2026-01-15T20:59:00Z'))).toBe(false);
+    });
+
+    it('should handle a window within the day', () => {
+      const lunch = { enabled: true, start: '12:00', end: '14:00', timezone: 'UTC' };
+
+      expect(pushService.isQuietTime(lunch, new Date('2026-01-15T13:00:00Z'))).toBe(true);
+      expect(pushService.isQuietTime(lunch, new Date('2026-01-15T14:00:00Z'))).toBe(false);
+    });
+
+    it('should ignore disabled quiet hours', () => {
+      expect(pushService.isQuietTime({ ...overnight, enabled: false }, new Date('2026-01-15T22:30:00Z'))).toBe(false);
+      expect(pushService.isQuietTime(undefined)).toBe(false);
+    });
+  });
+
+  describe('getSkipReason', () => {
+    it('should follow the notification preferences', () => {
+      expect(pushService.getSkipReason({}, 'post_like')).toBeNull();
+      expect(pushService.getSkipReason({ enabled: false }, 'post_like')).toBe('notifications_disabled');
+      expect(pushService.getSkipReason({ push: false }, 'post_like')).toBe('push_disabled');
+      expect(pushService.getSkipReason({ likes: false }, 'post_like')).toBe('type_disabled');
+      expect(pushService.getSkipReason({ likes: false }, 'new_follower')).toBeNull();
+    });
+  });
+
+  describe('buildMessage', () => {
+    it('should collapse a grouped notification on its group key', () => {
+      const message = pushService.buildMessage({
+        _id: '507f1f77bcf86cd799439011',
+        type: 'post_like',
+        title: 'Nouveau j\'aime',
+        message: 'a aimé votre publication',
+        sender: { name: 'Alice' },
+        actorCount: 4,
+        groupKey: 'post:507f1f77bcf86cd799439012',
+        postId: { _id: '507f1f77bcf86cd799439012', title: 'Article' },
+        entityType: 'post',
+        entityId: '507f1f77bcf86cd799439012'
+      }, 3);
+
+      expect(message.body).toBe('Alice et 3 autres ont aimé votre publication');
+      expect(message.collapseKey).toBe('post:507f1f77bcf86cd799439012');
+      expect(message.badge).toBe(3);
+      expect(message.data).toEqual(expect.objectContaining({
+        notificationId: '507f1f77bcf86cd799439011',
+        postId: '507f1f77bcf86cd799439012'
+      }));
+    });
+  });
+
+  describe('Web Push encryption', () => {
+    it('should produce a payload the subscription can decrypt', () => {
+      const clientKeys = crypto.createECDH('prime256v1');
+      clientKeys.generateKeys();
+      const authSecret = crypto.randomBytes(16);
+
+      const body = encryptPayload(JSON.stringify({ title: 'Bonjour' }), {
+        p256dh: clientKeys.getPublicKey().toString('base64url'),
+        auth: authSecret.toString('base64url')
+      });
+
+      expect(JSON.parse(decryptPayload(body, clientKeys, authSecret))).toEqual({ title: 'Bonjour' });
+    });
+  });
+
+  describe('Web Push endpoints', () => {
+    const { allowedHosts } = pushConfig.webPush;
+
+    it('should accept the browser push services', () => {
+      expect(isAllowedEndpoint('https://fcm.googleapis.com/fcm/send/abc', allowedHosts)).toBe(true);
+      expect(isAllowedEndpoint('https://updates.push.services.mozilla.com/wpush/v2/abc', allowedHosts)).toBe(true);
+      expect(isAllowedEndpoint('https://web.push.apple.com/abc', allowedHosts)).toBe(true);
+      expect(isAllowedEndpoint('https://wns2-par02p.notify.windows.com/w/?token=abc', allowedHosts)).toBe(true);
+    });
+
+    it('should refuse any other host', () => {
+      expect(isAllowedEndpoint('https://push.example.com/abc', allowedHosts)).toBe(false);
+      expect(isAllowedEndpoint('https://127.0.0.1/abc', allowedHosts)).toBe(false);
+      expect(isAllowedEndpoint('https://fcm.googleapis.com.evil.com/abc', allowedHosts)).toBe(false);
+      expect(isAllowedEndpoint('https://evilnotify.windows.com/abc', allowedHosts)).toBe(false);
+      expect(isAllowedEndpoint('https://fcm.googleapis.com:8443/abc', allowedHosts)).toBe(false);
+      expect(isAllowedEndpoint('http://fcm.googleapis.com/abc', allowedHosts)).toBe(false);
+      expect(isAllowedEndpoint('not a url', allowedHosts)).toBe(false);
+    });
+  });
+
+  describe('delivery pipeline', () => {
+    let user;
+    let notification;
+    const initialDelay = pushConfig.retry.backoff.delay;
+
+    beforeAll(async () => {
+      await connectDB();
+      pushConfig.retry.backoff.delay = 0;
+    });
+
+    afterAll(async () => {
+      pushConfig.retry.backoff.delay = initialDelay;
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+      fakeProvider.reset();
+
+      user = await User.create({
+        username: 'reader',
+        email: 'reader@example.com',
+        password: 'Password123!',
+        name: 'Test Reader'
+      });
+      notification = {
+        _id: '507f1f77bcf86cd799439011',
+        recipient: user._id,
+        type: 'new_follower',
+        title: 'Nouvel abonné',
+        message: 'a commencé à vous suivre',
+        sender: { name: 'Alice' },
+        actorCount: 1
+      };
+    });
+
+    it('should refresh a known token and move it to the new user', async () => {
+      const other = await User.create({
+        username: 'other',
+        email: 'other@example.com',
+        password: 'Password123!',
+        name: 'Other Reader'
+      });
+
+      await pushService.registerDevice(user._id, { token: 'android-token', platform: 'android' });
+      const device = await pushService.registerDevice(other._id, { token: 'android-token', platform: 'android' });
+
+      expect(device.provider).toBe('fcm');
+      expect(device.user.toString()).toBe(other._id.toString());
+      expect(await Device.countDocuments()).toBe(1);
+    });
+
+    it('should reject a Web Push subscription without keys', async () => {
+      await expect(pushService.registerDevice(user._id, { token: 'https://push.example.com/abc', platform: 'web' }))
+        .rejects.toMatchObject({ code: 'INVALID_DEVICE', status: 400 });
+    });
+
+    it('should reject a Web Push endpoint outside the browser push services', async () => {
+      const keys = { p256dh: 'p256dh', auth: 'auth' };
+
+      await expect(pushService.registerDevice(user._id, { token: 'https://10.0.0.1/internal', platform: 'web', keys }))
+        .rejects.toMatchObject({ code: 'INVALID_DEVICE', status: 400 });
+      const device = await pushService.registerDevice(user._id, { token: 'https://fcm.googleapis.com/fcm/send/abc', platform: 'web', keys });
+      expect(device.provider).toBe('webpush');
+    });
+
+    it('should push to every device of the recipient', async () => {
+      await pushService.registerDevice(user._id, { token: 'android-token', platform: 'android' });
+      await pushService.registerDevice(user._id, { token: 'ios-token', platform: 'ios' });
+
+      const result = await pushService.deliver(notification);
+
+      expect(result).toEqual({ sent: 2, failed: 0, pruned: 0, skipped: null });
+      expect(fakeProvider.getSent('ios-token')[0].message.body).toBe('Alice a commencé à vous suivre');
+    });
+
+    it('should retry transient errors', async () => {
+      await pushService.registerDevice(user._id, { token: 'android-token', platform: 'android' });
+      fakeProvider.failWith('android-token', { code: 'UNAVAILABLE', retryable: true, times: 2 });
+
+      const result = await pushService.deliver(notification);
+
+      expect(result.sent).toBe(1);
+      expect(fakeProvider.getSent('android-token')).toHaveLength(1);
+    });
+
+    it('should give up after the last attempt and record the failure', async () => {
+      await pushService.registerDevice(user._id, { token: 'android-token', platform: 'android' });
+      fakeProvider.failWith('android-token', { code: 'UNAVAILABLE', retryable: true });
+
+      const result = await pushService.deliver(notification);
+
+      expect(result.failed).toBe(1);
+      const device = await Device.findOne({ token: 'android-token' });
+      expect(device.failureCount).toBe(1);
+      expect(device.lastError).toBe('UNAVAILABLE');
+    });
+
+    it('should prune invalid tokens', async () => {
+      await pushService.registerDevice(user._id, { token: 'android-token', platform: 'android' });
+      fakeProvider.failWith('android-token', { code: 'UNREGISTERED', invalidToken: true });
+
+      const result = await pushService.deliver(notification);
+
+      expect(result.pruned).toBe(1);
+      expect(await Device.countDocuments()).toBe(0);
+    });
+
+    it('should not push during quiet hours', async () => {
+      await pushService.registerDevice(user._id, { token: 'android-token', platform: 'android' });
+      await User.updateOne({ _id: user._id }, {
+        $set: {
+          'preferences.notifications.quietHours': { enabled: true, start: '22:00', end: '07:00', timezone: 'UTC' }
+        }
+      });
+
+      const result = await pushService.deliver(notification, { now: new Date('2026-01-15T23:00:00Z') });
+
+      expect(result.skipped).toBe('quiet_hours');
+      expect(fakeProvider.getSent()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const { diffText, applyDiff } = require('../../src/utils/textDiff');
+const revisionService = require('../../src/services/revision.service');
+const { formatCorrection } = require('../../src/formatters/post.formatter');
+
+describe('Post Revision Tests', () => {
+  describe('Text diff', () => {
+    it('should produce a word-level diff', () => {
+      expect(diffText('Le ministre a démissionné lundi', 'Le ministre a démissionné mardi soir')).toEqual([
+        { op: 'equal', text: 'Le ministre a démissionné ' },
+        { op: 'delete', text: 'lundi' },
+        { op: 'insert', text: 'mardi soir' }
+      ]);
+    });
+
+    it('should rebuild both versions from the diff', () => {
+      const before = 'Premier paragraphe.\n\nDeuxième paragraphe avec une erreur.';
+      const after = 'Premier paragraphe.\n\nDeuxième paragraphe corrigé.\n\nAjout.';
+      const diff = diffText(before, after);
+
+      expect(applyDiff(diff, 'before')).toBe(before);
+      expect(applyDiff(diff, 'after')).toBe(after);
+    });
+
+    it('should fall back to a full replacement for rewrites', () => {
+      const diff = diffText('a b c d e f', 'u v w x y z', { maxEdits: 2 });
+
+      expect(diff).toEqual([
+        { op: 'delete', text: 'a b c d e f' },
+        { op: 'insert', text: 'u v w x y z' }
+      ]);
+    });
+  });
+
+  describe('Revision service', () => {
+    it('should only diff the editorial fields that changed', () => {
+      const before = revisionService.snapshot({ title: 'Titre', content: 'Texte initial', imageUrl: '/a.png' });
+      const after = revisionService.snapshot({ title: 'Titre', content: 'Texte corrigé', imageUrl: '/a.png', status: 'archived' });
+
+      const changes = revisionService.diffSnapshots(before, after);
+      expect(changes.map(change => change.field)).toEqual(['content']);
+      expect(applyDiff(changes[0].diff, 'after')).toBe('Texte corrigé');
+    });
+  });
+
+  describe('Correction marker', () => {
+    it('should expose the correction date and note', () => {
+      const correctedAt = new Date('2026-01-15T10:00:00Z');
+
+      expect(formatCorrection({ correctedAt, note: 'Date corrigée', version: 2 })).toEqual({
+        correctedAt,
+        note: 'Date corrigée',
+        version: 2
+      });
+      expect(formatCorrection(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const { foldAccents, analyze, stem, levenshtein, buildSearchIndex } = require('../../src/utils/textAnalyzer');
+const searchService = require('../../src/services/search.service');
+
+describe('Search Tests', () => {
+  describe('Text analyzer', () => {
+    it('should fold accents and lowercase', () => {
+      expect(foldAccents('Économie Été Cœur')).toBe('economie ete coeur');
+    });
+
+    it('should bring word forms to the same stem', () => {
+      expect(stem('economie')).toBe(stem('economique'));
+      expect(stem('economie')).toBe(stem('economiste'));
+      expect(stem('reforme')).toBe(stem('reformes'));
+      expect(stem('journaux')).toBe('journal');
+    });
+
+    it('should treat accented and unaccented queries the same', () => {
+      expect(analyze('Économie')).toEqual(analyze('economie'));
+    });
+
+    it('should drop French stopwords', () => {
+      expect(analyze('la réforme des retraites')).toEqual([stem('reforme'), stem('retraites')]);
+    });
+
+    it('should compute bounded edit distance', () => {
+      expect(levenshtein('gouvern', 'gouvren')).toBe(2);
+      expect(levenshtein('gouvern', 'gouvern')).toBe(0);
+      expect(levenshtein('abc', 'abcdefgh', 1)).toBe(2);
+    });
+
+    it('should build a per-field index with a deduplicated union', () => {
+      const index = buildSearchIndex({
+        title: 'Réforme des retraites',
+        content: 'La réforme est votée',
+        tags: ['politique'],
+        hashtags: ['#Retraites']
+      }, 'Marie Dupont');
+
+      expect(index.title).toEqual([stem('reforme'), stem('retraites')]);
+      expect(index.hashtags).toEqual([stem('retraites')]);
+      expect(index.journalist).toEqual([stem('marie'), stem('dupont')]);
+      expect(new Set(index.terms).size).toBe(index.terms.length);
+    });
+  });
+
+  describe('Scoring', () => {
+    const idf = { reform: 2, retra: 1 };
+    const averageLengths = { title: 3, hashtags: 1, tags: 1, journalist: 2, content: 20 };
+
+    it('should weight title matches above content matches', () => {
+      const expansions = [[{ term: 'reform', weight: 1 }]];
+      const inTitle = searchService.scoreText(
+        { title: ['reform'], hashtags: [], tags: [], journalist: [], content: [] },
+        expansions, idf, averageLengths
+      );
+      const inContent = searchService.scoreText(
+        { title: [], hashtags: [], tags: [], journalist: [], content: ['reform'] },
+        expansions, idf, averageLengths
+      );
+
+      expect(inTitle.score).toBeGreaterThan(inContent.score);
+    });
+
+    it('should favour posts matching every query term', () => {
+      const expansions = [[{ term: 'reform', weight: 1 }], [{ term: 'retra', weight: 1 }]];
+      const both = searchService.scoreText(
+        { title: ['reform', 'retra'], hashtags: [], tags: [], journalist: [], content: [] },
+        expansions, idf, averageLengths
+      );
+      const one = searchService.scoreText(
+        { title: ['reform', 'reform'], hashtags: [], tags: [], journalist: [], content: [] },
+        expansions, idf, averageLengths
+      );
+
+      expect(both.score).toBeGreaterThan(one.score);
+      expect(both.matchedTerms).toEqual(['reform', 'retra']);
+    });
+
+    it('should score fuzzy matches below exact matches', () => {
+      const index = { title: ['reform'], hashtags: [], tags: [], journalist: [], content: [] };
+      const exact = searchService.scoreText(index, [[{ term: 'reform', weight: 1 }]], idf, averageLengths);
+      const fuzzy = searchService.scoreText(index, [[{ term: 'refrom', weight: 1 }, { term: 'reform', weight: 0.6 }]], idf, averageLengths);
+
+      expect(fuzzy.score).toBeLessThan(exact.score);
+      expect(fuzzy.score).toBeGreaterThan(0);
+    });
+
+    it('should pre-rank candidates on the best expansion of each query term', () => {
+      const rank = searchService.rankExpression([
+        [{ term: 'reform', weight: 1 }],
+        [{ term: 'retra', weight: 1 }, { term: 'retrait', weight: 0.8 }]
+      ], idf);
+
+      expect(rank.$add).toHaveLength(2);
+      expect(rank.$add[1].$max.map(expression => expression.$multiply[0])).toEqual([1, 0]);
+      expect(rank.$add[0].$max[0].$multiply[1].$add[0]).toEqual({
+        $cond: [{ $in: ['reform', { $ifNull: ['$searchIndex.title', []] }] }, 3, 0]
+      });
+    });
+
+    it('should decay freshness with age', () => {
+      const now = searchService.freshnessScore(new Date());
+      const monthOld = searchService.freshnessScore(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000));
+
+      expect(now).toBeCloseTo(1);
+      expect(monthOld).toBeCloseTo(0.5);
+    });
+
+    it('should highlight matched words and escape HTML', () => {
+      const highlights = searchService.highlight({
+        title: 'L\'Économie <française>',
+        content: 'Les économistes débattent.'
+      }, [stem('economie')]);
+
+      expect(highlights.title).toBe('L\'<mark>Économie</mark> &lt;française&gt;');
+      expect(highlights.content).toBe('Les <mark>économistes</mark> débattent.');
+    });
+  });
+});
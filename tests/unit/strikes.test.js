@@ -0,0 +1,175 @@
+const User = require('../../src/models/user.model');
+const Post = require('../../src/models/post.model');
+const Report = require('../../src/models/report.model');
+const Strike = require('../../src/models/strike.model');
+const Notification = require('../../src/models/notification.model');
+const strikeService = require('../../src/services/strike.service');
+const { connectDB, closeDB, clearDB } = require('../setup/testDb');
+
+describe('Strike Tests', () => {
+  describe('weights and thresholds', () => {
+    it('should weight strikes by the severity of their reason', () => {
+      expect(strikeService.getWeight('hate_speech')).toBe(3);
+      expect(strikeService.getWeight('spam')).toBe(1);
+      expect(strikeService.getWeight('other')).toBe(1);
+      expect(strikeService.getWeight('removal')).toBe(2);
+    });
+
+    it('should apply the highest threshold crossed', () => {
+      expect(strikeService.getCrossedThreshold(0, 2)).toBeNull();
+      expect(strikeService.getCrossedThreshold(2, 3).sanction).toBe('warning');
+      expect(strikeService.getCrossedThreshold(4, 7)).toMatchObject({ sanction: 'suspension', days: 7 });
+      expect(strikeService.getCrossedThreshold(5, 12).sanction).toBe('ban_review');
+      expect(strikeService.getCrossedThreshold(12, 14)).toBeNull();
+    });
+
+    it('should give one strike per content and one per report about an account', () => {
+      expect(strikeService.getKey('post', 'p1', 'report', 'r1')).toBe('post:p1');
+      expect(strikeService.getKey('user', 'u1', 'report', 'r1')).toBe('report:r1');
+    });
+
+    it('should only let admins revoke strikes', async () => {
+      const req = { user: { _id: '507f1f77bcf86cd799439011', role: 'moderator' } };
+
+      await expect(strikeService.revoke(req, '507f1f77bcf86cd799439012', 'Erreur'))
+        .rejects.toMatchObject({ code: 'MODERATION_FORBIDDEN', status: 403 });
+      await expect(strikeService.revoke({ user: { ...req.user, role: 'admin' } }, '507f1f77bcf86cd799439012', ' '))
+        .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('with database', () => {
+    let admin;
+    let journalist;
+
+    const createUser = (username, role) => User.create({
+      username,
+      email: `${username}@example.com`,
+      password: 'Password123!',
+      name: username,
+      role,
+      twoFactorEnabled: role === 'admin'
+    });
+    const createPost = () => Post.create({
+      title: 'Article',
+      content: 'Contenu',
+      imageUrl: '/uploads/image.png',
+      type: 'article',
+      domain: 'politique',
+      status: 'published',
+      politicalOrientation: { journalistChoice: 'neutral' },
+      journalist: journalist._id
+    });
+    const resolvedReport = async (reason) => {
+      const post = await createPost();
+      return Report.create({
+        reportedBy: admin._id,
+        targetType: 'post',
+        targetId: post._id,
+        targetModel: 'Post',
+        reason,
+        status: 'resolved',
+        actionTaken: 'content_removed'
+      });
+    };
+    const requestOf = user => ({ user, userId: user._id.toString(), get: () => 'jest' });
+
+    beforeAll(async () => {
+      await connectDB();
+    });
+
+    afterAll(async () => {
+      await closeDB();
+    });
+
+    beforeEach(async () => {
+      await clearDB();
+      await Strike.init();
+
+      admin = await createUser('admin', 'admin');
+      journalist = await createUser('journalist', 'journalist');
+    });
+
+    it('should count a content once, whatever the number of reviews', async () => {
+      const report = await resolvedReport('spam');
+
+      expect(await strikeService.recordReport(requestOf(admin), report)).not.toBeNull();
+      expect(await strikeService.recordRemoval(requestOf(admin), 'post', { _id: report.targetId, journalist: journalist._id }, 'spam')).toBeNull();
+      expect(await strikeService.getActivePoints(journalist._id)).toBe(1);
+
+      const dismissed = await Report.create({ ...report.toObject(), _id: undefined, status: 'dismissed', actionTaken: 'none' });
+      expect(await strikeService.recordReport(requestOf(admin), dismissed)).toBeNull();
+    });
+
+    it('should warn, then suspend until a date, then escalate for a ban', async () => {
+      await strikeService.recordReport(requestOf(admin), await resolvedReport('hate_speech'));
+      expect(await Notification.countDocuments({ recipient: journalist._id, type: 'account_warning' })).toBe(1);
+
+      const strike = await strikeService.recordReport(requestOf(admin), await resolvedReport('violence'));
+      let user = await User.findById(journalist._id);
+      expect(user.status).toBe('suspended');
+      expect(user.suspendedUntil.getTime()).toBeGreaterThan(Date.now() + 6 * 24 * 60 * 60 * 1000);
+      expect((await Strike.findById(strike._id)).sanction.type).toBe('suspension');
+
+      await strikeService.recordReport(requestOf(admin), await resolvedReport('hate_speech'));
+      expect((await User.findById(journalist._id)).suspendedUntil.getTime()).toBeGreaterThan(Date.now() + 29 * 24 * 60 * 60 * 1000);
+      await strikeService.recordReport(requestOf(admin), await resolvedReport('hate_speech'));
+      user = await User.findById(journalist._id);
+      expect(user.status).toBe('suspended');
+      expect(user.suspendedUntil).toBeUndefined();
+
+      const escalations = await strikeService.listEscalations();
+      expect(escalations.map(entry => entry.user._id.toString())).toEqual([journalist._id.toString()]);
+      expect(escalations[0].points).toBe(12);
+    });
+
+    it('should ignore expired and revoked strikes', async () => {
+      const first = await strikeService.recordReport(requestOf(admin), await resolvedReport('hate_speech'));
+      await Strike.updateOne({ _id: first._id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+      const second = await strikeService.recordReport(requestOf(admin), await resolvedReport('violence'));
+
+      expect(await strikeService.getActivePoints(journalist._id)).toBe(3);
+      expect((await Strike.findById(second._id)).sanction.type).toBe('warning');
+
+      await strikeService.revoke(requestOf(admin), second._id, 'Erreur de modération');
+      const ledger = await strikeService.getLedger(journalist._id);
+      expect(ledger.points).toBe(0);
+      expect(ledger.strikes.map(strike => strike.active)).toEqual([false, false]);
+      await expect(strikeService.revoke(requestOf(admin), second._id, 'Encore'))
+        .rejects.toMatchObject({ code: 'STRIKE_REVOKED', status: 409 });
+    });
+
+    it('should not sanction staff accounts', async () => {
+      const post = await createPost();
+      await Post.updateOne({ _id: post._id }, { $set: { journalist: admin._id } });
+      const report = await Report.create({
+        reportedBy: journalist._id,
+        targetType: 'post',
+        targetId: post._id,
+        targetModel: 'Post',
+        reason: 'hate_speech',
+        status: 'resolved',
+        actionTaken: 'warning'
+      });
+
+      const strike = await strikeService.recordReport(requestOf(journalist), report);
+      expect(strike.weight).toBe(3);
+      expect((await Strike.findById(strike._id)).sanction).toBeUndefined();
+    });
+
+    it('should lift suspensions whose end has passed', async () => {
+      const now = new Date();
+      await User.updateOne({ _id: journalist._id }, {
+        $set: { status: 'suspended', suspendedUntil: new Date(now.getTime() - 1000), suspensionReason: 'Spam' }
+      });
+      await User.updateOne({ _id: admin._id }, { $set: { status: 'suspended', suspensionReason: 'Sans fin' } });
+
+      expect(await strikeService.liftExpiredSuspensions(now)).toBe(1);
+
+      const lifted = await User.findById(journalist._id);
+      expect(lifted.status).toBe('active');
+      expect(lifted.suspensionReason).toBeUndefined();
+      expect((await User.findById(admin._id)).status).toBe('suspended');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const jwt = require('jsonwebtoken');
+const totp = require('../../src/utils/totp');
+const twoFactorService = require('../../src/services/twoFactor.service');
+
+describe('Two-Factor Tests', () => {
+  // RFC 6238 appendix B secret ("12345678901234567890")
+  const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('TOTP', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(totp.generateCode(RFC_SECRET, 59 * 1000)).toBe('287082');
+      expect(totp.generateCode(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+      expect(totp.generateCode(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+    });
+
+    it('should round-trip base32', () => {
+      const secret = totp.generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+    });
+
+    it('should accept one step of clock drift and nothing more', () => {
+      const time = 1700000000 * 1000;
+      const code = totp.generateCode(RFC_SECRET, time);
+
+      expect(totp.verifyCode(RFC_SECRET, code, { time })).toBe(totp.getStep(time));
+      expect(totp.verifyCode(RFC_SECRET, code, { time: time + 30 * 1000 })).toBe(totp.getStep(time));
+      expect(totp.verifyCode(RFC_SECRET, code, { time: time + 90 * 1000 })).toBeNull();
+      expect(totp.verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    });
+
+    it('should build an otpauth provisioning URI', () => {
+      const uri = totp.buildOtpauthUri('JBSWY3DPEHPK3PXP', 'admin@thot.com');
+      expect(uri).toMatch(/^otpauth:\/\/totp\/THOT%3Aadmin%40thot\.com\?/);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=THOT');
+    });
+  });
+
+  describe('Two-factor service', () => {
+    it('should encrypt secrets at rest', () => {
+      const encrypted = twoFactorService.encrypt('JBSWY3DPEHPK3PXP');
+      expect(encrypted).not.toContain('JBSWY3DPEHPK3PXP');
+      expect(twoFactorService.decrypt(encrypted)).toBe('JBSWY3DPEHPK3PXP');
+    });
+
+    it('should hash backup codes regardless of formatting', () => {
+      const { codes, hashes } = twoFactorService.generateBackupCodes();
+      expect(codes).toHaveLength(10);
+      expect(new Set(codes).size).toBe(10);
+      expect(twoFactorService.hashBackupCode(codes[0].toUpperCase().replace('-', ''))).toBe(hashes[0]);
+    });
+
+    it('should make 2FA mandatory for admins only', () => {
+      expect(twoFactorService.needsChallenge({ role: 'admin', twoFactorEnabled: false })).toBe(true);
+      expect(twoFactorService.needsChallenge({ role: 'journalist', twoFactorEnabled: false })).toBe(false);
+      expect(twoFactorService.needsChallenge({ role: 'journalist', twoFactorEnabled: true })).toBe(true);
+    });
+
+    it('should not accept a challenge token as anything else', () => {
+      const { challengeToken, enrollmentRequired } = twoFactorService.createChallenge({
+        _id: '507f1f77bcf86cd799439011',
+        role: 'admin',
+        twoFactorEnabled: false
+      });
+
+      expect(enrollmentRequired).toBe(true);
+      expect(twoFactorService.verifyChallenge(challengeToken)).toEqual({
+        userId: '507f1f77bcf86cd799439011',
+        enrollment: true
+      });
+      expect(() => jwt.verify(challengeToken, process.env.JWT_SECRET)).toThrow();
+      expect(() => twoFactorService.verifyChallenge('not-a-token')).toThrow('Invalid or expired two-factor challenge');
+    });
+  });
+});